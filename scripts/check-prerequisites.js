@@ -1,36 +1,20 @@
 const { execSync } = require('child_process');
-const os = require('os');
-
-const colors = {
-    reset: '\x1b[0m',
-    red: '\x1b[31m',
-    green: '\x1b[32m',
-    yellow: '\x1b[33m',
-    cyan: '\x1b[36m',
-    white: '\x1b[37m'
-};
-
-function log(message, color = 'reset') {
-    console.log(`${colors[color]}${message}${colors.reset}`);
-}
+const { log } = require('./lib/cli');
+const { detectPlatform, getVersion } = require('./lib/platform');
 
-function checkCommand(command, name, minVersion = null) {
-    try {
-        const version = execSync(`${command} --version`, {
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'pipe']
-        }).trim();
-        log(`✅ ${name}: ${version.split('\n')[0]}`, 'green');
-        return true;
-    } catch {
+function checkCommand(command, name) {
+    const version = getVersion(command);
+    if (!version) {
         log(`❌ ${name}: Not installed`, 'red');
         return false;
     }
+    log(`✅ ${name}: ${version}`, 'green');
+    return true;
 }
 
 function checkPostgres() {
     // Try multiple ways to detect PostgreSQL on different platforms
-    const isWindows = os.platform() === 'win32';
+    const { isWindows } = detectPlatform();
 
     try {
         if (isWindows) {
@@ -66,10 +50,10 @@ function checkPostgres() {
         }
 
         // Try psql command
-        const version = execSync('psql --version', {
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'pipe']
-        }).trim();
+        const version = getVersion('psql');
+        if (!version) {
+            throw new Error('psql not found');
+        }
         log(`✅ PostgreSQL: ${version}`, 'green');
         return true;
     } catch {
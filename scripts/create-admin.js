@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const admin = require('./lib/admin');
+const { getArgValue } = require('./lib/answers');
+const { createPrompter, log } = require('./lib/cli');
+const { localUrl, readPorts } = require('./lib/ports');
+const { backendPath } = require('./lib/paths');
+
+const isCI = process.env.CI === 'true';
+
+// Resolve a path given on the command line against the directory npm was run from
+function resolveArgPath(value) {
+    return value ? path.resolve(process.env.INIT_CWD || process.cwd(), value) : null;
+}
+
+async function main() {
+    if (!fs.existsSync(path.join(backendPath, 'package.json'))) {
+        throw new Error('backend/ not found. Run "npm run install:backend" first.');
+    }
+
+    const argv = process.argv.slice(2);
+    const given = admin.readNonInteractiveCredentials({
+        email: getArgValue(argv, '--email'),
+        passwordFile: resolveArgPath(getArgValue(argv, '--password-file'))
+    });
+
+    let { email, password } = given;
+
+    if (password) {
+        log('\n👤 Creating admin user from the provided credentials', 'cyan');
+    } else if (isCI || !process.stdin.isTTY) {
+        throw new Error('No password given. Set ADMIN_PASSWORD or ADMIN_PASSWORD_FILE, or pass --password-file.');
+    } else {
+        log('\n👤 Create Admin User', 'cyan');
+        log(`Passwords need at least ${admin.MIN_PASSWORD_LENGTH} characters mixing letters, digits and symbols.\n`, 'yellow');
+
+        const prompt = createPrompter();
+        email = await prompt.text(`Admin email${email ? ` [${email}]` : ''}: `, {
+            default: email || '',
+            validate: admin.validateEmail
+        });
+        password = await admin.promptPassword({ email, prompt });
+    }
+
+    admin.createAdmin({ email, password, backendPath });
+    log(`✅ Admin user ${email} created`, 'green');
+    log(`   Sign in at: ${localUrl(readPorts().backend)}/app\n`, 'white');
+}
+
+main().catch(error => {
+    log(`\n❌ ${error.message}`, 'red');
+    process.exit(1);
+});
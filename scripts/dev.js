@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const docker = require('./lib/docker');
+const { getArgValue } = require('./lib/answers');
+const { readEnvFile } = require('./lib/env-file');
+const { createSupervisor } = require('./lib/supervisor');
+const { isPortFree, localUrl, readPorts } = require('./lib/ports');
+const { log } = require('./lib/cli');
+const { backendPath, storefrontPath } = require('./lib/paths');
+
+const argv = process.argv.slice(2);
+
+const USAGE = `Usage: npm run dev -- [options]
+
+Starts the local stack in order: the docker compose services (with --docker),
+then the Medusa backend, and the Angular dev server once the backend answers
+on /health. Output is prefixed per service, a crashed service is restarted,
+and a status table with the URLs is printed whenever a service changes state.
+
+Options:
+  --docker             Start PostgreSQL and Redis from docker-compose.yml first
+  --no-storefront      Start only the backend
+  --no-restart         Leave a crashed service stopped
+  --timeout <seconds>  How long to wait for the backend (default: 300)
+
+Keys, in a terminal:
+  s  print the status table
+  b  restart the backend
+  f  restart the storefront
+  q  stop everything (like Ctrl+C)`;
+
+const DEFAULT_TIMEOUT = 300;
+
+const statusColors = {
+    starting: 'yellow',
+    ready: 'green',
+    healthy: 'green',
+    crashed: 'red',
+    failed: 'red',
+    stopped: 'white'
+};
+
+let supervisor = null;
+let shuttingDown = false;
+
+// Services started by docker compose, shown in the status table
+const composeServices = [];
+
+// Where each dev server can be opened
+const urls = {};
+
+// Read --timeout in milliseconds
+function getTimeout() {
+    const value = getArgValue(argv, '--timeout');
+    if (value === undefined) {
+        return DEFAULT_TIMEOUT * 1000;
+    }
+    if (!/^[0-9]+$/.test(value || '') || Number(value) === 0) {
+        throw new Error('--timeout requires a number of seconds');
+    }
+    return Number(value) * 1000;
+}
+
+// Start the compose services and wait for their healthchecks
+async function startDockerServices() {
+    const composeCommand = docker.detectComposeCommand();
+    if (!composeCommand) {
+        throw new Error('Docker Compose is not available. Install Docker Desktop or the compose plugin, or start without --docker.');
+    }
+
+    const compose = docker.readComposeServices();
+    log(`\n🐳 Starting ${compose.services.map(service => service.name).join(', ')} from ${path.basename(compose.file)}...`, 'cyan');
+    docker.startServices(composeCommand, compose.services, compose.file);
+
+    log('⏳ Waiting for services to become healthy...', 'yellow');
+    await docker.waitForHealthy(composeCommand, compose.services, {
+        file: compose.file,
+        onHealthy: (service, status) => log(`✅ ${service.name} is ${status}`, 'green')
+    });
+
+    for (const service of compose.services) {
+        composeServices.push({
+            name: service.name,
+            status: 'healthy',
+            url: service.role === 'postgres'
+                ? `postgres://localhost:${compose.database.port}`
+                : compose.redisUrl
+        });
+    }
+}
+
+// Refuse to start a server on a port that is taken, e.g. by a dev server that is still running
+async function checkPort(port, name, key) {
+    if (!(await isPortFree(port))) {
+        throw new Error(`Port ${port} for the ${name} is in use (is it already running?). Stop it, or change ${key} in .env and run npm run install:backend.`);
+    }
+}
+
+// Print every service with its status and URL
+function printStatus() {
+    const rows = [
+        ...composeServices.map(service => ({ ...service, restarts: '' })),
+        ...supervisor.list().flatMap(service => {
+            const row = { name: service.name, status: service.status, url: urls[service.name], restarts: String(service.restarts) };
+            // The admin dashboard is served by the backend
+            return service.name === 'backend'
+                ? [row, { ...row, name: 'admin', url: urls.admin, restarts: '' }]
+                : [row];
+        })
+    ];
+    const width = Math.max(...rows.map(row => row.name.length)) + 2;
+
+    log('\n📊 Services', 'cyan');
+    for (const row of rows) {
+        const line = `   ${row.name.padEnd(width)}${row.status.padEnd(10)}${row.url.padEnd(34)}${row.restarts ? `restarts: ${row.restarts}` : ''}`;
+        log(line.trimEnd(), statusColors[row.status] || 'white');
+    }
+    const problem = supervisor.list().find(service => service.detail);
+    if (problem) {
+        log(`   ${problem.name}: ${problem.detail}`, statusColors[problem.status] || 'white');
+    }
+    log('');
+}
+
+// Single-key commands while the stack runs in a terminal
+function listenForKeys() {
+    if (!process.stdin.isTTY) {
+        return;
+    }
+
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', key => {
+        if (key === '\u0003' || key === 'q') {
+            shutdown();
+        } else if (key === 's') {
+            printStatus();
+        } else if (key === 'b') {
+            supervisor.restart('backend');
+        } else if (key === 'f') {
+            supervisor.restart('storefront');
+        }
+    });
+}
+
+// Stop the servers; the compose services keep running
+async function shutdown(code = 0) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+
+    if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+    }
+
+    if (supervisor) {
+        log('\n🛑 Stopping the dev servers...', 'yellow');
+        await supervisor.stop();
+    }
+    if (composeServices.length > 0) {
+        log('   PostgreSQL and Redis keep running (stop them with: npm run docker:down)', 'white');
+    }
+    process.exit(code);
+}
+
+async function main() {
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!fs.existsSync(path.join(backendPath, 'package.json'))) {
+        throw new Error('backend/ not found. Run "npm run install:backend" first.');
+    }
+
+    const timeout = getTimeout();
+    const withStorefront = !argv.includes('--no-storefront');
+    const ports = readPorts();
+
+    // PORT is passed to the backend, so it listens where the status checks look
+    const backendEnv = readEnvFile(path.join(backendPath, '.env')) || {};
+    if (backendEnv.PORT && Number(backendEnv.PORT) !== ports.backend) {
+        log(`⚠️  backend/.env sets PORT=${backendEnv.PORT} but BACKEND_PORT is ${ports.backend}; starting on ${ports.backend} (run npm run doctor)`, 'yellow');
+    }
+
+    await checkPort(ports.backend, 'Medusa backend', 'BACKEND_PORT');
+    if (withStorefront) {
+        await checkPort(ports.storefront, 'Angular dev server', 'STOREFRONT_PORT');
+    }
+
+    if (argv.includes('--docker')) {
+        await startDockerServices();
+    }
+
+    supervisor = createSupervisor({
+        restart: !argv.includes('--no-restart'),
+        onChange: () => {
+            if (!shuttingDown) {
+                printStatus();
+            }
+        }
+    });
+
+    urls.backend = localUrl(ports.backend);
+    urls.admin = `${urls.backend}/app`;
+    urls.storefront = localUrl(ports.storefront);
+
+    log(`\n🚀 Starting the Medusa backend on port ${ports.backend}...`, 'cyan');
+    supervisor.start({
+        name: 'backend',
+        command: 'npm run dev',
+        cwd: backendPath,
+        env: { PORT: String(ports.backend) },
+        color: 'magenta',
+        url: `${urls.backend}/health`
+    });
+
+    listenForKeys();
+    await supervisor.waitUntilReady('backend', { timeout });
+
+    if (withStorefront) {
+        log(`\n⚡ Backend is up, starting the Angular dev server on port ${ports.storefront}...`, 'cyan');
+        supervisor.start({
+            name: 'storefront',
+            command: 'npm start',
+            cwd: storefrontPath,
+            color: 'blue',
+            url: urls.storefront
+        });
+    }
+
+    if (process.stdin.isTTY) {
+        log(`💡 Keys: s status, b restart backend${withStorefront ? ', f restart storefront' : ''}, q quit`, 'cyan');
+    }
+}
+
+process.on('SIGINT', () => shutdown());
+process.on('SIGTERM', () => shutdown());
+
+main().catch(async error => {
+    if (shuttingDown) {
+        return;
+    }
+    log(`\n❌ ${error.message}`, 'red');
+    if (/did not answer/.test(error.message)) {
+        log('   Medusa builds the admin dashboard on its first start; give it longer with --timeout <seconds>', 'white');
+    }
+    await shutdown(1);
+});
@@ -0,0 +1,330 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { readEnvFile } = require('./lib/env-file');
+const { envFileNames, usesSsl, validateEnvironment } = require('./lib/environments');
+const secrets = require('./lib/secrets');
+const { satisfies } = require('./lib/semver');
+const { DEFAULT_PORTS, isPortFree, localUrl, readPorts } = require('./lib/ports');
+const storefront = require('./lib/storefront');
+const postgres = require('./lib/postgres');
+const medusa = require('./lib/medusa');
+const { findPendingMigrations } = require('./lib/migrations');
+const redis = require('./lib/redis');
+const { log } = require('./lib/cli');
+const { backendPath, rootPath } = require('./lib/paths');
+
+const envPath = path.join(backendPath, '.env');
+
+// Ports from the root .env; checkPortSettings reports an invalid one
+let ports;
+try {
+    ports = readPorts();
+} catch {
+    ports = DEFAULT_PORTS;
+}
+const STOREFRONT_ORIGIN = localUrl(ports.storefront);
+const PORTS = [
+    { port: ports.backend, name: 'Medusa backend' },
+    { port: ports.storefront, name: 'Angular dev server' }
+];
+const REQUIRED_ENV_KEYS = ['DATABASE_URL', 'JWT_SECRET', 'COOKIE_SECRET', 'STORE_CORS', 'ADMIN_CORS'];
+
+const jsonOutput = process.argv.includes('--json');
+
+function pass(message) {
+    return { status: 'pass', message };
+}
+
+function warn(message) {
+    return { status: 'warn', message };
+}
+
+function fail(message) {
+    return { status: 'fail', message };
+}
+
+// Read the engines field from the root package.json
+function getEngines() {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(rootPath, 'package.json'), 'utf-8'));
+    return packageJson.engines || {};
+}
+
+function checkNodeVersion(context) {
+    const range = context.engines.node;
+    if (!range) {
+        return pass(`${process.version} (no engines.node constraint)`);
+    }
+    return satisfies(process.version, range)
+        ? pass(`${process.version} satisfies ${range}`)
+        : fail(`${process.version} does not satisfy ${range}`);
+}
+
+function checkNpmVersion(context) {
+    let version;
+    try {
+        version = execSync('npm --version', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch {
+        return fail('npm is not installed');
+    }
+
+    const range = context.engines.npm;
+    if (!range) {
+        return pass(`${version} (no engines.npm constraint)`);
+    }
+    return satisfies(version, range)
+        ? pass(`${version} satisfies ${range}`)
+        : fail(`${version} does not satisfy ${range}`);
+}
+
+function checkMedusaVersion() {
+    if (!fs.existsSync(path.join(backendPath, 'package.json'))) {
+        return warn('skipped: backend/ is not installed');
+    }
+
+    const config = medusa.readConfig();
+    const { version, problems } = medusa.checkCompatibility(config);
+    if (problems.length > 0) {
+        return fail(problems.join('; '));
+    }
+    return version === config.version
+        ? pass(`${version} (pinned in package.json)`)
+        : warn(`${version} is supported, but package.json pins ${config.version}`);
+}
+
+function checkEnvFile(context) {
+    if (!fs.existsSync(backendPath)) {
+        return fail('backend/ not found - run: npm run install:backend');
+    }
+
+    context.env = readEnvFile(envPath);
+    if (!context.env) {
+        return fail('backend/.env not found');
+    }
+
+    const missing = REQUIRED_ENV_KEYS.filter(key => !context.env[key]);
+    if (missing.length > 0) {
+        return fail(`missing ${missing.join(', ')}`);
+    }
+
+    return pass(`${Object.keys(context.env).length} settings parsed`);
+}
+
+async function checkDatabase(context) {
+    if (!context.env || !context.env.DATABASE_URL) {
+        return warn('skipped: DATABASE_URL is not set');
+    }
+
+    let config;
+    try {
+        config = postgres.parseConnectionString(context.env.DATABASE_URL);
+    } catch (error) {
+        return fail(`invalid DATABASE_URL: ${error.message}`);
+    }
+
+    if (usesSsl(context.env)) {
+        config.ssl = true;
+    }
+
+    try {
+        const client = await postgres.connect(config);
+        client.end();
+        context.databaseConfig = config;
+        return pass(`connected to ${config.name} on ${config.host}:${config.port} (PostgreSQL ${client.serverVersion})`);
+    } catch (error) {
+        return fail(`cannot connect to ${config.host}:${config.port}/${config.name}: ${error.message}`);
+    }
+}
+
+async function checkRedis(context) {
+    if (!context.env || !context.env.REDIS_URL) {
+        return warn('REDIS_URL is not set; Medusa will fall back to in-memory modules');
+    }
+
+    try {
+        const { latency, version } = await redis.ping(context.env.REDIS_URL);
+        return pass(`PONG in ${latency}ms${version ? ` (Redis ${version})` : ''}`);
+    } catch (error) {
+        return fail(`cannot reach ${context.env.REDIS_URL}: ${error.message}`);
+    }
+}
+
+// The medusa CLI cannot list pending migrations, so read the applied ones from the database
+async function checkMigrations(context) {
+    if (!context.databaseConfig) {
+        return warn('skipped: database is not reachable');
+    }
+    if (!fs.existsSync(path.join(backendPath, 'node_modules'))) {
+        return warn('skipped: backend dependencies are not installed');
+    }
+
+    let client;
+    let status;
+    try {
+        client = await postgres.connect(context.databaseConfig);
+        status = await findPendingMigrations(client, backendPath);
+    } catch (error) {
+        return warn(`could not read the applied migrations: ${error.message}`);
+    } finally {
+        if (client) {
+            client.end();
+        }
+    }
+
+    if (!status) {
+        return warn('no migrations applied yet - run: npm run backend:migrations');
+    }
+    const count = status.pending.reduce((total, entry) => total + entry.migrations.length, 0);
+    if (count > 0) {
+        const modules = status.pending.map(entry => entry.module).join(', ');
+        return warn(`${count} pending in ${modules} - run: npm run backend:migrations`);
+    }
+    return pass(`all ${status.applied} module migrations applied`);
+}
+
+// The storefront calls the Store API (STORE_CORS) and logs customers in (AUTH_CORS)
+function checkStorefrontOrigin(key, context) {
+    if (!context.env || !context.env[key]) {
+        return fail(`${key} is not set`);
+    }
+
+    const origins = context.env[key].split(',').map(origin => origin.trim().replace(/\/$/, ''));
+    return origins.includes(STOREFRONT_ORIGIN)
+        ? pass(`includes ${STOREFRONT_ORIGIN}`)
+        : fail(`does not include the storefront origin ${STOREFRONT_ORIGIN}`);
+}
+
+function checkProductionEnv() {
+    const file = path.join(backendPath, envFileNames.production);
+    if (!fs.existsSync(file)) {
+        return pass(`${envFileNames.production} not generated`);
+    }
+
+    const errors = validateEnvironment('production', fs.readFileSync(file, 'utf-8'));
+    return errors.length === 0
+        ? pass('SSL, CORS origins, LOG_LEVEL and secrets follow the production rules')
+        : fail(errors.join('; '));
+}
+
+function checkSecrets() {
+    const files = Object.values(envFileNames)
+        .map(name => ({ name, env: readEnvFile(path.join(backendPath, name)) }))
+        .filter(file => file.env);
+    if (files.length === 0) {
+        return warn('no env files to audit');
+    }
+
+    const findings = secrets.audit(files);
+    if (findings.length === 0) {
+        return pass(`no weak, placeholder or reused secrets in ${files.length} file(s)`);
+    }
+
+    const summary = findings.map(finding => `${finding.file} ${finding.key}: ${finding.message}`).join('; ');
+    const result = findings.some(finding => finding.file === envFileNames.production) ? fail : warn;
+    return result(`${summary} - run: npm run secrets -- rotate --env <name>`);
+}
+
+// Check that backend/.env and the storefront use the ports from the root .env
+function checkPortSettings(context) {
+    const configured = readPorts();
+    const problems = [];
+
+    if (context.env) {
+        const port = context.env.PORT || '9000';
+        if (Number(port) !== configured.backend) {
+            problems.push(`backend/.env PORT is ${port}`);
+        }
+        if (context.env.MEDUSA_BACKEND_URL && context.env.MEDUSA_BACKEND_URL.replace(/\/$/, '') !== localUrl(configured.backend)) {
+            problems.push(`backend/.env MEDUSA_BACKEND_URL is ${context.env.MEDUSA_BACKEND_URL}`);
+        }
+    }
+
+    const apiUrl = storefront.readBackendUrl();
+    if (apiUrl && apiUrl.replace(/\/$/, '') !== localUrl(configured.backend)) {
+        problems.push(`the storefront apiUrl is ${apiUrl}`);
+    }
+
+    return problems.length === 0
+        ? pass(`backend ${configured.backend}, storefront ${configured.storefront}, admin ${configured.admin}`)
+        : fail(`BACKEND_PORT is ${configured.backend} but ${problems.join(', ')} - run: npm run install:backend`);
+}
+
+// The Store API rejects storefront requests without a publishable API key
+function checkPublishableKey() {
+    const key = storefront.readPublishableKey();
+    if (key === null) {
+        return warn('neither storefront/public/config.json nor storefront/src/environments/environment.ts has a publishableKey setting');
+    }
+    return key
+        ? pass(`${key.slice(0, 12)}...`)
+        : warn('not set in storefront/public/config.json - run: npm run install:backend, or copy one from the admin (Settings → Publishable API Keys)');
+}
+
+async function checkPort({ port, name }) {
+    return (await isPortFree(port))
+        ? pass(`${port} is free for the ${name}`)
+        : warn(`${port} is already in use (is the ${name} already running?)`);
+}
+
+// All checks, in the order they are reported
+const checks = [
+    { id: 'node', title: 'Node.js version', run: checkNodeVersion },
+    { id: 'npm', title: 'npm version', run: checkNpmVersion },
+    { id: 'medusa', title: 'Medusa version', run: checkMedusaVersion },
+    { id: 'env', title: 'backend/.env', run: checkEnvFile },
+    { id: 'database', title: 'PostgreSQL (DATABASE_URL)', run: checkDatabase },
+    { id: 'redis', title: 'Redis (REDIS_URL)', run: checkRedis },
+    { id: 'migrations', title: 'Database migrations', run: checkMigrations },
+    { id: 'store-cors', title: 'STORE_CORS', run: context => checkStorefrontOrigin('STORE_CORS', context) },
+    { id: 'auth-cors', title: 'AUTH_CORS', run: context => checkStorefrontOrigin('AUTH_CORS', context) },
+    { id: 'ports', title: 'Port settings', run: checkPortSettings },
+    { id: 'publishable-key', title: 'Storefront publishable API key', run: checkPublishableKey },
+    { id: 'production-env', title: 'backend/.env.production', run: checkProductionEnv },
+    { id: 'secrets', title: 'Secrets', run: checkSecrets },
+    ...PORTS.map(entry => ({ id: `port-${entry.port}`, title: `Port ${entry.port}`, run: () => checkPort(entry) }))
+];
+
+function printReport(results, summary) {
+    const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+    const statusColors = { pass: 'green', warn: 'yellow', fail: 'red' };
+
+    log('\n🩺 Workspace Health Check\n', 'cyan');
+
+    for (const result of results) {
+        log(`${icons[result.status]} ${result.title}: ${result.message}`, statusColors[result.status]);
+    }
+
+    log('\n📋 Summary:', 'cyan');
+    log(`   ${summary.pass} passed, ${summary.warn} warnings, ${summary.fail} failed\n`,
+        summary.fail > 0 ? 'red' : (summary.warn > 0 ? 'yellow' : 'green'));
+}
+
+async function main() {
+    const context = { engines: getEngines() };
+    const results = [];
+
+    for (const check of checks) {
+        let result;
+        try {
+            result = await check.run(context);
+        } catch (error) {
+            result = fail(error.message);
+        }
+        results.push({ id: check.id, title: check.title, ...result });
+    }
+
+    const summary = { pass: 0, warn: 0, fail: 0 };
+    for (const result of results) {
+        summary[result.status]++;
+    }
+
+    if (jsonOutput) {
+        console.log(JSON.stringify({ ok: summary.fail === 0, summary, checks: results }, null, 2));
+    } else {
+        printReport(results, summary);
+    }
+
+    process.exit(summary.fail > 0 ? 1 : 0);
+}
+
+main();
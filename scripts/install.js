@@ -1,31 +1,48 @@
-const { execSync, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-
-// Colors for terminal output
-const colors = {
-    reset: '\x1b[0m',
-    red: '\x1b[31m',
-    green: '\x1b[32m',
-    yellow: '\x1b[33m',
-    blue: '\x1b[34m',
-    cyan: '\x1b[36m',
-    magenta: '\x1b[35m',
-    white: '\x1b[37m',
-    bold: '\x1b[1m'
-};
+const { getAnswersPath, getArgValue, loadAnswers } = require('./lib/answers');
+const { createJournal, fileFingerprint, fingerprint } = require('./lib/state');
+const { createPlan } = require('./lib/plan');
+const { createReporter } = require('./lib/reporter');
+const { createPrompter } = require('./lib/cli');
+const { commandExists, getVersion } = require('./lib/platform');
+const { localUrl, readPorts } = require('./lib/ports');
+const { backendPath, rootPath, scriptsPath, storefrontPath } = require('./lib/paths');
 
 // Check if running in CI
 const isCI = process.env.CI === 'true';
 
-const rootPath = path.join(__dirname, '..');
-const backendPath = path.join(rootPath, 'backend');
-const storefrontPath = path.join(rootPath, 'storefront');
+// Answers loaded from --answers <file> (unattended install)
+let answers = null;
+let answersPath = null;
+
+// Docker mode (--docker): PostgreSQL and Redis run from docker-compose.yml
+let dockerMode = false;
+
+// Offline mode (--offline): npm installs from its cache; --medusa-package is passed on to the backend installer
+const offline = process.argv.includes('--offline');
+const medusaPackage = getArgValue(process.argv.slice(2), '--medusa-package');
+
+// Dry run (--dry-run): walk through the steps and record a plan instead of changing anything
+const dryRun = process.argv.includes('--dry-run');
+const plan = dryRun ? createPlan() : null;
+
+// Output format (--reporter=pretty|plain|json|ndjson); a real run also writes install.log
+const reporter = createReporter('install', { transcript: !dryRun });
+const prompter = createPrompter({ output: reporter.promptOutput, log });
 
 // Helper function for colored output
+function print(message, color = 'reset') {
+    reporter.message(message, color);
+}
+
+// Progress output; a dry run only prints the plan
 function log(message, color = 'reset') {
-    console.log(`${colors[color]}${message}${colors.reset}`);
+    if (!dryRun) {
+        print(message, color);
+    }
 }
 
 function logStep(step, total, message) {
@@ -33,51 +50,45 @@ function logStep(step, total, message) {
     log('─'.repeat(60), 'cyan');
 }
 
-// Create readline interface
-function createInterface() {
-    return readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
-}
-
 // Prompt user for input
 function question(query) {
+    if (dryRun) {
+        plan.prompt(query);
+        return Promise.resolve('');
+    }
+
     if (isCI) {
         return Promise.resolve('');
     }
 
-    const rl = createInterface();
-    return new Promise(resolve => {
-        rl.question(query, answer => {
-            rl.close();
-            resolve(answer);
-        });
-    });
+    return prompter.text(query);
 }
 
-// Check if command exists
-function commandExists(command) {
-    try {
-        execSync(`${command} --version`, { stdio: 'ignore' });
-        return true;
-    } catch {
-        return false;
+// Ask a yes/no question; CI and a dry run answer no
+function confirm(query) {
+    if (isCI || dryRun) {
+        return question(query).then(() => false);
     }
+    return prompter.confirm(query);
 }
 
-// Get version of a command
-function getVersion(command) {
-    try {
-        return execSync(`${command} --version`, { encoding: 'utf-8' }).trim().split('\n')[0];
-    } catch {
-        return 'unknown';
+// Run a command with its output in install.log, or record it in a dry run
+async function runCommand(command, options) {
+    if (dryRun) {
+        plan.command(command, options.cwd);
+        return;
     }
+    await reporter.exec(command, options);
 }
 
 // Print welcome banner
 function printBanner() {
-    console.clear();
+    if (dryRun) {
+        return;
+    }
+    if (reporter.color) {
+        console.clear();
+    }
     log('\n' + '═'.repeat(70), 'cyan');
     log('                  🛍️  E-COMMERCE STARTER INSTALLATION', 'bold');
     log('                   Angular + Medusa.js Full Stack', 'cyan');
@@ -92,6 +103,7 @@ async function checkPrerequisites() {
         node: commandExists('node'),
         npm: commandExists('npm'),
         postgres: commandExists('psql'),
+        docker: dockerMode && commandExists('docker'),
         git: commandExists('git')
     };
 
@@ -110,7 +122,13 @@ async function checkPrerequisites() {
         log('  ❌ npm: Not installed', 'red');
     }
 
-    if (checks.postgres) {
+    if (dockerMode) {
+        if (checks.docker) {
+            log(`  ✅ Docker: ${getVersion('docker')}`, 'green');
+        } else {
+            log('  ❌ Docker: Not installed', 'red');
+        }
+    } else if (checks.postgres) {
         log(`  ✅ PostgreSQL: ${getVersion('psql')}`, 'green');
     } else {
         log('  ⚠️  PostgreSQL: Not found in PATH', 'yellow');
@@ -139,14 +157,14 @@ async function checkPrerequisites() {
         return false;
     }
 
-    if (!checks.postgres && !isCI) {
-        log('\n⚠️  PostgreSQL not detected in PATH', 'yellow');
-        const answer = await question('Do you have PostgreSQL installed and running? (y/n): ');
-        if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
-            log('\nPlease install PostgreSQL before continuing:', 'yellow');
-            log('  https://www.postgresql.org/download/', 'cyan');
-            return false;
-        }
+    if (dockerMode && !checks.docker) {
+        log('\n❌ Docker is required for --docker installs!', 'red');
+        log('Please install Docker from https://docs.docker.com/get-docker/', 'yellow');
+        return false;
+    }
+
+    if (!checks.postgres && !dockerMode) {
+        log('\n💡 The backend installer will check the database connection directly', 'cyan');
     }
 
     log('\n✅ All prerequisites satisfied!', 'green');
@@ -159,13 +177,11 @@ async function installRootDependencies() {
 
     try {
         log('Installing workspace dependencies...', 'yellow');
-        execSync('npm install', {
-            cwd: rootPath,
-            stdio: 'inherit'
-        });
+        await runCommand('npm install', { cwd: rootPath });
         log('\n✅ Root dependencies installed', 'green');
     } catch (error) {
-        throw new Error(`Failed to install root dependencies: ${error.message}`);
+        error.message = `Failed to install root dependencies: ${error.message}`;
+        throw error;
     }
 }
 
@@ -181,29 +197,71 @@ async function installStorefront() {
 
     try {
         log('Installing Angular dependencies...', 'yellow');
-        execSync('npm install', {
-            cwd: storefrontPath,
-            stdio: 'inherit'
-        });
+        await runCommand('npm install', { cwd: storefrontPath });
         log('\n✅ Storefront dependencies installed', 'green');
     } catch (error) {
-        throw new Error(`Failed to install storefront: ${error.message}`);
+        error.message = `Failed to install storefront: ${error.message}`;
+        throw error;
     }
 }
 
 // Install backend using the backend installer script
-async function installBackend() {
+async function installBackend(resume) {
     logStep(4, 5, '🚀 Installing Backend (Medusa)');
 
     try {
-        // Run the backend installation script
+        // Run the backend installation script; it keeps its own step journal
+        const args = [path.join(scriptsPath, 'install-backend.js'), resume ? '--resume' : '--no-resume'];
+        if (answersPath) {
+            args.push('--answers', answersPath);
+        }
+        if (dockerMode) {
+            args.push('--docker');
+        }
+        if (offline) {
+            args.push('--offline');
+        }
+        if (medusaPackage !== undefined) {
+            // Relative to where the user ran the command, not to the installer's working directory
+            const resolved = medusaPackage && !medusaPackage.startsWith('--')
+                ? path.resolve(process.env.INIT_CWD || process.cwd(), medusaPackage)
+                : medusaPackage;
+            args.push('--medusa-package', resolved || '');
+        }
+        // Machine formats read the backend's events and report them as their own
+        const machine = reporter.format === 'json' || reporter.format === 'ndjson';
+        if (reporter.format !== 'pretty') {
+            args.push(`--reporter=${machine ? 'ndjson' : reporter.format}`);
+        }
+        if (dryRun) {
+            args.push('--dry-run');
+            plan.command(`node ${args.join(' ')}`);
+            plan.note('The backend installer prints its own plan above');
+        }
+
         await new Promise((resolve, reject) => {
-            const install = spawn('node', ['scripts/install-backend.js'], {
-                stdio: 'inherit',
+            // Answers piped into this installer may already be buffered here, so they are passed on
+            const install = spawn('node', args, {
+                stdio: [prompter.piped ? 'pipe' : 'inherit', machine ? 'pipe' : 'inherit', 'inherit'],
                 cwd: rootPath,
-                env: { ...process.env }
+                env: reporter.logFile ? { ...process.env, INSTALL_LOG: reporter.logFile } : { ...process.env }
             });
 
+            if (prompter.piped) {
+                install.stdin.on('error', () => {});
+                prompter.pipe(install.stdin);
+            }
+
+            if (machine) {
+                readline.createInterface({ input: install.stdout }).on('line', line => {
+                    try {
+                        reporter.forward(JSON.parse(line));
+                    } catch {
+                        reporter.message(line);
+                    }
+                });
+            }
+
             install.on('close', (code) => {
                 if (code === 0) {
                     resolve();
@@ -227,6 +285,11 @@ async function installBackend() {
 function verifyWorkspaces() {
     logStep(5, 5, '🔍 Verifying Workspace Setup');
 
+    if (dryRun) {
+        plan.note('Checks backend/, the installed dependencies and backend/.env');
+        return true;
+    }
+
     const checks = {
         backend: fs.existsSync(backendPath),
         storefrontNodeModules: fs.existsSync(path.join(storefrontPath, 'node_modules')),
@@ -246,6 +309,7 @@ function verifyWorkspaces() {
         log('\n✅ Workspace setup verified!', 'green');
     } else {
         log('\n⚠️  Some components may not be properly installed', 'yellow');
+        log('   Run "npm run doctor" for a detailed health check', 'cyan');
     }
 
     return allGood;
@@ -253,6 +317,8 @@ function verifyWorkspaces() {
 
 // Print final instructions
 function printFinalInstructions() {
+    const ports = readPorts();
+
     log('\n' + '═'.repeat(70), 'green');
     log('                     🎉 INSTALLATION COMPLETE!', 'bold');
     log('═'.repeat(70) + '\n', 'green');
@@ -267,16 +333,17 @@ function printFinalInstructions() {
     log('   Storefront:  npm run dev:storefront', 'white');
 
     log('\n🌐 Your Applications:', 'cyan');
-    log('   Storefront:    http://localhost:4200', 'white');
-    log('   Backend API:   http://localhost:9000', 'white');
-    log('   Admin Panel:   http://localhost:9000/app', 'white');
+    log(`   Storefront:    ${localUrl(ports.storefront)}`, 'white');
+    log(`   Backend API:   ${localUrl(ports.backend)}`, 'white');
+    log(`   Admin Panel:   ${localUrl(ports.backend)}/app`, 'white');
 
     log('\n🛠️  Useful Commands:', 'cyan');
     log('   npm run build              - Build both projects', 'white');
     log('   npm run lint               - Lint storefront code', 'white');
-    log('   npm run test               - Run storefront tests', 'white');
+    log('   npm run test:storefront    - Run storefront tests', 'white');
     log('   npm run backend:seed       - Seed backend with sample data', 'white');
     log('   npm run backend:migrations - Run backend migrations', 'white');
+    log('   npm run doctor             - Check workspace health', 'white');
 
     log('\n📚 Documentation:', 'cyan');
     log('   Angular:  https://angular.io/docs', 'white');
@@ -284,6 +351,7 @@ function printFinalInstructions() {
 
     log('\n💡 Tips:', 'yellow');
     log('   • Review backend/.env for configuration options', 'white');
+    log('   • Change ports by editing .env and running npm run install:backend again', 'white');
     log('   • Check storefront/src/environments/ for Angular config', 'white');
     log('   • Use npm workspaces for managing dependencies', 'white');
 
@@ -292,59 +360,176 @@ function printFinalInstructions() {
 
 // Print error and exit
 function handleError(error) {
+    if (dryRun) {
+        if (plan.ok) {
+            plan.fail(error.message);
+        }
+        plan.print('Installation plan', print);
+        reporter.finish({ ok: false, error });
+        process.exit(1);
+    }
+
     log(`\n❌ Installation failed: ${error.message}`, 'red');
     log('\nPlease check the error above and try again.', 'yellow');
+    if (reporter.logFile) {
+        log(`📝 Full log: ${path.relative(process.cwd(), reporter.logFile)}`, 'cyan');
+    }
 
     if (!isCI) {
         log('\n💡 Common Solutions:', 'cyan');
         log('   • Ensure PostgreSQL is running', 'white');
         log('   • Check your network connection', 'white');
         log('   • Verify Node.js version (18+ required)', 'white');
-        log('   • Try running: npm run clean && npm run install:all', 'white');
+        log('   • Fix the problem and continue with: npm run install:all -- --resume', 'white');
+        log('   • Or start over with: npm run clean && npm run install:all', 'white');
         log('\n📝 Need help? Check README.md or open an issue', 'cyan');
     }
 
+    reporter.finish({ ok: false, error });
     process.exit(1);
 }
 
+// Decide whether to resume an unfinished previous run
+async function shouldResume(journal) {
+    if (process.argv.includes('--resume')) {
+        return true;
+    }
+
+    const previous = journal.unfinishedRun();
+    if (!previous || process.argv.includes('--no-resume')) {
+        return false;
+    }
+
+    log('⚠️  A previous installation did not finish', 'yellow');
+    if (previous.failedStep) {
+        log(`   Stopped at: ${previous.failedStep}${previous.error ? ` (${previous.error})` : ''}`, 'white');
+    }
+
+    if (isCI || answers) {
+        log('   Starting over. Pass --resume to continue from the failed step.\n', 'cyan');
+        return false;
+    }
+
+    return confirm('Resume from the failed step? (y/n): ');
+}
+
 // Main installation flow
 async function main() {
     try {
+        if (reporter.formatError) {
+            throw new Error(reporter.formatError);
+        }
+
+        // Load and validate the answers file before any step runs
+        answersPath = getAnswersPath();
+        if (answersPath) {
+            answers = loadAnswers(answersPath);
+        }
+        dockerMode = process.argv.includes('--docker') || Boolean(answers && answers.docker);
+        if (offline) {
+            // npm install and the backend installer inherit this
+            process.env.npm_config_offline = 'true';
+        }
+
         // Print banner
         printBanner();
 
-        // Step 1: Check prerequisites
-        const prerequisitesOk = await checkPrerequisites();
-        if (!prerequisitesOk) {
-            process.exit(1);
+        if (answers) {
+            log(`📄 Running unattended with answers from ${answersPath}`, 'cyan');
+        }
+        if (dockerMode) {
+            log('🐳 Docker mode: PostgreSQL and Redis will run from docker-compose.yml', 'cyan');
         }
+        if (offline) {
+            log('📴 Offline mode: packages are installed from the npm cache', 'cyan');
+        }
+
+        const journal = createJournal('install', { log, plan, reporter });
+        const resume = await shouldResume(journal);
+        journal.begin(resume);
+
+        // Step 1: Check prerequisites
+        await journal.run({
+            id: 'prerequisites',
+            title: 'Check prerequisites',
+            run: async () => {
+                if (!(await checkPrerequisites())) {
+                    throw new Error('Prerequisites are not satisfied');
+                }
+            }
+        });
 
         // Wait for user confirmation in interactive mode
-        if (!isCI) {
+        if (!isCI && !answers) {
             log('\n');
-            const proceed = await question('Press Enter to start installation or Ctrl+C to cancel...');
+            await question('Press Enter to start installation or Ctrl+C to cancel...');
         }
 
         // Step 2: Install root dependencies
-        await installRootDependencies();
+        await journal.run({
+            id: 'root-dependencies',
+            title: 'Install root dependencies',
+            fingerprint: () => fingerprint(
+                fileFingerprint(path.join(rootPath, 'package.json')),
+                fileFingerprint(path.join(rootPath, 'package-lock.json')),
+                fs.existsSync(path.join(rootPath, 'node_modules'))
+            ),
+            run: () => installRootDependencies()
+        });
 
         // Step 3: Install storefront
-        await installStorefront();
+        await journal.run({
+            id: 'storefront',
+            title: 'Install storefront',
+            fingerprint: () => fingerprint(
+                fileFingerprint(path.join(storefrontPath, 'package.json')),
+                fs.existsSync(path.join(storefrontPath, 'node_modules'))
+            ),
+            run: () => installStorefront()
+        });
 
         // Step 4: Install backend
-        await installBackend();
+        await journal.run({
+            id: 'backend',
+            title: 'Install backend',
+            fingerprint: () => fingerprint(
+                fileFingerprint(path.join(backendPath, 'package.json')),
+                fileFingerprint(path.join(backendPath, '.env'))
+            ),
+            run: () => installBackend(resume)
+        });
 
         // Step 5: Verify setup
-        verifyWorkspaces();
+        await journal.run({
+            id: 'verify',
+            title: 'Verify workspace setup',
+            run: () => verifyWorkspaces()
+        });
+
+        journal.complete();
+
+        if (dryRun) {
+            plan.print('Installation plan', print);
+            reporter.finish({ ok: true });
+            return;
+        }
 
         // Print final instructions
         printFinalInstructions();
+        reporter.finish({ ok: true });
 
     } catch (error) {
         handleError(error);
     }
 }
 
+// Ctrl+C stops the running command, so its step fails and is recorded for --resume
+process.on('SIGINT', () => {
+    if (!reporter.cancel()) {
+        handleError(new Error('Cancelled'));
+    }
+});
+
 // Handle uncaught errors
 process.on('unhandledRejection', (error) => {
     handleError(error);
@@ -0,0 +1,7 @@
+// Preloaded into the medusa CLI by admin.createAdmin (node --require): reads
+// the admin password from stdin and hands it to `medusa user` as
+// --password=<password>. The password is only added to process.argv inside
+// the CLI, so it never shows in the command line other users can see with ps.
+const fs = require('fs');
+
+process.argv.push(`--password=${fs.readFileSync(0, 'utf-8')}`);
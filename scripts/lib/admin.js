@@ -0,0 +1,158 @@
+// Admin user creation for the installer and `npm run create-admin`.
+// The Medusa CLI is started with node directly (no shell, no npx), so the
+// email is passed as a plain argument and never interpreted. The password goes
+// in through stdin rather than the command line (see admin-password.js), and
+// is scrubbed from anything printed back to the user.
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { rootPath } = require('./paths');
+
+// Never starting with "-", which the CLI would read as an option
+const EMAIL_PATTERN = /^(?!-)[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 12;
+const MIN_CHARACTER_CLASSES = 3;
+const COMMON_PASSWORDS = [
+    'password', 'password1', 'password123', 'supersecret', 'changeme', 'admin', 'admin123',
+    'medusa', 'medusa123', 'letmein', 'welcome', 'qwerty', '123456', '12345678', '123456789'
+];
+
+// Check an email address, returning a problem or null
+function validateEmail(email) {
+    if (!email) {
+        return 'Email is required';
+    }
+    return EMAIL_PATTERN.test(email) ? null : `"${email}" is not a valid email address`;
+}
+
+// Check a password against the strength policy, returning a list of problems
+function checkPasswordStrength(password, { email } = {}) {
+    const problems = [];
+
+    if (!password) {
+        return ['is required'];
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        problems.push(`must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length;
+    if (classes < MIN_CHARACTER_CLASSES) {
+        problems.push(`must mix at least ${MIN_CHARACTER_CLASSES} of: lowercase, uppercase, digits, symbols`);
+    }
+
+    const lowered = password.toLowerCase();
+    if (COMMON_PASSWORDS.some(common => lowered.replace(/[^a-z0-9]/g, '') === common)) {
+        problems.push('is a commonly used password');
+    }
+
+    const localPart = email ? email.split('@')[0].toLowerCase() : '';
+    if (localPart.length >= 3 && lowered.includes(localPart)) {
+        problems.push('must not contain the email name');
+    }
+
+    return problems;
+}
+
+// Read the password from a file, dropping the trailing newline
+function readPasswordFile(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Password file not found: ${file}`);
+    }
+    return fs.readFileSync(file, 'utf-8').replace(/\r?\n$/, '');
+}
+
+// Credentials given without prompting: --email / --password-file or ADMIN_* variables
+function readNonInteractiveCredentials({ email, passwordFile } = {}, env = process.env) {
+    const file = passwordFile || env.ADMIN_PASSWORD_FILE;
+
+    return {
+        email: email || env.ADMIN_EMAIL || null,
+        password: file ? readPasswordFile(file) : (env.ADMIN_PASSWORD || null)
+    };
+}
+
+// Ask for a password until it passes the strength policy, then for the same password again
+async function promptPassword({ email, prompt, attempts = 3 }) {
+    const password = await prompt.password('Admin password: ', {
+        attempts,
+        validate: value => {
+            const problems = checkPasswordStrength(value, { email });
+            return problems.length > 0 ? `Password ${problems.join(', ')}` : null;
+        }
+    });
+
+    await prompt.password('Confirm password: ', {
+        attempts,
+        validate: value => (value === password ? null : 'Passwords do not match')
+    });
+    return password;
+}
+
+// Find the JavaScript entry of the medusa CLI installed for the backend
+function resolveMedusaBin(backendPath) {
+    const roots = [path.join(backendPath, 'node_modules'), path.join(rootPath, 'node_modules')];
+
+    for (const root of roots) {
+        for (const name of ['@medusajs/cli', '@medusajs/medusa']) {
+            const packagePath = path.join(root, name, 'package.json');
+            if (!fs.existsSync(packagePath)) {
+                continue;
+            }
+
+            const { bin } = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+            const entry = typeof bin === 'string' ? bin : bin && bin.medusa;
+            if (entry) {
+                return path.join(path.dirname(packagePath), entry);
+            }
+        }
+    }
+    return null;
+}
+
+// Replace every occurrence of a secret in text
+function scrub(text, secret) {
+    return secret ? String(text).split(secret).join('********') : String(text);
+}
+
+// Create the admin user with `medusa user`, without a shell
+function createAdmin({ email, password, backendPath }) {
+    const emailProblem = validateEmail(email);
+    if (emailProblem) {
+        throw new Error(emailProblem);
+    }
+    const problems = checkPasswordStrength(password, { email });
+    if (problems.length > 0) {
+        throw new Error(`Password ${problems.join(', ')}`);
+    }
+
+    const bin = resolveMedusaBin(backendPath);
+    if (!bin) {
+        throw new Error('The medusa CLI is not installed. Run "npm run install:backend" first.');
+    }
+
+    const result = spawnSync(process.execPath, ['--require', path.join(__dirname, 'admin-password.js'), bin, 'user', `--email=${email}`], {
+        cwd: backendPath,
+        encoding: 'utf-8',
+        input: password,
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const output = scrub(`${result.stdout || ''}${result.stderr || ''}`, password).trim();
+
+    if (result.error || result.status !== 0) {
+        const reason = result.error ? result.error.message : output.split('\n').slice(-5).join('\n');
+        throw new Error(`medusa user failed: ${scrub(reason, password)}`);
+    }
+    return output;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    checkPasswordStrength,
+    createAdmin,
+    promptPassword,
+    readNonInteractiveCredentials,
+    resolveMedusaBin,
+    validateEmail
+};
@@ -0,0 +1,227 @@
+// Answers files let the installers run unattended: every prompt is answered
+// from a JSON or YAML document that is validated before any step runs.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml');
+const { validateSelection } = require('./providers');
+const { checkPasswordStrength } = require('./admin');
+
+const schema = require('./answers.schema.json');
+
+// Read the value of a --flag <value> or --flag=<value> argument
+function getArgValue(argv, flag) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === flag) {
+            return argv[i + 1];
+        }
+        if (argv[i].startsWith(`${flag}=`)) {
+            return argv[i].slice(flag.length + 1);
+        }
+    }
+    return undefined;
+}
+
+// Resolve the answers file passed on the command line, if any
+function getAnswersPath(argv = process.argv.slice(2)) {
+    const value = getArgValue(argv, '--answers');
+    if (value === undefined) {
+        return null;
+    }
+    if (!value || value.startsWith('--')) {
+        throw new Error('--answers requires a path to a JSON or YAML file');
+    }
+
+    // npm run changes the working directory, INIT_CWD is where the user ran it
+    return path.resolve(process.env.INIT_CWD || process.cwd(), value);
+}
+
+// Return the JSON type name used by the schema
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+// Resolve a local "#/definitions/..." reference
+function resolveRef(rules) {
+    if (!rules.$ref) {
+        return rules;
+    }
+
+    const name = rules.$ref.replace(/^#\/definitions\//, '');
+    if (!schema.definitions || !schema.definitions[name]) {
+        throw new Error(`Unknown schema reference ${rules.$ref}`);
+    }
+    return schema.definitions[name];
+}
+
+// Validate a value against the subset of JSON Schema used by answers.schema.json
+function validate(value, rules, location = 'answers', errors = []) {
+    rules = resolveRef(rules);
+
+    if (rules.type) {
+        const allowed = Array.isArray(rules.type) ? rules.type : [rules.type];
+        const actual = typeOf(value);
+        const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+
+        if (!matches) {
+            errors.push(`${location} must be ${allowed.join(' or ')}, got ${actual}`);
+            return errors;
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (rules.minLength !== undefined && value.length < rules.minLength) {
+            errors.push(`${location} must not be empty`);
+        }
+        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+            errors.push(`${location} has an invalid format ("${value}")`);
+        }
+    }
+
+    // An integer written as a string ("5432") gets the same range checks
+    const number = typeof value === 'string' && /^[0-9]+$/.test(value) ? Number(value) : value;
+    if (typeof number === 'number') {
+        if (rules.minimum !== undefined && number < rules.minimum) {
+            errors.push(`${location} must be at least ${rules.minimum}`);
+        }
+        if (rules.maximum !== undefined && number > rules.maximum) {
+            errors.push(`${location} must be at most ${rules.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value) && rules.items) {
+        value.forEach((item, index) => validate(item, rules.items, `${location}[${index}]`, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = rules.properties || {};
+
+        for (const key of rules.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${location}.${key} is required`);
+            }
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childLocation = `${location}.${key}`;
+
+            if (rules.propertyNames) {
+                validate(key, rules.propertyNames, `${location} key "${key}"`, errors);
+            }
+
+            if (properties[key]) {
+                validate(child, properties[key], childLocation, errors);
+            } else if (rules.additionalProperties === false) {
+                errors.push(`${childLocation} is not a known setting`);
+            } else if (typeof rules.additionalProperties === 'object') {
+                validate(child, rules.additionalProperties, childLocation, errors);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Fill in schema defaults for missing settings
+function applyDefaults(value, rules) {
+    rules = resolveRef(rules);
+    if (typeOf(value) !== 'object' || !rules.properties) {
+        return value;
+    }
+
+    const result = { ...value };
+    for (const [key, child] of Object.entries(rules.properties)) {
+        if (result[key] === undefined && child.default !== undefined) {
+            result[key] = JSON.parse(JSON.stringify(child.default));
+        }
+        if (result[key] !== undefined) {
+            result[key] = applyDefaults(result[key], child);
+        }
+    }
+    return result;
+}
+
+// Checks that depend on more than one setting
+function validateRelations(answers, errors) {
+    if (answers.admin && answers.admin.create) {
+        if (!answers.admin.email) {
+            errors.push('answers.admin.email is required when admin.create is true');
+        }
+        if (!answers.admin.password) {
+            errors.push('answers.admin.password is required when admin.create is true');
+        } else {
+            for (const problem of checkPasswordStrength(answers.admin.password, { email: answers.admin.email })) {
+                errors.push(`answers.admin.password ${problem}`);
+            }
+        }
+    }
+
+    const given = answers.ports || {};
+    const seen = new Map();
+    for (const [id, port] of Object.entries(given)) {
+        if (seen.has(port)) {
+            errors.push(`answers.ports.${id} and answers.ports.${seen.get(port)} are both ${port}`);
+        }
+        seen.set(port, id);
+    }
+
+    for (const error of validateSelection(answers.providers || {})) {
+        errors.push(`answers.providers: ${error}`);
+    }
+    return errors;
+}
+
+// Parse the answers file based on its extension
+function parseAnswersFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Answers file not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    try {
+        if (extension === '.yml' || extension === '.yaml') {
+            return yaml.parse(content);
+        }
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Could not parse answers file ${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+// Load, validate and normalize an answers file
+function loadAnswers(filePath) {
+    const raw = parseAnswersFile(filePath);
+    const errors = validate(raw, schema);
+
+    if (errors.length === 0) {
+        validateRelations(raw, errors);
+    }
+
+    if (errors.length > 0) {
+        const details = errors.map(error => `  - ${error}`).join('\n');
+        throw new Error(`Invalid answers file ${path.basename(filePath)}:\n${details}`);
+    }
+
+    const answers = applyDefaults(raw, schema);
+    answers.database.port = String(answers.database.port);
+    answers.admin = answers.admin || { create: false };
+
+    return answers;
+}
+
+module.exports = {
+    getArgValue,
+    getAnswersPath,
+    loadAnswers,
+    validate
+};
@@ -0,0 +1,215 @@
+// Backups of backend/ taken before a reinstall. The old directory is moved
+// to .backups/backend-<timestamp>/ with a backup.json manifest, the files
+// marked to keep are copied into the fresh install, and a failed install
+// moves the backup back into place.
+const fs = require('fs');
+const path = require('path');
+
+const { rootPath } = require('./paths');
+const backupsPath = path.join(rootPath, '.backups');
+const manifestFile = 'backup.json';
+
+// User-maintained list of extra paths (relative to backend/) to carry over
+const keepFile = '.reinstall-keep';
+
+// Always carried over: hand-edited settings and the provider selection
+const DEFAULT_KEEP = ['.env', '.env.test', '.env.staging', '.env.production', '.providers.json', 'providers.config.js', keepFile];
+
+// Left out of snapshots: installed dependencies and build output
+const SNAPSHOT_EXCLUDE = ['node_modules', '.medusa'];
+
+// Timestamp used in backup names, e.g. 20250101-093000
+function timestamp(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Normalize a keep entry and refuse paths outside backend/
+function normalizeKeepPath(entry) {
+    const normalized = path.posix.normalize(String(entry).trim().replace(/\\/g, '/')).replace(/\/$/, '');
+    if (!normalized || normalized === '.' || normalized.startsWith('../') || normalized === '..' || path.posix.isAbsolute(normalized)) {
+        throw new Error(`Cannot keep "${entry}": paths must be inside backend/`);
+    }
+    return normalized;
+}
+
+// Paths to carry over: the defaults, .reinstall-keep and any extra entries
+function readKeepList(backendPath, extra = []) {
+    const listed = [];
+    const file = path.join(backendPath, keepFile);
+
+    if (fs.existsSync(file)) {
+        for (const line of fs.readFileSync(file, 'utf-8').split(/\r?\n/)) {
+            const entry = line.replace(/#.*$/, '').trim();
+            if (entry) {
+                listed.push(entry);
+            }
+        }
+    }
+
+    return [...new Set([...DEFAULT_KEEP, ...listed, ...extra].map(normalizeKeepPath))];
+}
+
+// Move a directory, copying when it lives on another device
+function move(source, target) {
+    try {
+        fs.renameSync(source, target);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        fs.cpSync(source, target, { recursive: true });
+        fs.rmSync(source, { recursive: true, force: true });
+    }
+}
+
+// Pick a free backup id for now
+function nextBackupId() {
+    fs.mkdirSync(backupsPath, { recursive: true });
+
+    let id = `backend-${timestamp()}`;
+    for (let suffix = 2; fs.existsSync(path.join(backupsPath, id)); suffix++) {
+        id = `backend-${timestamp()}-${suffix}`;
+    }
+    return id;
+}
+
+// Write the manifest of a new backup and describe it
+function writeManifest(backupPath, manifest) {
+    fs.writeFileSync(path.join(backupPath, manifestFile), JSON.stringify(manifest, null, 2) + '\n');
+    return { ...manifest, path: backupPath };
+}
+
+// Move backend/ into a new timestamped backup
+function createBackup(backendPath, { reason = 'reinstall', keep = [] } = {}) {
+    const id = nextBackupId();
+    const backupPath = path.join(backupsPath, id);
+    move(backendPath, backupPath);
+
+    return writeManifest(backupPath, { id, createdAt: new Date().toISOString(), reason, keep });
+}
+
+// Copy backend/ into a new backup while it stays in place. Installed
+// dependencies and build output are left out; they come back with npm install.
+function snapshotBackend(backendPath, { reason = 'snapshot' } = {}) {
+    const id = nextBackupId();
+    const backupPath = path.join(backupsPath, id);
+    fs.cpSync(backendPath, backupPath, {
+        recursive: true,
+        filter: source => !SNAPSHOT_EXCLUDE.includes(path.relative(backendPath, source))
+    });
+
+    return writeManifest(backupPath, { id, createdAt: new Date().toISOString(), reason, keep: [], excluded: SNAPSHOT_EXCLUDE });
+}
+
+// Put the files of a snapshot back over backend/, leaving the excluded directories alone
+function restoreSnapshot(backup, backendPath) {
+    for (const entry of fs.readdirSync(backendPath)) {
+        if (!SNAPSHOT_EXCLUDE.includes(entry)) {
+            fs.rmSync(path.join(backendPath, entry), { recursive: true, force: true });
+        }
+    }
+    fs.cpSync(backup.path, backendPath, {
+        recursive: true,
+        filter: source => path.relative(backup.path, source) !== manifestFile
+    });
+}
+
+// Copy the kept paths from a backup into the new backend/, returning what was copied
+function copyKept(backup, backendPath) {
+    const copied = [];
+
+    for (const entry of backup.keep) {
+        const source = path.join(backup.path, entry);
+        if (!fs.existsSync(source)) {
+            continue;
+        }
+
+        const target = path.join(backendPath, entry);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.cpSync(source, target, { recursive: true, force: true });
+        copied.push(entry);
+    }
+
+    return copied;
+}
+
+// List backups, newest first
+function listBackups() {
+    if (!fs.existsSync(backupsPath)) {
+        return [];
+    }
+
+    return fs.readdirSync(backupsPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name.startsWith('backend-'))
+        .map(entry => {
+            const backupPath = path.join(backupsPath, entry.name);
+            let manifest = {};
+            try {
+                manifest = JSON.parse(fs.readFileSync(path.join(backupPath, manifestFile), 'utf-8'));
+            } catch {
+                // Backups without a manifest are still listed
+            }
+            return {
+                id: entry.name,
+                createdAt: manifest.createdAt || fs.statSync(backupPath).mtime.toISOString(),
+                reason: manifest.reason || 'unknown',
+                keep: manifest.keep || [],
+                excluded: manifest.excluded || [],
+                path: backupPath
+            };
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Find a backup by id, or the newest one for "latest"
+function findBackup(id) {
+    const backups = listBackups();
+    const backup = id === 'latest' ? backups[0] : backups.find(entry => entry.id === id);
+    if (!backup) {
+        throw new Error(id === 'latest' ? 'No backups found in .backups/' : `Backup "${id}" not found in .backups/`);
+    }
+    return backup;
+}
+
+// Put a backup back in place of backend/, backing up the current backend/
+// first. If the backup cannot be moved, the current backend/ goes back.
+function restoreBackup(backup, backendPath) {
+    let previous = null;
+    if (fs.existsSync(backendPath)) {
+        previous = createBackup(backendPath, { reason: `replaced by restore of ${backup.id}` });
+    }
+
+    try {
+        move(backup.path, backendPath);
+    } catch (error) {
+        if (previous) {
+            rollback(previous, backendPath);
+        }
+        throw error;
+    }
+    fs.rmSync(path.join(backendPath, manifestFile), { force: true });
+    return previous;
+}
+
+// Undo a failed reinstall: drop the partial backend/ and move the backup back
+function rollback(backup, backendPath) {
+    fs.rmSync(backendPath, { recursive: true, force: true });
+    move(backup.path, backendPath);
+    fs.rmSync(path.join(backendPath, manifestFile), { force: true });
+}
+
+module.exports = {
+    backupsPath,
+    copyKept,
+    createBackup,
+    findBackup,
+    keepFile,
+    listBackups,
+    readKeepList,
+    restoreBackup,
+    restoreSnapshot,
+    rollback,
+    snapshotBackend
+};
@@ -0,0 +1,264 @@
+// Terminal helpers shared by the scripts: colored output and prompts.
+// Prompts read from injectable streams, so a flow can be driven by a fake
+// stdin (one answer per line) instead of a person at a terminal.
+const readline = require('readline');
+
+const colors = {
+    reset: '\x1b[0m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m',
+    white: '\x1b[37m',
+    bold: '\x1b[1m'
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+const DEFAULT_ATTEMPTS = 3;
+
+// Remove ANSI escape codes
+function stripAnsi(text) {
+    return String(text).replace(ANSI_PATTERN, '');
+}
+
+// Colors are used only on a terminal, and never with NO_COLOR
+function supportsColor(stream = process.stdout, env = process.env) {
+    return Boolean(stream.isTTY) && !env.NO_COLOR;
+}
+
+// Write a line; console ignores a closed stdout (e.g. piped into head) where write() would throw
+function writeLine(stream, line) {
+    if (stream === process.stdout) {
+        console.log(line);
+    } else if (stream === process.stderr) {
+        console.error(line);
+    } else {
+        stream.write(`${line}\n`);
+    }
+}
+
+// Create a log(message, color) function writing one line per message
+function createLog({ stream = process.stdout, color = supportsColor(stream) } = {}) {
+    return (message = '', messageColor = 'reset') => {
+        writeLine(stream, color ? `${colors[messageColor] || ''}${message}${colors.reset}` : stripAnsi(message));
+    };
+}
+
+// Helper function for colored output on stdout
+const log = createLog();
+
+// Read lines from a non-terminal input one at a time. A single reader is kept
+// per stream, because a second readline interface would miss buffered lines.
+function createLineReader(input) {
+    const lines = [];
+    const waiting = [];
+    let rl = null;
+    let ended = false;
+
+    function start() {
+        rl = readline.createInterface({ input, terminal: false });
+        rl.on('line', line => {
+            if (waiting.length > 0) {
+                waiting.shift()(line);
+            } else {
+                lines.push(line);
+            }
+            if (waiting.length === 0) {
+                input.pause();
+            }
+        });
+        rl.on('close', () => {
+            ended = true;
+            while (waiting.length > 0) {
+                waiting.shift()(null);
+            }
+        });
+    }
+
+    return {
+        // Resolve the next line, or null once the input has ended
+        next() {
+            if (lines.length > 0) {
+                return Promise.resolve(lines.shift());
+            }
+            if (ended) {
+                return Promise.resolve(null);
+            }
+            if (!rl) {
+                start();
+            }
+            return new Promise(resolve => {
+                waiting.push(resolve);
+                input.resume();
+            });
+        },
+
+        close() {
+            if (rl) {
+                rl.close();
+            }
+        },
+
+        // Hand the lines not read yet and the rest of the input to another stream
+        pipe(destination) {
+            const inputEnded = ended;
+            this.close();
+            for (const line of lines.splice(0)) {
+                destination.write(`${line}\n`);
+            }
+            if (inputEnded) {
+                destination.end();
+            } else {
+                input.pipe(destination);
+            }
+        }
+    };
+}
+
+// Read a line typed on a terminal without echoing it
+function readMaskedFromTerminal(query, input, output) {
+    output.write(query);
+    return new Promise((resolve, reject) => {
+        let value = '';
+        const finish = error => {
+            input.removeListener('data', onKey);
+            input.setRawMode(false);
+            input.pause();
+            output.write('\n');
+            error ? reject(error) : resolve(value);
+        };
+        const onKey = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') {
+                    return finish();
+                }
+                if (char === '\u0003') {
+                    return finish(new Error('Cancelled'));
+                }
+                if (char === '\u007f' || char === '\b') {
+                    if (value.length > 0) {
+                        value = value.slice(0, -1);
+                        output.write('\b \b');
+                    }
+                } else if (char >= ' ') {
+                    value += char;
+                    output.write('*');
+                }
+            }
+        };
+
+        input.setEncoding('utf-8');
+        input.setRawMode(true);
+        input.on('data', onKey);
+        input.resume();
+    });
+}
+
+// Create the prompts for one input/output pair. Every prompt takes an optional
+// validate(answer) returning a problem (or null) and asks again on a problem.
+function createPrompter({ input = process.stdin, output = process.stdout, log: write = createLog({ stream: output }) } = {}) {
+    const reader = input.isTTY ? null : createLineReader(input);
+
+    // Ask once and return the raw answer
+    function ask(query) {
+        if (reader) {
+            output.write(query);
+            return reader.next().then(line => {
+                output.write('\n');
+                if (line === null) {
+                    throw new Error(`No answer for "${query.trim()}": the input has ended`);
+                }
+                return line;
+            });
+        }
+
+        const rl = readline.createInterface({ input, output });
+        return new Promise(resolve => {
+            rl.question(query, answer => {
+                rl.close();
+                resolve(answer);
+            });
+        });
+    }
+
+    // Ask until validate accepts the answer
+    async function askValid(query, read, { validate = () => null, attempts = DEFAULT_ATTEMPTS } = {}) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const answer = await read(query);
+            const problem = validate(answer);
+            if (!problem) {
+                return answer;
+            }
+            write(`❌ ${problem}`, 'red');
+        }
+        throw new Error(`No valid answer for "${query.trim()}" after ${attempts} attempts`);
+    }
+
+    return {
+        // Free text; an empty answer gives the default
+        text(query, { default: defaultValue = '', ...options } = {}) {
+            return askValid(query, async q => (await ask(q)).trim() || defaultValue, options);
+        },
+
+        // Text that is not echoed on a terminal (a fake input is read as plain lines)
+        password(query, options = {}) {
+            const read = q => (reader ? ask(q) : readMaskedFromTerminal(q, input, output));
+            return askValid(query, read, options);
+        },
+
+        // Yes or no; an empty answer gives the default
+        async confirm(query, { default: defaultValue = false, attempts = DEFAULT_ATTEMPTS } = {}) {
+            const answer = await askValid(query, async q => (await ask(q)).trim().toLowerCase(), {
+                attempts,
+                validate: value => (['', 'y', 'yes', 'n', 'no'].includes(value) ? null : 'Please answer y or n')
+            });
+            return answer === '' ? defaultValue : answer.startsWith('y');
+        },
+
+        // One of a list of choices ({ value, label }), picked by number or value
+        async select(query, choices, { default: defaultValue = null, attempts = DEFAULT_ATTEMPTS } = {}) {
+            choices.forEach((choice, index) => write(`  ${index + 1}. ${choice.label || choice.value}`, 'white'));
+
+            const pick = value => {
+                if (value === '' && defaultValue !== null) {
+                    return choices.find(choice => choice.value === defaultValue);
+                }
+                return choices[Number(value) - 1] || choices.find(choice => choice.value === value);
+            };
+            const answer = await askValid(query, async q => (await ask(q)).trim(), {
+                attempts,
+                validate: value => (pick(value) ? null : `Choose 1-${choices.length}`)
+            });
+            return pick(answer).value;
+        },
+
+        // Stop reading a fake input so the process can exit
+        close() {
+            if (reader) {
+                reader.close();
+            }
+        },
+
+        // Whether answers come from a fake input rather than a terminal
+        get piped() {
+            return Boolean(reader);
+        },
+
+        // Pass the rest of a fake input on to a child process, e.g. an installer that prompts too
+        pipe(destination) {
+            reader.pipe(destination);
+        }
+    };
+}
+
+module.exports = {
+    colors,
+    createLog,
+    createPrompter,
+    log,
+    stripAnsi,
+    supportsColor,
+    writeLine
+};
@@ -0,0 +1,91 @@
+// Child-process runner for the installers: runs a shell command, streams its
+// output to a callback, keeps the last lines for error messages, and stops the
+// command when its AbortSignal fires (for example on Ctrl+C).
+const { spawn } = require('child_process');
+const { stripAnsi } = require('./cli');
+
+const OUTPUT_TAIL_LINES = 20;
+
+// Run a command, resolving when it exits with code 0. Failures reject with an
+// error whose output holds the last lines the command printed.
+function runCommand(command, { cwd, env = process.env, input = null, onOutput = () => {}, signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(cancelledError(command));
+            return;
+        }
+
+        // sh -c does not pass signals on, so a command that does not read the
+        // terminal gets a process group of its own, stopped as a whole. One that
+        // reads the terminal stays in the foreground group, which Ctrl+C reaches.
+        const ownGroup = process.platform !== 'win32' && !(input === null && process.stdin.isTTY);
+        const child = spawn(command, {
+            cwd,
+            env,
+            shell: true,
+            detached: ownGroup,
+            stdio: [input === null ? 'inherit' : 'pipe', 'pipe', 'pipe']
+        });
+        let tail = '';
+        let cancelled = false;
+
+        const onAbort = () => {
+            cancelled = true;
+            if (!ownGroup) {
+                child.kill('SIGTERM');
+                return;
+            }
+            try {
+                process.kill(-child.pid, 'SIGTERM');
+            } catch {
+                // The command has already exited
+            }
+        };
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        const onData = stream => chunk => {
+            tail = (tail + chunk.toString()).split('\n').slice(-OUTPUT_TAIL_LINES).join('\n');
+            onOutput(chunk, stream);
+        };
+        child.stdout.on('data', onData('stdout'));
+        child.stderr.on('data', onData('stderr'));
+
+        if (input !== null) {
+            child.stdin.end(input);
+        }
+
+        child.on('error', error => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            reject(error);
+        });
+        child.on('close', code => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (cancelled) {
+                reject(cancelledError(command));
+            } else if (code === 0) {
+                resolve();
+            } else {
+                const error = new Error(`Command failed with code ${code}: ${command}`);
+                error.output = stripAnsi(tail).trim();
+                reject(error);
+            }
+        });
+    });
+}
+
+// Error for a command stopped through its signal
+function cancelledError(command) {
+    const error = new Error(`Cancelled: ${command}`);
+    error.cancelled = true;
+    return error;
+}
+
+module.exports = {
+    runCommand
+};
@@ -0,0 +1,208 @@
+// Docker Compose integration for `install --docker`: reads the service
+// definitions from docker-compose.yml, starts the stack and waits for the
+// compose healthchecks before the installer talks to the services.
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml');
+const { readEnvFile } = require('./env-file');
+
+const { rootPath } = require('./paths');
+
+const composePath = path.join(rootPath, 'docker-compose.yml');
+
+// Substitute ${VAR}, ${VAR:-default} and $VAR like docker compose does
+function interpolate(value, env = process.env) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::?-([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g,
+        (match, braced, fallback, bare) => {
+            const name = braced || bare;
+            if (env[name] !== undefined && env[name] !== '') {
+                return env[name];
+            }
+            return fallback !== undefined ? fallback : '';
+        });
+}
+
+// Variables compose substitutes: the .env next to the compose file, overridden by the environment
+function composeEnv(file = composePath, env = process.env) {
+    return { ...readEnvFile(path.join(path.dirname(file), '.env')), ...env };
+}
+
+// Normalize "environment" given either as a mapping or as KEY=value list
+function readEnvironment(service, env) {
+    const environment = service.environment || {};
+
+    if (Array.isArray(environment)) {
+        return Object.fromEntries(environment.map(entry => {
+            const [key, ...rest] = String(entry).split('=');
+            return [key, interpolate(rest.join('='), env)];
+        }));
+    }
+
+    return Object.fromEntries(
+        Object.entries(environment).map(([key, value]) => [key, interpolate(String(value ?? ''), env)])
+    );
+}
+
+// Return the host port published for a container port
+function publishedPort(service, containerPort, env) {
+    for (const entry of service.ports || []) {
+        if (typeof entry === 'object' && entry !== null) {
+            if (Number(entry.target) === containerPort && entry.published) {
+                return String(interpolate(String(entry.published), env));
+            }
+            continue;
+        }
+
+        const parts = interpolate(String(entry), env).split('/')[0].split(':');
+        const target = parts[parts.length - 1];
+        if (Number(target) === containerPort) {
+            return parts.length > 1 ? parts[parts.length - 2] : target;
+        }
+    }
+    return null;
+}
+
+// Find a service by the image it runs (e.g. postgres:15-alpine)
+function findServiceByImage(services, image) {
+    const entry = Object.entries(services).find(([, service]) =>
+        String(service.image || '').split('/').pop().startsWith(`${image}:`) ||
+        String(service.image || '').split('/').pop() === image
+    );
+    return entry ? { name: entry[0], ...entry[1] } : null;
+}
+
+// Read docker-compose.yml and derive the database and Redis settings
+function readComposeServices(file = composePath, env = composeEnv(file)) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`${path.basename(file)} not found`);
+    }
+
+    const compose = yaml.parse(fs.readFileSync(file, 'utf-8'));
+    const services = (compose && compose.services) || {};
+
+    const postgresService = findServiceByImage(services, 'postgres');
+    if (!postgresService) {
+        throw new Error(`No postgres service defined in ${path.basename(file)}`);
+    }
+
+    const environment = readEnvironment(postgresService, env);
+    const user = environment.POSTGRES_USER || 'postgres';
+    const database = {
+        host: 'localhost',
+        port: publishedPort(postgresService, 5432, env) || '5432',
+        user,
+        password: environment.POSTGRES_PASSWORD || '',
+        name: environment.POSTGRES_DB || user
+    };
+
+    const redisService = findServiceByImage(services, 'redis');
+    const redisUrl = redisService
+        ? `redis://localhost:${publishedPort(redisService, 6379, env) || '6379'}`
+        : null;
+
+    return {
+        file,
+        database,
+        redisUrl,
+        services: [postgresService, redisService].filter(Boolean).map(service => ({
+            name: service.name,
+            role: service === postgresService ? 'postgres' : 'redis',
+            container: service.container_name || null,
+            healthcheck: Boolean(service.healthcheck)
+        }))
+    };
+}
+
+// Pick "docker compose" (v2) or the standalone "docker-compose" (v1)
+function detectComposeCommand() {
+    for (const command of ['docker compose', 'docker-compose']) {
+        try {
+            execSync(`${command} version`, { stdio: 'ignore' });
+            return command;
+        } catch {
+            // Try the next variant
+        }
+    }
+    return null;
+}
+
+// Start the given services in the background
+function startServices(composeCommand, services, file = composePath) {
+    const names = services.map(service => service.name).join(' ');
+    execSync(`${composeCommand} -f "${file}" up -d ${names}`, {
+        cwd: path.dirname(file),
+        stdio: 'inherit'
+    });
+}
+
+// Read the health (or run state, without a healthcheck) of a service
+function serviceStatus(composeCommand, service, file = composePath) {
+    const id = execSync(`${composeCommand} -f "${file}" ps -q ${service.name}`, {
+        cwd: path.dirname(file),
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'ignore']
+    }).trim().split('\n')[0];
+
+    if (!id) {
+        return 'missing';
+    }
+
+    return execSync(
+        `docker inspect --format "{{if .State.Health}}{{.State.Health.Status}}{{else}}{{.State.Status}}{{end}}" ${id}`,
+        { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }
+    ).trim();
+}
+
+// Names of the given services whose containers are already up
+function runningServices(composeCommand, services, file = composePath) {
+    return services.filter(service => {
+        try {
+            return !['missing', 'created', 'exited', 'dead'].includes(serviceStatus(composeCommand, service, file));
+        } catch {
+            return false;
+        }
+    }).map(service => service.name);
+}
+
+// Poll until every service is healthy (or running, when it has no healthcheck)
+async function waitForHealthy(composeCommand, services, { timeout = 120000, interval = 2000, file = composePath, onHealthy = () => {} } = {}) {
+    const deadline = Date.now() + timeout;
+    const pending = new Set(services.map(service => service.name));
+
+    while (pending.size > 0) {
+        for (const service of services.filter(entry => pending.has(entry.name))) {
+            const status = serviceStatus(composeCommand, service, file);
+
+            if (status === 'healthy' || (!service.healthcheck && status === 'running')) {
+                pending.delete(service.name);
+                onHealthy(service, status);
+            } else if (status === 'unhealthy' || status === 'exited' || status === 'dead') {
+                throw new Error(`Service "${service.name}" is ${status}. Check: ${composeCommand} logs ${service.name}`);
+            }
+        }
+
+        if (pending.size === 0) {
+            break;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${[...pending].join(', ')} to become healthy`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+module.exports = {
+    composeEnv,
+    composePath,
+    detectComposeCommand,
+    interpolate,
+    readComposeServices,
+    runningServices,
+    startServices,
+    waitForHealthy
+};
@@ -0,0 +1,81 @@
+// Reading .env files the way dotenv does: KEY=value lines, optional
+// "export" prefix, single/double quoted values and trailing comments.
+const fs = require('fs');
+
+// Parse a single line into { key, value }, or null for comments and blanks
+function parseLine(line) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)?\s*$/.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    let value = (match[2] || '').trim();
+    const quote = value[0];
+
+    if ((quote === '"' || quote === '\'' || quote === '`') && value.endsWith(quote) && value.length > 1) {
+        value = value.slice(1, -1);
+        if (quote === '"') {
+            value = value.replace(/\\n/g, '\n').replace(/\\r/g, '\r');
+        }
+    } else {
+        value = value.replace(/\s+#.*$/, '');
+    }
+
+    return { key: match[1], value };
+}
+
+// Parse .env content into a plain object; later keys win
+function parseEnv(content) {
+    const env = {};
+
+    for (const line of content.split(/\r?\n/)) {
+        const entry = parseLine(line);
+        if (entry) {
+            env[entry.key] = entry.value;
+        }
+    }
+
+    return env;
+}
+
+// Read and parse an .env file, or return null if it does not exist
+function readEnvFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return parseEnv(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Escape a key for use in a regular expression
+function escapeKey(key) {
+    return key.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+}
+
+// Set KEY=value lines, uncommenting "# KEY=" placeholders or appending new keys.
+// Lines written "export KEY = value" are matched too and keep their export.
+function setValues(content, values) {
+    for (const [key, value] of Object.entries(values)) {
+        const name = escapeKey(key);
+        const active = new RegExp(`^([ \\t]*(?:export[ \\t]+)?)${name}[ \\t]*=.*$`, 'gm');
+        const commented = new RegExp(`^#[ \\t]*((?:export[ \\t]+)?)${name}[ \\t]*=.*$`, 'm');
+
+        if (active.test(content)) {
+            // Every occurrence, since dotenv reads the last one
+            content = content.replace(active, (match, prefix) => `${prefix}${key}=${value}`);
+        } else if (commented.test(content)) {
+            content = content.replace(commented, (match, prefix) => `${prefix}${key}=${value}`);
+        } else {
+            const rest = content.replace(/\n*$/, '');
+            content = rest ? `${rest}\n${key}=${value}\n` : `${key}=${value}\n`;
+        }
+    }
+
+    return content;
+}
+
+module.exports = {
+    parseEnv,
+    parseLine,
+    readEnvFile,
+    setValues
+};
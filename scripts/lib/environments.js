@@ -0,0 +1,196 @@
+// Per-environment .env files: .env.template is the base, and each file in
+// templates/environments/ overlays the settings that differ for that
+// environment. Production files must also pass the deployment rules below.
+const fs = require('fs');
+const path = require('path');
+const { parseEnv, parseLine, setValues } = require('./env-file');
+const template = require('./template');
+
+const { templatesPath } = require('./paths');
+
+const overlaysPath = path.join(templatesPath, 'environments');
+const templatePath = path.join(templatesPath, '.env.template');
+
+const environments = ['development', 'test', 'staging', 'production'];
+
+// Environments that point at deployed infrastructure and need their own settings
+const deployedEnvironments = ['staging', 'production'];
+
+// Medusa's loadEnv() reads .env for development and .env.<NODE_ENV> otherwise
+const envFileNames = {
+    development: '.env',
+    test: '.env.test',
+    staging: '.env.staging',
+    production: '.env.production'
+};
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const DEFAULT_LOG_LEVEL = 'info';
+const PRODUCTION_LOG_LEVELS = ['error', 'warn'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
+
+// DATABASE_EXTRA for each databaseSsl setting of a deployment; certificates are
+// verified unless the settings ask for no-verify (e.g. a self-signed server)
+const DATABASE_SSL = {
+    verify: '\'{"ssl":{"rejectUnauthorized":true}}\'',
+    'no-verify': '\'{"ssl":{"rejectUnauthorized":false}}\'',
+    off: '\'{"ssl":false}\''
+};
+const databaseSslModes = Object.keys(DATABASE_SSL);
+const DEFAULT_DATABASE_SSL = 'verify';
+
+// Read the KEY=value lines of an overlay, keeping values exactly as written
+function readOverlay(environment) {
+    const file = path.join(overlaysPath, `${environment}.env`);
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+
+    const values = {};
+    for (const line of fs.readFileSync(file, 'utf-8').split(/\r?\n/)) {
+        const entry = parseLine(line);
+        if (entry) {
+            values[entry.key] = line.slice(line.indexOf('=') + 1).trim();
+        }
+    }
+    return values;
+}
+
+// Apply an environment's overlay on top of the base template content
+function applyOverlay(content, environment) {
+    if (!environments.includes(environment)) {
+        throw new Error(`Unknown environment "${environment}" (expected ${environments.join(', ')})`);
+    }
+    return setValues(content, readOverlay(environment));
+}
+
+// The database .env.test points at for a development database name, read from the test overlay
+function testDatabaseName(name) {
+    const url = template.render(readOverlay('test').DATABASE_URL, {
+        DB_USER: 'postgres',
+        DB_PASSWORD: '',
+        DB_HOST: 'localhost',
+        DB_PORT: 5432,
+        DB_NAME: name
+    }, { name: 'environments/test.env' });
+    return decodeURIComponent(new URL(url).pathname.slice(1));
+}
+
+// Derive the overlay placeholders from the settings of a deployed environment
+function deploymentReplacements(settings) {
+    const adminUrl = settings.adminUrl || settings.backendUrl;
+
+    return {
+        DATABASE_URL: settings.databaseUrl,
+        REDIS_URL: settings.redisUrl,
+        BACKEND_URL: settings.backendUrl,
+        STORE_CORS: settings.storefrontUrl,
+        ADMIN_CORS: adminUrl,
+        AUTH_CORS: [...new Set([settings.storefrontUrl, adminUrl])].join(','),
+        LOG_LEVEL: settings.logLevel,
+        DATABASE_EXTRA: DATABASE_SSL[settings.databaseSsl || DEFAULT_DATABASE_SSL]
+    };
+}
+
+// Return the hostname of an origin, or null if it is not a URL
+function hostnameOf(origin) {
+    try {
+        return new URL(origin).hostname;
+    } catch {
+        return null;
+    }
+}
+
+// Check that DATABASE_EXTRA (or the connection string) turns on SSL
+function usesSsl(env) {
+    if (/[?&]sslmode=(require|verify-ca|verify-full)\b/.test(env.DATABASE_URL || '')) {
+        return true;
+    }
+    try {
+        return Boolean(env.DATABASE_EXTRA && JSON.parse(env.DATABASE_EXTRA).ssl);
+    } catch {
+        return false;
+    }
+}
+
+// Validate generated .env content for an environment, returning a list of problems
+function validateEnvironment(environment, content) {
+    const errors = [];
+    const env = parseEnv(content);
+
+    if (env.LOG_LEVEL && !LOG_LEVELS.includes(env.LOG_LEVEL)) {
+        errors.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+
+    if (environment !== 'production') {
+        return errors;
+    }
+
+    if (!usesSsl(env)) {
+        errors.push('DATABASE_EXTRA must enable SSL, e.g. DATABASE_EXTRA=\'{"ssl":{"rejectUnauthorized":true}}\'');
+    }
+
+    for (const key of ['STORE_CORS', 'ADMIN_CORS', 'AUTH_CORS']) {
+        const local = (env[key] || '').split(',')
+            .map(origin => origin.trim())
+            .filter(origin => LOCAL_HOSTS.includes(hostnameOf(origin)));
+        if (local.length > 0) {
+            errors.push(`${key} must not contain local origins (${local.join(', ')})`);
+        }
+    }
+
+    if (!env.LOG_LEVEL || !PRODUCTION_LOG_LEVELS.includes(env.LOG_LEVEL)) {
+        errors.push(`LOG_LEVEL must be ${PRODUCTION_LOG_LEVELS.join(' or ')} in production, not ${env.LOG_LEVEL || `the default (${DEFAULT_LOG_LEVEL})`}`);
+    }
+
+    for (const key of ['JWT_SECRET', 'COOKIE_SECRET']) {
+        if (!env[key] || env[key].length < 32 || env[key].startsWith('test-')) {
+            errors.push(`${key} must be a generated secret of at least 32 characters`);
+        }
+    }
+
+    return errors;
+}
+
+// Add the keys that the template (with the environment's overlay) sets but the
+// content lacks, leaving every existing value alone. Keys whose placeholders
+// have no value in context are reported as unresolved instead of written.
+function addMissingKeys(content, environment, context = {}) {
+    const source = applyOverlay(fs.readFileSync(templatePath, 'utf-8'), environment);
+    const existing = parseEnv(content);
+    const added = [];
+    const unresolved = [];
+
+    for (const line of source.split(/\r?\n/)) {
+        const entry = parseLine(line);
+        if (!entry || entry.key in existing || added.includes(entry.key) || unresolved.includes(entry.key)) {
+            continue;
+        }
+
+        let rendered;
+        try {
+            rendered = template.render(line, context, { name: '.env.template' });
+        } catch {
+            unresolved.push(entry.key);
+            continue;
+        }
+        // Keep the value as written in the template, quotes included
+        content = setValues(content, { [entry.key]: rendered.slice(rendered.indexOf('=') + 1).trim() });
+        added.push(entry.key);
+    }
+
+    return { content, added, unresolved };
+}
+
+module.exports = {
+    addMissingKeys,
+    applyOverlay,
+    databaseSslModes,
+    deployedEnvironments,
+    deploymentReplacements,
+    envFileNames,
+    environments,
+    testDatabaseName,
+    usesSsl,
+    validateEnvironment
+};
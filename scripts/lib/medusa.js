@@ -0,0 +1,194 @@
+// The Medusa version the starter is built against. The "medusa" field of the
+// root package.json pins the create-medusa-app and Medusa versions and lists
+// which Medusa versions each storefront version works with:
+//
+//   "medusa": {
+//     "version": "2.10.3",
+//     "createMedusaApp": "2.10.3",
+//     "compatibility": [{ "storefront": "0.x", "medusa": "~2.10.0" }]
+//   }
+const fs = require('fs');
+const path = require('path');
+const { parseVersion, satisfies } = require('./semver');
+
+const { backendPath, rootPath, storefrontPath } = require('./paths');
+
+// Packages that make up a Medusa backend; all of them must be on a supported version
+const CORE_PACKAGES = ['@medusajs/medusa', '@medusajs/framework', '@medusajs/cli', '@medusajs/admin-sdk'];
+
+// Read a package.json, or null if it does not exist
+function readPackage(directory) {
+    const file = path.join(directory, 'package.json');
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Check that a value is an exact version such as 2.10.3 (pre-releases allowed)
+function isExactVersion(value) {
+    const parts = typeof value === 'string' && /^\d/.test(value) ? parseVersion(value) : null;
+    return Boolean(parts) && !parts.includes(null);
+}
+
+// Read and validate the "medusa" field of the root package.json
+function readConfig(root = rootPath) {
+    const packageJson = readPackage(root);
+    const config = packageJson && packageJson.medusa;
+    if (!config) {
+        throw new Error('The root package.json has no "medusa" field with the Medusa version to install');
+    }
+
+    if (!isExactVersion(config.version)) {
+        throw new Error(`medusa.version in package.json must be an exact version such as 2.10.3, got ${JSON.stringify(config.version)}`);
+    }
+    const createMedusaApp = config.createMedusaApp === undefined ? config.version : config.createMedusaApp;
+    if (!isExactVersion(createMedusaApp)) {
+        throw new Error(`medusa.createMedusaApp in package.json must be an exact version, got ${JSON.stringify(createMedusaApp)}`);
+    }
+
+    const compatibility = config.compatibility || [];
+    if (!Array.isArray(compatibility) || compatibility.length === 0) {
+        throw new Error('medusa.compatibility in package.json must list at least one { "storefront", "medusa" } pair');
+    }
+    compatibility.forEach((row, index) => {
+        if (!row || typeof row.storefront !== 'string' || typeof row.medusa !== 'string') {
+            throw new Error(`medusa.compatibility[${index}] in package.json needs "storefront" and "medusa" version ranges`);
+        }
+    });
+
+    return { version: config.version, createMedusaApp, compatibility };
+}
+
+// The create-medusa-app command for the pinned versions; a local package
+// (tarball or directory) replaces the registry download of create-medusa-app
+function createAppCommand(config, { localPackage = null } = {}) {
+    const app = localPackage ? `--package ${JSON.stringify(localPackage)} create-medusa-app` : `create-medusa-app@${config.createMedusaApp}`;
+    return `npx --yes ${app} --version ${config.version} --skip-db backend`;
+}
+
+// Version of the storefront package, which picks its rows of the compatibility matrix
+function storefrontVersion(storefront = storefrontPath) {
+    const storefrontPackage = readPackage(storefront);
+    return storefrontPackage && storefrontPackage.version ? storefrontPackage.version : '0.0.0';
+}
+
+// The Medusa ranges the storefront at this version is known to work with
+function supportedRanges(config, version) {
+    return config.compatibility
+        .filter(row => satisfies(version, row.storefront))
+        .map(row => row.medusa);
+}
+
+// Version of a workspace dependency: the installed one (npm hoists shared
+// packages to the root node_modules), or the one in package.json
+function dependencyVersion(workspace, name, spec) {
+    for (const directory of [workspace, rootPath]) {
+        const installed = readPackage(path.join(directory, 'node_modules', name));
+        if (installed && installed.version) {
+            return installed.version;
+        }
+    }
+    const declared = String(spec).replace(/^\s*(?:[=^~v]|>=)\s*/, '');
+    return isExactVersion(declared) ? declared : null;
+}
+
+// Check the Medusa packages in backend/package.json against the compatibility
+// matrix for the storefront's version. Returns the Medusa version and a list of problems.
+function checkCompatibility(config, { backend = backendPath, storefront = storefrontPath } = {}) {
+    const backendPackage = readPackage(backend);
+    if (!backendPackage) {
+        return { version: null, problems: ['backend/package.json does not exist'] };
+    }
+
+    const storefrontAt = storefrontVersion(storefront);
+    const ranges = supportedRanges(config, storefrontAt);
+    if (ranges.length === 0) {
+        return {
+            version: null,
+            problems: [`medusa.compatibility in package.json has no entry for storefront ${storefrontAt}`]
+        };
+    }
+
+    const dependencies = { ...backendPackage.devDependencies, ...backendPackage.dependencies };
+    const problems = [];
+    if (!dependencies['@medusajs/medusa']) {
+        problems.push('backend/package.json does not depend on @medusajs/medusa');
+    }
+
+    for (const name of CORE_PACKAGES.filter(name => dependencies[name])) {
+        const version = dependencyVersion(backend, name, dependencies[name]);
+        if (!version) {
+            problems.push(`${name} is not pinned to a version (${dependencies[name]})`);
+        } else if (!ranges.some(range => satisfies(version, range))) {
+            problems.push(`${name} ${version} is not supported by storefront ${storefrontAt} (supported: ${ranges.join(' || ')})`);
+        }
+    }
+
+    const medusa = dependencies['@medusajs/medusa'];
+    return {
+        version: medusa ? dependencyVersion(backend, '@medusajs/medusa', medusa) : null,
+        problems
+    };
+}
+
+// Move every @medusajs/* dependency released with the installed Medusa version
+// to another version. Medusa publishes these packages together, so packages
+// on their own version line (such as @medusajs/ui) are left alone.
+function bumpPackages(version, { backend = backendPath } = {}) {
+    const file = path.join(backend, 'package.json');
+    const backendPackage = readPackage(backend);
+    const dependencies = { ...backendPackage.devDependencies, ...backendPackage.dependencies };
+    const current = dependencyVersion(backend, '@medusajs/medusa', dependencies['@medusajs/medusa'] || '');
+    const changes = [];
+
+    for (const field of ['dependencies', 'devDependencies']) {
+        for (const [name, spec] of Object.entries(backendPackage[field] || {})) {
+            if (!name.startsWith('@medusajs/') || dependencyVersion(backend, name, spec) !== current) {
+                continue;
+            }
+            backendPackage[field][name] = version;
+            changes.push({ name, from: current, to: version });
+        }
+    }
+
+    fs.writeFileSync(file, `${JSON.stringify(backendPackage, null, 2)}\n`);
+    return changes;
+}
+
+// Point the pin in the root package.json at another version, keeping the file's layout
+function writePin(version, root = rootPath) {
+    const file = path.join(root, 'package.json');
+    const content = fs.readFileSync(file, 'utf-8');
+    const start = content.indexOf('"medusa": {');
+    if (start === -1) {
+        throw new Error('The root package.json has no "medusa" field');
+    }
+
+    // The object ends at its matching brace (the pinned values contain no braces)
+    let end = content.indexOf('{', start);
+    for (let depth = 0; end < content.length; end++) {
+        depth += content[end] === '{' ? 1 : (content[end] === '}' ? -1 : 0);
+        if (depth === 0) {
+            break;
+        }
+    }
+
+    const block = content.slice(start, end).replace(/("(?:version|createMedusaApp)":\s*)"[^"]*"/g, (match, key) => `${key}"${version}"`);
+    fs.writeFileSync(file, content.slice(0, start) + block + content.slice(end));
+}
+
+module.exports = {
+    bumpPackages,
+    checkCompatibility,
+    createAppCommand,
+    dependencyVersion,
+    readConfig,
+    storefrontVersion,
+    supportedRanges,
+    writePin
+};
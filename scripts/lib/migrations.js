@@ -0,0 +1,81 @@
+// Database migrations, shared by the installer, `npm run upgrade` and the
+// doctor: the backend is built first, then `medusa db:migrate` applies
+// whatever migrations the installed Medusa packages and custom modules bring
+// and syncs the module links.
+const fs = require('fs');
+const path = require('path');
+
+// The Medusa v2 CLI command that runs pending migrations
+const MIGRATE_COMMAND = 'npx medusa db:migrate';
+
+// Build the backend and run its migrations through exec(command, { cwd })
+async function runMigrations(exec, backendPath, log = () => {}) {
+    try {
+        log('Building backend...', 'yellow');
+        await exec('npm run build', { cwd: backendPath });
+
+        log('Running migrations...', 'yellow');
+        await exec(MIGRATE_COMMAND, { cwd: backendPath });
+    } catch (error) {
+        error.message = `Migration failed: ${error.message}`;
+        throw error;
+    }
+}
+
+// The Migration*.js files of each installed @medusajs package, by package name
+function listModuleMigrations(backendPath) {
+    const scopePath = path.join(backendPath, 'node_modules', '@medusajs');
+    const modules = {};
+    if (!fs.existsSync(scopePath)) {
+        return modules;
+    }
+
+    for (const name of fs.readdirSync(scopePath).sort()) {
+        const migrationsPath = path.join(scopePath, name, 'dist', 'migrations');
+        if (!fs.existsSync(migrationsPath)) {
+            continue;
+        }
+        const migrations = fs.readdirSync(migrationsPath)
+            .filter(file => /^Migration\w*\.js$/.test(file))
+            .map(file => file.slice(0, -3))
+            .sort();
+        if (migrations.length > 0) {
+            modules[`@medusajs/${name}`] = migrations;
+        }
+    }
+    return modules;
+}
+
+// Compare the installed modules' migrations with the ones MikroORM recorded
+// in the database. Modules without any applied migration are not loaded by
+// the backend and are left out. Resolves to { applied, pending: [{ module,
+// migrations }] }, or null when no migration has run yet.
+async function findPendingMigrations(client, backendPath) {
+    let result;
+    try {
+        result = await client.query('SELECT name FROM mikro_orm_migrations');
+    } catch (error) {
+        if (error.code === '42P01') {
+            return null;
+        }
+        throw error;
+    }
+
+    const applied = new Set(result.rows.map(row => row.name));
+    if (applied.size === 0) {
+        return null;
+    }
+    const pending = Object.entries(listModuleMigrations(backendPath))
+        .filter(([, migrations]) => migrations.some(name => applied.has(name)))
+        .map(([module, migrations]) => ({ module, migrations: migrations.filter(name => !applied.has(name)) }))
+        .filter(entry => entry.migrations.length > 0);
+
+    return { applied: applied.size, pending };
+}
+
+module.exports = {
+    MIGRATE_COMMAND,
+    findPendingMigrations,
+    listModuleMigrations,
+    runMigrations
+};
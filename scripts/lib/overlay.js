@@ -0,0 +1,173 @@
+// Backend overlay: the customizations kept in templates/backend-overlay/ and
+// applied on top of every freshly scaffolded backend/. Paths mirror backend/
+// and the file name picks the operation:
+//
+//   src/api/store/hello/route.ts  copy        creates the file
+//   package.merge.json            merge-json  deep-merges into package.json
+//   medusa-config.ts.patch        patch       applies a unified diff
+//
+// Changes are worked out for every file before anything is written, so a
+// conflict with the scaffold (a file it now ships, a patch whose context no
+// longer matches) leaves backend/ untouched.
+const fs = require('fs');
+const path = require('path');
+const { applyPatch } = require('./patch');
+
+const { templatesPath } = require('./paths');
+
+const overlayPath = path.join(templatesPath, 'backend-overlay');
+
+// Placeholders that keep empty directories in git; never copied
+const IGNORED_FILES = ['.gitkeep', '.DS_Store'];
+
+// List the overlay files as { source, target, operation }, target relative to backend/
+function listOverlay(dir = overlayPath) {
+    const entries = [];
+    if (!fs.existsSync(dir)) {
+        return entries;
+    }
+
+    const walk = relative => {
+        for (const item of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+            const itemPath = relative ? `${relative}/${item.name}` : item.name;
+            if (item.isDirectory()) {
+                walk(itemPath);
+            } else if (!IGNORED_FILES.includes(item.name)) {
+                entries.push(describe(dir, itemPath));
+            }
+        }
+    };
+    walk('');
+
+    return entries.sort((a, b) => a.target.localeCompare(b.target));
+}
+
+// Work out the operation and target for one overlay file
+function describe(dir, relative) {
+    const source = path.join(dir, relative);
+    if (relative.endsWith('.merge.json')) {
+        return { source, target: relative.replace(/\.merge\.json$/, '.json'), operation: 'merge-json' };
+    }
+    if (relative.endsWith('.patch')) {
+        return { source, target: relative.replace(/\.patch$/, ''), operation: 'patch' };
+    }
+    return { source, target: relative, operation: 'copy' };
+}
+
+// Deep-merge overlay into base: objects merge, anything else is replaced.
+// Returns the merged value, the replaced keys and keys whose types clash.
+function mergeJson(base, overlay, prefix = '') {
+    const merged = { ...base };
+    const replaced = [];
+    const conflicts = [];
+
+    for (const [key, value] of Object.entries(overlay)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const current = base[key];
+        const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+
+        if (isObject(value) && isObject(current)) {
+            const nested = mergeJson(current, value, keyPath);
+            merged[key] = nested.value;
+            replaced.push(...nested.replaced);
+            conflicts.push(...nested.conflicts);
+        } else if (current !== undefined && isObject(value) !== isObject(current)) {
+            conflicts.push(keyPath);
+        } else {
+            if (current !== undefined && JSON.stringify(current) !== JSON.stringify(value)) {
+                replaced.push(keyPath);
+            }
+            merged[key] = value;
+        }
+    }
+    return { value: merged, replaced, conflicts };
+}
+
+// Work out the change for one overlay entry: { ...entry, status, content, detail }
+// with status created, updated, unchanged or conflict
+function planEntry(entry, backend) {
+    const targetPath = path.join(backend, entry.target);
+    const exists = fs.existsSync(targetPath);
+
+    // Copied byte for byte, so images and other binary files survive
+    if (entry.operation === 'copy') {
+        const source = fs.readFileSync(entry.source);
+        if (!exists) {
+            return { ...entry, status: 'created', content: source };
+        }
+        return fs.readFileSync(targetPath).equals(source)
+            ? { ...entry, status: 'unchanged' }
+            : { ...entry, status: 'conflict', detail: 'the scaffold already has this file; turn the overlay file into a .patch' };
+    }
+
+    const current = exists ? fs.readFileSync(targetPath, 'utf-8') : null;
+    const source = fs.readFileSync(entry.source, 'utf-8');
+
+    if (entry.operation === 'merge-json') {
+        let overlay;
+        let base;
+        try {
+            overlay = JSON.parse(source);
+            base = current === null ? {} : JSON.parse(current);
+        } catch (error) {
+            return { ...entry, status: 'conflict', detail: `invalid JSON: ${error.message}` };
+        }
+
+        const { value, replaced, conflicts } = mergeJson(base, overlay);
+        if (conflicts.length > 0) {
+            return { ...entry, status: 'conflict', detail: `the scaffold has a different type at ${conflicts.join(', ')}` };
+        }
+        if (current !== null && JSON.stringify(value) === JSON.stringify(base)) {
+            return { ...entry, status: 'unchanged' };
+        }
+        return {
+            ...entry,
+            status: current === null ? 'created' : 'updated',
+            content: `${JSON.stringify(value, null, 2)}\n`,
+            detail: replaced.length > 0 ? `replaced ${replaced.join(', ')}` : null
+        };
+    }
+
+    if (current === null) {
+        return { ...entry, status: 'conflict', detail: 'the scaffold no longer has the file this patch applies to' };
+    }
+    let result;
+    try {
+        result = applyPatch(current, source);
+    } catch (error) {
+        return { ...entry, status: 'conflict', detail: `invalid patch: ${error.message}` };
+    }
+    if (result.status === 'conflict') {
+        return { ...entry, status: 'conflict', detail: `hunk ${result.hunk} does not match the scaffold` };
+    }
+    return result.status === 'already-applied'
+        ? { ...entry, status: 'unchanged' }
+        : { ...entry, status: 'updated', content: result.content };
+}
+
+// Work out every change of the overlay against a backend
+function planOverlay(backend, dir = overlayPath) {
+    return listOverlay(dir).map(entry => planEntry(entry, backend));
+}
+
+// Write the planned changes; refuses to write anything if one of them conflicts
+function applyOverlay(changes, backend) {
+    const conflicts = changes.filter(change => change.status === 'conflict');
+    if (conflicts.length > 0) {
+        throw new Error(`Backend overlay conflicts with the scaffold: ${conflicts.map(change => change.target).join(', ')}`);
+    }
+
+    for (const change of changes.filter(item => item.content !== undefined)) {
+        const targetPath = path.join(backend, change.target);
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.writeFileSync(targetPath, change.content);
+    }
+}
+
+module.exports = {
+    applyOverlay,
+    listOverlay,
+    mergeJson,
+    overlayPath,
+    planOverlay
+};
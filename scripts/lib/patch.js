@@ -0,0 +1,110 @@
+// Minimal unified diff support (the output of `diff -u` or `git diff`) for
+// the backend overlay: hunks are matched on their context lines, may have
+// moved within the file, and are never applied with fuzz.
+
+// Parse a single-file unified diff into hunks of { oldStart, oldCount, lines }
+function parsePatch(text) {
+    const hunks = [];
+    let hunk = null;
+
+    for (const line of String(text).split(/\r?\n/)) {
+        const header = /^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/.exec(line);
+        if (header) {
+            const oldCount = header[2] === undefined ? 1 : parseInt(header[2], 10);
+            hunk = { oldStart: parseInt(header[1], 10), oldCount, header: line, lines: [] };
+            hunks.push(hunk);
+        } else if (hunk && /^[ +-]/.test(line)) {
+            hunk.lines.push({ type: line[0], text: line.slice(1) });
+        } else if (hunk && line === '') {
+            // Some editors strip the single space of empty context lines
+            hunk.lines.push({ type: ' ', text: '' });
+        }
+    }
+
+    if (hunks.length === 0) {
+        throw new Error('no hunks found (expected a unified diff with @@ lines)');
+    }
+
+    for (const entry of hunks) {
+        while (entry.lines.length > 0 && entry.lines[entry.lines.length - 1].type === ' ' && entry.lines[entry.lines.length - 1].text === '') {
+            entry.lines.pop();
+        }
+        entry.before = entry.lines.filter(line => line.type !== '+').map(line => line.text);
+        entry.after = entry.lines.filter(line => line.type !== '-').map(line => line.text);
+        // "@@ -12,0 ..." inserts after line 12; any other hunk starts on its line
+        entry.start = entry.oldCount === 0 ? entry.oldStart : Math.max(entry.oldStart - 1, 0);
+    }
+    return hunks;
+}
+
+// Find lines in a file, searching outward from the expected position
+function findLines(lines, wanted, expected, from) {
+    const matchesAt = index => wanted.every((line, offset) => lines[index + offset] === line);
+    const last = lines.length - wanted.length;
+
+    for (let distance = 0; distance <= lines.length; distance++) {
+        for (const index of [expected - distance, expected + distance]) {
+            if (index >= from && index <= last && matchesAt(index)) {
+                return index;
+            }
+        }
+    }
+    return -1;
+}
+
+// Apply a unified diff to file content. Returns { status, content, hunk }
+// where status is applied, already-applied or conflict (hunk is the first
+// one whose context no longer matches).
+//
+// Each hunk is looked for twice near where the patch expects it: as its
+// pre-image (still to apply) and as its post-image (already in place). The
+// closer match wins, so text the patch adds that also shows up elsewhere in
+// the file does not count as applied. A hunk that only deletes lines leaves no
+// post-image to find, so it only counts as applied next to hunks that do.
+function applyPatch(content, patchText) {
+    const hunks = parsePatch(patchText);
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const result = content.split(/\r?\n/);
+    const states = [];
+    let offset = 0;
+    let from = 0;
+
+    for (const hunk of hunks) {
+        const expected = hunk.start + offset;
+        const pending = findLines(result, hunk.before, expected, from);
+        const applied = hunk.after.length > 0 ? findLines(result, hunk.after, expected, from) : -1;
+
+        if (applied !== -1 && (pending === -1 || Math.abs(applied - expected) <= Math.abs(pending - expected))) {
+            states.push('already-applied');
+            offset = applied + hunk.after.length - (hunk.start + hunk.before.length);
+            from = applied + hunk.after.length;
+        } else if (pending !== -1) {
+            states.push('applied');
+            result.splice(pending, hunk.before.length, ...hunk.after);
+            offset = pending + hunk.after.length - (hunk.start + hunk.before.length);
+            from = pending + hunk.after.length;
+        } else if (hunk.after.length === 0) {
+            // Deleted lines that are gone: applied, or the file changed
+            states.push('unknown');
+        } else {
+            return { status: 'conflict', content, hunk: hunk.header };
+        }
+    }
+
+    if (states.every(state => state === 'applied')) {
+        return { status: 'applied', content: result.join(eol) };
+    }
+    // Only hunks with a post-image prove that the patch is in place
+    if (!states.includes('applied') && states.includes('already-applied')) {
+        return { status: 'already-applied', content };
+    }
+    // Part of the patch in place and part not (the file was edited by hand),
+    // or nothing but deletions whose lines are gone
+    const index = states.includes('unknown') ? states.indexOf('unknown') : states.indexOf('applied');
+    return { status: 'conflict', content, hunk: hunks[index].header };
+}
+
+module.exports = {
+    applyPatch,
+    parsePatch
+};
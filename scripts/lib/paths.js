@@ -0,0 +1,18 @@
+// Locations of the workspace the scripts operate on. They default to this
+// checkout; INSTALL_ROOT points them at another directory, so the installers
+// can be run against a scratch copy (for example with stub commands on PATH)
+// without touching the real backend/, .backups/ or install state.
+const path = require('path');
+
+const scriptsPath = path.join(__dirname, '..');
+const rootPath = process.env.INSTALL_ROOT
+    ? path.resolve(process.env.INSTALL_ROOT)
+    : path.join(scriptsPath, '..');
+
+module.exports = {
+    rootPath,
+    scriptsPath,
+    templatesPath: path.join(scriptsPath, 'templates'),
+    backendPath: path.join(rootPath, 'backend'),
+    storefrontPath: path.join(rootPath, 'storefront')
+};
@@ -0,0 +1,144 @@
+// Plan recorder for `--dry-run`: the installers walk through their steps as
+// usual, but every command, file change and prompt is recorded here instead
+// of being carried out, and the plan is printed at the end.
+const fs = require('fs');
+const path = require('path');
+const { parseEnv } = require('./env-file');
+
+const { rootPath } = require('./paths');
+
+const SECRET_KEY_PATTERN = /(SECRET|PASSWORD|TOKEN|API_KEY|AUTH_TOKEN|ACCESS_KEY|PRIVATE_KEY)/;
+
+// Show paths relative to the repository root
+function relative(file) {
+    const relativePath = path.relative(rootPath, file);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        return file;
+    }
+    return relativePath ? relativePath.split(path.sep).join('/') : '.';
+}
+
+// Mask secrets in an env value: whole values for secret keys, passwords inside URLs
+function maskEnvValue(key, value) {
+    if (SECRET_KEY_PATTERN.test(key)) {
+        return value ? '********' : '';
+    }
+    return value.replace(/^([a-z][a-z0-9+.-]*:\/\/[^:/@\s]*:)[^@\s]*@/i, '$1********@');
+}
+
+// List the KEY=value settings of .env content with secrets masked
+function describeEnv(content) {
+    return Object.entries(parseEnv(content)).map(([key, value]) => `${key}=${maskEnvValue(key, value)}`);
+}
+
+// Create an empty plan
+function createPlan() {
+    const steps = [];
+    let current = null;
+
+    function add(kind, text, details = []) {
+        if (!current) {
+            current = { title: 'Setup', status: 'planned', entries: [] };
+            steps.push(current);
+        }
+        current.entries.push({ kind, text, details });
+    }
+
+    return {
+        // Start recording a step
+        step(title) {
+            current = { title, status: 'planned', entries: [] };
+            steps.push(current);
+        },
+
+        // Record a step that would not run
+        skip(title, reason) {
+            steps.push({ title, status: 'skipped', reason, entries: [] });
+            current = null;
+        },
+
+        command(command, cwd = rootPath) {
+            add('command', `${command}  (in ${relative(cwd)})`);
+        },
+
+        create(file, details = []) {
+            add('create', relative(file), details);
+        },
+
+        update(file, details = []) {
+            add('update', relative(file), details);
+        },
+
+        remove(file) {
+            const isDirectory = fs.existsSync(file) && fs.statSync(file).isDirectory();
+            add('remove', `${relative(file)}${isDirectory ? '/' : ''}`);
+        },
+
+        // Record a file that would be written, listing its env keys with secrets masked
+        writeEnv(file, content, exists) {
+            add(exists ? 'update' : 'create', relative(file), describeEnv(content));
+        },
+
+        prompt(query) {
+            add('prompt', query.trim());
+        },
+
+        note(message) {
+            add('note', message);
+        },
+
+        // Mark the current step as one that would fail
+        fail(message) {
+            if (!current) {
+                current = { title: 'Setup', entries: [] };
+                steps.push(current);
+            }
+            current.status = 'failed';
+            current.error = message;
+        },
+
+        get ok() {
+            return steps.every(step => step.status !== 'failed');
+        },
+
+        get steps() {
+            return steps;
+        },
+
+        // Print the plan with the installer's colored log function
+        print(title, log) {
+            const icons = { command: '$', create: '+', update: '~', remove: '-', prompt: '?', note: '•' };
+            const entryColors = { command: 'white', create: 'green', update: 'yellow', remove: 'red', prompt: 'cyan', note: 'reset' };
+
+            log(`\n📋 ${title} (dry run, nothing was changed)\n`, 'cyan');
+
+            steps.forEach((step, index) => {
+                const status = step.status === 'failed' ? '❌' : (step.status === 'skipped' ? '⏭️ ' : '▶️ ');
+                log(`${status} ${index + 1}. ${step.title}${step.reason ? ` (${step.reason})` : ''}`, step.status === 'failed' ? 'red' : 'reset');
+
+                for (const entry of step.entries) {
+                    log(`     ${icons[entry.kind]} ${entry.text}`, entryColors[entry.kind]);
+                    for (const detail of entry.details) {
+                        log(`         ${detail}`, 'reset');
+                    }
+                }
+                if (step.error) {
+                    log(`     ✗ ${step.error}`, 'red');
+                }
+            });
+
+            log('\nLegend: $ command  + create  ~ update  - delete  ? prompt', 'reset');
+            if (steps.some(step => step.entries.some(entry => entry.kind === 'prompt'))) {
+                log('Prompts are answered with their defaults in the plan; pass --answers <file> for an exact plan.', 'yellow');
+            }
+            log(this.ok ? '\n✅ No step would fail\n' : '\n❌ The installation would fail, see the step marked above\n',
+                this.ok ? 'green' : 'red');
+        }
+    };
+}
+
+module.exports = {
+    createPlan,
+    describeEnv,
+    maskEnvValue
+};
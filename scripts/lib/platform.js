@@ -0,0 +1,45 @@
+// Platform detection and checks for installed commands.
+const { execSync } = require('child_process');
+const os = require('os');
+
+// Describe where the scripts are running
+function detectPlatform(env = process.env) {
+    const platform = os.platform();
+    return {
+        os: platform === 'win32' ? 'windows' : (platform === 'darwin' ? 'macos' : platform),
+        arch: os.arch(),
+        isWindows: platform === 'win32',
+        isMac: platform === 'darwin',
+        isLinux: platform === 'linux',
+        isCI: env.CI === 'true',
+        isTTY: Boolean(process.stdout.isTTY && process.stdin.isTTY)
+    };
+}
+
+// Check if command exists
+function commandExists(command) {
+    try {
+        execSync(`${command} --version`, { stdio: 'ignore' });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// First line of `<command> --version`, or null if the command is missing
+function getVersion(command) {
+    try {
+        return execSync(`${command} --version`, {
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim().split('\n')[0];
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    commandExists,
+    detectPlatform,
+    getVersion
+};
@@ -0,0 +1,167 @@
+// Port helpers shared by the installer and diagnostics. The ports of the
+// whole local stack are one setting, kept as *_PORT keys in the root .env:
+// docker compose reads them from there for its port mappings and the
+// installer writes them into backend/.env and the storefront config.
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { parseEnv, setValues } = require('./env-file');
+
+const { rootPath } = require('./paths');
+
+const portsPath = path.join(rootPath, '.env');
+
+// Every port of the stack, with its key in the root .env
+const SERVICES = [
+    { id: 'backend', key: 'BACKEND_PORT', default: 9000, name: 'Medusa backend' },
+    { id: 'storefront', key: 'STOREFRONT_PORT', default: 4200, name: 'Angular dev server' },
+    { id: 'admin', key: 'ADMIN_PORT', default: 7001, name: 'Medusa admin dev server' },
+    { id: 'postgres', key: 'POSTGRES_PORT', default: 5432, name: 'PostgreSQL' },
+    { id: 'redis', key: 'REDIS_PORT', default: 6379, name: 'Redis' }
+];
+
+const DEFAULT_PORTS = Object.fromEntries(SERVICES.map(service => [service.id, service.default]));
+
+// How far above a busy port to look for a free one
+const SEARCH_RANGE = 100;
+
+const HEADER = `# Ports of the local stack, chosen by the installer (npm run install:backend)
+# docker compose reads POSTGRES_PORT and REDIS_PORT from this file
+`;
+
+// Resolve true if nothing is listening on the port
+function isPortFree(port, host = '0.0.0.0') {
+    return new Promise(resolve => {
+        const server = net.createServer();
+        server.unref();
+        server.once('error', () => resolve(false));
+        server.listen({ port: Number(port), host }, () => {
+            server.close(() => resolve(true));
+        });
+    });
+}
+
+// Return an error message for an invalid port, or null
+function validatePort(value) {
+    return /^[0-9]+$/.test(String(value)) && Number(value) >= 1 && Number(value) <= 65535
+        ? null
+        : 'Port must be a number from 1 to 65535';
+}
+
+// Read the configured ports; the environment wins over the root .env, like docker compose
+function readPorts(env = process.env) {
+    const file = fs.existsSync(portsPath) ? parseEnv(fs.readFileSync(portsPath, 'utf-8')) : {};
+
+    return Object.fromEntries(SERVICES.map(service => {
+        const value = env[service.key] || file[service.key];
+        if (!value) {
+            return [service.id, service.default];
+        }
+        if (validatePort(value)) {
+            throw new Error(`${service.key} is not a valid port: "${value}"`);
+        }
+        return [service.id, Number(value)];
+    }));
+}
+
+// Write the ports into the root .env, keeping everything else in it
+function writePorts(ports) {
+    const current = fs.existsSync(portsPath) ? fs.readFileSync(portsPath, 'utf-8') : HEADER;
+    const values = Object.fromEntries(SERVICES.map(service => [service.key, ports[service.id]]));
+    fs.writeFileSync(portsPath, setValues(current, values));
+}
+
+// List the services that share a port with an earlier one
+function findDuplicates(ports) {
+    const seen = new Map();
+    const problems = [];
+
+    for (const service of SERVICES) {
+        const port = ports[service.id];
+        if (seen.has(port)) {
+            problems.push(`${service.name} and ${seen.get(port).name} both use port ${port}`);
+        } else {
+            seen.set(port, service);
+        }
+    }
+    return problems;
+}
+
+// Find the first free port from start up, skipping the ports in taken
+async function findFreePort(start, taken = []) {
+    for (let port = start; port < Math.min(start + SEARCH_RANGE, 65536); port++) {
+        if (!taken.includes(port) && await isPortFree(port)) {
+            return port;
+        }
+    }
+    return null;
+}
+
+// Probe the ports of the given services: [{ ...service, port, free, suggestion }].
+// Suggestions never collide with another configured port or suggestion.
+async function probePorts(ports, ids = SERVICES.map(service => service.id)) {
+    const taken = Object.values(ports);
+    const results = [];
+
+    for (const service of SERVICES.filter(entry => ids.includes(entry.id))) {
+        const port = ports[service.id];
+        const free = await isPortFree(port);
+        const suggestion = free ? null : await findFreePort(port + 1, taken);
+        if (suggestion) {
+            taken.push(suggestion);
+        }
+        results.push({ ...service, port, free, suggestion });
+    }
+    return results;
+}
+
+// URL of a port on this machine
+function localUrl(port) {
+    return `http://localhost:${port}`;
+}
+
+// Template values for the port placeholders of .env.template
+function templateValues(ports) {
+    return {
+        BACKEND_PORT: ports.backend,
+        STOREFRONT_PORT: ports.storefront,
+        ADMIN_PORT: ports.admin
+    };
+}
+
+// Point an existing backend .env at the ports: the backend URLs are replaced,
+// origins of the previous ports move to the new ones and any other origin is kept
+function updateBackendEnv(content, ports, previous = ports) {
+    const env = parseEnv(content);
+    const moved = Object.fromEntries(SERVICES.map(service => [localUrl(previous[service.id]), localUrl(ports[service.id])]));
+    const withOrigins = (list, origins) => [...new Set([
+        ...(list || '').split(',').map(origin => origin.trim()).filter(Boolean)
+            .map(origin => moved[origin.replace(/\/$/, '')] || origin),
+        ...origins
+    ])].join(',');
+
+    return setValues(content, {
+        PORT: ports.backend,
+        MEDUSA_BACKEND_URL: localUrl(ports.backend),
+        MEDUSA_ADMIN_BACKEND_URL: localUrl(ports.backend),
+        STORE_CORS: withOrigins(env.STORE_CORS, [localUrl(ports.storefront)]),
+        ADMIN_CORS: withOrigins(env.ADMIN_CORS, [localUrl(ports.admin), localUrl(ports.backend)]),
+        AUTH_CORS: withOrigins(env.AUTH_CORS, [localUrl(ports.storefront), localUrl(ports.admin), localUrl(ports.backend)])
+    });
+}
+
+module.exports = {
+    DEFAULT_PORTS,
+    SERVICES,
+    findDuplicates,
+    findFreePort,
+    isPortFree,
+    localUrl,
+    portsPath,
+    probePorts,
+    readPorts,
+    templateValues,
+    updateBackendEnv,
+    validatePort,
+    writePorts
+};
@@ -0,0 +1,644 @@
+// Catalog of the optional integrations listed in .env.template, plus the
+// helpers that turn a provider selection into .env blocks and a generated
+// Medusa module config. The selection is recorded in backend/.providers.json
+// so `npm run providers` can add or remove integrations later.
+const fs = require('fs');
+const path = require('path');
+const { readEnvFile } = require('./env-file');
+
+const selectionFile = '.providers.json';
+const configFile = 'providers.config.js';
+const { templatesPath } = require('./paths');
+
+const templatePath = path.join(templatesPath, '.env.template');
+
+const formats = {
+    url: { test: value => /^https?:\/\/[^\s/$.?#][^\s]*$/i.test(value), hint: 'a URL starting with http:// or https://' },
+    email: { test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), hint: 'an email address' },
+    port: { test: value => /^\d+$/.test(value) && Number(value) > 0 && Number(value) < 65536, hint: 'a port number' },
+    hostname: { test: value => /^[A-Za-z0-9.-]+$/.test(value), hint: 'a host name' },
+    bucket: { test: value => /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(value), hint: 'a bucket name (lowercase letters, digits, dots and dashes)' },
+    required: { test: value => value.length > 0, hint: 'a value' }
+};
+
+// Reference an environment variable from the generated module config
+function env(key) {
+    return { env: key };
+}
+
+function pattern(regex, hint) {
+    return { test: value => regex.test(value), hint };
+}
+
+const providers = [
+    {
+        id: 'stripe',
+        name: 'Stripe',
+        category: 'Payment',
+        section: 'Stripe Configuration',
+        keys: [
+            { key: 'STRIPE_API_KEY', label: 'Secret key', format: pattern(/^(sk|rk)_(test|live)_[A-Za-z0-9]{10,}$/, 'a key starting with sk_test_ or sk_live_'), secret: true },
+            { key: 'STRIPE_WEBHOOK_SECRET', label: 'Webhook signing secret', format: pattern(/^whsec_[A-Za-z0-9]+$/, 'a secret starting with whsec_'), secret: true, optional: true }
+        ],
+        module: {
+            resolve: '@medusajs/medusa/payment',
+            provider: {
+                resolve: '@medusajs/medusa/payment-stripe',
+                id: 'stripe',
+                options: { apiKey: env('STRIPE_API_KEY'), webhookSecret: env('STRIPE_WEBHOOK_SECRET') }
+            }
+        }
+    },
+    {
+        id: 'paypal',
+        name: 'PayPal',
+        category: 'Payment',
+        section: 'PayPal Configuration',
+        keys: [
+            { key: 'PAYPAL_CLIENT_ID', label: 'Client ID', format: pattern(/^[A-Za-z0-9_-]{10,}$/, 'a PayPal client ID') },
+            { key: 'PAYPAL_CLIENT_SECRET', label: 'Client secret', format: pattern(/^[A-Za-z0-9_-]{10,}$/, 'a PayPal client secret'), secret: true },
+            { key: 'PAYPAL_MODE', label: 'Mode', format: pattern(/^(sandbox|live)$/, '"sandbox" or "live"'), default: 'sandbox' },
+            { key: 'PAYPAL_WEBHOOK_ID', label: 'Webhook ID', format: pattern(/^[A-Z0-9]+$/, 'a PayPal webhook ID'), optional: true }
+        ]
+    },
+    {
+        id: 'sendgrid',
+        name: 'SendGrid',
+        category: 'Email / Notifications',
+        section: 'SendGrid Configuration',
+        keys: [
+            { key: 'SENDGRID_API_KEY', label: 'API key', format: pattern(/^SG\.[\w-]+\.[\w-]+$/, 'a key starting with SG.'), secret: true },
+            { key: 'SENDGRID_FROM', label: 'Sender address', format: formats.email },
+            { key: 'SENDGRID_ORDER_PLACED_TEMPLATE', label: 'Order placed template ID', format: pattern(/^d-[0-9a-f]{32}$/, 'a dynamic template ID starting with d-'), optional: true }
+        ],
+        module: {
+            resolve: '@medusajs/medusa/notification',
+            provider: {
+                resolve: '@medusajs/medusa/notification-sendgrid',
+                id: 'sendgrid',
+                options: { channels: ['email'], api_key: env('SENDGRID_API_KEY'), from: env('SENDGRID_FROM') }
+            }
+        }
+    },
+    {
+        id: 'mailchimp',
+        name: 'Mailchimp',
+        category: 'Email / Notifications',
+        section: 'Mailchimp Configuration',
+        keys: [
+            { key: 'MAILCHIMP_API_KEY', label: 'API key', format: pattern(/^[0-9a-f]{32}-[a-z]+\d+$/, 'a key like 0123...abcd-us1'), secret: true },
+            { key: 'MAILCHIMP_SERVER_PREFIX', label: 'Server prefix', format: pattern(/^[a-z]+\d+$/, 'a prefix like us1'), default: 'us1' }
+        ]
+    },
+    {
+        id: 'twilio',
+        name: 'Twilio SMS',
+        category: 'Email / Notifications',
+        section: 'Twilio SMS Configuration',
+        keys: [
+            { key: 'TWILIO_ACCOUNT_SID', label: 'Account SID', format: pattern(/^AC[0-9a-f]{32}$/, 'an SID starting with AC') },
+            { key: 'TWILIO_AUTH_TOKEN', label: 'Auth token', format: pattern(/^[0-9a-f]{32}$/, 'a 32 character token'), secret: true },
+            { key: 'TWILIO_SMS_FROM', label: 'Sender number', format: pattern(/^\+[1-9]\d{6,14}$/, 'a number in E.164 format, e.g. +1234567890') }
+        ]
+    },
+    {
+        id: 'smtp',
+        name: 'SMTP',
+        category: 'Email / Notifications',
+        section: 'SMTP Configuration (Alternative to SendGrid)',
+        keys: [
+            { key: 'SMTP_HOST', label: 'Host', format: formats.hostname },
+            { key: 'SMTP_PORT', label: 'Port', format: formats.port, default: '587' },
+            { key: 'SMTP_USER', label: 'User', format: formats.required },
+            { key: 'SMTP_PASSWORD', label: 'Password', format: formats.required, secret: true },
+            { key: 'SMTP_FROM', label: 'Sender address', format: formats.email }
+        ]
+    },
+    {
+        id: 's3',
+        name: 'AWS S3',
+        category: 'File Storage',
+        section: 'AWS S3 Configuration',
+        conflicts: ['minio'],
+        keys: [
+            { key: 'S3_URL', label: 'File URL', format: formats.url, default: 'https://s3.amazonaws.com' },
+            { key: 'S3_BUCKET', label: 'Bucket', format: formats.bucket },
+            { key: 'S3_REGION', label: 'Region', format: pattern(/^[a-z]{2}(-[a-z]+)+-\d$/, 'a region like us-east-1'), default: 'us-east-1' },
+            { key: 'S3_ACCESS_KEY_ID', label: 'Access key ID', format: pattern(/^[A-Z0-9]{16,128}$/, 'an access key ID like AKIA...') },
+            { key: 'S3_SECRET_ACCESS_KEY', label: 'Secret access key', format: formats.required, secret: true },
+            { key: 'S3_ENDPOINT', label: 'Endpoint', format: formats.url, default: 'https://s3.amazonaws.com' }
+        ],
+        module: {
+            resolve: '@medusajs/medusa/file',
+            provider: {
+                resolve: '@medusajs/medusa/file-s3',
+                id: 's3',
+                options: {
+                    file_url: env('S3_URL'),
+                    access_key_id: env('S3_ACCESS_KEY_ID'),
+                    secret_access_key: env('S3_SECRET_ACCESS_KEY'),
+                    region: env('S3_REGION'),
+                    bucket: env('S3_BUCKET'),
+                    endpoint: env('S3_ENDPOINT')
+                }
+            }
+        }
+    },
+    {
+        id: 'minio',
+        name: 'MinIO',
+        category: 'File Storage',
+        section: 'MinIO Configuration (S3-compatible local storage)',
+        conflicts: ['s3'],
+        keys: [
+            { key: 'S3_URL', label: 'File URL', format: formats.url, default: 'http://localhost:9000' },
+            { key: 'S3_BUCKET', label: 'Bucket', format: formats.bucket, default: 'medusa-bucket' },
+            { key: 'S3_REGION', label: 'Region', format: formats.required, default: 'us-east-1' },
+            { key: 'S3_ACCESS_KEY_ID', label: 'Access key', format: formats.required, default: 'minioadmin' },
+            { key: 'S3_SECRET_ACCESS_KEY', label: 'Secret key', format: formats.required, default: 'minioadmin', secret: true },
+            { key: 'S3_ENDPOINT', label: 'Endpoint', format: formats.url, default: 'http://localhost:9000' }
+        ],
+        module: {
+            resolve: '@medusajs/medusa/file',
+            provider: {
+                resolve: '@medusajs/medusa/file-s3',
+                id: 'minio',
+                options: {
+                    file_url: env('S3_URL'),
+                    access_key_id: env('S3_ACCESS_KEY_ID'),
+                    secret_access_key: env('S3_SECRET_ACCESS_KEY'),
+                    region: env('S3_REGION'),
+                    bucket: env('S3_BUCKET'),
+                    endpoint: env('S3_ENDPOINT'),
+                    additional_client_config: { forcePathStyle: true }
+                }
+            }
+        }
+    },
+    {
+        id: 'spaces',
+        name: 'DigitalOcean Spaces',
+        category: 'File Storage',
+        section: 'DigitalOcean Spaces Configuration',
+        keys: [
+            { key: 'SPACE_URL', label: 'Space URL', format: pattern(/^https:\/\/[a-z0-9-]+\.[a-z0-9-]+\.digitaloceanspaces\.com\/?$/, 'a URL like https://name.nyc3.digitaloceanspaces.com') },
+            { key: 'SPACE_BUCKET', label: 'Space name', format: formats.bucket },
+            { key: 'SPACE_REGION', label: 'Region', format: pattern(/^[a-z]{3}\d$/, 'a region like nyc3') },
+            { key: 'SPACE_ACCESS_KEY_ID', label: 'Access key', format: formats.required },
+            { key: 'SPACE_SECRET_ACCESS_KEY', label: 'Secret key', format: formats.required, secret: true }
+        ]
+    },
+    {
+        id: 'gcs',
+        name: 'Google Cloud Storage',
+        category: 'File Storage',
+        section: 'Google Cloud Storage Configuration',
+        keys: [
+            { key: 'GCS_BUCKET', label: 'Bucket', format: formats.bucket },
+            { key: 'GCS_PROJECT_ID', label: 'Project ID', format: pattern(/^[a-z][a-z0-9-]{4,28}[a-z0-9]$/, 'a Google Cloud project ID') },
+            { key: 'GCS_KEY_FILE', label: 'Service account key file', format: pattern(/\.json$/, 'a path to a .json key file') }
+        ]
+    },
+    {
+        id: 'meilisearch',
+        name: 'MeiliSearch',
+        category: 'Search',
+        section: 'MeiliSearch Configuration',
+        keys: [
+            { key: 'MEILISEARCH_HOST', label: 'Host', format: formats.url, default: 'http://localhost:7700' },
+            { key: 'MEILISEARCH_API_KEY', label: 'Master key', format: formats.required, secret: true }
+        ]
+    },
+    {
+        id: 'algolia',
+        name: 'Algolia',
+        category: 'Search',
+        section: 'Algolia Configuration',
+        keys: [
+            { key: 'ALGOLIA_APP_ID', label: 'Application ID', format: pattern(/^[A-Z0-9]{10}$/, 'a 10 character application ID') },
+            { key: 'ALGOLIA_ADMIN_API_KEY', label: 'Admin API key', format: pattern(/^[a-f0-9]{32}$/, 'a 32 character API key'), secret: true },
+            { key: 'ALGOLIA_INDEX_NAME', label: 'Index name', format: formats.required, default: 'products' }
+        ]
+    },
+    {
+        id: 'segment',
+        name: 'Segment',
+        category: 'Analytics',
+        section: 'Segment Configuration',
+        keys: [
+            { key: 'SEGMENT_WRITE_KEY', label: 'Write key', format: pattern(/^[A-Za-z0-9]{20,}$/, 'a Segment write key'), secret: true }
+        ]
+    },
+    {
+        id: 'google-analytics',
+        name: 'Google Analytics',
+        category: 'Analytics',
+        section: 'Google Analytics',
+        keys: [
+            { key: 'GA_TRACKING_ID', label: 'Tracking ID', format: pattern(/^(UA-\d+-\d+|G-[A-Z0-9]+)$/, 'an ID like G-XXXXXXX or UA-123-1') }
+        ]
+    },
+    {
+        id: 'shipstation',
+        name: 'ShipStation',
+        category: 'Shipping',
+        section: 'ShipStation Configuration',
+        keys: [
+            { key: 'SHIPSTATION_API_KEY', label: 'API key', format: formats.required, secret: true },
+            { key: 'SHIPSTATION_API_SECRET', label: 'API secret', format: formats.required, secret: true }
+        ]
+    },
+    {
+        id: 'shippo',
+        name: 'Shippo',
+        category: 'Shipping',
+        section: 'Shippo Configuration',
+        keys: [
+            { key: 'SHIPPO_API_KEY', label: 'API key', format: pattern(/^shippo_(test|live)_[0-9a-f]+$/, 'a key starting with shippo_test_ or shippo_live_'), secret: true }
+        ]
+    },
+    {
+        id: 'contentful',
+        name: 'Contentful',
+        category: 'CMS',
+        section: 'Contentful Configuration',
+        keys: [
+            { key: 'CONTENTFUL_SPACE_ID', label: 'Space ID', format: pattern(/^[a-z0-9]{12}$/, 'a 12 character space ID') },
+            { key: 'CONTENTFUL_ACCESS_TOKEN', label: 'Access token', format: formats.required, secret: true },
+            { key: 'CONTENTFUL_ENVIRONMENT', label: 'Environment', format: formats.required, default: 'master' }
+        ]
+    },
+    {
+        id: 'strapi',
+        name: 'Strapi',
+        category: 'CMS',
+        section: 'Strapi Configuration',
+        keys: [
+            { key: 'STRAPI_URL', label: 'URL', format: formats.url, default: 'http://localhost:1337' },
+            { key: 'STRAPI_TOKEN', label: 'API token', format: formats.required, secret: true }
+        ]
+    },
+    {
+        id: 'slack',
+        name: 'Slack webhook',
+        category: 'Webhooks',
+        section: 'Slack Webhook for Notifications',
+        keys: [
+            { key: 'SLACK_WEBHOOK_URL', label: 'Webhook URL', format: pattern(/^https:\/\/hooks\.slack\.com\/services\/\S+$/, 'a URL starting with https://hooks.slack.com/services/'), secret: true }
+        ]
+    },
+    {
+        id: 'discord',
+        name: 'Discord webhook',
+        category: 'Webhooks',
+        section: 'Discord Webhook for Notifications',
+        keys: [
+            { key: 'DISCORD_WEBHOOK_URL', label: 'Webhook URL', format: pattern(/^https:\/\/(discord|discordapp)\.com\/api\/webhooks\/\S+$/, 'a Discord webhook URL'), secret: true }
+        ]
+    }
+];
+
+function getProvider(id) {
+    return providers.find(provider => provider.id === id);
+}
+
+// Return an error message if the value does not match the key's format
+function validateValue(spec, value) {
+    if (value === undefined || value === null || value === '') {
+        return spec.optional ? null : `${spec.key} is required`;
+    }
+    if (spec.format && !spec.format.test(String(value))) {
+        return `${spec.key} must be ${spec.format.hint}`;
+    }
+    return null;
+}
+
+// Validate a selection: { providerId: { KEY: value } }
+function validateSelection(selection) {
+    const errors = [];
+    const ids = Object.keys(selection);
+
+    for (const id of ids) {
+        const provider = getProvider(id);
+        if (!provider) {
+            errors.push(`unknown provider "${id}" (known: ${providers.map(entry => entry.id).join(', ')})`);
+            continue;
+        }
+
+        for (const conflict of provider.conflicts || []) {
+            if (ids.includes(conflict) && id < conflict) {
+                errors.push(`${provider.name} and ${getProvider(conflict).name} share the same settings, pick one`);
+            }
+        }
+
+        const values = selection[id] || {};
+        for (const key of Object.keys(values)) {
+            if (!provider.keys.some(spec => spec.key === key)) {
+                errors.push(`${id}.${key} is not a ${provider.name} setting`);
+            }
+        }
+        for (const spec of provider.keys) {
+            const value = values[spec.key] !== undefined ? values[spec.key] : spec.default;
+            const error = validateValue(spec, value === undefined ? '' : String(value));
+            if (error) {
+                errors.push(`${id}: ${error}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Fill in defaults for keys that were not given
+function resolveValues(provider, values = {}) {
+    const resolved = {};
+    for (const spec of provider.keys) {
+        const value = values[spec.key] !== undefined ? values[spec.key] : spec.default;
+        if (value !== undefined && value !== '') {
+            resolved[spec.key] = String(value);
+        }
+    }
+    return resolved;
+}
+
+// Quote a value when dotenv would otherwise misread it
+function formatEnvValue(value) {
+    const text = String(value);
+    return /[\s#"'`\\]/.test(text) ? JSON.stringify(text) : text;
+}
+
+// Locate the lines of a "# <section>" block; returns [start, end) or null
+function findBlock(lines, section) {
+    const start = lines.findIndex(line => line.trim() === `# ${section}`);
+    if (start === -1) {
+        return null;
+    }
+
+    let end = start + 1;
+    while (end < lines.length && lines[end].trim() !== '' && !lines[end].startsWith('# ---')) {
+        end++;
+    }
+    return [start + 1, end];
+}
+
+// Key of a "KEY=value" or "# KEY=value" line
+function lineKey(line) {
+    const match = /^(?:#\s*)?([A-Z][A-Z0-9_]*)=/.exec(line.trim());
+    return match ? match[1] : null;
+}
+
+// Read the template's commented placeholder lines for a provider
+function templateLines(templateContent, provider) {
+    const lines = templateContent.split('\n');
+    const block = findBlock(lines, provider.section);
+    const result = {};
+
+    if (block) {
+        for (const line of lines.slice(block[0], block[1])) {
+            const key = lineKey(line);
+            if (key) {
+                result[key] = line;
+            }
+        }
+    }
+    for (const spec of provider.keys) {
+        result[spec.key] = result[spec.key] || `# ${spec.key}=`;
+    }
+    return result;
+}
+
+// Enable (values given) or disable (values null) one provider block
+function applyProvider(content, provider, values, templateContent) {
+    const lines = content.split('\n');
+    const placeholders = templateLines(templateContent, provider);
+
+    const render = key => {
+        const value = values ? values[key] : undefined;
+        return value !== undefined && value !== '' ? `${key}=${formatEnvValue(value)}` : placeholders[key];
+    };
+
+    const block = findBlock(lines, provider.section);
+    if (!block) {
+        if (!values) {
+            return content;
+        }
+        const appended = [`# ${provider.section}`, ...provider.keys.map(spec => render(spec.key))];
+        return `${content.replace(/\n*$/, '')}\n\n${appended.join('\n')}\n`;
+    }
+
+    for (let i = block[0]; i < block[1]; i++) {
+        const key = lineKey(lines[i]);
+        if (key && provider.keys.some(spec => spec.key === key)) {
+            lines[i] = render(key);
+        }
+    }
+    return lines.join('\n');
+}
+
+// Apply a whole selection: selected providers are filled in, the rest reset
+function applyProviders(content, selection, templateContent) {
+    let result = content;
+
+    // Disable first so providers sharing keys (S3/MinIO) end up correct
+    for (const provider of providers.filter(entry => !selection[entry.id])) {
+        result = applyProvider(result, provider, null, templateContent);
+    }
+    for (const [id, values] of Object.entries(selection)) {
+        const provider = getProvider(id);
+        result = applyProvider(result, provider, resolveValues(provider, values), templateContent);
+    }
+    return result;
+}
+
+// Apply a selection to backend/.env in place; other lines (and secrets) are kept
+function updateEnvFile(backendPath, selection) {
+    const envPath = path.join(backendPath, '.env');
+    const templateContent = fs.existsSync(templatePath) ? fs.readFileSync(templatePath, 'utf-8') : '';
+    const content = fs.readFileSync(envPath, 'utf-8');
+
+    fs.writeFileSync(envPath, applyProviders(content, selection, templateContent));
+    saveSelection(backendPath, Object.keys(selection));
+}
+
+// Current values of the recorded providers, read back from backend/.env
+function readCurrentSelection(backendPath) {
+    const env = readEnvFile(path.join(backendPath, '.env')) || {};
+    const selection = {};
+
+    for (const id of readSelection(backendPath)) {
+        const provider = getProvider(id);
+        if (provider) {
+            selection[id] = Object.fromEntries(
+                provider.keys.filter(spec => env[spec.key] !== undefined).map(spec => [spec.key, env[spec.key]])
+            );
+        }
+    }
+    return selection;
+}
+
+// Ask for one provider's settings, validating each value; question gets
+// { secret: true } for keys whose answer must not be echoed
+async function promptProviderValues(provider, { question, log }) {
+    log(`\n${provider.name}`, 'cyan');
+    const values = {};
+
+    for (const spec of provider.keys) {
+        for (;;) {
+            const suffix = spec.default ? ` [${spec.default}]` : (spec.optional ? ' (optional)' : '');
+            const answer = (await question(`  ${spec.label}${suffix}: `, { secret: Boolean(spec.secret) })).trim();
+            const value = answer || spec.default || '';
+            const error = validateValue(spec, value);
+
+            if (!error) {
+                if (value) {
+                    values[spec.key] = value;
+                }
+                break;
+            }
+            log(`  ⚠️  ${error}`, 'yellow');
+        }
+    }
+    return values;
+}
+
+// Interactive selection; current is { id: values } of enabled providers
+async function promptForProviders({ question, log, current = {} }) {
+    log('\n🔌 Optional Integrations', 'cyan');
+
+    let category = null;
+    providers.forEach((provider, index) => {
+        if (provider.category !== category) {
+            category = provider.category;
+            log(`\n  ${category}`, 'yellow');
+        }
+        const enabled = current[provider.id] ? ' (enabled)' : '';
+        log(`    ${String(index + 1).padStart(2)}) ${provider.name} [${provider.id}]${enabled}`, 'white');
+    });
+
+    const currentIds = Object.keys(current);
+    let ids;
+
+    for (;;) {
+        const hint = currentIds.length > 0 ? `Enter to keep ${currentIds.join(', ')}, "none" to disable all` : 'Enter to skip';
+        const answer = (await question(`\nNumbers or ids to enable, comma-separated (${hint}): `)).trim();
+
+        if (!answer) {
+            ids = currentIds;
+        } else if (answer.toLowerCase() === 'none') {
+            ids = [];
+        } else {
+            ids = answer.split(',').map(part => part.trim()).filter(Boolean).map(part =>
+                /^\d+$/.test(part) && providers[Number(part) - 1] ? providers[Number(part) - 1].id : part
+            );
+        }
+
+        const unknown = ids.filter(id => !getProvider(id));
+        const conflicts = ids.filter(id => (getProvider(id) && getProvider(id).conflicts || []).some(other => ids.includes(other)));
+
+        if (unknown.length > 0) {
+            log(`⚠️  Unknown integration: ${unknown.join(', ')}`, 'yellow');
+        } else if (conflicts.length > 0) {
+            log(`⚠️  ${conflicts.join(' and ')} share the same settings, pick one`, 'yellow');
+        } else {
+            break;
+        }
+    }
+
+    const selection = {};
+    for (const id of [...new Set(ids)]) {
+        const provider = getProvider(id);
+
+        if (current[id] && validateSelection({ [id]: current[id] }).length === 0) {
+            const keep = await question(`Keep the existing ${provider.name} settings? (Y/n): `);
+            if (keep.toLowerCase() !== 'n' && keep.toLowerCase() !== 'no') {
+                selection[id] = current[id];
+                continue;
+            }
+        }
+        selection[id] = await promptProviderValues(provider, { question, log });
+    }
+
+    return selection;
+}
+
+// Render an options object, turning env() references into process.env lookups
+function renderOptions(value, indent) {
+    if (value && value.env) {
+        return `process.env.${value.env}`;
+    }
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+    }
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+
+    const pad = ' '.repeat(indent + 4);
+    if (Array.isArray(value)) {
+        if (value.every(item => item === null || typeof item !== 'object')) {
+            return `[${value.map(item => renderOptions(item, indent)).join(', ')}]`;
+        }
+        const items = value.map(item => `${pad}${renderOptions(item, indent + 4)}`);
+        return `[\n${items.join(',\n')}\n${' '.repeat(indent)}]`;
+    }
+
+    const entries = Object.entries(value).map(([key, child]) => `${pad}${key}: ${renderOptions(child, indent + 4)}`);
+    return `{\n${entries.join(',\n')}\n${' '.repeat(indent)}}`;
+}
+
+// Generate the Medusa module config for the selected providers
+function renderModuleConfig(ids) {
+    const modules = new Map();
+
+    for (const id of ids) {
+        const provider = getProvider(id);
+        if (provider && provider.module) {
+            const list = modules.get(provider.module.resolve) || [];
+            list.push(provider.module.provider);
+            modules.set(provider.module.resolve, list);
+        }
+    }
+
+    const entries = [...modules.entries()].map(([resolve, list]) => renderOptions({
+        resolve,
+        options: { providers: list }
+    }, 4).replace(/^/, '    '));
+
+    return `// Generated by the ecommerce-starter installer. Rerun "npm run providers"
+// instead of editing this file. Register the modules in medusa-config:
+//   modules: [...require('./${configFile}')]
+module.exports = [${entries.length > 0 ? `\n${entries.join(',\n')}\n` : ''}];
+`;
+}
+
+// Read the recorded selection (provider ids) for a backend
+function readSelection(backendPath) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(backendPath, selectionFile), 'utf-8')).providers || [];
+    } catch {
+        return [];
+    }
+}
+
+// Record the selection and regenerate the module config
+function saveSelection(backendPath, ids) {
+    fs.writeFileSync(
+        path.join(backendPath, selectionFile),
+        JSON.stringify({ providers: ids, updatedAt: new Date().toISOString() }, null, 2) + '\n'
+    );
+    fs.writeFileSync(path.join(backendPath, configFile), renderModuleConfig(ids));
+}
+
+module.exports = {
+    applyProviders,
+    configFile,
+    getProvider,
+    promptForProviders,
+    providers,
+    readCurrentSelection,
+    readSelection,
+    saveSelection,
+    updateEnvFile,
+    validateSelection,
+    validateValue
+};
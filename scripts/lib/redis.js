@@ -0,0 +1,115 @@
+// Dependency-free Redis health check: connects to REDIS_URL, authenticates,
+// selects the database and sends PING.
+const net = require('net');
+const tls = require('tls');
+
+// Encode a command as a RESP array of bulk strings
+function encode(args) {
+    return `*${args.length}\r\n` + args.map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('');
+}
+
+// Parse one RESP reply from the buffer; returns [reply, rest] or null if incomplete
+function parseReply(buffer) {
+    const end = buffer.indexOf('\r\n');
+    if (end === -1) {
+        return null;
+    }
+
+    const type = buffer[0];
+    const line = buffer.slice(1, end);
+    const rest = buffer.slice(end + 2);
+
+    if (type === '+' || type === ':') {
+        return [line, rest];
+    }
+    if (type === '-') {
+        return [new Error(line), rest];
+    }
+    if (type === '$') {
+        const length = parseInt(line, 10);
+        if (length === -1) {
+            return [null, rest];
+        }
+        if (Buffer.byteLength(rest) < length + 2) {
+            return null;
+        }
+        return [rest.slice(0, length), rest.slice(length + 2)];
+    }
+
+    return [new Error(`Unexpected Redis reply: ${buffer.slice(0, end)}`), rest];
+}
+
+// Ping the Redis server at the given URL; resolves to { latency, version }
+function ping(redisUrl, { timeout = 3000 } = {}) {
+    const url = new URL(redisUrl);
+    if (url.protocol !== 'redis:' && url.protocol !== 'rediss:') {
+        return Promise.reject(new Error(`Not a Redis URL: ${url.protocol}//`));
+    }
+
+    const host = url.hostname || 'localhost';
+    const port = Number(url.port || 6379);
+    const commands = [];
+
+    if (url.password) {
+        commands.push(url.username
+            ? ['AUTH', decodeURIComponent(url.username), decodeURIComponent(url.password)]
+            : ['AUTH', decodeURIComponent(url.password)]);
+    }
+    const db = url.pathname.slice(1);
+    if (db) {
+        commands.push(['SELECT', db]);
+    }
+    commands.push(['PING'], ['INFO', 'server']);
+
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const options = { host, port, servername: host };
+        const socket = url.protocol === 'rediss:' ? tls.connect(options) : net.connect(options);
+        const replies = [];
+        let buffer = '';
+        let latency = null;
+
+        function fail(error) {
+            socket.destroy();
+            reject(error);
+        }
+
+        socket.setTimeout(timeout);
+        socket.setEncoding('utf-8');
+        socket.once('timeout', () => fail(new Error(`Timed out connecting to ${host}:${port}`)));
+        socket.once('error', fail);
+        socket.once(url.protocol === 'rediss:' ? 'secureConnect' : 'connect', () => {
+            socket.write(commands.map(encode).join(''));
+        });
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+
+            let parsed;
+            while ((parsed = parseReply(buffer))) {
+                const [reply, rest] = parsed;
+                buffer = rest;
+
+                if (reply instanceof Error) {
+                    fail(reply);
+                    return;
+                }
+
+                replies.push(reply);
+                if (replies.length === commands.length - 1) {
+                    latency = Date.now() - started;
+                }
+            }
+
+            if (replies.length === commands.length) {
+                const version = /redis_version:(\S+)/.exec(replies[replies.length - 1]);
+                socket.end();
+                resolve({ latency, version: version ? version[1] : null });
+            }
+        });
+    });
+}
+
+module.exports = {
+    ping
+};
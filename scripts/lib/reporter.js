@@ -0,0 +1,219 @@
+// Installer output: colored text for people (pretty), the same text without
+// ANSI codes (plain), or step events for tools (json, ndjson). Everything,
+// including the output of the commands the installers run, is also written
+// to the install.log transcript.
+const fs = require('fs');
+const path = require('path');
+const { getArgValue } = require('./answers');
+const { colors, stripAnsi, supportsColor, writeLine } = require('./cli');
+const { runCommand } = require('./command');
+
+const { rootPath } = require('./paths');
+const logPath = path.join(rootPath, 'install.log');
+
+const FORMATS = ['pretty', 'plain', 'json', 'ndjson'];
+
+// Read --reporter from the command line, returning the format or an error
+function parseReporterFormat(argv = process.argv.slice(2)) {
+    const format = getArgValue(argv, '--reporter') || 'pretty';
+    if (!FORMATS.includes(format)) {
+        return { format: 'pretty', error: `Unknown reporter "${format}" (expected ${FORMATS.join(', ')})` };
+    }
+    return { format, error: null };
+}
+
+// Log level of a message, derived from the color the installers print it in
+function levelOf(color) {
+    if (color === 'red') {
+        return 'error';
+    }
+    return color === 'yellow' ? 'warn' : 'info';
+}
+
+// Create the reporter for one installer run. A child installer started by
+// another one appends to the transcript named in INSTALL_LOG.
+function createReporter(installer, { argv = process.argv.slice(2), transcript = true, stdout = process.stdout, env = process.env } = {}) {
+    const { format, error: formatError } = parseReporterFormat(argv);
+    const color = format === 'pretty' && supportsColor(stdout, env);
+    const machine = format === 'json' || format === 'ndjson';
+    const startedAt = Date.now();
+    const events = [];
+    const steps = [];
+    const running = new Map();
+    let command = null;
+    const logFile = transcript ? (env.INSTALL_LOG || logPath) : null;
+    let logFd = null;
+    let finished = false;
+
+    function writeTranscript(text) {
+        if (logFd !== null) {
+            fs.writeSync(logFd, stripAnsi(text));
+        }
+    }
+
+    function emit(event) {
+        const full = { type: event.type, installer, time: new Date().toISOString(), ...event };
+        events.push(full);
+        if (format === 'ndjson') {
+            writeLine(stdout, JSON.stringify(full));
+        }
+        return full;
+    }
+
+    function recordStep(event) {
+        if (event.type === 'step:finish') {
+            steps.push({
+                installer: event.installer,
+                id: event.id,
+                title: event.title,
+                status: event.status,
+                durationMs: event.durationMs,
+                ...(event.error ? { error: event.error } : {})
+            });
+        }
+    }
+
+    if (logFile) {
+        // Always append: a child installer writes to the same file meanwhile
+        if (!env.INSTALL_LOG) {
+            fs.writeFileSync(logFile, '');
+        }
+        logFd = fs.openSync(logFile, 'a');
+        writeTranscript(`# ${installer} started ${new Date(startedAt).toISOString()} (node ${process.version}, ${process.platform})\n`);
+    }
+    emit({ type: 'run:start' });
+
+    return {
+        format,
+        formatError,
+        color,
+        logFile,
+
+        // Where prompts are written; machine formats keep stdout for events
+        promptOutput: machine ? process.stderr : stdout,
+
+        // Print a progress message in the chosen format
+        message(text, messageColor = 'reset') {
+            writeTranscript(`${text}\n`);
+
+            if (machine) {
+                const trimmed = stripAnsi(text).trim();
+                if (trimmed) {
+                    emit({ type: 'log', level: levelOf(messageColor), message: trimmed });
+                }
+                return;
+            }
+
+            writeLine(stdout, color ? `${colors[messageColor] || ''}${text}${colors.reset}` : stripAnsi(text));
+        },
+
+        stepStarted(id, title) {
+            running.set(id, Date.now());
+            writeTranscript(`\n[${new Date().toISOString()}] ▶ ${title}\n`);
+            emit({ type: 'step:start', id, title });
+        },
+
+        // Record the end of a step: done, failed or skipped (already completed)
+        stepFinished(id, title, status, error = null) {
+            const durationMs = running.has(id) ? Date.now() - running.get(id) : 0;
+            running.delete(id);
+            writeTranscript(`[${new Date().toISOString()}] ${status === 'failed' ? '✖' : '✔'} ${title}: ${status} (${durationMs} ms)` +
+                `${error ? ` - ${error.message}` : ''}\n`);
+            recordStep(emit({
+                type: 'step:finish',
+                id,
+                title,
+                status,
+                durationMs,
+                ...(error ? { error: error.message } : {}),
+                ...(error && error.output ? { output: error.output } : {})
+            }));
+        },
+
+        // Pass on an event reported by a child installer
+        forward(event) {
+            events.push(event);
+            recordStep(event);
+            if (format === 'ndjson') {
+                writeLine(stdout, JSON.stringify(event));
+            }
+        },
+
+        // Run a shell command, streaming its output to the terminal (text
+        // formats) and the transcript. Rejects with the last lines of output.
+        async exec(commandLine, { cwd = rootPath, env: commandEnv = process.env, input = null } = {}) {
+            writeTranscript(`$ ${commandLine}  (in ${path.relative(rootPath, cwd) || '.'})\n`);
+
+            command = new AbortController();
+            try {
+                await runCommand(commandLine, {
+                    cwd,
+                    env: commandEnv,
+                    input,
+                    signal: command.signal,
+                    onOutput: (chunk, stream) => {
+                        writeTranscript(chunk.toString());
+                        if (!machine) {
+                            const target = stream === 'stdout' ? stdout : process.stderr;
+                            target.write(color ? chunk : stripAnsi(chunk.toString()));
+                        }
+                    }
+                });
+            } finally {
+                command = null;
+            }
+        },
+
+        // Stop the running command, returning false if there is none
+        cancel() {
+            if (!command) {
+                return false;
+            }
+            command.abort();
+            return true;
+        },
+
+        // Report the end of the run; json prints its single document here
+        finish({ ok, error = null }) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+
+            const durationMs = Date.now() - startedAt;
+            writeTranscript(`\n# ${installer} ${ok ? 'succeeded' : 'failed'} after ${durationMs} ms${error ? `: ${error.message}` : ''}\n`);
+            emit({
+                type: 'run:finish',
+                ok,
+                durationMs,
+                ...(error ? { error: error.message } : {}),
+                ...(logFile ? { log: path.relative(rootPath, logFile) } : {})
+            });
+
+            if (format === 'json') {
+                writeLine(stdout, JSON.stringify({
+                    installer,
+                    ok,
+                    startedAt: new Date(startedAt).toISOString(),
+                    durationMs,
+                    error: error ? error.message : null,
+                    log: logFile ? path.relative(rootPath, logFile) : null,
+                    steps,
+                    events
+                }, null, 2));
+            }
+
+            if (logFd !== null) {
+                fs.closeSync(logFd);
+                logFd = null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    FORMATS,
+    createReporter,
+    logPath,
+    parseReporterFormat
+};
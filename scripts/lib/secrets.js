@@ -0,0 +1,124 @@
+// Generating, rotating and auditing the backend secrets in the .env files.
+// Rotation only rewrites the KEY=value line of each secret, so comments,
+// ordering and every other setting stay exactly as they were.
+const crypto = require('crypto');
+const { parseEnv, parseLine, setValues } = require('./env-file');
+
+const SECRET_KEYS = ['JWT_SECRET', 'COOKIE_SECRET'];
+const MIN_SECRET_LENGTH = 32;
+const MIN_DISTINCT_CHARACTERS = 10;
+
+// Values shipped in templates, docs or CI mode that must never be deployed
+const PLACEHOLDERS = [
+    'test-jwt-secret',
+    'test-cookie-secret',
+    'supersecret',
+    'your-secret',
+    'secret',
+    'changeme',
+    'change-me'
+];
+
+// Generate secure random secret
+function generateSecret(length = 32) {
+    return crypto.randomBytes(length).toString('hex');
+}
+
+// Show only the start of a secret
+function mask(value) {
+    if (!value) {
+        return '(empty)';
+    }
+    return value.length <= 8 ? '*'.repeat(value.length) : `${value.slice(0, 4)}…${'*'.repeat(4)}`;
+}
+
+// Check the requested keys against the known secret keys
+function resolveKeys(keys) {
+    if (!keys || keys.length === 0) {
+        return SECRET_KEYS;
+    }
+
+    const unknown = keys.filter(key => !SECRET_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown secret ${unknown.join(', ')} (expected ${SECRET_KEYS.join(', ')})`);
+    }
+    return keys;
+}
+
+// Return the new content and the changed lines for rotating keys in .env content
+function rotate(content, keys, generate = generateSecret) {
+    const current = parseEnv(content);
+    const values = {};
+
+    for (const key of resolveKeys(keys)) {
+        values[key] = generate(32);
+    }
+
+    const updated = setValues(content, values);
+    const before = content.split('\n');
+    const after = updated.split('\n');
+    const changes = [];
+
+    for (let i = 0; i < after.length; i++) {
+        const entry = parseLine(after[i]);
+        if (before[i] !== after[i] && entry && entry.key in values) {
+            changes.push({ line: i + 1, key: entry.key, from: current[entry.key], to: values[entry.key] });
+        }
+    }
+
+    return { content: updated, changes };
+}
+
+// Describe why a secret value is weak, or return null if it looks fine
+function weakness(value) {
+    if (PLACEHOLDERS.includes(value.toLowerCase()) || /{{.*}}/.test(value) || /^test-/.test(value)) {
+        return 'placeholder value';
+    }
+    if (value.length < MIN_SECRET_LENGTH) {
+        return `shorter than ${MIN_SECRET_LENGTH} characters`;
+    }
+    if (new Set(value).size < MIN_DISTINCT_CHARACTERS) {
+        return 'too few distinct characters';
+    }
+    return null;
+}
+
+// Audit the secrets of several env files: [{ name, env }] -> findings
+function audit(files) {
+    const findings = [];
+    const seen = new Map();
+
+    for (const { name, env } of files) {
+        for (const key of SECRET_KEYS) {
+            const value = env[key];
+
+            if (value === undefined || value === '') {
+                findings.push({ file: name, key, message: 'missing' });
+                continue;
+            }
+
+            const problem = weakness(value);
+            if (problem) {
+                findings.push({ file: name, key, message: problem });
+            }
+
+            const location = `${name} ${key}`;
+            if (seen.has(value)) {
+                findings.push({ file: name, key, message: `same value as ${seen.get(value)}` });
+            } else {
+                seen.set(value, location);
+            }
+        }
+    }
+
+    return findings;
+}
+
+module.exports = {
+    SECRET_KEYS,
+    audit,
+    generateSecret,
+    mask,
+    resolveKeys,
+    rotate
+};
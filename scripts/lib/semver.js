@@ -0,0 +1,106 @@
+// Small semver range matcher for the "engines" field: supports
+// comparators (>=, >, <=, <, =), caret, tilde, x-ranges, hyphen ranges and ||.
+
+// Parse "v1.2.3" (missing parts count as wildcards) into numbers
+function parseVersion(version) {
+    const match = /^\s*v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?/.exec(String(version));
+    if (!match) {
+        return null;
+    }
+
+    return match.slice(1, 4).map(part =>
+        part === undefined || /^[xX*]$/.test(part) ? null : parseInt(part, 10)
+    );
+}
+
+// Compare two fully specified versions
+function compare(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if ((a[i] || 0) !== (b[i] || 0)) {
+            return (a[i] || 0) > (b[i] || 0) ? 1 : -1;
+        }
+    }
+    return 0;
+}
+
+// Lowest and (exclusive) highest version matched by a partial version
+function bounds(parts) {
+    const defined = parts.findIndex(part => part === null);
+    const length = defined === -1 ? 3 : defined;
+    const low = parts.map(part => part || 0);
+
+    if (length === 3) {
+        return [low, null];
+    }
+    if (length === 0) {
+        return [[0, 0, 0], null];
+    }
+
+    const high = [0, 0, 0];
+    for (let i = 0; i < length; i++) {
+        high[i] = parts[i];
+    }
+    high[length - 1]++;
+    return [low, high];
+}
+
+// Check one comparator such as ">=22.0.0", "^18.2" or "20.x"
+function matchesComparator(version, comparator) {
+    const match = /^(>=|<=|>|<|=|\^|~)?\s*(.*)$/.exec(comparator);
+    const operator = match[1] || '=';
+    const parts = parseVersion(match[2]);
+    if (!parts) {
+        return false;
+    }
+
+    const [low, high] = bounds(parts);
+
+    switch (operator) {
+        case '>=':
+            return compare(version, low) >= 0;
+        case '>':
+            return high ? compare(version, high) >= 0 : compare(version, low) > 0;
+        case '<=':
+            return high ? compare(version, high) < 0 : compare(version, low) <= 0;
+        case '<':
+            return compare(version, low) < 0;
+        case '^': {
+            const index = low[0] !== 0 || parts[1] === null ? 0 : (low[1] !== 0 || parts[2] === null ? 1 : 2);
+            const upper = [0, 0, 0];
+            for (let i = 0; i < index; i++) {
+                upper[i] = low[i];
+            }
+            upper[index] = low[index] + 1;
+            return compare(version, low) >= 0 && compare(version, upper) < 0;
+        }
+        case '~': {
+            const upper = parts[1] === null ? [low[0] + 1, 0, 0] : [low[0], low[1] + 1, 0];
+            return compare(version, low) >= 0 && compare(version, upper) < 0;
+        }
+        default:
+            return compare(version, low) >= 0 && (high ? compare(version, high) < 0 : compare(version, low) === 0);
+    }
+}
+
+// Check whether a version satisfies a range
+function satisfies(version, range) {
+    const parsed = parseVersion(version);
+    if (!parsed || parsed.includes(null)) {
+        return false;
+    }
+
+    return String(range).split('||').some(alternative => {
+        const hyphen = /^\s*(\S+)\s+-\s+(\S+)\s*$/.exec(alternative);
+        const comparators = hyphen
+            ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+            : alternative.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+
+        return comparators.length === 0 || comparators.every(comparator => matchesComparator(parsed, comparator));
+    });
+}
+
+module.exports = {
+    compare: (a, b) => compare(parseVersion(a), parseVersion(b)),
+    parseVersion,
+    satisfies
+};
@@ -0,0 +1,238 @@
+// Step journal persisted to .install-state.json so an interrupted install can
+// be resumed with --resume instead of starting over from scratch.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STATE_VERSION = 1;
+const { rootPath } = require('./paths');
+
+const statePath = path.join(rootPath, '.install-state.json');
+
+// Step inputs and outputs are saved without the values of these keys; a
+// resumed run gets them again from where they came from
+const SECRET_KEYS = ['password'];
+
+// Hash any JSON-serializable values into a short fingerprint
+function fingerprint(...parts) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify(parts))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Copy a JSON value without the values of SECRET_KEYS, at any depth
+function withoutSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(withoutSecrets);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !SECRET_KEYS.includes(key))
+            .map(([key, item]) => [key, withoutSecrets(item)]));
+    }
+    return value;
+}
+
+// Fingerprint a file's content, or record that it is missing
+function fileFingerprint(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return 'missing';
+    }
+    if (fs.statSync(filePath).isDirectory()) {
+        return 'directory';
+    }
+    return fingerprint(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Read the state file, ignoring anything unreadable or from another version
+function loadState(file = statePath) {
+    try {
+        const state = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        if (state.version === STATE_VERSION) {
+            return state;
+        }
+    } catch {
+        // Missing or corrupt state means there is nothing to resume
+    }
+    return { version: STATE_VERSION, installers: {} };
+}
+
+// Write the state file; it holds no passwords, but settings and paths are private too
+function saveState(state, file = statePath) {
+    fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n', { mode: 0o600 });
+}
+
+// Create the journal for one installer ("install" or "install-backend").
+// With a dry-run plan, steps are recorded in the plan and nothing is saved.
+// A reporter receives the start, end and duration of every step.
+function createJournal(installer, { file = statePath, log = () => {}, plan = null, reporter = null } = {}) {
+    const state = loadState(file);
+    let resuming = false;
+    let rerunning = false;
+
+    // Write this installer's section only: install.js keeps its journal open
+    // while install-backend.js records its own steps in the same file
+    function save() {
+        if (plan) {
+            return;
+        }
+        const saved = loadState(file);
+        if (state.installers[installer]) {
+            saved.installers[installer] = state.installers[installer];
+        } else {
+            delete saved.installers[installer];
+        }
+        saveState(saved, file);
+    }
+
+    function section() {
+        if (!state.installers[installer]) {
+            state.installers[installer] = { steps: {} };
+        }
+        return state.installers[installer];
+    }
+
+    function record(id, patch) {
+        const steps = section().steps;
+        steps[id] = { ...steps[id], ...patch };
+        section().updatedAt = new Date().toISOString();
+        save();
+    }
+
+    return {
+        // Describe a previous run that did not finish, or null
+        unfinishedRun() {
+            const previous = state.installers[installer];
+            if (!previous || previous.completedAt) {
+                return null;
+            }
+
+            const steps = Object.entries(previous.steps);
+            if (steps.length === 0) {
+                return null;
+            }
+
+            const failed = steps.find(([, step]) => step.status !== 'done');
+            return {
+                startedAt: previous.startedAt,
+                failedStep: failed ? failed[1].title || failed[0] : null,
+                error: failed ? failed[1].error : null
+            };
+        },
+
+        // Start a run; without resume, the previous journal is discarded
+        begin(resume) {
+            resuming = resume;
+            rerunning = false;
+            if (!resume) {
+                state.installers[installer] = { steps: {} };
+            }
+            section().startedAt = section().startedAt || new Date().toISOString();
+            delete section().completedAt;
+            save();
+        },
+
+        get resuming() {
+            return resuming;
+        },
+
+        // Run a step unless it already completed with the same fingerprint.
+        // Once a fingerprinted step runs, every later step runs again too. The
+        // fingerprint sees the inputs without secrets, the way they are saved;
+        // a skipped step returns its saved output, also without secrets.
+        async run({ id, title, inputs = {}, fingerprint: computeFingerprint, run }) {
+            const previous = section().steps[id];
+            const current = computeFingerprint ? computeFingerprint(withoutSecrets(inputs)) : null;
+
+            if (resuming && !rerunning && previous && previous.status === 'done' &&
+                current !== null && previous.fingerprint === current) {
+                log(`\n⏭️  ${title}: already completed, skipping (--resume)`, 'yellow');
+                if (plan) {
+                    plan.skip(title, 'already completed');
+                }
+                if (reporter) {
+                    reporter.stepFinished(id, title, 'skipped');
+                }
+                return previous.output;
+            }
+
+            if (computeFingerprint) {
+                rerunning = true;
+            }
+            if (plan) {
+                plan.step(title);
+            }
+            if (reporter) {
+                reporter.stepStarted(id, title);
+            }
+            record(id, {
+                title,
+                status: 'running',
+                inputs: withoutSecrets(inputs),
+                startedAt: new Date().toISOString(),
+                finishedAt: undefined,
+                error: undefined
+            });
+
+            try {
+                const output = await run(inputs);
+                record(id, {
+                    status: 'done',
+                    output: withoutSecrets(output),
+                    fingerprint: computeFingerprint ? computeFingerprint(withoutSecrets(inputs)) : null,
+                    finishedAt: new Date().toISOString()
+                });
+                if (reporter) {
+                    reporter.stepFinished(id, title, 'done');
+                }
+                return output;
+            } catch (error) {
+                record(id, {
+                    status: 'failed',
+                    error: error.message,
+                    finishedAt: new Date().toISOString()
+                });
+                if (plan) {
+                    plan.fail(error.message);
+                }
+                if (reporter) {
+                    reporter.stepFinished(id, title, 'failed', error);
+                }
+                throw error;
+            }
+        },
+
+        // Keep a value outside the steps for a resumed run
+        remember(name, value) {
+            section().values = { ...section().values, [name]: withoutSecrets(value) };
+            save();
+        },
+
+        recall(name) {
+            const values = section().values || {};
+            return values[name] === undefined ? null : values[name];
+        },
+
+        // Mark the whole run as finished
+        complete() {
+            section().completedAt = new Date().toISOString();
+            save();
+        },
+
+        // Forget the run, e.g. after a rollback left nothing to resume
+        discard() {
+            delete state.installers[installer];
+            save();
+        }
+    };
+}
+
+module.exports = {
+    createJournal,
+    fileFingerprint,
+    fingerprint,
+    statePath,
+    withoutSecrets
+};
@@ -0,0 +1,86 @@
+// Storefront settings written by the installer: the backend URL and the
+// publishable API key go to public/config.json, which the storefront reads at
+// startup and git ignores. Without it the storefront falls back to the
+// defaults in src/environments/environment.ts. The dev server port is not
+// written anywhere; `npm start` reads STOREFRONT_PORT like the other scripts.
+const fs = require('fs');
+const path = require('path');
+const { localUrl } = require('./ports');
+
+const { storefrontPath } = require('./paths');
+
+const configPath = path.join(storefrontPath, 'public', 'config.json');
+const environmentPath = path.join(storefrontPath, 'src', 'environments', 'environment.ts');
+
+// Read public/config.json, or null if the installer has not written it
+function readConfig() {
+    if (!fs.existsSync(configPath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`${path.relative(storefrontPath, configPath)} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Work out the change that sets the given settings: { file, content }, or null if the storefront starts with them already
+function planConfig(values) {
+    if (Object.keys(values).every(key => readSetting(key) === values[key])) {
+        return null;
+    }
+    const config = { ...readConfig(), ...values };
+    return { file: configPath, content: `${JSON.stringify(config, null, 2)}\n` };
+}
+
+// Work out the change that points the storefront at the backend port: [{ file, content }]
+function planStorefrontConfig(ports) {
+    const change = planConfig({ apiUrl: localUrl(ports.backend) });
+    return change ? [change] : [];
+}
+
+// Work out the change for the publishable key: { file, content }, or null if it is set already
+function planPublishableKey(key) {
+    return planConfig({ publishableKey: key });
+}
+
+// Write a planned change, creating public/ if needed
+function writeChange(change) {
+    fs.mkdirSync(path.dirname(change.file), { recursive: true });
+    fs.writeFileSync(change.file, change.content);
+}
+
+// Read a string default of environment.ts, or null
+function readEnvironmentValue(name) {
+    if (!fs.existsSync(environmentPath)) {
+        return null;
+    }
+    const match = new RegExp(`${name}:\\s*(['"])([^'"]*)\\1`).exec(fs.readFileSync(environmentPath, 'utf-8'));
+    return match ? match[2] : null;
+}
+
+// Read a setting the storefront starts with: config.json, else the environment.ts default
+function readSetting(name) {
+    const config = readConfig();
+    return config && typeof config[name] === 'string' && config[name] ? config[name] : readEnvironmentValue(name);
+}
+
+// Read the backend URL the storefront is configured with, or null
+function readBackendUrl() {
+    return readSetting('apiUrl');
+}
+
+// Read the publishable API key the storefront sends, or null
+function readPublishableKey() {
+    return readSetting('publishableKey');
+}
+
+module.exports = {
+    configPath,
+    environmentPath,
+    planPublishableKey,
+    planStorefrontConfig,
+    readBackendUrl,
+    readPublishableKey,
+    writeChange
+};
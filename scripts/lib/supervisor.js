@@ -0,0 +1,267 @@
+// Process supervisor for `npm run dev`: runs each service as a child process
+// with its output prefixed by the service name, polls its URL to tell when it
+// is ready, and restarts it with a growing delay when it crashes.
+//
+// Service status: starting -> ready, then crashed -> starting again, or
+// failed once it crashed MAX_CRASHES times in a row; stopped after stop().
+const { execSync, spawn } = require('child_process');
+const http = require('http');
+const readline = require('readline');
+const { colors, stripAnsi, supportsColor } = require('./cli');
+
+// Delay before each restart in a row; the last one repeats
+const RESTART_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+// A service that ran this long before crashing starts over at the first delay
+const STABLE_AFTER = 60000;
+const MAX_CRASHES = 5;
+
+const POLL_INTERVAL = 1000;
+const PROBE_TIMEOUT = 2000;
+const STOP_TIMEOUT = 5000;
+
+const isWindows = process.platform === 'win32';
+
+// Resolve true if the URL answers with anything but a server error
+function probeUrl(url, timeout = PROBE_TIMEOUT) {
+    return new Promise(resolve => {
+        const request = http.get(url, { timeout }, response => {
+            response.resume();
+            resolve(response.statusCode < 500);
+        });
+        request.on('timeout', () => request.destroy());
+        request.on('error', () => resolve(false));
+    });
+}
+
+// Signal a child and everything it started (npm -> medusa -> node)
+function killTree(child, signal) {
+    try {
+        if (isWindows) {
+            execSync(`taskkill /pid ${child.pid} /T /F`, { stdio: 'ignore' });
+        } else {
+            process.kill(-child.pid, signal);
+        }
+    } catch {
+        // Already gone
+    }
+}
+
+// Create a supervisor; onChange(service) is called on every status change
+function createSupervisor({
+    write = line => console.log(line),
+    color = supportsColor(),
+    restart = true,
+    restartDelays = RESTART_DELAYS,
+    maxCrashes = MAX_CRASHES,
+    onChange = () => {}
+} = {}) {
+    const services = new Map();
+    const waiters = [];
+    let stopping = false;
+
+    // Print one line of a service's output behind its name
+    function output(service, line) {
+        const width = Math.max(...[...services.keys()].map(name => name.length)) + 2;
+        const label = `[${service.name}]`.padEnd(width);
+        write(color
+            ? `${colors[service.color] || ''}${label}${colors.reset} ${line}`
+            : `${label} ${stripAnsi(line)}`);
+    }
+
+    function setStatus(service, status, detail = null) {
+        service.status = status;
+        service.detail = detail;
+        onChange(service);
+
+        for (const waiter of waiters.filter(entry => entry.name === service.name)) {
+            if (status === 'ready') {
+                waiter.resolve();
+            } else if (status === 'failed' || status === 'stopped') {
+                waiter.reject(new Error(`${service.name} ${status}${detail ? `: ${detail}` : ''}`));
+            }
+        }
+    }
+
+    // Poll the service's URL until it answers, as long as this child runs
+    async function watchReadiness(service, child) {
+        if (!service.url) {
+            setStatus(service, 'ready');
+            return;
+        }
+        while (service.child === child) {
+            if (await probeUrl(service.url)) {
+                if (service.child === child) {
+                    setStatus(service, 'ready');
+                }
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+        }
+    }
+
+    function launch(service) {
+        service.startedAt = Date.now();
+        const child = spawn(service.command, {
+            cwd: service.cwd,
+            env: { ...process.env, ...(color ? { FORCE_COLOR: '1' } : {}), ...service.env },
+            shell: true,
+            // Its own process group, so the whole tree can be stopped
+            detached: !isWindows,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        service.child = child;
+        setStatus(service, 'starting');
+
+        for (const stream of [child.stdout, child.stderr]) {
+            readline.createInterface({ input: stream }).on('line', line => output(service, line));
+        }
+
+        child.on('error', error => output(service, `❌ ${error.message}`));
+        child.on('exit', (code, signal) => exited(service, child, signal || `code ${code}`));
+        watchReadiness(service, child);
+    }
+
+    function exited(service, child, reason) {
+        if (service.child !== child) {
+            return;
+        }
+        service.child = null;
+
+        if (stopping || service.next === 'stop') {
+            service.next = null;
+            setStatus(service, 'stopped');
+            return;
+        }
+        if (service.next === 'restart') {
+            service.next = null;
+            service.restarts++;
+            launch(service);
+            return;
+        }
+
+        service.crashes = Date.now() - service.startedAt > STABLE_AFTER ? 1 : service.crashes + 1;
+        if (!restart || service.crashes >= maxCrashes) {
+            const detail = restart ? `exited with ${reason}, ${service.crashes} crashes in a row` : `exited with ${reason}`;
+            setStatus(service, 'failed', detail);
+            return;
+        }
+
+        const delay = restartDelays[Math.min(service.crashes - 1, restartDelays.length - 1)];
+        setStatus(service, 'crashed', `exited with ${reason}, restarting in ${delay / 1000}s`);
+        service.timer = setTimeout(() => {
+            service.timer = null;
+            service.restarts++;
+            launch(service);
+        }, delay);
+    }
+
+    // Stop a running child, giving it STOP_TIMEOUT to exit before it is killed
+    function terminate(service) {
+        const child = service.child;
+        if (!child) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(() => killTree(child, 'SIGKILL'), STOP_TIMEOUT);
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            killTree(child, 'SIGTERM');
+        });
+    }
+
+    return {
+        // Register and start a service: { name, command, cwd, env, color, url }
+        start({ name, command, cwd, env = {}, color: serviceColor = 'white', url = null }) {
+            const service = {
+                name,
+                command,
+                cwd,
+                env,
+                color: serviceColor,
+                url,
+                status: null,
+                detail: null,
+                restarts: 0,
+                crashes: 0,
+                child: null,
+                timer: null,
+                next: null
+            };
+            services.set(name, service);
+            launch(service);
+            return service;
+        },
+
+        // Resolve once the service is ready; rejects when it fails or the timeout passes
+        waitUntilReady(name, { timeout } = {}) {
+            const service = services.get(name);
+            if (service.status === 'ready') {
+                return Promise.resolve();
+            }
+
+            return new Promise((resolve, reject) => {
+                const waiter = { name };
+                const done = callback => value => {
+                    clearTimeout(waiter.timer);
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    callback(value);
+                };
+                waiter.resolve = done(resolve);
+                waiter.reject = done(reject);
+                if (timeout) {
+                    waiter.timer = setTimeout(() => {
+                        waiter.reject(new Error(`${name} did not answer on ${service.url} within ${Math.round(timeout / 1000)}s`));
+                    }, timeout);
+                }
+                waiters.push(waiter);
+            });
+        },
+
+        // Restart a service now, also one that failed or is waiting to restart
+        async restart(name) {
+            const service = services.get(name);
+            if (!service || stopping) {
+                return;
+            }
+            service.crashes = 0;
+            if (service.timer) {
+                clearTimeout(service.timer);
+                service.timer = null;
+            }
+            if (service.child) {
+                service.next = 'restart';
+                await terminate(service);
+            } else {
+                service.restarts++;
+                launch(service);
+            }
+        },
+
+        // Stop every service
+        async stop() {
+            stopping = true;
+            for (const service of services.values()) {
+                if (service.timer) {
+                    clearTimeout(service.timer);
+                    service.timer = null;
+                }
+                if (!service.child && service.status !== 'stopped') {
+                    setStatus(service, 'stopped');
+                }
+            }
+            await Promise.all([...services.values()].map(terminate));
+        },
+
+        list() {
+            return [...services.values()];
+        }
+    };
+}
+
+module.exports = {
+    createSupervisor,
+    probeUrl
+};
@@ -0,0 +1,279 @@
+// Minimal YAML reader for the files the installer consumes (answers files,
+// docker-compose.yml). Supports block mappings and sequences, flow
+// sequences/mappings on a single line, quoted and plain scalars and comments.
+// Anchors, tags and multi-line scalars are not supported and raise an error.
+
+// Strip a trailing comment that is not inside quotes
+function stripComment(line) {
+    let quote = null;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+
+    return line;
+}
+
+// Split a line into meaningful entries with their indentation
+function tokenize(text) {
+    const lines = [];
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const content = stripComment(raw).replace(/\s+$/, '');
+        if (!content.trim() || content.trim() === '---' || content.trim() === '...') {
+            return;
+        }
+
+        if (/^\t/.test(raw)) {
+            throw new Error(`YAML line ${index + 1}: tabs are not allowed for indentation`);
+        }
+
+        lines.push({
+            indent: content.length - content.trimStart().length,
+            text: content.trim(),
+            line: index + 1
+        });
+    });
+
+    return lines;
+}
+
+// Split a flow collection body on top-level commas
+function splitFlow(body) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                current += char + body[++i];
+                continue;
+            }
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+
+        current += char;
+    }
+
+    if (current.trim()) {
+        parts.push(current.trim());
+    }
+
+    return parts;
+}
+
+// Find the colon separating a mapping key from its value
+function findKeySeparator(text) {
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+// Convert a scalar token to its JavaScript value
+function parseScalar(token, line) {
+    const value = token.trim();
+
+    if (value.startsWith('"')) {
+        if (!value.endsWith('"') || value.length < 2) {
+            throw new Error(`YAML line ${line}: unterminated string`);
+        }
+        return JSON.parse(value);
+    }
+
+    if (value.startsWith('\'')) {
+        if (!value.endsWith('\'') || value.length < 2) {
+            throw new Error(`YAML line ${line}: unterminated string`);
+        }
+        return value.slice(1, -1).replace(/''/g, '\'');
+    }
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+        const closing = value.startsWith('[') ? ']' : '}';
+        if (!value.endsWith(closing)) {
+            throw new Error(`YAML line ${line}: multi-line flow collections are not supported`);
+        }
+
+        const items = splitFlow(value.slice(1, -1));
+        if (closing === ']') {
+            return items.map(item => parseScalar(item, line));
+        }
+
+        const result = {};
+        for (const item of items) {
+            const separator = findKeySeparator(item);
+            if (separator === -1) {
+                throw new Error(`YAML line ${line}: expected "key: value" in flow mapping`);
+            }
+            result[parseScalar(item.slice(0, separator), line)] = parseScalar(item.slice(separator + 1), line);
+        }
+        return result;
+    }
+
+    if (/^[|>][+-]?$/.test(value) || value.startsWith('&') || value.startsWith('*') || value.startsWith('!')) {
+        throw new Error(`YAML line ${line}: unsupported YAML feature "${value}"`);
+    }
+
+    if (value === '' || value === '~' || value === 'null' || value === 'Null' || value === 'NULL') {
+        return null;
+    }
+    if (/^(true|True|TRUE)$/.test(value)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(value)) {
+        return false;
+    }
+    if (/^[-+]?\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+
+    return value;
+}
+
+// Parse a block (mapping or sequence) starting at lines[index]
+function parseBlock(lines, index, indent) {
+    const isSequence = lines[index].text === '-' || lines[index].text.startsWith('- ');
+    const result = isSequence ? [] : {};
+
+    while (index < lines.length && lines[index].indent === indent) {
+        const { text, line } = lines[index];
+
+        if (isSequence) {
+            if (text !== '-' && !text.startsWith('- ')) {
+                break;
+            }
+
+            const itemText = text.slice(1).trim();
+
+            if (!itemText) {
+                if (index + 1 < lines.length && lines[index + 1].indent > indent) {
+                    const [value, next] = parseBlock(lines, index + 1, lines[index + 1].indent);
+                    result.push(value);
+                    index = next;
+                } else {
+                    result.push(null);
+                    index++;
+                }
+                continue;
+            }
+
+            if (findKeySeparator(itemText) !== -1 && !/^["'[{]/.test(itemText)) {
+                // A mapping that starts on the same line as the dash
+                const itemIndent = indent + (text.length - itemText.length);
+                const nested = [{ indent: itemIndent, text: itemText, line }];
+                let next = index + 1;
+                while (next < lines.length && lines[next].indent > indent) {
+                    nested.push(lines[next]);
+                    next++;
+                }
+                const [value] = parseBlock(nested, 0, itemIndent);
+                result.push(value);
+                index = next;
+                continue;
+            }
+
+            result.push(parseScalar(itemText, line));
+            index++;
+            continue;
+        }
+
+        const separator = findKeySeparator(text);
+        if (separator === -1) {
+            throw new Error(`YAML line ${line}: expected "key: value"`);
+        }
+
+        const key = parseScalar(text.slice(0, separator), line);
+        const rest = text.slice(separator + 1).trim();
+
+        if (rest) {
+            result[key] = parseScalar(rest, line);
+            index++;
+        } else if (index + 1 < lines.length && lines[index + 1].indent > indent) {
+            const [value, next] = parseBlock(lines, index + 1, lines[index + 1].indent);
+            result[key] = value;
+            index = next;
+        } else if (index + 1 < lines.length && lines[index + 1].indent === indent &&
+            lines[index + 1].text.startsWith('- ')) {
+            // Sequences may sit at the same indentation as their parent key
+            const [value, next] = parseBlock(lines, index + 1, indent);
+            result[key] = value;
+            index = next;
+        } else {
+            result[key] = null;
+            index++;
+        }
+    }
+
+    if (index < lines.length && lines[index].indent > indent) {
+        throw new Error(`YAML line ${lines[index].line}: unexpected indentation`);
+    }
+
+    return [result, index];
+}
+
+// Parse a YAML document into plain JavaScript values
+function parse(text) {
+    const lines = tokenize(text);
+    if (lines.length === 0) {
+        return null;
+    }
+
+    if (lines.length === 1 && findKeySeparator(lines[0].text) === -1 && !lines[0].text.startsWith('-')) {
+        return parseScalar(lines[0].text, lines[0].line);
+    }
+
+    const [value, next] = parseBlock(lines, 0, lines[0].indent);
+    if (next < lines.length) {
+        throw new Error(`YAML line ${lines[next].line}: unexpected indentation`);
+    }
+
+    return value;
+}
+
+module.exports = {
+    parse
+};
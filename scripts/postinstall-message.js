@@ -1,19 +1,9 @@
 const fs = require('fs');
-const path = require('path');
+const { log } = require('./lib/cli');
+const { readPorts } = require('./lib/ports');
+const { backendPath } = require('./lib/paths');
 
-const colors = {
-    reset: '\x1b[0m',
-    green: '\x1b[32m',
-    cyan: '\x1b[36m',
-    yellow: '\x1b[33m',
-    bold: '\x1b[1m'
-};
-
-function log(message, color = 'reset') {
-    console.log(`${colors[color]}${message}${colors.reset}`);
-}
-
-const backendExists = fs.existsSync(path.join(__dirname, '..', 'backend'));
+const backendExists = fs.existsSync(backendPath);
 
 log('\n' + '═'.repeat(60), 'cyan');
 log('  ✅ Dependencies installed successfully!', 'green');
@@ -30,14 +20,16 @@ if (!backendExists) {
     log('     npm run install:backend    # Install Medusa backend', 'white');
     log('     npm run install:storefront # Install Angular storefront', 'white');
 } else {
+    const ports = readPorts();
+
     log('🎉 Everything is installed!', 'green');
     log('');
     log('  Start development with:', 'cyan');
     log('     npm run dev', 'white');
     log('');
     log('  Or start individually:', 'cyan');
-    log('     npm run dev:backend     # Start Medusa (port 9000)', 'white');
-    log('     npm run dev:storefront  # Start Angular (port 4200)', 'white');
+    log(`     npm run dev:backend     # Start Medusa (port ${ports.backend})`, 'white');
+    log(`     npm run dev:storefront  # Start Angular (port ${ports.storefront})`, 'white');
 }
 
 log('\n' + '═'.repeat(60) + '\n', 'cyan');
\ No newline at end of file
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const providers = require('./lib/providers');
+const { getAnswersPath, loadAnswers } = require('./lib/answers');
+const { createPrompter, log } = require('./lib/cli');
+const { backendPath } = require('./lib/paths');
+
+// Print the catalog and what is currently enabled
+function listProviders() {
+    const enabled = providers.readSelection(backendPath);
+
+    log('\n🔌 Available integrations:\n', 'cyan');
+    for (const provider of providers.providers) {
+        const marker = enabled.includes(provider.id) ? '✅' : '  ';
+        const keys = provider.keys.map(spec => spec.key).join(', ');
+        log(`${marker} ${provider.id.padEnd(17)} ${provider.name} (${provider.category})`, enabled.includes(provider.id) ? 'green' : 'white');
+        log(`   ${' '.repeat(17)} ${keys}`, 'reset');
+    }
+    log('');
+}
+
+async function main() {
+    if (process.argv.includes('--list')) {
+        listProviders();
+        return;
+    }
+
+    if (!fs.existsSync(path.join(backendPath, '.env'))) {
+        throw new Error('backend/.env not found. Run "npm run install:backend" first.');
+    }
+
+    let selection;
+    const answersPath = getAnswersPath();
+
+    if (answersPath) {
+        selection = loadAnswers(answersPath).providers;
+        log(`📄 Using integrations from ${answersPath}`, 'cyan');
+    } else {
+        const prompt = createPrompter();
+        selection = await providers.promptForProviders({
+            question: (query, { secret = false } = {}) => (secret ? prompt.password(query) : prompt.text(query)),
+            log,
+            current: providers.readCurrentSelection(backendPath)
+        });
+    }
+
+    const before = providers.readSelection(backendPath);
+    providers.updateEnvFile(backendPath, selection);
+    const after = Object.keys(selection);
+
+    const added = after.filter(id => !before.includes(id));
+    const removed = before.filter(id => !after.includes(id));
+
+    log('\n✅ backend/.env updated (secrets and other settings were left untouched)', 'green');
+    if (added.length > 0) {
+        log(`   Added:   ${added.join(', ')}`, 'white');
+    }
+    if (removed.length > 0) {
+        log(`   Removed: ${removed.join(', ')}`, 'white');
+    }
+    if (after.some(id => providers.getProvider(id).module)) {
+        log(`\n💡 Register the generated modules from backend/${providers.configFile} in medusa-config:`, 'cyan');
+        log(`   modules: [...require('./${providers.configFile}')]`, 'white');
+    }
+    log('');
+}
+
+main().catch(error => {
+    log(`\n❌ ${error.message}`, 'red');
+    process.exit(1);
+});
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const backups = require('./lib/backups');
+const { createPrompter, log } = require('./lib/cli');
+const { backendPath } = require('./lib/paths');
+
+const isCI = process.env.CI === 'true';
+
+const USAGE = `Usage: npm run restore -- [<backup>|latest] [--yes]
+
+Without a backup, lists the backups in .backups/.
+With one, moves it back to backend/. The current backend/ is backed up first.
+
+Options:
+  --yes     Do not ask for confirmation`;
+
+function listBackups() {
+    const list = backups.listBackups();
+
+    if (list.length === 0) {
+        log('\nNo backups in .backups/. One is taken whenever the installer replaces backend/.\n', 'yellow');
+        return;
+    }
+
+    log('\n🗄️  Backend backups (newest first)\n', 'cyan');
+    for (const backup of list) {
+        log(`   ${backup.id}  ${new Date(backup.createdAt).toLocaleString()}  ${backup.reason}`, 'white');
+    }
+    log('\n💡 Restore one with: npm run restore -- <backup>|latest\n', 'cyan');
+}
+
+async function restoreBackup(id, confirmed) {
+    const backup = backups.findBackup(id);
+
+    if (!confirmed) {
+        if (isCI || !process.stdin.isTTY) {
+            throw new Error('Restoring replaces backend/. Pass --yes to confirm.');
+        }
+        const current = fs.existsSync(backendPath) ? ' The current backend/ will be backed up first.' : '';
+        const proceed = await createPrompter().confirm(`Restore ${backup.id} to backend/?${current} (y/N): `);
+        if (!proceed) {
+            log('Restore cancelled', 'yellow');
+            return;
+        }
+    }
+
+    const previous = backups.restoreBackup(backup, backendPath);
+    if (previous) {
+        log(`📦 Previous backend/ saved as .backups/${previous.id}`, 'white');
+    }
+    log(`✅ Restored ${backup.id} to backend/`, 'green');
+    if (backup.excluded.includes('node_modules')) {
+        log('   The backup was taken without node_modules. Install them with: cd backend && npm install', 'yellow');
+    }
+    log('   Run "npm run doctor" to check it against the current database.\n', 'white');
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        return;
+    }
+
+    const id = argv.find(arg => !arg.startsWith('--'));
+    if (!id) {
+        listBackups();
+        return;
+    }
+
+    await restoreBackup(id, argv.includes('--yes'));
+}
+
+main().catch(error => {
+    log(`\n❌ ${error.message}`, 'red');
+    process.exit(1);
+});
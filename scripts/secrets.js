@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const secrets = require('./lib/secrets');
+const { readEnvFile } = require('./lib/env-file');
+const { envFileNames, environments } = require('./lib/environments');
+const { getArgValue } = require('./lib/answers');
+const { log } = require('./lib/cli');
+const { backendPath } = require('./lib/paths');
+
+const USAGE = `Usage: npm run secrets -- <command> [options]
+
+Commands:
+  rotate    Regenerate secrets in place in one env file
+  diff      Show which lines "rotate" would change, without writing
+  audit     Flag missing, weak, placeholder or reused secrets in all env files
+
+Options:
+  --env <name>        development (backend/.env), test, staging or production [development]
+  --keys <list>       Comma-separated secrets to rotate [${secrets.SECRET_KEYS.join(',')}]
+  --json              Print the audit as JSON`;
+
+// Resolve --env to the env file it stands for
+function getEnvFile(argv) {
+    const environment = getArgValue(argv, '--env') || 'development';
+    if (!environments.includes(environment)) {
+        throw new Error(`Unknown environment "${environment}" (expected ${environments.join(', ')})`);
+    }
+
+    const file = path.join(backendPath, envFileNames[environment]);
+    if (!fs.existsSync(file)) {
+        throw new Error(`backend/${envFileNames[environment]} not found`);
+    }
+    return file;
+}
+
+// Read the --keys list
+function getKeys(argv) {
+    const value = getArgValue(argv, '--keys');
+    return secrets.resolveKeys(value ? value.split(',').map(key => key.trim()).filter(Boolean) : null);
+}
+
+// Print the changed lines with the secrets masked
+function printChanges(file, changes) {
+    log(`--- backend/${path.basename(file)}`, 'white');
+    for (const change of changes) {
+        log(`-${String(change.line).padStart(4)} ${change.key}=${secrets.mask(change.from)}`, 'red');
+        log(`+${String(change.line).padStart(4)} ${change.key}=${secrets.mask(change.to)}`, 'green');
+    }
+}
+
+function rotateSecrets(argv, write) {
+    const file = getEnvFile(argv);
+    const { content, changes } = secrets.rotate(fs.readFileSync(file, 'utf-8'), getKeys(argv));
+
+    printChanges(file, changes);
+
+    if (!write) {
+        log(`\n💡 ${changes.length} line(s) would change. Apply with: npm run secrets -- rotate${argv.map(arg => ` ${arg}`).join('')}`, 'cyan');
+        return;
+    }
+
+    fs.writeFileSync(file, content);
+    log(`\n✅ Rotated ${[...new Set(changes.map(change => change.key))].join(', ')} in backend/${path.basename(file)}`, 'green');
+    log('⚠️  Existing sessions and tokens signed with the old secrets are no longer valid. Restart the backend.', 'yellow');
+}
+
+function auditSecrets(argv) {
+    const files = Object.values(envFileNames)
+        .map(name => ({ name, env: readEnvFile(path.join(backendPath, name)) }))
+        .filter(file => file.env);
+
+    if (files.length === 0) {
+        throw new Error('No env files found in backend/. Run "npm run install:backend" first.');
+    }
+
+    const findings = secrets.audit(files);
+
+    if (argv.includes('--json')) {
+        console.log(JSON.stringify({ ok: findings.length === 0, files: files.map(file => file.name), findings }, null, 2));
+    } else {
+        log(`\n🔐 Auditing ${secrets.SECRET_KEYS.join(', ')} in ${files.map(file => file.name).join(', ')}\n`, 'cyan');
+        for (const finding of findings) {
+            log(`❌ ${finding.file} ${finding.key}: ${finding.message}`, 'red');
+        }
+        if (findings.length === 0) {
+            log('✅ No weak, placeholder or reused secrets found', 'green');
+        } else {
+            log('\n💡 Fix with: npm run secrets -- rotate --env <name>', 'cyan');
+        }
+        log('');
+    }
+
+    process.exitCode = findings.length > 0 ? 1 : 0;
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const command = argv[0];
+
+    switch (command) {
+        case 'rotate':
+            rotateSecrets(argv.slice(1), true);
+            break;
+        case 'diff':
+            rotateSecrets(argv.slice(1), false);
+            break;
+        case 'audit':
+            auditSecrets(argv.slice(1));
+            break;
+        default:
+            console.log(USAGE);
+            process.exitCode = command ? 1 : 0;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    log(`\n❌ ${error.message}`, 'red');
+    process.exit(1);
+}
@@ -0,0 +1,26 @@
+const { spawn } = require('child_process');
+const { log } = require('./lib/cli');
+const { readPorts } = require('./lib/ports');
+const { storefrontPath } = require('./lib/paths');
+
+// Start `ng serve` on STOREFRONT_PORT (root .env or environment); other arguments are passed on
+function main() {
+    const args = process.argv.slice(2);
+    const ng = require.resolve('@angular/cli/bin/ng.js', { paths: [storefrontPath] });
+    const portArgs = args.some(arg => arg === '--port' || arg.startsWith('--port=')) ? [] : ['--port', String(readPorts().storefront)];
+
+    const child = spawn(process.execPath, [ng, 'serve', ...portArgs, ...args], { cwd: storefrontPath, stdio: 'inherit' });
+
+    // Pass stop signals on to ng serve and exit once it has stopped
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => child.kill(signal));
+    }
+    child.on('exit', (code, signal) => process.exit(signal ? 1 : code));
+}
+
+try {
+    main();
+} catch (error) {
+    log(`\n❌ ${error.message}`, 'red');
+    process.exit(1);
+}
@@ -0,0 +1,46 @@
+import type { SubscriberArgs, SubscriberConfig } from '@medusajs/framework';
+import { ContainerRegistrationKeys, Modules } from '@medusajs/framework/utils';
+
+type PasswordResetEvent = {
+  // The email the reset was asked for
+  entity_id: string;
+  actor_type: string;
+  token: string;
+};
+
+// Sends customers the storefront link to choose a new password. Without a
+// notification provider for email, development backends (NODE_ENV unset or
+// development) log the link instead; staging and production fail loudly.
+export default async function customerPasswordReset({
+  event: { data },
+  container,
+}: SubscriberArgs<PasswordResetEvent>) {
+  if (data.actor_type !== 'customer') {
+    return;
+  }
+
+  // The storefront is the first origin the Store API accepts
+  const storefrontUrl = (process.env.STORE_CORS ?? '').split(',')[0].trim().replace(/\/$/, '');
+  const params = new URLSearchParams({ token: data.token, email: data.entity_id });
+  const url = `${storefrontUrl}/reset-password/new?${params}`;
+
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER);
+  try {
+    await container.resolve(Modules.NOTIFICATION).createNotifications({
+      to: data.entity_id,
+      channel: 'email',
+      template: 'customer-password-reset',
+      data: { url },
+    });
+  } catch (error) {
+    const nodeEnv = process.env.NODE_ENV;
+    if (nodeEnv && nodeEnv !== 'development') {
+      throw error;
+    }
+    logger.info(`Password reset link for ${data.entity_id}: ${url}`);
+  }
+}
+
+export const config: SubscriberConfig = {
+  event: 'auth.password_reset',
+};
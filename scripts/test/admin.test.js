@@ -0,0 +1,131 @@
+// lib/admin: the email and password rules, and how `medusa user` is started:
+// the email as one argument, the password through stdin, never on argv.
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkPasswordStrength, createAdmin, readNonInteractiveCredentials, validateEmail } = require('../lib/admin');
+
+const PASSWORD = 'Str0ng!Passw0rd#';
+
+// A fake medusa CLI that records its process.argv and the command line the OS sees
+const FAKE_CLI = `
+const fs = require('fs');
+const cmdline = fs.existsSync('/proc/self/cmdline') ? fs.readFileSync('/proc/self/cmdline', 'utf-8').split('\\0') : null;
+fs.writeFileSync(process.env.FAKE_ADMIN_RECORD, JSON.stringify({ argv: process.argv.slice(2), cmdline }));
+if (process.env.FAKE_ADMIN_FAIL) {
+    console.error('Error: could not create user with password ' + process.argv[process.argv.length - 1].split('=')[1]);
+    process.exit(1);
+}
+console.log('User created successfully.');
+`;
+
+describe('lib/admin', () => {
+    describe('validateEmail', () => {
+        it('accepts an address and rejects anything else', () => {
+            assert.equal(validateEmail('owner@example.com'), null);
+            assert.equal(validateEmail(''), 'Email is required');
+            assert.equal(validateEmail('owner@example'), '"owner@example" is not a valid email address');
+            assert.equal(validateEmail('own er@example.com'), '"own er@example.com" is not a valid email address');
+        });
+
+        it('rejects an address starting with "-", which would read as an option', () => {
+            assert.equal(validateEmail('-p@example.com'), '"-p@example.com" is not a valid email address');
+            assert.equal(validateEmail('--invite@example.com'), '"--invite@example.com" is not a valid email address');
+        });
+    });
+
+    describe('checkPasswordStrength', () => {
+        it('accepts a long password mixing character classes', () => {
+            assert.deepEqual(checkPasswordStrength(PASSWORD, { email: 'owner@example.com' }), []);
+        });
+
+        it('lists every rule a password breaks', () => {
+            assert.deepEqual(checkPasswordStrength(''), ['is required']);
+            assert.deepEqual(checkPasswordStrength('short'), [
+                'must be at least 12 characters',
+                'must mix at least 3 of: lowercase, uppercase, digits, symbols'
+            ]);
+            assert.deepEqual(checkPasswordStrength('Password-123'), ['is a commonly used password']);
+            assert.deepEqual(checkPasswordStrength('Owner-2024-Shop', { email: 'owner@example.com' }), ['must not contain the email name']);
+        });
+    });
+
+    describe('readNonInteractiveCredentials', () => {
+        it('prefers options over ADMIN_* variables and reads a password file', () => {
+            const file = path.join(os.tmpdir(), `admin-password-${process.pid}`);
+            fs.writeFileSync(file, `${PASSWORD}\n`);
+            try {
+                assert.deepEqual(readNonInteractiveCredentials({ passwordFile: file }, { ADMIN_EMAIL: 'a@example.com', ADMIN_PASSWORD: 'ignored' }), {
+                    email: 'a@example.com',
+                    password: PASSWORD
+                });
+                assert.deepEqual(readNonInteractiveCredentials({ email: 'b@example.com' }, { ADMIN_PASSWORD: PASSWORD }), {
+                    email: 'b@example.com',
+                    password: PASSWORD
+                });
+                assert.throws(() => readNonInteractiveCredentials({ passwordFile: `${file}-missing` }, {}), /^Error: Password file not found: /);
+            } finally {
+                fs.rmSync(file, { force: true });
+            }
+        });
+    });
+
+    describe('createAdmin', () => {
+        let backendPath;
+        let recordPath;
+
+        before(() => {
+            backendPath = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-test-'));
+            recordPath = path.join(backendPath, 'record.json');
+            const cliPath = path.join(backendPath, 'node_modules', '@medusajs', 'cli');
+            fs.mkdirSync(cliPath, { recursive: true });
+            fs.writeFileSync(path.join(cliPath, 'package.json'), JSON.stringify({ name: '@medusajs/cli', bin: { medusa: 'cli.js' } }));
+            fs.writeFileSync(path.join(cliPath, 'cli.js'), FAKE_CLI);
+            process.env.FAKE_ADMIN_RECORD = recordPath;
+        });
+
+        after(() => {
+            delete process.env.FAKE_ADMIN_RECORD;
+            delete process.env.FAKE_ADMIN_FAIL;
+            fs.rmSync(backendPath, { recursive: true, force: true });
+        });
+
+        const record = () => JSON.parse(fs.readFileSync(recordPath, 'utf-8'));
+
+        it('passes the email as one argument and the password only through stdin', () => {
+            const email = 'o\'neil+$(whoami)@example.com';
+
+            assert.equal(createAdmin({ email, password: `-${PASSWORD}`, backendPath }), 'User created successfully.');
+
+            const { argv, cmdline } = record();
+            assert.deepEqual(argv, ['user', `--email=${email}`, `--password=-${PASSWORD}`]);
+            if (cmdline) {
+                assert.ok(cmdline.includes(`--email=${email}`));
+                assert.ok(!cmdline.join(' ').includes(PASSWORD), 'the password is not on the command line');
+            }
+        });
+
+        it('checks the email and password before starting the CLI', () => {
+            fs.rmSync(recordPath, { force: true });
+
+            assert.throws(() => createAdmin({ email: '-i@example.com', password: PASSWORD, backendPath }), {
+                message: '"-i@example.com" is not a valid email address'
+            });
+            assert.throws(() => createAdmin({ email: 'owner@example.com', password: 'short', backendPath }), /^Error: Password must be at least 12 characters/);
+            assert.ok(!fs.existsSync(recordPath));
+        });
+
+        it('reports a failure of the CLI without the password', () => {
+            process.env.FAKE_ADMIN_FAIL = '1';
+            try {
+                assert.throws(() => createAdmin({ email: 'owner@example.com', password: PASSWORD, backendPath }), {
+                    message: 'medusa user failed: Error: could not create user with password ********'
+                });
+            } finally {
+                delete process.env.FAKE_ADMIN_FAIL;
+            }
+        });
+    });
+});
@@ -0,0 +1,75 @@
+// lib/answers: reading, validating and normalizing answers files
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getAnswersPath, loadAnswers, validate } = require('../lib/answers');
+const schema = require('../lib/answers.schema.json');
+
+describe('lib/answers', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'answers-test-'));
+
+    // Write an answers file and return its path
+    function answersFile(name, content) {
+        const file = path.join(directory, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('resolves --answers against the directory npm was run from', () => {
+        const previous = process.env.INIT_CWD;
+        process.env.INIT_CWD = '/work';
+        try {
+            assert.equal(getAnswersPath(['--answers', 'install.yml']), path.resolve('/work', 'install.yml'));
+            assert.equal(getAnswersPath(['--answers=ci/install.json']), path.resolve('/work', 'ci/install.json'));
+            assert.equal(getAnswersPath(['--resume']), null);
+            assert.throws(() => getAnswersPath(['--answers', '--resume']), /--answers requires a path/);
+        } finally {
+            if (previous === undefined) {
+                delete process.env.INIT_CWD;
+            } else {
+                process.env.INIT_CWD = previous;
+            }
+        }
+    });
+
+    it('loads a YAML file and fills in the defaults', () => {
+        const answers = loadAnswers(answersFile('install.yml', 'database:\n  password: secret\n  port: "5433"\n'));
+
+        assert.equal(answers.database.host, 'localhost');
+        assert.equal(answers.database.port, '5433');
+        assert.equal(answers.database.name, 'medusa-store');
+        assert.deepEqual(answers.admin, { create: false });
+    });
+
+    it('checks the range of a port given as a number or as a string', () => {
+        const portErrors = port => validate({ database: { password: '', port } }, schema);
+
+        assert.deepEqual(portErrors(5432), []);
+        assert.deepEqual(portErrors('5432'), []);
+        assert.deepEqual(portErrors(0), ['answers.database.port must be at least 1']);
+        assert.deepEqual(portErrors('0'), ['answers.database.port must be at least 1']);
+        assert.deepEqual(portErrors('99999'), ['answers.database.port must be at most 65535']);
+        assert.deepEqual(portErrors('54x'), ['answers.database.port has an invalid format ("54x")']);
+    });
+
+    it('lists every problem of an invalid file', () => {
+        const file = answersFile('bad.json', JSON.stringify({ database: { password: '', port: true }, colour: 'blue' }));
+
+        assert.throws(() => loadAnswers(file), {
+            message: [
+                'Invalid answers file bad.json:',
+                '  - answers.database.port must be integer or string, got boolean',
+                '  - answers.colour is not a known setting'
+            ].join('\n')
+        });
+    });
+
+    it('reports a missing or unreadable file', () => {
+        assert.throws(() => loadAnswers(path.join(directory, 'missing.yml')), /^Error: Answers file not found: /);
+        assert.throws(() => loadAnswers(answersFile('broken.json', '{ "database": ')), /^Error: Could not parse answers file broken\.json: /);
+    });
+});
@@ -0,0 +1,170 @@
+// lib/backups against a scratch INSTALL_ROOT, and restore.js on top of it:
+// taking, listing and restoring backups, and undoing a restore that failed.
+const { after, afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkspace } = require('./helpers/workspace');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-test-'));
+process.env.INSTALL_ROOT = root;
+const backups = require('../lib/backups');
+
+const backendPath = path.join(root, 'backend');
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// Write files into backend/, creating directories on the way
+function writeBackend(files) {
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(backendPath, file)), { recursive: true });
+        fs.writeFileSync(path.join(backendPath, file), content);
+    }
+}
+
+// Read a file of backend/
+function readBackend(file) {
+    return fs.readFileSync(path.join(backendPath, file), 'utf-8');
+}
+
+describe('lib/backups', () => {
+    beforeEach(() => writeBackend({ '.env': 'JWT_SECRET=old\n', 'medusa-config.ts': 'old config\n' }));
+
+    afterEach(() => {
+        fs.rmSync(backendPath, { recursive: true, force: true });
+        fs.rmSync(backups.backupsPath, { recursive: true, force: true });
+    });
+
+    it('moves backend/ into a backup with a manifest and copies the kept files back', () => {
+        const keep = backups.readKeepList(backendPath);
+        const backup = backups.createBackup(backendPath, { keep });
+
+        assert.ok(!fs.existsSync(backendPath));
+        assert.match(backup.id, /^backend-\d{8}-\d{6}$/);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(backup.path, 'backup.json'), 'utf-8')).reason, 'reinstall');
+
+        writeBackend({ 'medusa-config.ts': 'new config\n' });
+        assert.deepEqual(backups.copyKept(backup, backendPath), ['.env']);
+        assert.equal(readBackend('.env'), 'JWT_SECRET=old\n');
+        assert.equal(readBackend('medusa-config.ts'), 'new config\n');
+    });
+
+    it('reads extra paths from .reinstall-keep and refuses paths outside backend/', () => {
+        writeBackend({ '.reinstall-keep': '# carried over\nsrc/api/custom\nsrc/api/custom/\n' });
+
+        assert.deepEqual(backups.readKeepList(backendPath).slice(-1), ['src/api/custom']);
+        assert.throws(() => backups.readKeepList(backendPath, ['../.env']), { message: 'Cannot keep "../.env": paths must be inside backend/' });
+    });
+
+    it('leaves node_modules out of a snapshot and keeps it on restore', () => {
+        writeBackend({ 'node_modules/pkg/index.js': 'installed\n' });
+
+        const snapshot = backups.snapshotBackend(backendPath);
+        writeBackend({ 'medusa-config.ts': 'broken config\n', 'added.ts': 'added\n' });
+        backups.restoreSnapshot(snapshot, backendPath);
+
+        assert.ok(!fs.existsSync(path.join(snapshot.path, 'node_modules')));
+        assert.equal(readBackend('medusa-config.ts'), 'old config\n');
+        assert.equal(readBackend('node_modules/pkg/index.js'), 'installed\n');
+        assert.ok(!fs.existsSync(path.join(backendPath, 'added.ts')));
+        assert.ok(!fs.existsSync(path.join(backendPath, 'backup.json')));
+    });
+
+    it('lists backups newest first and finds them by id or as latest', () => {
+        const first = backups.snapshotBackend(backendPath, { reason: 'first' });
+        const second = backups.snapshotBackend(backendPath, { reason: 'second' });
+
+        assert.deepEqual(backups.listBackups().map(backup => backup.reason), ['second', 'first']);
+        assert.equal(backups.findBackup('latest').id, second.id);
+        assert.equal(backups.findBackup(first.id).reason, 'first');
+        assert.throws(() => backups.findBackup('backend-19700101-000000'), { message: 'Backup "backend-19700101-000000" not found in .backups/' });
+    });
+
+    it('restores a backup after backing up the current backend/', () => {
+        const backup = backups.snapshotBackend(backendPath);
+        writeBackend({ 'medusa-config.ts': 'current config\n' });
+
+        const previous = backups.restoreBackup(backups.findBackup(backup.id), backendPath);
+
+        assert.equal(readBackend('medusa-config.ts'), 'old config\n');
+        assert.ok(!fs.existsSync(path.join(backendPath, 'backup.json')));
+        assert.equal(previous.reason, `replaced by restore of ${backup.id}`);
+        assert.equal(fs.readFileSync(path.join(previous.path, 'medusa-config.ts'), 'utf-8'), 'current config\n');
+    });
+
+    it('puts the current backend/ back when the backup cannot be moved', () => {
+        const backup = backups.findBackup(backups.snapshotBackend(backendPath).id);
+        writeBackend({ 'medusa-config.ts': 'current config\n' });
+        const missing = { ...backup, path: path.join(backups.backupsPath, 'backend-deleted') };
+
+        assert.throws(() => backups.restoreBackup(missing, backendPath), { code: 'ENOENT' });
+        assert.equal(readBackend('medusa-config.ts'), 'current config\n');
+        assert.deepEqual(backups.listBackups().map(entry => entry.id), [backup.id]);
+    });
+
+    it('rolls back a failed reinstall', () => {
+        const backup = backups.createBackup(backendPath);
+        writeBackend({ 'package.json': 'partial install\n' });
+
+        backups.rollback(backup, backendPath);
+
+        assert.equal(readBackend('medusa-config.ts'), 'old config\n');
+        assert.ok(!fs.existsSync(path.join(backendPath, 'package.json')));
+        assert.ok(!fs.existsSync(backup.path));
+    });
+});
+
+describe('restore.js', () => {
+    let workspace;
+
+    beforeEach(async () => {
+        workspace = await createWorkspace();
+    });
+
+    afterEach(() => workspace.remove());
+
+    // Take a backup of a workspace backend/ holding the given config
+    function backupWorkspace(config) {
+        workspace.write('backend/medusa-config.ts', config);
+        const backupPath = workspace.path('.backups', 'backend-20250101-093000');
+        fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+        fs.renameSync(workspace.path('backend'), backupPath);
+        fs.writeFileSync(path.join(backupPath, 'backup.json'), JSON.stringify({ id: 'backend-20250101-093000', createdAt: '2025-01-01T09:30:00.000Z', reason: 'reinstall', keep: [] }));
+    }
+
+    it('lists the backups without an argument', async () => {
+        backupWorkspace('backed up config\n');
+
+        const result = await workspace.run('restore.js');
+
+        assert.equal(result.code, 0);
+        assert.match(result.output, /backend-20250101-093000 .* reinstall/);
+    });
+
+    it('restores a backup with --yes, keeping the current backend/', async () => {
+        backupWorkspace('backed up config\n');
+        workspace.write('backend/medusa-config.ts', 'current config\n');
+
+        const result = await workspace.run('restore.js', { args: ['latest', '--yes'] });
+
+        assert.equal(result.code, 0, result.output);
+        assert.equal(workspace.read('backend', 'medusa-config.ts'), 'backed up config\n');
+        const [previous] = fs.readdirSync(workspace.path('.backups'));
+        assert.match(result.output, new RegExp(`Previous backend/ saved as \\.backups/${previous}`));
+        assert.equal(workspace.read('.backups', previous, 'medusa-config.ts'), 'current config\n');
+    });
+
+    it('asks for --yes without a terminal and fails on unknown backups', async () => {
+        backupWorkspace('backed up config\n');
+
+        const unconfirmed = await workspace.run('restore.js', { args: ['latest'] });
+        const unknown = await workspace.run('restore.js', { args: ['backend-19700101-000000', '--yes'] });
+
+        assert.equal(unconfirmed.code, 1);
+        assert.match(unconfirmed.output, /Restoring replaces backend\/\. Pass --yes to confirm\./);
+        assert.ok(!workspace.exists('backend'));
+        assert.equal(unknown.code, 1);
+        assert.match(unknown.output, /Backup "backend-19700101-000000" not found in \.backups\//);
+    });
+});
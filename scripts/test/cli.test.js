@@ -0,0 +1,156 @@
+// lib/cli prompts, driven by a fake stdin: answers piped in as lines, and a
+// fake terminal in raw mode for masked passwords.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { createPrompter } = require('../lib/cli');
+
+// An output stream that keeps everything written to it
+function fakeOutput() {
+    const output = new PassThrough();
+    output.text = '';
+    output.on('data', chunk => {
+        output.text += chunk;
+    });
+    return output;
+}
+
+// A terminal stdin that records its raw mode changes
+function fakeTerminal() {
+    const input = new PassThrough();
+    input.isTTY = true;
+    input.rawModes = [];
+    input.setRawMode = mode => input.rawModes.push(mode);
+    return input;
+}
+
+// A prompter reading the given lines from a piped stdin
+function pipedPrompter(lines, { end = true } = {}) {
+    const input = new PassThrough();
+    const output = fakeOutput();
+    input.write(lines.map(line => `${line}\n`).join(''));
+    if (end) {
+        input.end();
+    }
+    return { prompter: createPrompter({ input, output }), input, output };
+}
+
+describe('lib/cli', () => {
+    describe('createPrompter with piped input', () => {
+        it('reads one answer per line, buffered before the prompts', async () => {
+            const { prompter, output } = pipedPrompter(['  localhost  ', '', 's3cret ']);
+
+            assert.equal(prompter.piped, true);
+            assert.equal(await prompter.text('Host: '), 'localhost');
+            assert.equal(await prompter.text('Port [5432]: ', { default: '5432' }), '5432');
+            assert.equal(await prompter.password('Password: '), 's3cret ', 'passwords are not trimmed');
+            assert.equal(output.text, 'Host: \nPort [5432]: \nPassword: \n');
+        });
+
+        it('asks again until validate accepts the answer', async () => {
+            const { prompter, output } = pipedPrompter(['abc', '9000']);
+            const validate = value => (/^\d+$/.test(value) ? null : 'Enter a number');
+
+            assert.equal(await prompter.text('Port: ', { validate }), '9000');
+            assert.match(output.text, /❌ Enter a number\n/);
+        });
+
+        it('gives up after the allowed attempts', async () => {
+            const { prompter } = pipedPrompter(['a', 'b']);
+
+            await assert.rejects(prompter.text('Port: ', { validate: () => 'Enter a number', attempts: 2 }), {
+                message: 'No valid answer for "Port:" after 2 attempts'
+            });
+        });
+
+        it('reads yes and no, with the default for an empty answer', async () => {
+            const { prompter, output } = pipedPrompter(['Y', 'no', '', 'maybe', 'yes']);
+
+            assert.equal(await prompter.confirm('Continue? '), true);
+            assert.equal(await prompter.confirm('Continue? ', { default: true }), false);
+            assert.equal(await prompter.confirm('Continue? ', { default: true }), true);
+            assert.equal(await prompter.confirm('Continue? '), true);
+            assert.match(output.text, /❌ Please answer y or n/);
+        });
+
+        it('selects a choice by number, by value or by default', async () => {
+            const choices = [{ value: 'stripe', label: 'Stripe' }, { value: 'paypal' }];
+            const { prompter, output } = pipedPrompter(['2', 'stripe', '', '7', '1']);
+
+            assert.equal(await prompter.select('Provider: ', choices), 'paypal');
+            assert.equal(await prompter.select('Provider: ', choices), 'stripe');
+            assert.equal(await prompter.select('Provider: ', choices, { default: 'paypal' }), 'paypal');
+            assert.equal(await prompter.select('Provider: ', choices), 'stripe');
+            assert.match(output.text, / {2}1\. Stripe\n {2}2\. paypal\n/);
+            assert.match(output.text, /❌ Choose 1-2/);
+        });
+
+        it('fails a prompt once the input has ended', async () => {
+            const { prompter } = pipedPrompter(['only']);
+
+            assert.equal(await prompter.text('First: '), 'only');
+            await assert.rejects(prompter.text('Second: '), { message: 'No answer for "Second:": the input has ended' });
+            await assert.rejects(prompter.confirm('Third? '), { message: 'No answer for "Third?": the input has ended' });
+        });
+
+        it('waits for answers that arrive later', async () => {
+            const { prompter, input } = pipedPrompter([], { end: false });
+
+            const answer = prompter.text('Name: ');
+            setTimeout(() => input.end('late\n'), 20);
+            assert.equal(await answer, 'late');
+        });
+
+        it('passes the unread lines and the rest of the input on to another stream', async () => {
+            const { prompter, input } = pipedPrompter(['first', 'second', 'third'], { end: false });
+            const destination = fakeOutput();
+
+            assert.equal(await prompter.text('First: '), 'first');
+            prompter.pipe(destination);
+            input.end('fourth\n');
+            await new Promise(resolve => destination.on('finish', resolve));
+
+            assert.equal(destination.text, 'second\nthird\nfourth\n');
+        });
+    });
+
+    describe('createPrompter on a terminal', () => {
+        it('masks a password and handles backspace', async () => {
+            const input = fakeTerminal();
+            const output = fakeOutput();
+            const prompter = createPrompter({ input, output });
+
+            assert.equal(prompter.piped, false);
+            const answer = prompter.password('Password: ');
+            input.write('sec');
+            input.write('x\u007fret\r');
+
+            assert.equal(await answer, 'secret');
+            assert.equal(output.text, 'Password: ****\b \b***\n');
+            assert.deepEqual(input.rawModes, [true, false]);
+        });
+
+        it('cancels a password on Ctrl+C', async () => {
+            const input = fakeTerminal();
+            const prompter = createPrompter({ input, output: fakeOutput() });
+
+            const answer = prompter.password('Password: ');
+            input.write('abc\u0003');
+
+            await assert.rejects(answer, { message: 'Cancelled' });
+            assert.deepEqual(input.rawModes, [true, false]);
+        });
+
+        it('reads text through readline', async () => {
+            const input = fakeTerminal();
+            const output = fakeOutput();
+            const prompter = createPrompter({ input, output });
+
+            const answer = prompter.text('Name [medusa]: ', { default: 'medusa' });
+            input.write('\n');
+
+            assert.equal(await answer, 'medusa');
+            assert.match(output.text, /^Name \[medusa\]: /);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+// lib/command: exit codes, streamed output, the output tail of a failure,
+// stdin input and cancelling through an AbortSignal.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { runCommand } = require('../lib/command');
+
+// A shell command running a node script
+function node(script) {
+    return `"${process.execPath}" -e ${JSON.stringify(script)}`;
+}
+
+describe('lib/command', () => {
+    it('resolves when the command exits with code 0, streaming its output', async () => {
+        const chunks = [];
+        await runCommand(node('console.log("out"); console.error("err")'), {
+            onOutput: (chunk, stream) => chunks.push([stream, chunk.toString().trim()])
+        });
+
+        assert.deepEqual(chunks.sort(), [['stderr', 'err'], ['stdout', 'out']]);
+    });
+
+    it('runs in the given directory', async () => {
+        let output = '';
+        await runCommand(node('console.log(process.cwd())'), { cwd: __dirname, onOutput: chunk => { output += chunk; } });
+
+        assert.equal(output.trim(), __dirname);
+    });
+
+    it('rejects with the exit code and the last lines of output', async () => {
+        const command = node('for (let i = 1; i <= 25; i++) console.log("line " + i); console.error("\\x1b[31mfailed\\x1b[0m"); process.exit(3)');
+
+        const error = await runCommand(command).catch(caught => caught);
+
+        assert.equal(error.message, `Command failed with code 3: ${command}`);
+        const lines = error.output.split('\n');
+        assert.equal(lines.length, 19);
+        assert.equal(lines[lines.length - 1], 'failed', 'ANSI codes are removed');
+        assert.ok(!lines.includes('line 7'));
+        assert.ok(lines.includes('line 25'));
+    });
+
+    it('writes the input to the command\'s stdin', async () => {
+        let output = '';
+        await runCommand(node('process.stdin.on("data", d => process.stdout.write(String(d).toUpperCase()))'), {
+            input: 'admin@example.com\n',
+            onOutput: chunk => { output += chunk; }
+        });
+
+        assert.equal(output, 'ADMIN@EXAMPLE.COM\n');
+    });
+
+    it('stops the command when the signal aborts', async () => {
+        const controller = new AbortController();
+        const started = Date.now();
+        const command = node('console.log("started"); setTimeout(() => {}, 20000)');
+
+        await assert.rejects(runCommand(command, {
+            signal: controller.signal,
+            onOutput: () => controller.abort()
+        }), { message: `Cancelled: ${command}`, cancelled: true });
+        assert.ok(Date.now() - started < 10000);
+    });
+
+    it('does not start a command whose signal has already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        let output = '';
+
+        await assert.rejects(runCommand(node('console.log("ran")'), {
+            signal: controller.signal,
+            onOutput: chunk => { output += chunk; }
+        }), { cancelled: true });
+        assert.equal(output, '');
+    });
+});
@@ -0,0 +1,69 @@
+// End-to-end runs of dev.js with a fake `npm run dev` serving the backend
+// port: starting and stopping the backend, a port that is taken and a
+// backend that keeps crashing.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { isPortFree } = require('../lib/ports');
+const { createWorkspace } = require('./helpers/workspace');
+
+describe('dev.js', () => {
+    let workspace;
+
+    beforeEach(async () => {
+        workspace = await createWorkspace();
+        workspace.write('backend/package.json', '{ "name": "backend", "scripts": { "dev": "medusa develop" } }\n');
+    });
+
+    afterEach(() => workspace.remove());
+
+    it('starts the backend, reports it ready and stops it on Ctrl+C', async () => {
+        const result = await workspace.run('dev.js', {
+            args: ['--no-storefront'],
+            env: { FAKE_SERVE: 'run dev' },
+            interruptOn: 'ready     http'
+        });
+
+        assert.equal(result.code, 0, result.output);
+        assert.match(result.output, new RegExp(`\\[backend\\] fake npm: listening on ${workspace.ports.BACKEND_PORT}`));
+        assert.match(result.output, new RegExp(`backend +ready +http://localhost:${workspace.ports.BACKEND_PORT} +restarts: 0`));
+        assert.match(result.output, /Stopping the dev servers/);
+        assert.deepEqual(workspace.calls().map(call => [call.line, call.cwd]), [['npm run dev', workspace.path('backend')]]);
+        assert.equal(await isPortFree(workspace.ports.BACKEND_PORT), true, 'the backend is stopped with dev.js');
+    });
+
+    it('refuses to start on a port that is taken', async () => {
+        const server = net.createServer();
+        await new Promise(resolve => server.listen(workspace.ports.BACKEND_PORT, resolve));
+        try {
+            const result = await workspace.run('dev.js', { args: ['--no-storefront'] });
+
+            assert.equal(result.code, 1);
+            assert.match(result.output, new RegExp(`Port ${workspace.ports.BACKEND_PORT} for the Medusa backend is in use \\(is it already running\\?\\)`));
+            assert.deepEqual(workspace.calls(), []);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('gives up on a crashing backend with --no-restart', async () => {
+        const result = await workspace.run('dev.js', { args: ['--no-storefront', '--no-restart'], env: { FAKE_FAIL: 'run dev' } });
+
+        assert.equal(result.code, 1);
+        assert.match(result.output, /backend +failed/);
+        assert.match(result.output, /❌ backend failed: exited with code 1/);
+        assert.equal(workspace.calls().length, 1);
+    });
+
+    it('fails without an installed backend and on a bad --timeout', async () => {
+        const badTimeout = await workspace.run('dev.js', { args: ['--timeout', 'soon'] });
+        workspace.remove();
+        workspace = await createWorkspace();
+        const missing = await workspace.run('dev.js');
+
+        assert.equal(badTimeout.code, 1);
+        assert.match(badTimeout.output, /--timeout requires a number of seconds/);
+        assert.equal(missing.code, 1);
+        assert.match(missing.output, /backend\/ not found\. Run "npm run install:backend" first\./);
+    });
+});
@@ -0,0 +1,156 @@
+// lib/docker: reading the services of docker-compose.yml and waiting for
+// their healthchecks, against a fake docker command on PATH.
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const docker = require('../lib/docker');
+
+const checkoutCompose = path.join(__dirname, '..', '..', 'docker-compose.yml');
+
+// Script of the fake docker. "compose ps -q <service>" prints a container id;
+// "inspect" prints the next status listed for that service in
+// FAKE_DOCKER_STATES, repeating the last one.
+const FAKE_DOCKER = `
+const fs = require('fs');
+const args = process.argv.slice(2);
+if (args[0] === 'compose') {
+    if (args.includes('ps')) {
+        console.log('id-' + args[args.length - 1]);
+    }
+    process.exit(0);
+}
+const file = process.env.FAKE_DOCKER_STATES;
+const states = JSON.parse(fs.readFileSync(file, 'utf-8'));
+const name = args[args.length - 1].replace(/^id-/, '');
+const list = states[name] || ['missing'];
+console.log(list.length > 1 ? list.shift() : list[0]);
+fs.writeFileSync(file, JSON.stringify(states));
+`;
+
+describe('lib/docker', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-test-'));
+    const statesFile = path.join(directory, 'states.json');
+    const previousPath = process.env.PATH;
+
+    // Write a compose file into the test directory
+    function composeFile(content) {
+        const file = path.join(directory, 'docker-compose.yml');
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    // Set the statuses the fake docker reports for each service
+    function setStates(states) {
+        fs.writeFileSync(statesFile, JSON.stringify(states));
+    }
+
+    before(() => {
+        const bin = path.join(directory, 'bin');
+        fs.mkdirSync(bin);
+        fs.writeFileSync(path.join(directory, 'fake-docker.js'), FAKE_DOCKER);
+        fs.writeFileSync(path.join(bin, 'docker'), `#!/bin/sh\nexec "${process.execPath}" "${path.join(directory, 'fake-docker.js')}" "$@"\n`, { mode: 0o755 });
+        process.env.PATH = [bin, previousPath].join(path.delimiter);
+        process.env.FAKE_DOCKER_STATES = statesFile;
+    });
+
+    after(() => {
+        process.env.PATH = previousPath;
+        delete process.env.FAKE_DOCKER_STATES;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('interpolate', () => {
+        it('substitutes variables, defaults and bare names like compose', () => {
+            const env = { POSTGRES_PORT: '5433', EMPTY: '' };
+
+            assert.equal(docker.interpolate('${POSTGRES_PORT:-5432}:5432', env), '5433:5432');
+            assert.equal(docker.interpolate('${REDIS_PORT:-6379}', env), '6379');
+            assert.equal(docker.interpolate('${EMPTY-fallback}/$POSTGRES_PORT/$MISSING', env), 'fallback/5433/');
+            assert.equal(docker.interpolate(5432, env), 5432);
+        });
+    });
+
+    describe('readComposeServices', () => {
+        it('derives the database and Redis settings of the shipped compose file', () => {
+            const compose = docker.readComposeServices(checkoutCompose, { POSTGRES_PORT: '5433' });
+
+            assert.deepEqual(compose.database, { host: 'localhost', port: '5433', user: 'medusa', password: 'medusa', name: 'medusa' });
+            assert.equal(compose.redisUrl, 'redis://localhost:6379');
+            assert.deepEqual(compose.services, [
+                { name: 'postgres', role: 'postgres', container: 'ecommerce-postgres', healthcheck: true },
+                { name: 'redis', role: 'redis', container: 'ecommerce-redis', healthcheck: true }
+            ]);
+        });
+
+        it('reads list environments, long port syntax and the .env next to the file', () => {
+            const file = composeFile([
+                'services:',
+                '  db:',
+                '    image: docker.io/library/postgres',
+                '    environment:',
+                '      - POSTGRES_USER=shop',
+                '      - POSTGRES_PASSWORD=${DB_SECRET}',
+                '    ports:',
+                '      - target: 5432',
+                '        published: 15432',
+                ''
+            ].join('\n'));
+            fs.writeFileSync(path.join(directory, '.env'), 'DB_SECRET=from-dotenv\n');
+
+            const compose = docker.readComposeServices(file, docker.composeEnv(file, {}));
+
+            assert.deepEqual(compose.database, { host: 'localhost', port: '15432', user: 'shop', password: 'from-dotenv', name: 'shop' });
+            assert.equal(compose.redisUrl, null);
+            assert.deepEqual(compose.services.map(service => service.healthcheck), [false]);
+        });
+
+        it('fails without the file or without a postgres service', () => {
+            assert.throws(() => docker.readComposeServices(path.join(directory, 'missing.yml')), { message: 'missing.yml not found' });
+            assert.throws(() => docker.readComposeServices(composeFile('services:\n  cache:\n    image: redis:7\n')), {
+                message: 'No postgres service defined in docker-compose.yml'
+            });
+        });
+    });
+
+    describe('waitForHealthy', () => {
+        const services = [
+            { name: 'postgres', healthcheck: true },
+            { name: 'worker', healthcheck: false }
+        ];
+
+        it('polls until each service is healthy, or running without a healthcheck', async () => {
+            setStates({ postgres: ['starting', 'starting', 'healthy'], worker: ['created', 'running'] });
+            const healthy = [];
+
+            await docker.waitForHealthy('docker compose', services, {
+                interval: 1,
+                file: checkoutCompose,
+                onHealthy: (service, status) => healthy.push(`${service.name}:${status}`)
+            });
+
+            assert.deepEqual(healthy, ['worker:running', 'postgres:healthy']);
+            assert.deepEqual(docker.runningServices('docker compose', services, checkoutCompose), ['postgres', 'worker']);
+        });
+
+        it('fails on an unhealthy service and after the timeout', async () => {
+            setStates({ postgres: ['starting', 'unhealthy'], worker: ['running'] });
+            await assert.rejects(docker.waitForHealthy('docker compose', services, { interval: 1, file: checkoutCompose }), {
+                message: 'Service "postgres" is unhealthy. Check: docker compose logs postgres'
+            });
+
+            setStates({ postgres: ['starting'], worker: ['exited'] });
+            assert.deepEqual(docker.runningServices('docker compose', services, checkoutCompose), ['postgres']);
+            await assert.rejects(docker.waitForHealthy('docker compose', services.slice(0, 1), { timeout: 20, interval: 5, file: checkoutCompose }), {
+                message: 'Timed out waiting for postgres to become healthy'
+            });
+        });
+    });
+
+    describe('detectComposeCommand', () => {
+        it('finds the compose plugin of the docker on PATH', () => {
+            assert.equal(docker.detectComposeCommand(), 'docker compose');
+        });
+    });
+});
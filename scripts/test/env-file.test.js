@@ -0,0 +1,59 @@
+// lib/env-file: reading .env files like dotenv and rewriting single keys
+// without touching the lines around them.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEnv, setValues } = require('../lib/env-file');
+
+describe('lib/env-file', () => {
+    describe('parseEnv', () => {
+        it('reads quoted, exported and commented values', () => {
+            assert.deepEqual(parseEnv([
+                '# comment',
+                'export NODE_ENV=production',
+                'PORT = 9000 # the backend',
+                'DATABASE_EXTRA=\'{"ssl":true}\'',
+                'MESSAGE="line\\nbreak"',
+                'EMPTY=',
+                'PORT=9001'
+            ].join('\n')), {
+                NODE_ENV: 'production',
+                PORT: '9001',
+                DATABASE_EXTRA: '{"ssl":true}',
+                MESSAGE: 'line\nbreak',
+                EMPTY: ''
+            });
+        });
+    });
+
+    describe('setValues', () => {
+        it('replaces a KEY=value line in place', () => {
+            assert.equal(setValues('A=1\nJWT_SECRET=old\nB=2\n', { JWT_SECRET: 'new' }), 'A=1\nJWT_SECRET=new\nB=2\n');
+        });
+
+        it('matches "export KEY=value" and spaces around "=", keeping the export', () => {
+            assert.equal(
+                setValues('export JWT_SECRET=old\nCOOKIE_SECRET = old\n', { JWT_SECRET: 'new', COOKIE_SECRET: 'new' }),
+                'export JWT_SECRET=new\nCOOKIE_SECRET=new\n'
+            );
+        });
+
+        it('uncomments a placeholder, and appends a key that is not there', () => {
+            assert.equal(setValues('# STRIPE_API_KEY=sk_test_...\n', { STRIPE_API_KEY: 'sk_test_1' }), 'STRIPE_API_KEY=sk_test_1\n');
+            assert.equal(setValues('#export S3_URL = x\n', { S3_URL: 'y' }), 'export S3_URL=y\n');
+            assert.equal(setValues('A=1\n\n', { B: '2' }), 'A=1\nB=2\n');
+        });
+
+        it('sets every occurrence of a repeated key', () => {
+            assert.equal(setValues('KEY=a\nOTHER=b\nKEY=c\n', { KEY: 'd' }), 'KEY=d\nOTHER=b\nKEY=d\n');
+        });
+
+        it('does not match keys that only start with the same name', () => {
+            assert.equal(setValues('JWT_SECRET_OLD=a\n', { JWT_SECRET: 'b' }), 'JWT_SECRET_OLD=a\nJWT_SECRET=b\n');
+            assert.equal(setValues('AXB=1\n', { 'A.B': '2' }), 'AXB=1\nA.B=2\n');
+        });
+
+        it('writes values with $ patterns as they are', () => {
+            assert.equal(setValues('KEY=a\n', { KEY: '$&$1' }), 'KEY=$&$1\n');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+// Stand-in for npx, npm, psql and the medusa CLI in installer tests. Every
+// call is appended to the file in FAKE_CALLS as { command, args, cwd }.
+// FAKE_FAIL and FAKE_HANG are regular expressions matched against the
+// command line: a match fails the call, or keeps it running until it is
+// stopped (at most FAKE_HANG_MS milliseconds). A match of FAKE_SERVE runs
+// like a dev server instead, answering HTTP requests on $PORT meanwhile.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Medusa packages a fake create-medusa-app puts into backend/package.json
+const MEDUSA_PACKAGES = ['@medusajs/medusa', '@medusajs/framework', '@medusajs/cli', '@medusajs/admin-sdk'];
+
+// The medusa-config.ts create-medusa-app scaffolds, which the overlay patches
+const MEDUSA_CONFIG = `import { loadEnv, defineConfig } from '@medusajs/framework/utils'
+
+loadEnv(process.env.NODE_ENV || 'development', process.cwd())
+
+module.exports = defineConfig({
+  projectConfig: {
+    databaseUrl: process.env.DATABASE_URL,
+    http: {
+      storeCors: process.env.STORE_CORS!,
+      adminCors: process.env.ADMIN_CORS!,
+      authCors: process.env.AUTH_CORS!,
+      jwtSecret: process.env.JWT_SECRET || "supersecret",
+      cookieSecret: process.env.COOKIE_SECRET || "supersecret",
+    }
+  }
+})
+`;
+
+function record(command, args) {
+    if (process.env.FAKE_CALLS) {
+        fs.appendFileSync(process.env.FAKE_CALLS, `${JSON.stringify({ command, args, cwd: process.cwd() })}\n`);
+    }
+}
+
+function matches(variable, commandLine) {
+    return Boolean(process.env[variable]) && new RegExp(process.env[variable]).test(commandLine);
+}
+
+// Scaffold what the installers read from a Medusa backend
+function createMedusaApp(args) {
+    const directory = path.resolve(args[args.length - 1]);
+    const version = args[args.indexOf('--version') + 1];
+    const cliPath = path.join(directory, 'node_modules', '@medusajs', 'cli');
+
+    fs.mkdirSync(cliPath, { recursive: true });
+    fs.writeFileSync(path.join(directory, 'package.json'), `${JSON.stringify({
+        name: 'backend',
+        version: '0.0.1',
+        scripts: { build: 'medusa build', seed: 'medusa exec ./src/scripts/seed.ts', dev: 'medusa develop' },
+        dependencies: Object.fromEntries(MEDUSA_PACKAGES.map(name => [name, version]))
+    }, null, 2)}\n`);
+    fs.writeFileSync(path.join(directory, 'medusa-config.ts'), MEDUSA_CONFIG);
+    fs.writeFileSync(path.join(cliPath, 'package.json'), `${JSON.stringify({
+        name: '@medusajs/cli',
+        version,
+        bin: { medusa: 'cli.js' }
+    }, null, 2)}\n`);
+    fs.writeFileSync(path.join(cliPath, 'cli.js'), `require(${JSON.stringify(__filename)}).run('medusa', process.argv.slice(2));\n`);
+}
+
+// Handle one call of a fake command
+function run(command, args) {
+    const commandLine = [command, ...args].join(' ');
+    record(command, args);
+
+    if (args[0] === '--version') {
+        console.log(command === 'psql' ? 'psql (PostgreSQL) 16.2' : '10.9.0');
+        return;
+    }
+    if (matches('FAKE_FAIL', commandLine)) {
+        console.error(`fake ${command}: failing "${commandLine}" as asked`);
+        process.exit(1);
+    }
+    if (matches('FAKE_HANG', commandLine)) {
+        console.log(`fake ${command}: waiting to be stopped`);
+        process.on('SIGTERM', () => process.exit(143));
+        setTimeout(() => {}, Number(process.env.FAKE_HANG_MS || 10000));
+        return;
+    }
+
+    if (matches('FAKE_SERVE', commandLine)) {
+        const server = http.createServer((request, response) => response.end('ok'));
+        server.listen(Number(process.env.PORT), () => console.log(`fake ${command}: listening on ${process.env.PORT}`));
+        process.on('SIGTERM', () => process.exit(143));
+        setTimeout(() => process.exit(0), Number(process.env.FAKE_HANG_MS || 10000));
+        return;
+    }
+
+    if (command === 'npx' && args.some(arg => arg.includes('create-medusa-app'))) {
+        createMedusaApp(args);
+    } else if (command === 'npm' && args[0] === 'install') {
+        fs.mkdirSync(path.join(process.cwd(), 'node_modules'), { recursive: true });
+    }
+}
+
+if (require.main === module) {
+    run(process.argv[2], process.argv.slice(3));
+}
+
+module.exports = {
+    MEDUSA_CONFIG,
+    run
+};
@@ -0,0 +1,331 @@
+// A PostgreSQL server that speaks just enough of the wire protocol for the
+// installers and lib/postgres: startup, trust, cleartext, MD5 and
+// SCRAM-SHA-256 authentication and simple queries. Databases are a set of
+// names; queries are answered by a handler, with defaults for the ones the
+// installers run.
+const net = require('net');
+const crypto = require('crypto');
+
+const SSL_REQUEST_CODE = 80877103;
+const SCRAM_ITERATIONS = 4096;
+
+// Build a backend message: type byte, length, payload
+function message(type, payload = Buffer.alloc(0)) {
+    const header = Buffer.alloc(5);
+    header.write(type, 0, 'ascii');
+    header.writeInt32BE(payload.length + 4, 1);
+    return Buffer.concat([header, payload]);
+}
+
+function cstring(value) {
+    return Buffer.from(`${value}\0`, 'utf-8');
+}
+
+function int32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(value, 0);
+    return buffer;
+}
+
+// ErrorResponse with severity, SQLSTATE and message
+function errorMessage(code, text, severity = 'ERROR') {
+    return message('E', Buffer.concat([
+        Buffer.from('S'), cstring(severity),
+        Buffer.from('C'), cstring(code),
+        Buffer.from('M'), cstring(text),
+        Buffer.from([0])
+    ]));
+}
+
+// RowDescription, DataRows and CommandComplete for a result
+function resultMessages({ columns = [], rows = [], command }) {
+    const messages = [];
+    if (columns.length > 0) {
+        const fields = columns.map(name => Buffer.concat([cstring(name), Buffer.alloc(18)]));
+        const count = Buffer.alloc(2);
+        count.writeInt16BE(columns.length, 0);
+        messages.push(message('T', Buffer.concat([count, ...fields])));
+
+        for (const row of rows) {
+            const values = columns.map(name => {
+                const value = row[name];
+                if (value === null || value === undefined) {
+                    return int32(-1);
+                }
+                const text = Buffer.from(String(value), 'utf-8');
+                return Buffer.concat([int32(text.length), text]);
+            });
+            const valueCount = Buffer.alloc(2);
+            valueCount.writeInt16BE(columns.length, 0);
+            messages.push(message('D', Buffer.concat([valueCount, ...values])));
+        }
+    }
+    messages.push(message('C', cstring(command || `SELECT ${rows.length}`)));
+    return messages;
+}
+
+// An error a query handler throws to answer with an ErrorResponse
+function queryError(code, text) {
+    const error = new Error(text);
+    error.code = code;
+    return error;
+}
+
+// Answers for the queries the installers and doctor run
+function defaultQuery(sql, session, server) {
+    const create = /^CREATE DATABASE "((?:[^"]|"")+)"/i.exec(sql);
+    if (create) {
+        const name = create[1].replace(/""/g, '"');
+        if (server.databases.has(name)) {
+            throw queryError('42P04', `database "${name}" already exists`);
+        }
+        server.databases.add(name);
+        return { command: 'CREATE DATABASE' };
+    }
+    if (/^SHOW server_version_num/i.test(sql)) {
+        return { columns: ['server_version_num'], rows: [{ server_version_num: '160002' }] };
+    }
+    if (/FROM pg_available_extensions/i.test(sql)) {
+        return {
+            columns: ['name', 'installed_version'],
+            rows: [{ name: 'uuid-ossp', installed_version: null }, { name: 'pg_trgm', installed_version: null }]
+        };
+    }
+    if (/FROM api_key/i.test(sql)) {
+        return { columns: ['token'], rows: server.publishableKeys.map(token => ({ token })) };
+    }
+    return { command: 'SELECT 0' };
+}
+
+// Server side of SCRAM-SHA-256 for one password
+function createScramVerifier(password) {
+    const salt = crypto.randomBytes(16);
+    const salted = crypto.pbkdf2Sync(password.normalize('NFKC'), salt, SCRAM_ITERATIONS, 32, 'sha256');
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    const storedKey = crypto.createHash('sha256').update(hmac(salted, 'Client Key')).digest();
+    let clientFirstBare = null;
+    let serverFirst = null;
+
+    return {
+        serverFirst(clientFirst) {
+            clientFirstBare = clientFirst.replace(/^[^,]*,[^,]*,/, '');
+            const nonce = /r=([^,]+)/.exec(clientFirstBare)[1];
+            serverFirst = `r=${nonce}${crypto.randomBytes(18).toString('base64')},s=${salt.toString('base64')},i=${SCRAM_ITERATIONS}`;
+            return serverFirst;
+        },
+
+        // Check the client proof; returns the server final message or null
+        serverFinal(clientFinal) {
+            const withoutProof = clientFinal.replace(/,p=[^,]*$/, '');
+            const proof = Buffer.from(/,p=([^,]+)$/.exec(clientFinal)[1], 'base64');
+            const authMessage = `${clientFirstBare},${serverFirst},${withoutProof}`;
+            const clientSignature = hmac(storedKey, authMessage);
+            const clientKey = Buffer.from(proof.map((byte, i) => byte ^ clientSignature[i]));
+
+            if (!crypto.createHash('sha256').update(clientKey).digest().equals(storedKey)) {
+                return null;
+            }
+            return `v=${hmac(hmac(salted, 'Server Key'), authMessage).toString('base64')}`;
+        }
+    };
+}
+
+// Read the key/value pairs of a StartupMessage
+function parseStartup(payload) {
+    const parts = payload.toString('utf-8', 4).split('\0');
+    const parameters = {};
+    for (let i = 0; i + 1 < parts.length && parts[i]; i += 2) {
+        parameters[parts[i]] = parts[i + 1];
+    }
+    return parameters;
+}
+
+// Serve one client connection
+function handleConnection(socket, server) {
+    let buffer = Buffer.alloc(0);
+    let started = false;
+    let session = null;
+    let auth = null;
+
+    const send = (...messages) => {
+        if (!socket.destroyed) {
+            socket.write(Buffer.concat(messages));
+        }
+    };
+
+    const fail = (code, text) => {
+        send(errorMessage(code, text, 'FATAL'));
+        socket.end();
+    };
+
+    const ready = () => {
+        if (!server.databases.has(session.database)) {
+            fail('3D000', `database "${session.database}" does not exist`);
+            return;
+        }
+        server.connections.push(session);
+        send(
+            message('R', int32(0)),
+            message('S', Buffer.concat([cstring('server_version'), cstring(server.version)])),
+            message('S', Buffer.concat([cstring('client_encoding'), cstring('UTF8')])),
+            message('K', Buffer.concat([int32(1), int32(2)])),
+            message('Z', Buffer.from('I'))
+        );
+    };
+
+    const authenticate = () => {
+        if (server.auth === 'trust') {
+            ready();
+        } else if (server.auth === 'cleartext') {
+            auth = { method: 'cleartext' };
+            send(message('R', int32(3)));
+        } else if (server.auth === 'md5') {
+            auth = { method: 'md5', salt: crypto.randomBytes(4) };
+            send(message('R', Buffer.concat([int32(5), auth.salt])));
+        } else {
+            auth = { method: 'scram', verifier: createScramVerifier(server.password) };
+            send(message('R', Buffer.concat([int32(10), cstring('SCRAM-SHA-256'), Buffer.from([0])])));
+        }
+    };
+
+    const onPassword = payload => {
+        const wrong = () => fail('28P01', `password authentication failed for user "${session.user}"`);
+        const expected = session.user === server.user ? server.password : null;
+
+        if (auth.method === 'cleartext') {
+            payload.toString('utf-8', 0, payload.length - 1) === expected ? ready() : wrong();
+        } else if (auth.method === 'md5') {
+            const inner = crypto.createHash('md5').update(`${expected}${session.user}`).digest('hex');
+            const outer = crypto.createHash('md5').update(Buffer.concat([Buffer.from(inner), auth.salt])).digest('hex');
+            expected !== null && payload.toString('utf-8', 0, payload.length - 1) === `md5${outer}` ? ready() : wrong();
+        } else if (!auth.serverFirst) {
+            const mechanismEnd = payload.indexOf(0);
+            const length = payload.readInt32BE(mechanismEnd + 1);
+            const clientFirst = payload.toString('utf-8', mechanismEnd + 5, mechanismEnd + 5 + length);
+            auth.serverFirst = auth.verifier.serverFirst(clientFirst);
+            send(message('R', Buffer.concat([int32(11), Buffer.from(auth.serverFirst, 'utf-8')])));
+        } else {
+            const serverFinal = expected === null ? null : auth.verifier.serverFinal(payload.toString('utf-8'));
+            if (!serverFinal) {
+                wrong();
+                return;
+            }
+            send(message('R', Buffer.concat([int32(12), Buffer.from(server.tamperSignature ? 'v=AAAA' : serverFinal, 'utf-8')])));
+            ready();
+        }
+    };
+
+    const onQuery = async payload => {
+        const sql = payload.toString('utf-8', 0, payload.length - 1);
+        server.queries.push({ database: session.database, sql });
+
+        let messages;
+        try {
+            const result = (await server.query(sql, session, server)) || defaultQuery(sql, session, server);
+            messages = resultMessages(result);
+        } catch (error) {
+            messages = [errorMessage(error.code || 'XX000', error.message)];
+        }
+        if (server.queryDelay > 0) {
+            await new Promise(resolve => setTimeout(resolve, server.queryDelay));
+        }
+        send(...messages, message('Z', Buffer.from('I')));
+    };
+
+    // Queries are answered one after another, in order
+    let queue = Promise.resolve();
+
+    socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        for (;;) {
+            if (!started) {
+                if (buffer.length < 4 || buffer.length < buffer.readInt32BE(0)) {
+                    return;
+                }
+                const length = buffer.readInt32BE(0);
+                const payload = buffer.subarray(4, length);
+                buffer = buffer.subarray(length);
+
+                if (payload.readInt32BE(0) === SSL_REQUEST_CODE) {
+                    socket.write('N');
+                    continue;
+                }
+                started = true;
+                const parameters = parseStartup(payload);
+                session = { user: parameters.user, database: parameters.database || parameters.user, parameters };
+                authenticate();
+                continue;
+            }
+
+            if (buffer.length < 5 || buffer.length < buffer.readInt32BE(1) + 1) {
+                return;
+            }
+            const type = buffer.toString('ascii', 0, 1);
+            const payload = buffer.subarray(5, buffer.readInt32BE(1) + 1);
+            buffer = buffer.subarray(buffer.readInt32BE(1) + 1);
+
+            if (type === 'p') {
+                onPassword(payload);
+            } else if (type === 'Q') {
+                queue = queue.then(() => onQuery(payload));
+            } else if (type === 'X') {
+                socket.end();
+                return;
+            }
+        }
+    });
+    socket.on('error', () => {});
+}
+
+// Start a server on a free port of 127.0.0.1. Options:
+//   auth             trust, cleartext, md5 or scram (default md5)
+//   user, password   the only login that is accepted
+//   databases        names of the existing databases (postgres always exists)
+//   publishableKeys  tokens returned for the api_key lookup
+//   query(sql, session, server)  answers a query; nothing falls back to the defaults
+//   queryDelay       milliseconds to wait before answering a query
+async function startFakePostgres(options = {}) {
+    const server = {
+        auth: options.auth || 'md5',
+        user: options.user || 'postgres',
+        password: options.password === undefined ? 'postgres' : options.password,
+        version: options.version || '16.2',
+        databases: new Set(['postgres', ...(options.databases || [])]),
+        publishableKeys: options.publishableKeys || [],
+        query: options.query || (() => null),
+        queryDelay: options.queryDelay || 0,
+        tamperSignature: Boolean(options.tamperSignature),
+        queries: [],
+        connections: []
+    };
+
+    const sockets = new Set();
+    const listener = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        handleConnection(socket, server);
+    });
+    await new Promise((resolve, reject) => {
+        listener.once('error', reject);
+        listener.listen(0, '127.0.0.1', resolve);
+    });
+
+    server.host = '127.0.0.1';
+    server.port = listener.address().port;
+
+    // Stop listening and drop every open connection
+    server.close = () => new Promise(resolve => {
+        for (const socket of sockets) {
+            socket.destroy();
+        }
+        listener.close(() => resolve());
+    });
+
+    return server;
+}
+
+module.exports = {
+    queryError,
+    startFakePostgres
+};
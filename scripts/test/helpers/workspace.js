@@ -0,0 +1,200 @@
+// Scratch workspaces for installer tests. A workspace is a temporary
+// INSTALL_ROOT with the root package.json, the storefront files the
+// installers update and a root .env with free ports, next to a bin/
+// directory whose fake npx, npm and psql shadow the real ones.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const checkoutPath = path.join(__dirname, '..', '..', '..');
+const scriptsPath = path.join(checkoutPath, 'scripts');
+const fakeCommandPath = path.join(__dirname, 'fake-command.js');
+
+const FAKE_COMMANDS = ['npx', 'npm', 'psql'];
+const STOREFRONT_FILES = ['package.json', path.join('src', 'environments', 'environment.ts')];
+
+// Settings of the developer's machine that would change what the installers do
+const CLEARED_ENV = [
+    'CI', 'INIT_CWD', 'INSTALL_LOG', 'INSTALL_ROOT', 'NODE_TEST_CONTEXT', 'NO_COLOR', 'FORCE_COLOR',
+    'SKIP_USER_PROMPT', 'SKIP_SEED_PROMPT', 'ADMIN_EMAIL', 'ADMIN_PASSWORD', 'ADMIN_PASSWORD_FILE',
+    'DB_HOST', 'DB_PORT', 'DB_USER', 'DB_PASSWORD', 'DB_NAME', 'npm_config_offline',
+    'BACKEND_PORT', 'STOREFRONT_PORT', 'ADMIN_PORT', 'POSTGRES_PORT', 'REDIS_PORT'
+];
+
+const DEFAULT_TIMEOUT = 60000;
+
+// Find a port nothing listens on
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Write an executable shell script that hands the call to fake-command.js
+function writeFakeBin(directory, command) {
+    const file = path.join(directory, command);
+    fs.writeFileSync(file, `#!/bin/sh\nexec "${process.execPath}" "${fakeCommandPath}" ${command} "$@"\n`, { mode: 0o755 });
+}
+
+// Create a workspace; postgresPort goes into the root .env as POSTGRES_PORT
+async function createWorkspace({ postgresPort = 5432 } = {}) {
+    const base = fs.mkdtempSync(path.join(os.tmpdir(), 'installer-test-'));
+    const root = path.join(base, 'workspace');
+    const bin = path.join(base, 'bin');
+    const callsPath = path.join(base, 'calls.ndjson');
+
+    fs.mkdirSync(bin);
+    FAKE_COMMANDS.forEach(command => writeFakeBin(bin, command));
+
+    fs.mkdirSync(root);
+    fs.copyFileSync(path.join(checkoutPath, 'package.json'), path.join(root, 'package.json'));
+    for (const file of STOREFRONT_FILES) {
+        fs.mkdirSync(path.dirname(path.join(root, 'storefront', file)), { recursive: true });
+        fs.copyFileSync(path.join(checkoutPath, 'storefront', file), path.join(root, 'storefront', file));
+    }
+
+    const ports = {
+        BACKEND_PORT: await freePort(),
+        STOREFRONT_PORT: await freePort(),
+        ADMIN_PORT: await freePort(),
+        POSTGRES_PORT: postgresPort,
+        REDIS_PORT: await freePort()
+    };
+    fs.writeFileSync(path.join(root, '.env'), Object.entries(ports).map(([key, value]) => `${key}=${value}\n`).join(''));
+
+    return {
+        root,
+        ports,
+
+        path(...parts) {
+            return path.join(root, ...parts);
+        },
+
+        exists(...parts) {
+            return fs.existsSync(path.join(root, ...parts));
+        },
+
+        read(...parts) {
+            return fs.readFileSync(path.join(root, ...parts), 'utf-8');
+        },
+
+        write(file, content) {
+            fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+            fs.writeFileSync(path.join(root, file), content);
+        },
+
+        // The fake commands called so far, as "command args..." lines
+        calls() {
+            if (!fs.existsSync(callsPath)) {
+                return [];
+            }
+            return fs.readFileSync(callsPath, 'utf-8').trim().split('\n').filter(Boolean).map(line => {
+                const call = JSON.parse(line);
+                return { ...call, line: [call.command, ...call.args].join(' ') };
+            });
+        },
+
+        // The saved step journal of an installer
+        state(installer) {
+            const state = JSON.parse(fs.readFileSync(path.join(root, '.install-state.json'), 'utf-8'));
+            return state.installers[installer];
+        },
+
+        // Run an installer script. answers is a list of [prompt, answer]: each
+        // answer is typed once its prompt shows up, and stdin ends after the last
+        // one. input is written to stdin up front instead, like `< answers.txt`.
+        // interruptOn sends Ctrl+C (SIGINT) once that text is printed; stdin
+        // then stays open.
+        run(script, { args = [], env = {}, answers = [], input = null, interruptOn = null, timeout = DEFAULT_TIMEOUT } = {}) {
+            const childEnv = { ...process.env };
+            CLEARED_ENV.forEach(key => delete childEnv[key]);
+            Object.assign(childEnv, {
+                PATH: [bin, path.dirname(process.execPath), process.env.PATH].join(path.delimiter),
+                INSTALL_ROOT: root,
+                FAKE_CALLS: callsPath,
+                NO_COLOR: '1',
+                ...env
+            });
+
+            return new Promise((resolve, reject) => {
+                const child = spawn(process.execPath, [path.join(scriptsPath, script), ...args], {
+                    cwd: root,
+                    env: childEnv,
+                    stdio: ['pipe', 'pipe', 'pipe']
+                });
+                let stdout = '';
+                let stderr = '';
+                let output = '';
+                let cursor = 0;
+                let next = 0;
+                let interrupted = false;
+
+                const timer = setTimeout(() => {
+                    child.kill('SIGKILL');
+                    reject(new Error(`${script} did not finish within ${timeout} ms. Output:\n${output}`));
+                }, timeout);
+
+                // Type the answers whose prompts have appeared
+                const answer = () => {
+                    while (next < answers.length) {
+                        const [prompt, value] = answers[next];
+                        const found = output.indexOf(prompt, cursor);
+                        if (found === -1) {
+                            break;
+                        }
+                        cursor = found + prompt.length;
+                        next++;
+                        child.stdin.write(`${value}\n`);
+                    }
+                    if (next === answers.length && !interruptOn && !child.stdin.writableEnded) {
+                        child.stdin.end();
+                    }
+                    if (interruptOn && !interrupted && output.includes(interruptOn)) {
+                        interrupted = true;
+                        child.kill('SIGINT');
+                    }
+                };
+
+                child.stdin.on('error', () => {});
+                if (input !== null) {
+                    child.stdin.end(input);
+                }
+                child.stdout.on('data', chunk => {
+                    stdout += chunk;
+                    output += chunk;
+                    answer();
+                });
+                child.stderr.on('data', chunk => {
+                    stderr += chunk;
+                    output += chunk;
+                    answer();
+                });
+                child.on('error', error => {
+                    clearTimeout(timer);
+                    reject(error);
+                });
+                child.on('close', code => {
+                    clearTimeout(timer);
+                    resolve({ code, stdout, stderr, output, unanswered: answers.slice(next).map(([prompt]) => prompt) });
+                });
+                answer();
+            });
+        },
+
+        remove() {
+            fs.rmSync(base, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    createWorkspace,
+    freePort
+};
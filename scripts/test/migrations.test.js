@@ -0,0 +1,145 @@
+// lib/migrations, with its command checked against the commands of the Medusa
+// CLI and the pending migrations read from a fake server
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MIGRATE_COMMAND, findPendingMigrations, listModuleMigrations, runMigrations } = require('../lib/migrations');
+const medusa = require('../lib/medusa');
+const postgres = require('../lib/postgres');
+const { queryError, startFakePostgres } = require('./helpers/fake-postgres');
+
+// Commands of @medusajs/cli (dist/create-cli.js) for each Medusa version the
+// starter has pinned. The CLI rejects unknown commands, so when the pin in
+// package.json moves, add the new version's list here.
+const CLI_COMMANDS = {
+    '2.10.3': [
+        'build', 'db:create', 'db:generate', 'db:migrate', 'db:migrate:scripts', 'db:rollback', 'db:setup',
+        'db:sync-links', 'develop', 'exec', 'new', 'plugin:add', 'plugin:build', 'plugin:db:generate',
+        'plugin:develop', 'plugin:publish', 'start', 'telemetry', 'user'
+    ]
+};
+
+// Read the command names from an installed @medusajs/cli
+function installedCommands(cliPath) {
+    const source = fs.readFileSync(path.join(cliPath, 'dist', 'create-cli.js'), 'utf-8');
+    return [...source.matchAll(/command:\s*["'`]([^\s"'`]+)/g)].map(match => match[1]);
+}
+
+describe('lib/migrations', () => {
+    it('builds the backend, then migrates it', async () => {
+        const calls = [];
+        await runMigrations(async (command, options) => calls.push([command, options.cwd]), '/tmp/backend');
+
+        assert.deepEqual(calls, [['npm run build', '/tmp/backend'], ['npx medusa db:migrate', '/tmp/backend']]);
+    });
+
+    it('reports a failed command as a migration failure', async () => {
+        const exec = async command => {
+            if (command === MIGRATE_COMMAND) {
+                throw new Error('Command failed with code 1');
+            }
+        };
+
+        await assert.rejects(runMigrations(exec, '/tmp/backend'), { message: 'Migration failed: Command failed with code 1' });
+    });
+
+    it('uses a command of the pinned Medusa CLI', () => {
+        const { version } = medusa.readConfig();
+        const commands = CLI_COMMANDS[version];
+        assert.ok(commands, `No @medusajs/cli ${version} commands listed in this test; add them from its dist/create-cli.js`);
+
+        const [, cli, command] = MIGRATE_COMMAND.split(' ');
+        assert.equal(cli, 'medusa');
+        assert.ok(commands.includes(command), `medusa ${command} is not a command of @medusajs/cli ${version}`);
+    });
+
+    it('uses a command of the installed Medusa CLI', t => {
+        const cliPath = path.join(__dirname, '..', '..', 'backend', 'node_modules', '@medusajs', 'cli');
+        if (!fs.existsSync(path.join(cliPath, 'dist', 'create-cli.js'))) {
+            t.skip('no backend installed');
+            return;
+        }
+
+        assert.ok(installedCommands(cliPath).includes(MIGRATE_COMMAND.split(' ')[2]));
+    });
+
+    describe('findPendingMigrations', () => {
+        let backendPath;
+        let server;
+        let applied;
+
+        // A module package with these files in dist/migrations
+        function writeModule(name, files) {
+            const migrationsPath = path.join(backendPath, 'node_modules', '@medusajs', name, 'dist', 'migrations');
+            fs.mkdirSync(migrationsPath, { recursive: true });
+            files.forEach(file => fs.writeFileSync(path.join(migrationsPath, file), ''));
+        }
+
+        async function pending() {
+            const client = await postgres.connect({ host: server.host, port: String(server.port), user: 'postgres', password: 'postgres', name: 'postgres' });
+            try {
+                return await findPendingMigrations(client, backendPath);
+            } finally {
+                client.end();
+            }
+        }
+
+        before(async () => {
+            backendPath = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+            writeModule('region', ['Migration20240205173216.js', 'Migration20240205173216.d.ts', 'Migration20250120110744.js', 'index.js']);
+            writeModule('product', ['Migration20240601111544.js']);
+            writeModule('index', ['Migration20231019174230.js']);
+            writeModule('framework', ['migrator.js', 'run-migration-scripts.js']);
+
+            server = await startFakePostgres({
+                query: sql => {
+                    if (sql !== 'SELECT name FROM mikro_orm_migrations') {
+                        return null;
+                    }
+                    if (!applied) {
+                        throw queryError('42P01', 'relation "mikro_orm_migrations" does not exist');
+                    }
+                    return { columns: ['name'], rows: applied.map(name => ({ name })) };
+                }
+            });
+        });
+
+        after(async () => {
+            fs.rmSync(backendPath, { recursive: true, force: true });
+            await server.close();
+        });
+
+        it('lists the migration classes of each installed module', () => {
+            assert.deepEqual(listModuleMigrations(backendPath), {
+                '@medusajs/index': ['Migration20231019174230'],
+                '@medusajs/product': ['Migration20240601111544'],
+                '@medusajs/region': ['Migration20240205173216', 'Migration20250120110744']
+            });
+        });
+
+        it('reports the migrations missing from modules the database uses', async () => {
+            applied = ['Migration20240205173216', 'Migration20240601111544'];
+
+            assert.deepEqual(await pending(), {
+                applied: 2,
+                pending: [{ module: '@medusajs/region', migrations: ['Migration20250120110744'] }]
+            });
+        });
+
+        it('reports nothing pending once every migration has run', async () => {
+            applied = ['Migration20240205173216', 'Migration20250120110744', 'Migration20240601111544'];
+
+            assert.deepEqual(await pending(), { applied: 3, pending: [] });
+        });
+
+        it('returns null before the first migration', async () => {
+            applied = null;
+            assert.equal(await pending(), null);
+
+            applied = [];
+            assert.equal(await pending(), null);
+        });
+    });
+});
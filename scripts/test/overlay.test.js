@@ -0,0 +1,148 @@
+// lib/overlay: planning the copies, JSON merges and patches of a backend
+// overlay, and writing nothing when one of them conflicts.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyOverlay, listOverlay, mergeJson, planOverlay } = require('../lib/overlay');
+const { MEDUSA_CONFIG } = require('./helpers/fake-command');
+
+const PATCH = [
+    '--- a/medusa-config.ts',
+    '+++ b/medusa-config.ts',
+    '@@ -1,2 +1,3 @@',
+    ' module.exports = {',
+    '+  workerMode: "shared",',
+    ' }',
+    ''
+].join('\n');
+
+describe('lib/overlay', () => {
+    let base;
+    let overlay;
+    let backend;
+
+    // Write files (path → content) under a directory
+    function writeFiles(dir, files) {
+        for (const [file, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+            fs.writeFileSync(path.join(dir, file), content);
+        }
+    }
+
+    // The planned status of each target
+    function statuses(changes) {
+        return Object.fromEntries(changes.map(change => [change.target, change.status]));
+    }
+
+    beforeEach(() => {
+        base = fs.mkdtempSync(path.join(os.tmpdir(), 'overlay-test-'));
+        overlay = path.join(base, 'overlay');
+        backend = path.join(base, 'backend');
+        fs.mkdirSync(overlay);
+        fs.mkdirSync(backend);
+    });
+
+    afterEach(() => fs.rmSync(base, { recursive: true, force: true }));
+
+    it('lists the overlay files with their operations, skipping placeholders', () => {
+        writeFiles(overlay, {
+            'src/api/.gitkeep': '',
+            'src/api/store/hello/route.ts': 'export const GET = () => {}\n',
+            'package.merge.json': '{}',
+            'medusa-config.ts.patch': PATCH
+        });
+
+        assert.deepEqual(listOverlay(overlay).map(entry => [entry.target, entry.operation]), [
+            ['medusa-config.ts', 'patch'],
+            ['package.json', 'merge-json'],
+            ['src/api/store/hello/route.ts', 'copy']
+        ]);
+    });
+
+    it('plans and writes every operation, and changes nothing the second time', () => {
+        writeFiles(overlay, {
+            'src/api/store/hello/route.ts': 'export const GET = () => {}\n',
+            'package.merge.json': JSON.stringify({ scripts: { seed: 'medusa exec ./seed.ts' }, dependencies: { zod: '^3.0.0' } }),
+            'medusa-config.ts.patch': PATCH
+        });
+        writeFiles(backend, {
+            'package.json': JSON.stringify({ name: 'backend', scripts: { seed: 'old', dev: 'medusa develop' } }),
+            'medusa-config.ts': 'module.exports = {\n}\n'
+        });
+
+        const changes = planOverlay(backend, overlay);
+        assert.deepEqual(statuses(changes), {
+            'medusa-config.ts': 'updated',
+            'package.json': 'updated',
+            'src/api/store/hello/route.ts': 'created'
+        });
+        assert.equal(changes.find(change => change.target === 'package.json').detail, 'replaced scripts.seed');
+
+        applyOverlay(changes, backend);
+
+        assert.equal(fs.readFileSync(path.join(backend, 'medusa-config.ts'), 'utf-8'), 'module.exports = {\n  workerMode: "shared",\n}\n');
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(backend, 'package.json'), 'utf-8')), {
+            name: 'backend',
+            scripts: { seed: 'medusa exec ./seed.ts', dev: 'medusa develop' },
+            dependencies: { zod: '^3.0.0' }
+        });
+        assert.ok(fs.existsSync(path.join(backend, 'src', 'api', 'store', 'hello', 'route.ts')));
+        assert.deepEqual(Object.values(statuses(planOverlay(backend, overlay))), ['unchanged', 'unchanged', 'unchanged']);
+    });
+
+    it('reports conflicts and writes nothing when there is one', () => {
+        writeFiles(overlay, {
+            'src/api/store/hello/route.ts': 'export const GET = () => {}\n',
+            'package.merge.json': JSON.stringify({ scripts: 'build' }),
+            'medusa-config.ts.patch': PATCH,
+            'src/subscribers/welcome.ts': 'export default () => {}\n'
+        });
+        writeFiles(backend, {
+            'src/api/store/hello/route.ts': 'export const GET = () => "scaffold"\n',
+            'package.json': JSON.stringify({ scripts: { dev: 'medusa develop' } }),
+            'medusa-config.ts': 'export default {\n}\n'
+        });
+
+        const changes = planOverlay(backend, overlay);
+
+        assert.deepEqual(Object.fromEntries(changes.map(change => [change.target, [change.status, change.detail]])), {
+            'medusa-config.ts': ['conflict', 'hunk @@ -1,2 +1,3 @@ does not match the scaffold'],
+            'package.json': ['conflict', 'the scaffold has a different type at scripts'],
+            'src/api/store/hello/route.ts': ['conflict', 'the scaffold already has this file; turn the overlay file into a .patch'],
+            'src/subscribers/welcome.ts': ['created', undefined]
+        });
+        assert.throws(() => applyOverlay(changes, backend), {
+            message: 'Backend overlay conflicts with the scaffold: medusa-config.ts, package.json, src/api/store/hello/route.ts'
+        });
+        assert.ok(!fs.existsSync(path.join(backend, 'src', 'subscribers', 'welcome.ts')));
+    });
+
+    it('reports a patch for a file the scaffold no longer has', () => {
+        writeFiles(overlay, { 'medusa-config.ts.patch': PATCH, 'broken.ts.patch': 'not a diff' });
+        writeFiles(backend, { 'broken.ts': '' });
+
+        assert.deepEqual(planOverlay(backend, overlay).map(change => change.detail), [
+            'invalid patch: no hunks found (expected a unified diff with @@ lines)',
+            'the scaffold no longer has the file this patch applies to'
+        ]);
+    });
+
+    it('merges nested JSON and lists the replaced keys', () => {
+        assert.deepEqual(mergeJson({ a: { b: 1, c: 2 }, list: [1] }, { a: { b: 3 }, list: [2], d: true }), {
+            value: { a: { b: 3, c: 2 }, list: [2], d: true },
+            replaced: ['a.b', 'list'],
+            conflicts: []
+        });
+    });
+
+    it('applies the shipped overlay to the medusa-config.ts create-medusa-app scaffolds', () => {
+        writeFiles(backend, { 'medusa-config.ts': MEDUSA_CONFIG });
+
+        const config = planOverlay(backend).find(change => change.target === 'medusa-config.ts');
+
+        assert.equal(config.status, 'updated');
+        assert.match(config.content, /\.\.\.\(process\.env\.DATABASE_EXTRA \? \{ databaseDriverOptions: \{ connection: JSON\.parse\(process\.env\.DATABASE_EXTRA\) \} \} : \{\}\),\n {4}http: \{/);
+    });
+});
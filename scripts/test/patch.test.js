@@ -0,0 +1,154 @@
+// lib/patch: applying unified diffs by their context lines, and telling a
+// patch that is already in place from one that conflicts.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyPatch, parsePatch } = require('../lib/patch');
+
+// Join lines into file content
+function file(...lines) {
+    return `${lines.join('\n')}\n`;
+}
+
+const CONFIG = file(
+    'module.exports = defineConfig({',
+    '  projectConfig: {',
+    '    databaseUrl: process.env.DATABASE_URL,',
+    '    http: {',
+    '      storeCors: process.env.STORE_CORS,',
+    '    }',
+    '  }',
+    '})'
+);
+
+const ADD_OPTIONS = [
+    '--- a/medusa-config.ts',
+    '+++ b/medusa-config.ts',
+    '@@ -2,3 +2,4 @@',
+    '   projectConfig: {',
+    '     databaseUrl: process.env.DATABASE_URL,',
+    '+    databaseDriverOptions: {},',
+    '     http: {',
+    ''
+].join('\n');
+
+describe('lib/patch', () => {
+    describe('parsePatch', () => {
+        it('reads the hunks with their pre- and post-image', () => {
+            const [hunk] = parsePatch(ADD_OPTIONS);
+
+            assert.equal(hunk.oldStart, 2);
+            assert.equal(hunk.oldCount, 3);
+            assert.deepEqual(hunk.before, ['  projectConfig: {', '    databaseUrl: process.env.DATABASE_URL,', '    http: {']);
+            assert.equal(hunk.after.length, 4);
+        });
+
+        it('rejects text without hunks', () => {
+            assert.throws(() => parsePatch('not a diff'), { message: 'no hunks found (expected a unified diff with @@ lines)' });
+        });
+    });
+
+    describe('applyPatch', () => {
+        it('applies a hunk by its context, also when the lines moved', () => {
+            const result = applyPatch(CONFIG, ADD_OPTIONS);
+            const moved = applyPatch(`// generated\n\n${CONFIG}`, ADD_OPTIONS);
+
+            assert.equal(result.status, 'applied');
+            assert.match(result.content, /DATABASE_URL,\n {4}databaseDriverOptions: \{\},\n {4}http: \{/);
+            assert.equal(moved.status, 'applied');
+            assert.equal(moved.content, `// generated\n\n${result.content}`);
+        });
+
+        it('leaves a patched file unchanged', () => {
+            const { content } = applyPatch(CONFIG, ADD_OPTIONS);
+
+            assert.deepEqual(applyPatch(content, ADD_OPTIONS), { status: 'already-applied', content });
+            assert.equal(applyPatch(`// generated\n\n${content}`, ADD_OPTIONS).status, 'already-applied');
+        });
+
+        it('applies a patch whose added lines also appear elsewhere in the file', () => {
+            const content = file(
+                'const defaults = {',
+                '  projectConfig: {',
+                '    databaseUrl: process.env.DATABASE_URL,',
+                '    databaseDriverOptions: {},',
+                '    http: {',
+                '  }',
+                '}',
+                '',
+                CONFIG
+            );
+            const patch = ADD_OPTIONS.replace('@@ -2,3 +2,4 @@', '@@ -10,3 +10,4 @@');
+
+            const result = applyPatch(content, patch);
+
+            assert.equal(result.status, 'applied');
+            assert.equal((result.content.match(/databaseDriverOptions/g) || []).length, 2);
+        });
+
+        it('applies a -U0 hunk that only deletes lines', () => {
+            const patch = ['@@ -5 +4,0 @@', '-      storeCors: process.env.STORE_CORS,', ''].join('\n');
+
+            const result = applyPatch(CONFIG, patch);
+
+            assert.equal(result.status, 'applied');
+            assert.ok(!result.content.includes('storeCors'));
+            assert.equal(applyPatch(result.content, patch).status, 'conflict', 'a deletion alone cannot prove it was applied');
+        });
+
+        it('inserts a -U0 hunk that only adds lines after the given line, once', () => {
+            const patch = ['@@ -3,0 +4 @@', '+    workerMode: "shared",', ''].join('\n');
+
+            const result = applyPatch(CONFIG, patch);
+
+            assert.equal(result.status, 'applied');
+            assert.match(result.content, /DATABASE_URL,\n {4}workerMode: "shared",\n {4}http: \{/);
+            assert.equal(applyPatch(result.content, patch).status, 'already-applied');
+        });
+
+        it('takes deletions next to a hunk that is in place as applied', () => {
+            const patch = [
+                '@@ -3,0 +4 @@',
+                '+    workerMode: "shared",',
+                '@@ -5 +5,0 @@',
+                '-      storeCors: process.env.STORE_CORS,',
+                ''
+            ].join('\n');
+
+            const { status, content } = applyPatch(CONFIG, patch);
+
+            assert.equal(status, 'applied');
+            assert.equal(applyPatch(content, patch).status, 'already-applied');
+        });
+
+        it('reports the first hunk whose context does not match', () => {
+            const content = CONFIG.replace('    http: {', '    http: { compression: true,');
+
+            assert.deepEqual(applyPatch(content, ADD_OPTIONS), { status: 'conflict', content, hunk: '@@ -2,3 +2,4 @@' });
+        });
+
+        it('reports a patch that is only partly in place as a conflict', () => {
+            const patch = [
+                '@@ -2,2 +2,3 @@',
+                '   projectConfig: {',
+                '+    workerMode: "shared",',
+                '     databaseUrl: process.env.DATABASE_URL,',
+                '@@ -5,2 +6,3 @@',
+                '       storeCors: process.env.STORE_CORS,',
+                '+      adminCors: process.env.ADMIN_CORS,',
+                '     }',
+                ''
+            ].join('\n');
+            const partly = CONFIG.replace('  projectConfig: {\n', '  projectConfig: {\n    workerMode: "shared",\n');
+
+            assert.equal(applyPatch(partly, patch).status, 'conflict');
+            assert.equal(applyPatch(partly, patch).hunk, '@@ -5,2 +6,3 @@');
+        });
+
+        it('keeps Windows line endings', () => {
+            const result = applyPatch(CONFIG.replace(/\n/g, '\r\n'), ADD_OPTIONS);
+
+            assert.equal(result.status, 'applied');
+            assert.ok(result.content.includes('DATABASE_URL,\r\n    databaseDriverOptions: {},\r\n'));
+        });
+    });
+});
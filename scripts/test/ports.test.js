@@ -0,0 +1,156 @@
+// lib/ports and lib/storefront against a scratch INSTALL_ROOT: the ports of
+// the stack in the root .env, finding free ones when they are taken, and
+// writing them into the backend .env and the storefront config.
+const { after, afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ports-test-'));
+process.env.INSTALL_ROOT = root;
+const ports = require('../lib/ports');
+const storefront = require('../lib/storefront');
+const { parseEnv } = require('../lib/env-file');
+
+const checkoutStorefront = path.join(__dirname, '..', '..', 'storefront');
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// Listen on a free port until close() is called
+function occupyPort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '0.0.0.0', () => resolve({ port: server.address().port, close: () => new Promise(done => server.close(done)) }));
+    });
+}
+
+describe('lib/ports', () => {
+    afterEach(() => fs.rmSync(ports.portsPath, { force: true }));
+
+    it('validates ports', () => {
+        assert.equal(ports.validatePort('9000'), null);
+        assert.equal(ports.validatePort(65535), null);
+        assert.equal(ports.validatePort('0'), 'Port must be a number from 1 to 65535');
+        assert.equal(ports.validatePort('90a0'), 'Port must be a number from 1 to 65535');
+    });
+
+    it('reads the root .env, with the environment winning and defaults for the rest', () => {
+        fs.writeFileSync(ports.portsPath, 'BACKEND_PORT=9100\nSTOREFRONT_PORT=4300\n');
+
+        assert.deepEqual(ports.readPorts({ STOREFRONT_PORT: '4400' }), { ...ports.DEFAULT_PORTS, backend: 9100, storefront: 4400 });
+        assert.throws(() => ports.readPorts({ REDIS_PORT: '637900' }), { message: 'REDIS_PORT is not a valid port: "637900"' });
+    });
+
+    it('writes the ports into the root .env, keeping the other lines', () => {
+        ports.writePorts(ports.DEFAULT_PORTS);
+        fs.appendFileSync(ports.portsPath, 'COMPOSE_PROJECT_NAME=shop\n');
+
+        ports.writePorts({ ...ports.DEFAULT_PORTS, postgres: 5433 });
+
+        const content = fs.readFileSync(ports.portsPath, 'utf-8');
+        assert.match(content, /^# Ports of the local stack/);
+        assert.equal(parseEnv(content).POSTGRES_PORT, '5433');
+        assert.equal(parseEnv(content).COMPOSE_PROJECT_NAME, 'shop');
+        assert.deepEqual(ports.readPorts({}), { ...ports.DEFAULT_PORTS, postgres: 5433 });
+    });
+
+    it('lists services that share a port', () => {
+        assert.deepEqual(ports.findDuplicates(ports.DEFAULT_PORTS), []);
+        assert.deepEqual(ports.findDuplicates({ ...ports.DEFAULT_PORTS, admin: 9000, redis: 5432 }), [
+            'Medusa admin dev server and Medusa backend both use port 9000',
+            'Redis and PostgreSQL both use port 5432'
+        ]);
+    });
+
+    it('suggests a free port for a taken one, never another configured port', async () => {
+        const busy = await occupyPort();
+        try {
+            const configured = { ...ports.DEFAULT_PORTS, backend: busy.port, storefront: busy.port + 1 };
+
+            const [backend] = await ports.probePorts(configured, ['backend']);
+
+            assert.equal(await ports.isPortFree(busy.port), false);
+            assert.equal(backend.free, false);
+            assert.ok(backend.suggestion > busy.port + 1, 'the storefront port is skipped');
+            assert.equal(await ports.findFreePort(busy.port, [busy.port + 1]), backend.suggestion);
+        } finally {
+            await busy.close();
+        }
+    });
+
+    it('moves the backend .env to new ports, keeping other origins', () => {
+        const previous = ports.DEFAULT_PORTS;
+        const content = [
+            'PORT=9000',
+            'MEDUSA_BACKEND_URL=http://localhost:9000',
+            'STORE_CORS=http://localhost:4200/,https://shop.example.com',
+            'ADMIN_CORS=http://localhost:7001,http://localhost:9000',
+            'AUTH_CORS=http://localhost:4200,http://localhost:7001,http://localhost:9000',
+            'JWT_SECRET=keep-me',
+            ''
+        ].join('\n');
+
+        const env = parseEnv(ports.updateBackendEnv(content, { ...previous, backend: 9100, storefront: 4300 }, previous));
+
+        assert.equal(env.PORT, '9100');
+        assert.equal(env.MEDUSA_BACKEND_URL, 'http://localhost:9100');
+        assert.equal(env.MEDUSA_ADMIN_BACKEND_URL, 'http://localhost:9100');
+        assert.equal(env.STORE_CORS, 'http://localhost:4300,https://shop.example.com');
+        assert.equal(env.ADMIN_CORS, 'http://localhost:7001,http://localhost:9100');
+        assert.equal(env.AUTH_CORS, 'http://localhost:4300,http://localhost:7001,http://localhost:9100');
+        assert.equal(env.JWT_SECRET, 'keep-me');
+    });
+});
+
+describe('lib/storefront', () => {
+    beforeEach(() => {
+        fs.mkdirSync(path.dirname(storefront.environmentPath), { recursive: true });
+        fs.copyFileSync(path.join(checkoutStorefront, 'src', 'environments', 'environment.ts'), storefront.environmentPath);
+    });
+
+    afterEach(() => fs.rmSync(path.join(root, 'storefront'), { recursive: true, force: true }));
+
+    // Write the planned changes
+    const apply = changes => changes.forEach(storefront.writeChange);
+
+    it('writes nothing for the default ports', () => {
+        assert.deepEqual(storefront.planStorefrontConfig(ports.DEFAULT_PORTS), []);
+        assert.equal(storefront.readBackendUrl(), 'http://localhost:9000');
+    });
+
+    it('points the storefront at other ports and back through public/config.json', () => {
+        const environment = fs.readFileSync(storefront.environmentPath, 'utf-8');
+
+        apply(storefront.planStorefrontConfig({ ...ports.DEFAULT_PORTS, backend: 9100, storefront: 4300 }));
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(storefront.configPath, 'utf-8')), { apiUrl: 'http://localhost:9100' });
+        assert.equal(storefront.readBackendUrl(), 'http://localhost:9100');
+        assert.equal(fs.readFileSync(storefront.environmentPath, 'utf-8'), environment, 'the committed defaults stay untouched');
+
+        apply(storefront.planStorefrontConfig(ports.DEFAULT_PORTS));
+        assert.equal(storefront.readBackendUrl(), 'http://localhost:9000');
+        assert.deepEqual(storefront.planStorefrontConfig(ports.DEFAULT_PORTS), []);
+    });
+
+    it('sets the publishable key once, keeping the backend URL', () => {
+        apply(storefront.planStorefrontConfig({ ...ports.DEFAULT_PORTS, backend: 9100 }));
+        apply([storefront.planPublishableKey('pk_0123')]);
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(storefront.configPath, 'utf-8')), { apiUrl: 'http://localhost:9100', publishableKey: 'pk_0123' });
+        assert.equal(storefront.readPublishableKey(), 'pk_0123');
+        assert.equal(storefront.planPublishableKey('pk_0123'), null);
+    });
+
+    it('falls back to environment.ts and fails on a broken public/config.json', () => {
+        fs.writeFileSync(storefront.environmentPath, 'export const environment = { production: false };\n');
+        assert.equal(storefront.readBackendUrl(), null);
+
+        fs.mkdirSync(path.dirname(storefront.configPath), { recursive: true });
+        fs.writeFileSync(storefront.configPath, '{ "apiUrl": ');
+        assert.throws(() => storefront.readBackendUrl(), { message: /^public\/config\.json is not valid JSON: / });
+        assert.throws(() => storefront.planPublishableKey('pk_0123'), { message: /^public\/config\.json is not valid JSON: / });
+    });
+});
@@ -0,0 +1,138 @@
+// lib/providers: validating a selection, writing it into .env blocks and the
+// prompts, which must not echo secret keys.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyProviders, promptForProviders, validateSelection } = require('../lib/providers');
+
+const STRIPE_KEY = 'sk_test_0123456789abcdef';
+
+// A question function answering from a list and recording each call
+function scriptedQuestion(answers) {
+    const calls = [];
+    const question = async (query, options = {}) => {
+        calls.push({ query, secret: Boolean(options.secret) });
+        if (answers.length === 0) {
+            throw new Error(`No answer for "${query}"`);
+        }
+        return answers.shift();
+    };
+    return { question, calls };
+}
+
+// A log function keeping the printed lines
+function recordingLog() {
+    const lines = [];
+    const log = message => lines.push(message);
+    log.lines = lines;
+    return log;
+}
+
+describe('lib/providers', () => {
+    describe('validateSelection', () => {
+        it('accepts valid values and fills in defaults', () => {
+            assert.deepEqual(validateSelection({
+                stripe: { STRIPE_API_KEY: STRIPE_KEY },
+                minio: {}
+            }), []);
+        });
+
+        it('lists unknown providers, unknown keys, bad formats and missing values', () => {
+            assert.deepEqual(validateSelection({
+                stripe: { STRIPE_API_KEY: 'pk_test_123', COLOR: 'blue' },
+                paypal: { PAYPAL_CLIENT_ID: 'client-id-123' },
+                square: {}
+            }).map(error => error.replace(/ \(known: .*\)$/, '')), [
+                'stripe.COLOR is not a Stripe setting',
+                'stripe: STRIPE_API_KEY must be a key starting with sk_test_ or sk_live_',
+                'paypal: PAYPAL_CLIENT_SECRET is required',
+                'unknown provider "square"'
+            ]);
+        });
+
+        it('rejects providers that share settings', () => {
+            assert.deepEqual(validateSelection({ minio: {}, s3: { S3_BUCKET: 'bucket', S3_ACCESS_KEY_ID: 'id', S3_SECRET_ACCESS_KEY: 'secret' } })
+                .filter(error => error.includes('share')), ['MinIO and AWS S3 share the same settings, pick one']);
+        });
+    });
+
+    describe('applyProviders', () => {
+        const template = [
+            '# Stripe Configuration',
+            '# STRIPE_API_KEY=sk_test_...',
+            '# STRIPE_WEBHOOK_SECRET=whsec_...',
+            '',
+            '# MinIO Configuration (S3-compatible local storage)',
+            '# S3_URL=http://localhost:9000',
+            ''
+        ].join('\n');
+
+        it('fills in the selected blocks and keeps every other line', () => {
+            const content = ['DATABASE_URL=postgres://localhost/medusa', 'JWT_SECRET=keep-me', '', template].join('\n');
+
+            const result = applyProviders(content, { stripe: { STRIPE_API_KEY: STRIPE_KEY } }, template);
+
+            assert.match(result, /^DATABASE_URL=postgres:\/\/localhost\/medusa\nJWT_SECRET=keep-me\n/);
+            assert.match(result, new RegExp(`# Stripe Configuration\nSTRIPE_API_KEY=${STRIPE_KEY}\n# STRIPE_WEBHOOK_SECRET=whsec_...\n`));
+            assert.match(result, /# MinIO Configuration \(S3-compatible local storage\)\n# S3_URL=http:\/\/localhost:9000\n/);
+        });
+
+        it('resets the blocks of providers that are no longer selected', () => {
+            const enabled = applyProviders(template, { stripe: { STRIPE_API_KEY: STRIPE_KEY } }, template);
+
+            assert.equal(applyProviders(enabled, {}, template), template);
+        });
+
+        it('appends a block missing from the file and quotes values dotenv would misread', () => {
+            const result = applyProviders('NODE_ENV=development\n', { smtp: {
+                SMTP_HOST: 'smtp.example.com',
+                SMTP_USER: 'shop@example.com',
+                SMTP_PASSWORD: 'p#ss word',
+                SMTP_FROM: 'shop@example.com'
+            } }, '');
+
+            assert.match(result, /^NODE_ENV=development\n\n# SMTP Configuration/);
+            assert.match(result, /\nSMTP_PASSWORD="p#ss word"\n/);
+            assert.match(result, /\nSMTP_PORT=587\n/);
+        });
+    });
+
+    describe('promptForProviders', () => {
+        it('asks for secret keys with { secret: true } so they are not echoed', async () => {
+            const { question, calls } = scriptedQuestion(['paypal', 'client-id-123', 'client-secret-456', '', '']);
+
+            const selection = await promptForProviders({ question, log: recordingLog() });
+
+            assert.deepEqual(selection, { paypal: { PAYPAL_CLIENT_ID: 'client-id-123', PAYPAL_CLIENT_SECRET: 'client-secret-456', PAYPAL_MODE: 'sandbox' } });
+            assert.deepEqual(calls.slice(1).map(call => [call.query.trim(), call.secret]), [
+                ['Client ID:', false],
+                ['Client secret:', true],
+                ['Mode [sandbox]:', false],
+                ['Webhook ID (optional):', false]
+            ]);
+        });
+
+        it('asks again for a value in the wrong format', async () => {
+            const { question, calls } = scriptedQuestion(['1', 'pk_live_wrong', STRIPE_KEY, '']);
+            const log = recordingLog();
+
+            const selection = await promptForProviders({ question, log });
+
+            assert.deepEqual(selection, { stripe: { STRIPE_API_KEY: STRIPE_KEY } });
+            assert.ok(log.lines.includes('  ⚠️  STRIPE_API_KEY must be a key starting with sk_test_ or sk_live_'));
+            assert.deepEqual(calls.filter(call => call.secret).map(call => call.query.trim()), [
+                'Secret key:',
+                'Secret key:',
+                'Webhook signing secret (optional):'
+            ]);
+        });
+
+        it('keeps valid current settings without asking for them again', async () => {
+            const { question, calls } = scriptedQuestion(['', 'y']);
+
+            const selection = await promptForProviders({ question, log: recordingLog(), current: { stripe: { STRIPE_API_KEY: STRIPE_KEY } } });
+
+            assert.deepEqual(selection, { stripe: { STRIPE_API_KEY: STRIPE_KEY } });
+            assert.equal(calls.some(call => call.secret), false);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+// lib/reporter: the output formats, the step events they carry and the
+// install.log transcript written next to them.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReporter, parseReporterFormat } = require('../lib/reporter');
+
+// A writable stand-in for stdout that keeps what was written
+function capture({ isTTY = false } = {}) {
+    const stream = { isTTY, text: '', write: chunk => { stream.text += chunk; } };
+    return stream;
+}
+
+// A shell command running a node script
+function node(script) {
+    return `"${process.execPath}" -e ${JSON.stringify(script)}`;
+}
+
+describe('lib/reporter', () => {
+    let directory;
+    let logFile;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reporter-test-'));
+        logFile = path.join(directory, 'install.log');
+    });
+
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    // A reporter writing to a captured stdout and a transcript in the test directory
+    function reporter(format, { isTTY = false, env = {} } = {}) {
+        const stdout = capture({ isTTY });
+        return { stdout, reporter: createReporter('install-backend', { argv: [`--reporter=${format}`], stdout, env: { INSTALL_LOG: logFile, ...env } }) };
+    }
+
+    describe('parseReporterFormat', () => {
+        it('reads --reporter and defaults to pretty', () => {
+            assert.deepEqual(parseReporterFormat(['--reporter', 'ndjson']), { format: 'ndjson', error: null });
+            assert.deepEqual(parseReporterFormat([]), { format: 'pretty', error: null });
+        });
+
+        it('falls back to pretty for an unknown format', () => {
+            assert.deepEqual(parseReporterFormat(['--reporter=xml']), {
+                format: 'pretty',
+                error: 'Unknown reporter "xml" (expected pretty, plain, json, ndjson)'
+            });
+        });
+    });
+
+    it('colors pretty output only on a terminal without NO_COLOR', () => {
+        const terminal = reporter('pretty', { isTTY: true });
+        const noColor = reporter('pretty', { isTTY: true, env: { NO_COLOR: '1' } });
+
+        terminal.reporter.message('✅ Done', 'green');
+        noColor.reporter.message('✅ Done', 'green');
+
+        assert.equal(terminal.stdout.text, '\x1b[32m✅ Done\x1b[0m\n');
+        assert.equal(noColor.stdout.text, '✅ Done\n');
+    });
+
+    it('prints one event per line as ndjson, with the step durations', () => {
+        const { stdout, reporter: ndjson } = reporter('ndjson');
+
+        ndjson.stepStarted('ports', 'Choose ports');
+        ndjson.message('⚠️  Port 9000 is taken', 'yellow');
+        ndjson.stepFinished('ports', 'Choose ports', 'done');
+        ndjson.finish({ ok: true });
+
+        const events = stdout.text.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(events.map(event => event.type), ['run:start', 'step:start', 'log', 'step:finish', 'run:finish']);
+        assert.equal(events[2].level, 'warn');
+        assert.equal(events[2].message, '⚠️  Port 9000 is taken');
+        assert.equal(events[3].status, 'done');
+        assert.equal(typeof events[3].durationMs, 'number');
+        assert.ok(events.every(event => event.installer === 'install-backend'));
+    });
+
+    it('prints a single json document with the failed step and its error', () => {
+        const { stdout, reporter: json } = reporter('json');
+        const error = Object.assign(new Error('Command failed with code 1: npx create-medusa-app'), { output: 'npm ERR! network' });
+
+        json.stepStarted('install-medusa', 'Install Medusa');
+        json.stepFinished('install-medusa', 'Install Medusa', 'failed', error);
+        json.finish({ ok: false, error });
+        json.finish({ ok: true });
+
+        const report = JSON.parse(stdout.text);
+        assert.equal(report.ok, false);
+        assert.equal(report.error, error.message);
+        assert.deepEqual(report.steps.map(({ durationMs, ...step }) => step), [
+            { installer: 'install-backend', id: 'install-medusa', title: 'Install Medusa', status: 'failed', error: error.message }
+        ]);
+        assert.equal(report.events.find(event => event.type === 'step:finish').output, 'npm ERR! network');
+    });
+
+    it('writes command output to the transcript without ANSI codes, also for machine formats', async () => {
+        const { stdout, reporter: json } = reporter('json');
+
+        await json.exec(node('console.log("\\x1b[32mcompiled\\x1b[0m")'), { cwd: directory });
+        await assert.rejects(json.exec(node('process.exit(3)'), { cwd: directory }), { message: /^Command failed with code 3: / });
+        json.finish({ ok: true });
+
+        const transcript = fs.readFileSync(logFile, 'utf-8');
+        assert.match(transcript, /\ncompiled\n/);
+        assert.ok(!transcript.includes('\x1b['));
+        assert.match(transcript, /# install-backend succeeded after \d+ ms\n$/);
+        assert.ok(!stdout.text.includes('compiled'), 'json keeps stdout for the report');
+    });
+
+    it('cancels the running command', async () => {
+        const { reporter: plain } = reporter('plain');
+
+        assert.equal(plain.cancel(), false);
+        const running = plain.exec(node('setTimeout(() => {}, 30000)'), { cwd: directory });
+        assert.equal(plain.cancel(), true);
+
+        await assert.rejects(running, { message: /^Cancelled: / });
+        plain.finish({ ok: false });
+    });
+});
@@ -0,0 +1,88 @@
+// lib/secrets: rotating secrets in place and auditing them across the env files.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { audit, generateSecret, mask, rotate } = require('../lib/secrets');
+const { parseEnv } = require('../lib/env-file');
+
+const STRONG = generateSecret(32);
+const OTHER_STRONG = generateSecret(32);
+
+// A generator returning numbered secrets
+function sequence() {
+    let count = 0;
+    return () => `new-secret-${++count}`;
+}
+
+describe('lib/secrets', () => {
+    describe('rotate', () => {
+        it('rewrites only the secret lines and lists the changes', () => {
+            const content = '# Secrets\nJWT_SECRET=old-jwt\nPORT=9000\nCOOKIE_SECRET=old-cookie\n';
+
+            const result = rotate(content, [], sequence());
+
+            assert.equal(result.content, '# Secrets\nJWT_SECRET=new-secret-1\nPORT=9000\nCOOKIE_SECRET=new-secret-2\n');
+            assert.deepEqual(result.changes, [
+                { line: 2, key: 'JWT_SECRET', from: 'old-jwt', to: 'new-secret-1' },
+                { line: 4, key: 'COOKIE_SECRET', from: 'old-cookie', to: 'new-secret-2' }
+            ]);
+        });
+
+        it('rotates "export KEY=value" and "KEY = value" lines without adding duplicates', () => {
+            const content = 'export JWT_SECRET=old-jwt\nCOOKIE_SECRET = old-cookie\n';
+
+            const result = rotate(content, [], sequence());
+
+            assert.equal(result.content, 'export JWT_SECRET=new-secret-1\nCOOKIE_SECRET=new-secret-2\n');
+            assert.deepEqual(result.changes.map(change => [change.key, change.from]), [['JWT_SECRET', 'old-jwt'], ['COOKIE_SECRET', 'old-cookie']]);
+            assert.deepEqual(parseEnv(result.content), { JWT_SECRET: 'new-secret-1', COOKIE_SECRET: 'new-secret-2' });
+        });
+
+        it('adds a missing secret and rotates only the requested keys', () => {
+            const result = rotate('JWT_SECRET=old-jwt\n', ['COOKIE_SECRET'], sequence());
+
+            assert.equal(result.content, 'JWT_SECRET=old-jwt\nCOOKIE_SECRET=new-secret-1\n');
+            assert.deepEqual(result.changes, [{ line: 2, key: 'COOKIE_SECRET', from: undefined, to: 'new-secret-1' }]);
+        });
+
+        it('rejects keys that are not secrets', () => {
+            assert.throws(() => rotate('', ['DATABASE_URL']), {
+                message: 'Unknown secret DATABASE_URL (expected JWT_SECRET, COOKIE_SECRET)'
+            });
+        });
+
+        it('generates 64 hex characters by default', () => {
+            const { content } = rotate('', ['JWT_SECRET']);
+
+            assert.match(parseEnv(content).JWT_SECRET, /^[0-9a-f]{64}$/);
+        });
+    });
+
+    describe('audit', () => {
+        it('finds nothing wrong with distinct generated secrets', () => {
+            assert.deepEqual(audit([
+                { name: '.env', env: { JWT_SECRET: STRONG, COOKIE_SECRET: OTHER_STRONG } },
+                { name: '.env.production', env: { JWT_SECRET: generateSecret(32), COOKIE_SECRET: generateSecret(32) } }
+            ]), []);
+        });
+
+        it('reports missing, placeholder, short, repetitive and shared secrets', () => {
+            assert.deepEqual(audit([
+                { name: '.env', env: { JWT_SECRET: 'supersecret', COOKIE_SECRET: STRONG } },
+                { name: '.env.staging', env: { JWT_SECRET: 'abc123', COOKIE_SECRET: 'a'.repeat(40) } },
+                { name: '.env.production', env: { JWT_SECRET: STRONG } }
+            ]), [
+                { file: '.env', key: 'JWT_SECRET', message: 'placeholder value' },
+                { file: '.env.staging', key: 'JWT_SECRET', message: 'shorter than 32 characters' },
+                { file: '.env.staging', key: 'COOKIE_SECRET', message: 'too few distinct characters' },
+                { file: '.env.production', key: 'JWT_SECRET', message: 'same value as .env COOKIE_SECRET' },
+                { file: '.env.production', key: 'COOKIE_SECRET', message: 'missing' }
+            ]);
+        });
+    });
+
+    it('masks all but the start of a secret', () => {
+        assert.equal(mask(''), '(empty)');
+        assert.equal(mask('short'), '*****');
+        assert.equal(mask('0123456789abcdef'), '0123…****');
+    });
+});
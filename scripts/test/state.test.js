@@ -0,0 +1,112 @@
+// lib/state: the step journal in .install-state.json, its resume rules and
+// the secrets it leaves out of the file.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal, fingerprint } = require('../lib/state');
+
+const DATABASE = { host: 'localhost', port: '5432', user: 'postgres', password: 'p@ss:w/rd', name: 'medusa-store' };
+
+describe('lib/state', () => {
+    let directory;
+    let file;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-'));
+        file = path.join(directory, '.install-state.json');
+    });
+
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const saved = () => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+    it('records each step with its inputs and output', async () => {
+        const journal = createJournal('install-backend', { file });
+        journal.begin(false);
+
+        const output = await journal.run({ id: 'ports', title: 'Choose ports', inputs: { backend: 9000 }, run: inputs => inputs.backend + 1 });
+        journal.complete();
+
+        assert.equal(output, 9001);
+        const { steps, completedAt } = saved().installers['install-backend'];
+        assert.equal(steps.ports.status, 'done');
+        assert.deepEqual(steps.ports.inputs, { backend: 9000 });
+        assert.equal(steps.ports.output, 9001);
+        assert.ok(completedAt);
+        assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    });
+
+    it('never writes passwords to the state file', async () => {
+        const journal = createJournal('install-backend', { file });
+        journal.begin(false);
+
+        const output = await journal.run({
+            id: 'database-check',
+            title: 'Check database connection',
+            inputs: { database: DATABASE, nested: [{ password: 'x' }] },
+            fingerprint: inputs => fingerprint(inputs),
+            run: inputs => inputs.database
+        });
+
+        assert.equal(output.password, DATABASE.password, 'the running install still gets the password');
+        assert.ok(!fs.readFileSync(file, 'utf-8').includes('p@ss:w/rd'));
+        const step = saved().installers['install-backend'].steps['database-check'];
+        assert.deepEqual(step.inputs, { database: { host: 'localhost', port: '5432', user: 'postgres', name: 'medusa-store' }, nested: [{}] });
+        assert.equal(step.output.password, undefined);
+    });
+
+    it('skips a finished step with the same fingerprint on resume, returning its output without secrets', async () => {
+        const first = createJournal('install-backend', { file });
+        first.begin(false);
+        const step = {
+            id: 'database-config',
+            title: 'Database configuration',
+            inputs: { database: DATABASE },
+            fingerprint: inputs => fingerprint(inputs),
+            run: inputs => inputs.database
+        };
+        await first.run(step);
+        await assert.rejects(first.run({ id: 'install-medusa', title: 'Install Medusa', run: () => { throw new Error('npx failed'); } }));
+
+        const resumed = createJournal('install-backend', { file });
+        assert.deepEqual(resumed.unfinishedRun(), {
+            startedAt: saved().installers['install-backend'].startedAt,
+            failedStep: 'Install Medusa',
+            error: 'npx failed'
+        });
+        resumed.begin(true);
+
+        let ran = false;
+        const output = await resumed.run({ ...step, inputs: { database: { ...DATABASE, password: 'changed' } }, run: () => { ran = true; } });
+
+        assert.equal(ran, false, 'a different password alone does not rerun the step');
+        assert.deepEqual(output, { host: 'localhost', port: '5432', user: 'postgres', name: 'medusa-store' });
+    });
+
+    it('reruns a step whose fingerprint changed, and every step after it', async () => {
+        const first = createJournal('install', { file });
+        first.begin(false);
+        await first.run({ id: 'a', title: 'A', inputs: { value: 1 }, fingerprint: inputs => fingerprint(inputs), run: () => 'a1' });
+        await first.run({ id: 'b', title: 'B', inputs: { value: 1 }, fingerprint: inputs => fingerprint(inputs), run: () => 'b1' });
+
+        const resumed = createJournal('install', { file });
+        resumed.begin(true);
+        const a = await resumed.run({ id: 'a', title: 'A', inputs: { value: 2 }, fingerprint: inputs => fingerprint(inputs), run: () => 'a2' });
+        const b = await resumed.run({ id: 'b', title: 'B', inputs: { value: 1 }, fingerprint: inputs => fingerprint(inputs), run: () => 'b2' });
+
+        assert.deepEqual([a, b], ['a2', 'b2']);
+    });
+
+    it('starts over without resume', async () => {
+        const first = createJournal('install', { file });
+        first.begin(false);
+        await first.run({ id: 'a', title: 'A', fingerprint: () => 'same', run: () => 'first' });
+
+        const second = createJournal('install', { file });
+        second.begin(false);
+
+        assert.equal(await second.run({ id: 'a', title: 'A', fingerprint: () => 'same', run: () => 'second' }), 'second');
+    });
+});
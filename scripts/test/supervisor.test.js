@@ -0,0 +1,129 @@
+// lib/supervisor: starting services, telling when they are ready, restarting
+// crashed ones with a growing delay and giving up after too many crashes.
+const { after, afterEach, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const { createSupervisor, probeUrl } = require('../lib/supervisor');
+const { freePort } = require('./helpers/workspace');
+
+// A shell command running a node script
+function node(script) {
+    return `"${process.execPath}" -e ${JSON.stringify(script)}`;
+}
+
+// A supervisor with short restart delays, recording output and status changes
+function supervise(options = {}) {
+    const lines = [];
+    const changes = [];
+    const supervisor = createSupervisor({
+        write: line => lines.push(line),
+        color: false,
+        restartDelays: [20, 40],
+        maxCrashes: 3,
+        onChange: service => changes.push([service.name, service.status, service.detail]),
+        ...options
+    });
+    return { supervisor, lines, changes };
+}
+
+// Wait until a condition holds, checking every few milliseconds
+async function until(condition, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('lib/supervisor', () => {
+    let server;
+    let url;
+    let running;
+
+    before(async () => {
+        server = http.createServer((request, response) => {
+            response.statusCode = request.url === '/broken' ? 500 : 200;
+            response.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    afterEach(async () => {
+        if (running) {
+            await running.stop();
+            running = null;
+        }
+    });
+
+    it('probes a URL, taking server errors and closed ports as not ready', async () => {
+        assert.equal(await probeUrl(`${url}/health`), true);
+        assert.equal(await probeUrl(`${url}/broken`), false);
+        assert.equal(await probeUrl(`http://127.0.0.1:${await freePort()}`), false);
+    });
+
+    it('prefixes the output and is ready once the URL answers', async () => {
+        const { supervisor, lines, changes } = supervise();
+        running = supervisor;
+
+        supervisor.start({ name: 'backend', command: node('console.log("listening"); setInterval(() => {}, 1000)'), cwd: os.tmpdir(), url: `${url}/health` });
+        await supervisor.waitUntilReady('backend', { timeout: 10000 });
+        await until(() => lines.length > 0);
+
+        assert.deepEqual(lines, ['[backend] listening']);
+        assert.deepEqual(changes, [['backend', 'starting', null], ['backend', 'ready', null]]);
+
+        await supervisor.stop();
+        assert.equal(supervisor.list()[0].status, 'stopped');
+    });
+
+    it('restarts a crashed service with a growing delay and fails after too many crashes', async () => {
+        const { supervisor, changes } = supervise();
+        running = supervisor;
+        const closed = `http://127.0.0.1:${await freePort()}`;
+
+        supervisor.start({ name: 'backend', command: node('process.exit(3)'), cwd: os.tmpdir(), url: closed });
+
+        await assert.rejects(supervisor.waitUntilReady('backend'), { message: 'backend failed: exited with code 3, 3 crashes in a row' });
+        assert.deepEqual(changes.filter(([, status]) => status !== 'starting').map(([, status, detail]) => `${status}: ${detail}`), [
+            'crashed: exited with code 3, restarting in 0.02s',
+            'crashed: exited with code 3, restarting in 0.04s',
+            'failed: exited with code 3, 3 crashes in a row'
+        ]);
+        assert.equal(supervisor.list()[0].restarts, 2);
+    });
+
+    it('leaves a crashed service stopped without restart', async () => {
+        const { supervisor } = supervise({ restart: false });
+        running = supervisor;
+
+        supervisor.start({ name: 'storefront', command: node('process.exit(1)'), cwd: os.tmpdir(), url });
+
+        await until(() => supervisor.list()[0].status === 'failed');
+        assert.equal(supervisor.list()[0].detail, 'exited with code 1');
+        assert.equal(supervisor.list()[0].restarts, 0);
+
+        await supervisor.restart('storefront');
+        assert.equal(supervisor.list()[0].restarts, 1, 'a failed service starts again on request');
+        await until(() => supervisor.list()[0].status === 'failed');
+    });
+
+    it('restarts a running service on request', async () => {
+        const { supervisor, changes } = supervise({ restart: false });
+        running = supervisor;
+
+        const service = supervisor.start({ name: 'backend', command: node('setInterval(() => {}, 1000)'), cwd: os.tmpdir() });
+        const first = service.child.pid;
+        await supervisor.restart('backend');
+        await until(() => service.status === 'ready' && service.child);
+
+        assert.notEqual(service.child.pid, first);
+        assert.equal(service.restarts, 1);
+        assert.ok(!changes.some(([, status]) => status === 'crashed' || status === 'failed'), 'a requested restart is no crash');
+    });
+});
@@ -0,0 +1,390 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const backups = require('./lib/backups');
+const medusa = require('./lib/medusa');
+const migrations = require('./lib/migrations');
+const postgres = require('./lib/postgres');
+const { getArgValue } = require('./lib/answers');
+const { readEnvFile } = require('./lib/env-file');
+const { addMissingKeys, envFileNames, usesSsl } = require('./lib/environments');
+const { readPorts, templateValues } = require('./lib/ports');
+const { generateSecret } = require('./lib/secrets');
+const { compare, satisfies } = require('./lib/semver');
+const { runCommand } = require('./lib/command');
+const { createPrompter, log } = require('./lib/cli');
+const { backendPath, storefrontPath } = require('./lib/paths');
+
+const isCI = process.env.CI === 'true';
+const argv = process.argv.slice(2);
+
+const USAGE = `Usage: npm run upgrade -- [--to <version>] [options]
+
+Upgrades backend/ to another Medusa version: bumps the @medusajs/* packages,
+adds new keys from the env template to the backend .env files, runs the new
+migrations and pins the version in package.json. Without --to, upgrades to the
+version pinned in package.json.
+
+Options:
+  --to <version>       Medusa version to upgrade to
+  --check              Only show the installed and available versions
+  --yes                Do not ask for confirmation
+  --no-rollback        Keep a failed upgrade instead of rolling it back
+  --skip-db-snapshot   Do not copy the database first (a failed upgrade then
+                       restores the files but not the database)`;
+
+const NPM_VIEW_TIMEOUT = 30000;
+
+// Print command output as it arrives
+function run(command, { cwd }) {
+    log(`$ ${command}`, 'white');
+    return runCommand(command, { cwd, onOutput: chunk => process.stdout.write(chunk) });
+}
+
+// Published stable versions of a package, oldest first, or null when npm cannot be reached
+function publishedVersions(name) {
+    try {
+        const output = execSync(`npm view ${name} versions --json`, {
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            timeout: NPM_VIEW_TIMEOUT
+        });
+        const versions = [].concat(JSON.parse(output));
+        return versions.filter(version => /^\d+\.\d+\.\d+$/.test(version)).sort(compare);
+    } catch {
+        return null;
+    }
+}
+
+// The newest release of each minor line above the current version
+function newerReleases(versions, current) {
+    const latest = new Map();
+    for (const version of versions.filter(candidate => compare(candidate, current) > 0)) {
+        latest.set(version.split('.').slice(0, 2).join('.'), version);
+    }
+    return [...latest.values()];
+}
+
+// Installed Medusa and Angular versions
+function detectVersions(config) {
+    const backendPackage = JSON.parse(fs.readFileSync(path.join(backendPath, 'package.json'), 'utf-8'));
+    const dependencies = { ...backendPackage.devDependencies, ...backendPackage.dependencies };
+    if (!dependencies['@medusajs/medusa']) {
+        throw new Error('backend/package.json does not depend on @medusajs/medusa');
+    }
+
+    const storefrontPackage = JSON.parse(fs.readFileSync(path.join(storefrontPath, 'package.json'), 'utf-8'));
+    const storefrontDependencies = { ...storefrontPackage.devDependencies, ...storefrontPackage.dependencies };
+
+    return {
+        medusa: medusa.dependencyVersion(backendPath, '@medusajs/medusa', dependencies['@medusajs/medusa']),
+        angular: medusa.dependencyVersion(storefrontPath, '@angular/core', storefrontDependencies['@angular/core'] || ''),
+        storefront: medusa.storefrontVersion(),
+        supported: medusa.supportedRanges(config, medusa.storefrontVersion())
+    };
+}
+
+// Show the installed versions and the newer releases on npm
+function showVersions(installed, config) {
+    log('\n🔍 Installed versions\n', 'cyan');
+    log(`   Medusa   ${installed.medusa} (pinned in package.json: ${config.version})`, 'white');
+    log(`   Angular  ${installed.angular || 'not installed'} (storefront ${installed.storefront})`, 'white');
+
+    log('\n📦 Available versions\n', 'cyan');
+    const medusaVersions = publishedVersions('@medusajs/medusa');
+    if (!medusaVersions) {
+        log('   ⚠️  Could not reach the npm registry to list Medusa releases', 'yellow');
+    } else {
+        const releases = newerReleases(medusaVersions, installed.medusa);
+        if (releases.length === 0) {
+            log('   Medusa: no newer release', 'white');
+        }
+        for (const version of releases) {
+            const supported = installed.supported.some(range => satisfies(version, range));
+            log(`   Medusa ${version}  ${supported ? '✅ supported by the storefront' : '❌ not in the compatibility matrix'}`,
+                supported ? 'green' : 'white');
+        }
+    }
+
+    const angularVersions = installed.angular ? publishedVersions('@angular/core') : null;
+    if (angularVersions) {
+        const releases = newerReleases(angularVersions, installed.angular);
+        for (const version of releases) {
+            log(`   Angular ${version}`, 'white');
+        }
+        if (releases.length > 0) {
+            const major = releases[releases.length - 1].split('.')[0];
+            log(`   💡 Angular is upgraded with: cd storefront && npx ng update @angular/core@${major} @angular/cli@${major}`, 'cyan');
+        }
+    }
+    log('');
+}
+
+// Pick the version to upgrade to and check the storefront supports it
+function chooseTarget(installed, config) {
+    const requested = getArgValue(argv, '--to');
+    if (requested !== undefined && (!requested || requested.startsWith('--'))) {
+        throw new Error('--to requires a Medusa version such as 2.10.5');
+    }
+
+    const target = requested || config.version;
+    if (!/^\d+\.\d+\.\d+/.test(target)) {
+        throw new Error(`"${target}" is not a Medusa version`);
+    }
+    if (!installed.supported.some(range => satisfies(target, range))) {
+        throw new Error(`Medusa ${target} is not supported by storefront ${installed.storefront} ` +
+            `(supported: ${installed.supported.join(' || ') || 'none'}). Add it to "medusa.compatibility" in package.json first.`);
+    }
+    return target;
+}
+
+// Database settings from backend/.env
+function databaseConfig(env) {
+    if (!env.DATABASE_URL) {
+        throw new Error('DATABASE_URL is not set in backend/.env');
+    }
+    const config = postgres.parseConnectionString(env.DATABASE_URL);
+    if (usesSsl(env)) {
+        config.ssl = true;
+    }
+    return config;
+}
+
+// Run statements on the maintenance database (never the one being copied or renamed)
+async function maintenance(dbConfig, statements) {
+    const client = await postgres.connect({ ...dbConfig, name: dbConfig.name === 'postgres' ? 'template1' : 'postgres' });
+    try {
+        for (const statement of statements) {
+            await client.query(statement);
+        }
+    } finally {
+        client.end();
+    }
+}
+
+// Copy the database with CREATE DATABASE ... TEMPLATE, which needs the backend to be stopped
+async function snapshotDatabase(dbConfig) {
+    const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const name = `${dbConfig.name.slice(0, 40)}_upgrade_${stamp}`;
+    try {
+        await maintenance(dbConfig, [
+            `CREATE DATABASE ${postgres.quoteIdentifier(name)} TEMPLATE ${postgres.quoteIdentifier(dbConfig.name)}`
+        ]);
+    } catch (error) {
+        throw new Error(`Could not copy database "${dbConfig.name}": ${error.message}. ` +
+            'Stop the backend (it must be the only user of the database) or pass --skip-db-snapshot.');
+    }
+    return name;
+}
+
+// Swap the snapshot back in, keeping the migrated database under another name
+async function restoreDatabase(dbConfig, snapshot) {
+    const failed = snapshot.replace(/_upgrade_/, '_failed_');
+    await maintenance(dbConfig, [
+        `ALTER DATABASE ${postgres.quoteIdentifier(dbConfig.name)} RENAME TO ${postgres.quoteIdentifier(failed)}`,
+        `ALTER DATABASE ${postgres.quoteIdentifier(snapshot)} RENAME TO ${postgres.quoteIdentifier(dbConfig.name)}`
+    ]);
+    return failed;
+}
+
+// Placeholder values for new template keys, taken from the current settings
+function templateContext(env) {
+    const context = {
+        ...env,
+        ...templateValues(readPorts()),
+        JWT_SECRET: generateSecret(32),
+        COOKIE_SECRET: generateSecret(32)
+    };
+    if (env.MEDUSA_BACKEND_URL) {
+        context.BACKEND_URL = env.MEDUSA_BACKEND_URL;
+    }
+    if (env.DATABASE_URL) {
+        const database = postgres.parseConnectionString(env.DATABASE_URL);
+        Object.assign(context, {
+            DB_USER: database.user,
+            DB_PASSWORD: database.password,
+            DB_HOST: database.host,
+            DB_PORT: database.port,
+            DB_NAME: database.name
+        });
+    }
+    return context;
+}
+
+// Add the keys new in the env template to every backend .env file, keeping existing values
+function refreshEnvFiles() {
+    const changes = [];
+
+    for (const [environment, fileName] of Object.entries(envFileNames)) {
+        const file = path.join(backendPath, fileName);
+        if (!fs.existsSync(file)) {
+            continue;
+        }
+
+        const content = fs.readFileSync(file, 'utf-8');
+        const result = addMissingKeys(content, environment, templateContext(readEnvFile(file)));
+        if (result.added.length > 0) {
+            fs.writeFileSync(file, result.content);
+        }
+        changes.push({ fileName, added: result.added, unresolved: result.unresolved });
+
+        if (result.added.length > 0) {
+            log(`✅ ${fileName}: added ${result.added.join(', ')}`, 'green');
+        }
+        if (result.unresolved.length > 0) {
+            log(`⚠️  ${fileName}: set ${result.unresolved.join(', ')} by hand (no value to fill in)`, 'yellow');
+        }
+    }
+    if (changes.every(change => change.added.length === 0 && change.unresolved.length === 0)) {
+        log('✅ The .env files already have every template key', 'green');
+    }
+    return changes;
+}
+
+// Undo a failed upgrade: files, dependencies and (if copied) the database
+async function rollBack(snapshot, dbConfig, dbSnapshot) {
+    log('\n↩️  Rolling back the upgrade...', 'yellow');
+    backups.restoreSnapshot(snapshot, backendPath);
+    log(`✅ Restored backend/ files from .backups/${snapshot.id}`, 'green');
+
+    try {
+        await run('npm install', { cwd: backendPath });
+        log('✅ Reinstalled the previous dependencies', 'green');
+    } catch (error) {
+        log(`⚠️  Could not reinstall the previous dependencies: ${error.message}`, 'yellow');
+        log('   Run "cd backend && npm install" once the problem is fixed', 'white');
+    }
+
+    if (dbSnapshot) {
+        try {
+            const failed = await restoreDatabase(dbConfig, dbSnapshot);
+            log(`✅ Restored database "${dbConfig.name}"; the migrated copy is kept as "${failed}"`, 'green');
+        } catch (error) {
+            log(`⚠️  Could not restore the database: ${error.message}`, 'yellow');
+            log(`   The copy taken before the upgrade is "${dbSnapshot}"`, 'white');
+        }
+    } else {
+        log('⚠️  The database was not copied first (--skip-db-snapshot) and may hold new migrations', 'yellow');
+    }
+}
+
+// Print what changed
+function printSummary(summary) {
+    log('\n📋 Upgrade summary\n', 'cyan');
+    for (const change of summary.packages) {
+        log(`   ${change.name.padEnd(28)} ${change.from} → ${change.to}`, 'white');
+    }
+    log(`   ${'Migrations'.padEnd(28)} applied`, 'white');
+    for (const change of summary.envFiles) {
+        const added = change.added.length > 0 ? `added ${change.added.join(', ')}` : 'unchanged';
+        const unresolved = change.unresolved.length > 0 ? `; set by hand: ${change.unresolved.join(', ')}` : '';
+        log(`   ${`backend/${change.fileName}`.padEnd(28)} ${added}${unresolved}`, 'white');
+    }
+    if (summary.pinned) {
+        log(`   ${'package.json'.padEnd(28)} medusa.version ${summary.pinned.from} → ${summary.pinned.to} (commit this)`, 'white');
+    }
+    log(`   ${'Backup'.padEnd(28)} .backups/${summary.snapshot.id}`, 'white');
+    if (summary.dbSnapshot) {
+        log(`   ${'Database copy'.padEnd(28)} ${summary.dbSnapshot} (drop it once the upgrade is verified)`, 'white');
+    }
+    log('\n💡 Check the result with: npm run doctor\n', 'cyan');
+}
+
+async function upgrade(installed, config, target) {
+    const env = readEnvFile(path.join(backendPath, '.env')) || {};
+    const dbConfig = databaseConfig(env);
+    const rollbackOnError = !argv.includes('--no-rollback');
+
+    log('\n📦 Backing up backend/ (without node_modules)...', 'cyan');
+    const snapshot = backups.snapshotBackend(backendPath, { reason: `upgrade from Medusa ${installed.medusa} to ${target}` });
+    log(`✅ Saved as .backups/${snapshot.id}`, 'green');
+
+    let dbSnapshot = null;
+    if (!argv.includes('--skip-db-snapshot')) {
+        log(`\n🗄️  Copying database "${dbConfig.name}"...`, 'cyan');
+        dbSnapshot = await snapshotDatabase(dbConfig);
+        log(`✅ Copied to "${dbSnapshot}"`, 'green');
+    }
+
+    const summary = { snapshot, dbSnapshot, packages: [], envFiles: [], pinned: null };
+    try {
+        log(`\n⬆️  Updating the Medusa packages to ${target}...`, 'cyan');
+        summary.packages = medusa.bumpPackages(target);
+        await run('npm install', { cwd: backendPath });
+
+        const { problems } = medusa.checkCompatibility(config);
+        if (problems.length > 0) {
+            throw new Error(`The upgraded backend does not match the storefront: ${problems.join('; ')}`);
+        }
+
+        log('\n📝 Adding new settings from the env template...', 'cyan');
+        summary.envFiles = refreshEnvFiles();
+
+        log('\n🔄 Running database migrations...', 'cyan');
+        await migrations.runMigrations(run, backendPath, log);
+        log('✅ Migrations completed successfully', 'green');
+    } catch (error) {
+        log(`\n❌ Upgrade failed: ${error.message}`, 'red');
+        if (rollbackOnError) {
+            await rollBack(snapshot, dbConfig, dbSnapshot);
+        } else {
+            log(`\n💡 The previous files are in .backups/${snapshot.id}${dbSnapshot ? ` and the database copy is "${dbSnapshot}"` : ''}`, 'cyan');
+        }
+        throw new Error('Upgrade did not complete');
+    }
+
+    if (config.version !== target) {
+        medusa.writePin(target);
+        summary.pinned = { from: config.version, to: target };
+    }
+    printSummary(summary);
+}
+
+async function main() {
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!fs.existsSync(path.join(backendPath, 'package.json'))) {
+        throw new Error('backend/ is not installed. Run: npm run install:backend');
+    }
+
+    const config = medusa.readConfig();
+    const installed = detectVersions(config);
+    showVersions(installed, config);
+
+    if (argv.includes('--check')) {
+        return;
+    }
+
+    const target = chooseTarget(installed, config);
+    const direction = compare(target, installed.medusa);
+    if (direction === 0) {
+        log(`✅ backend/ is already on Medusa ${target}. Pass --to <version> to move to another release.\n`, 'green');
+        return;
+    }
+
+    log(`${direction > 0 ? '⬆️  Upgrade' : '⬇️  Downgrade'}: Medusa ${installed.medusa} → ${target}`, 'cyan');
+    if (direction < 0) {
+        log('   Migrations are not undone by a downgrade; make sure the database still fits the older release', 'yellow');
+    }
+
+    if (!argv.includes('--yes')) {
+        if (isCI || !process.stdin.isTTY) {
+            throw new Error('Upgrading changes backend/ and the database. Pass --yes to confirm.');
+        }
+        const proceed = await createPrompter().confirm('Stop the backend if it is running, then continue? (y/N): ');
+        if (!proceed) {
+            log('Upgrade cancelled', 'yellow');
+            return;
+        }
+    }
+
+    await upgrade(installed, config, target);
+}
+
+main().catch(error => {
+    log(`\n❌ ${error.message}`, 'red');
+    process.exit(1);
+});
@@ -0,0 +1,23 @@
+import { inject } from '@angular/core';
+import { ResolveFn } from '@angular/router';
+import { map } from 'rxjs';
+
+import { StoreCountry } from '../medusa/medusa.types';
+import { RegionStore } from '../regions/region-store';
+
+/** Every country of the store's regions, by name, for saved addresses */
+export const countriesResolver: ResolveFn<StoreCountry[]> = () => {
+  const regions = inject(RegionStore);
+
+  return regions.load().pipe(
+    map(() => {
+      const countries = new Map(
+        regions
+          .regions()
+          .flatMap((region) => region.countries ?? [])
+          .map((country) => [country.iso_2, country]),
+      );
+      return [...countries.values()].sort((a, b) => a.display_name.localeCompare(b.display_name));
+    }),
+  );
+};
@@ -0,0 +1,43 @@
+import { Routes } from '@angular/router';
+
+import { authGuard } from '../auth/auth.guards';
+import { orderHistoryResolver, orderResolver } from '../orders/order.resolvers';
+import { countriesResolver } from './account.resolvers';
+
+// The guard runs for every page of the account, so logging out in another tab
+// sends the next navigation to the login page
+export const accountRoutes: Routes = [
+  {
+    path: '',
+    title: 'Account | Storefront',
+    loadComponent: () => import('./account').then((m) => m.Account),
+    canActivate: [authGuard],
+    canActivateChild: [authGuard],
+    children: [
+      { path: '', pathMatch: 'full', redirectTo: 'profile' },
+      {
+        path: 'profile',
+        title: 'Profile | Storefront',
+        loadComponent: () => import('./profile').then((m) => m.Profile),
+      },
+      {
+        path: 'addresses',
+        title: 'Addresses | Storefront',
+        loadComponent: () => import('./addresses').then((m) => m.Addresses),
+        resolve: { countries: countriesResolver },
+      },
+      {
+        path: 'orders',
+        title: 'Orders | Storefront',
+        loadComponent: () => import('./order-history').then((m) => m.OrderHistory),
+        resolve: { history: orderHistoryResolver },
+        runGuardsAndResolvers: 'always',
+      },
+      {
+        path: 'orders/:id',
+        loadComponent: () => import('./order-detail').then((m) => m.OrderDetail),
+        resolve: { order: orderResolver },
+      },
+    ],
+  },
+];
@@ -0,0 +1,53 @@
+import { Component, inject } from '@angular/core';
+import { Router, RouterLink, RouterLinkActive, RouterOutlet } from '@angular/router';
+
+import { AuthStore } from '../auth/auth-store';
+
+/** The frame of the account pages */
+@Component({
+  selector: 'app-account',
+  imports: [RouterLink, RouterLinkActive, RouterOutlet],
+  template: `
+    <div class="mx-auto max-w-5xl px-4 py-8 md:grid md:grid-cols-[12rem_1fr] md:gap-10">
+      <aside class="mb-8 text-sm md:mb-0">
+        @if (auth.customer(); as customer) {
+          <p class="mb-4 text-gray-600">Hi, {{ customer.first_name || customer.email }}</p>
+        }
+        <nav class="flex gap-4 md:flex-col md:gap-2" aria-label="Account">
+          @for (link of links; track link.path) {
+            <a
+              [routerLink]="link.path"
+              routerLinkActive="font-semibold underline"
+              ariaCurrentWhenActive="page"
+            >
+              {{ link.label }}
+            </a>
+          }
+          <button type="button" class="text-left text-gray-600 underline" (click)="logout()">
+            Log out
+          </button>
+        </nav>
+      </aside>
+
+      <section>
+        <router-outlet />
+      </section>
+    </div>
+  `,
+  styles: [],
+})
+export class Account {
+  protected readonly auth = inject(AuthStore);
+  private readonly router = inject(Router);
+
+  protected readonly links = [
+    { path: '/account/profile', label: 'Profile' },
+    { path: '/account/addresses', label: 'Addresses' },
+    { path: '/account/orders', label: 'Orders' },
+  ];
+
+  protected logout(): void {
+    this.auth.logout();
+    this.router.navigateByUrl('/');
+  }
+}
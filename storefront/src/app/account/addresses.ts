@@ -0,0 +1,144 @@
+import { Component, computed, inject, input, signal } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule } from '@angular/forms';
+
+import { AuthStore } from '../auth/auth-store';
+import { toMedusaError } from '../medusa/medusa-error';
+import { StoreCountry, StoreCustomerAddress } from '../medusa/medusa.types';
+import { AddressFields, addressForm } from '../shared/address-fields';
+import { AddressLinesPipe } from '../shared/address-lines.pipe';
+
+// The address being added (no id) or edited
+interface Editor {
+  addressId: string | null;
+  form: ReturnType<typeof editorForm>;
+}
+
+@Component({
+  selector: 'app-addresses',
+  imports: [ReactiveFormsModule, AddressFields, AddressLinesPipe],
+  template: `
+    <div class="flex items-center justify-between">
+      <h1 class="text-2xl font-semibold">Addresses</h1>
+      @if (!editor()) {
+        <button type="button" class="text-sm underline" (click)="edit()">Add an address</button>
+      }
+    </div>
+
+    @if (error(); as error) {
+      <p class="mt-4 text-sm text-red-700">{{ error }}</p>
+    }
+
+    @if (editor(); as current) {
+      <form class="mt-6" [formGroup]="current.form" (ngSubmit)="save(current)" novalidate>
+        <h2 class="mb-4 text-lg font-semibold">
+          {{ current.addressId ? 'Edit address' : 'New address' }}
+        </h2>
+        <app-address-fields [group]="current.form.controls.address" [countries]="countries()" />
+        <label class="mt-4 flex items-center gap-2 text-sm">
+          <input type="checkbox" formControlName="is_default_shipping" />
+          Use as my default shipping address
+        </label>
+        <div class="mt-6 flex gap-4">
+          <button
+            type="submit"
+            class="rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+            [disabled]="busy()"
+          >
+            Save address
+          </button>
+          <button type="button" class="text-sm underline" (click)="editor.set(null)">
+            Cancel
+          </button>
+        </div>
+      </form>
+    }
+
+    <ul class="mt-8 grid gap-4 sm:grid-cols-2">
+      @for (address of addresses(); track address.id) {
+        <li class="rounded-lg border border-gray-200 p-4 text-sm">
+          @if (address.is_default_shipping) {
+            <p class="mb-2 text-xs font-semibold uppercase text-gray-500">Default shipping</p>
+          }
+          @for (line of address | addressLines; track $index) {
+            <span class="block">{{ line }}</span>
+          }
+          <div class="mt-4 flex gap-4">
+            <button type="button" class="underline" (click)="edit(address)">Edit</button>
+            <button
+              type="button"
+              class="text-gray-600 underline disabled:opacity-40"
+              [disabled]="busy()"
+              (click)="remove(address)"
+            >
+              Delete
+            </button>
+          </div>
+        </li>
+      } @empty {
+        <li class="text-gray-600">You have no saved addresses yet.</li>
+      }
+    </ul>
+  `,
+  styles: [],
+})
+export class Addresses {
+  private readonly auth = inject(AuthStore);
+  private readonly fb = inject(NonNullableFormBuilder);
+
+  /** Resolved by countriesResolver */
+  readonly countries = input.required<StoreCountry[]>();
+
+  protected readonly addresses = computed(() => this.auth.customer()?.addresses ?? []);
+  protected readonly editor = signal<Editor | null>(null);
+  protected readonly busy = signal(false);
+  protected readonly error = signal<string | null>(null);
+
+  protected edit(address?: StoreCustomerAddress): void {
+    this.error.set(null);
+    this.editor.set({ addressId: address?.id ?? null, form: editorForm(this.fb, address) });
+  }
+
+  protected async save(editor: Editor): Promise<void> {
+    if (editor.form.invalid) {
+      editor.form.markAllAsTouched();
+      return;
+    }
+    const { address, is_default_shipping } = editor.form.getRawValue();
+
+    const saved = await this.run(() =>
+      this.auth.saveAddress({ ...address, is_default_shipping }, editor.addressId ?? undefined),
+    );
+    if (saved) {
+      this.editor.set(null);
+    }
+  }
+
+  protected async remove(address: StoreCustomerAddress): Promise<void> {
+    if (await this.run(() => this.auth.deleteAddress(address.id))) {
+      if (this.editor()?.addressId === address.id) {
+        this.editor.set(null);
+      }
+    }
+  }
+
+  private async run(change: () => Promise<void>): Promise<boolean> {
+    this.busy.set(true);
+    this.error.set(null);
+    try {
+      await change();
+      return true;
+    } catch (error) {
+      this.error.set(toMedusaError(error).message);
+      return false;
+    } finally {
+      this.busy.set(false);
+    }
+  }
+}
+
+function editorForm(fb: NonNullableFormBuilder, address?: StoreCustomerAddress) {
+  return fb.group({
+    address: addressForm(fb, address),
+    is_default_shipping: [address?.is_default_shipping ?? false],
+  });
+}
@@ -0,0 +1,38 @@
+import { DatePipe } from '@angular/common';
+import { Component, effect, inject, input } from '@angular/core';
+import { Title } from '@angular/platform-browser';
+import { RouterLink } from '@angular/router';
+
+import { StoreOrder } from '../medusa/medusa.types';
+import { OrderSummary, statusLabel } from '../orders/order-summary';
+
+@Component({
+  selector: 'app-order-detail',
+  imports: [DatePipe, RouterLink, OrderSummary],
+  template: `
+    @let order = this.order();
+    <a routerLink="/account/orders" class="text-sm text-gray-600 hover:underline">← All orders</a>
+    <h1 class="mt-4 text-2xl font-semibold">Order #{{ order.display_id }}</h1>
+    <p class="mt-1 text-sm text-gray-600">
+      Placed {{ order.created_at | date: 'medium' }} ·
+      <span class="capitalize">{{ status(order.fulfillment_status) }}</span> ·
+      <span class="capitalize">{{ status(order.payment_status) }}</span>
+    </p>
+
+    <div class="mt-8">
+      <app-order-summary [order]="order" />
+    </div>
+  `,
+  styles: [],
+})
+export class OrderDetail {
+  /** Resolved by orderResolver */
+  readonly order = input.required<StoreOrder>();
+
+  protected readonly status = statusLabel;
+
+  constructor() {
+    const title = inject(Title);
+    effect(() => title.setTitle(`Order #${this.order().display_id} | Storefront`));
+  }
+}
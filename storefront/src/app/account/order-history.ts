@@ -0,0 +1,53 @@
+import { DatePipe } from '@angular/common';
+import { Component, input } from '@angular/core';
+import { RouterLink } from '@angular/router';
+
+import { OrderHistoryData } from '../orders/order.resolvers';
+import { statusLabel } from '../orders/order-summary';
+import { PricePipe } from '../shared/price.pipe';
+
+@Component({
+  selector: 'app-order-history',
+  imports: [DatePipe, RouterLink, PricePipe],
+  template: `
+    <h1 class="text-2xl font-semibold">Orders</h1>
+
+    @let history = this.history();
+    <ul class="mt-6 divide-y divide-gray-200 text-sm">
+      @for (order of history.orders; track order.id) {
+        <li>
+          <a
+            [routerLink]="['/account/orders', order.id]"
+            class="flex flex-wrap items-center justify-between gap-4 py-4 hover:bg-gray-50"
+          >
+            <span class="font-medium">#{{ order.display_id }}</span>
+            <span class="text-gray-600">{{ order.created_at | date: 'mediumDate' }}</span>
+            <span class="capitalize text-gray-600">{{ status(order.fulfillment_status) }}</span>
+            <span>{{ order.total | price: order.currency_code }}</span>
+          </a>
+        </li>
+      } @empty {
+        <li class="py-4 text-gray-600">You have not placed any orders yet.</li>
+      }
+    </ul>
+
+    @if (history.pageCount > 1) {
+      <nav class="mt-8 flex items-center justify-center gap-6 text-sm" aria-label="Pages">
+        @if (history.page > 1) {
+          <a [routerLink]="[]" [queryParams]="{ page: history.page - 1 }">Previous</a>
+        }
+        <span>Page {{ history.page }} of {{ history.pageCount }}</span>
+        @if (history.page < history.pageCount) {
+          <a [routerLink]="[]" [queryParams]="{ page: history.page + 1 }">Next</a>
+        }
+      </nav>
+    }
+  `,
+  styles: [],
+})
+export class OrderHistory {
+  /** Resolved by orderHistoryResolver */
+  readonly history = input.required<OrderHistoryData>();
+
+  protected readonly status = statusLabel;
+}
@@ -0,0 +1,106 @@
+import { Component, inject, signal } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+
+import { AuthStore } from '../auth/auth-store';
+import { toMedusaError } from '../medusa/medusa-error';
+import { FieldError } from '../shared/field-error';
+
+@Component({
+  selector: 'app-profile',
+  imports: [ReactiveFormsModule, FieldError],
+  template: `
+    <h1 class="text-2xl font-semibold">Profile</h1>
+    <p class="mt-1 text-sm text-gray-600">{{ auth.customer()?.email }}</p>
+
+    <form class="mt-6 max-w-lg space-y-4" [formGroup]="form" (ngSubmit)="submit()" novalidate>
+      <div class="grid gap-4 sm:grid-cols-2">
+        <label class="block text-sm">
+          First name
+          <input
+            formControlName="first_name"
+            autocomplete="given-name"
+            class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+          />
+          <app-field-error [control]="form.controls.first_name" label="First name" />
+        </label>
+        <label class="block text-sm">
+          Last name
+          <input
+            formControlName="last_name"
+            autocomplete="family-name"
+            class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+          />
+          <app-field-error [control]="form.controls.last_name" label="Last name" />
+        </label>
+      </div>
+      <label class="block text-sm">
+        Company <span class="text-gray-500">(optional)</span>
+        <input
+          formControlName="company_name"
+          autocomplete="organization"
+          class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+        />
+      </label>
+      <label class="block text-sm">
+        Phone <span class="text-gray-500">(optional)</span>
+        <input
+          type="tel"
+          formControlName="phone"
+          autocomplete="tel"
+          class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+        />
+      </label>
+
+      @if (error(); as error) {
+        <p class="text-sm text-red-700">{{ error }}</p>
+      } @else if (saved()) {
+        <p class="text-sm text-green-700">Your profile was saved.</p>
+      }
+      <button
+        type="submit"
+        class="rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+        [disabled]="saving()"
+      >
+        Save
+      </button>
+    </form>
+  `,
+  styles: [],
+})
+export class Profile {
+  protected readonly auth = inject(AuthStore);
+
+  protected readonly form = this.createForm();
+  protected readonly saving = signal(false);
+  protected readonly saved = signal(false);
+  protected readonly error = signal<string | null>(null);
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+
+    this.saving.set(true);
+    this.saved.set(false);
+    this.error.set(null);
+    try {
+      await this.auth.updateProfile(this.form.getRawValue());
+      this.saved.set(true);
+    } catch (error) {
+      this.error.set(toMedusaError(error).message);
+    } finally {
+      this.saving.set(false);
+    }
+  }
+
+  private createForm() {
+    const customer = this.auth.customer();
+    return inject(NonNullableFormBuilder).group({
+      first_name: [customer?.first_name ?? '', Validators.required],
+      last_name: [customer?.last_name ?? '', Validators.required],
+      company_name: [customer?.company_name ?? ''],
+      phone: [customer?.phone ?? ''],
+    });
+  }
+}
@@ -1,11 +1,33 @@
-import { ApplicationConfig, provideBrowserGlobalErrorListeners } from '@angular/core';
-import { provideRouter } from '@angular/router';
+import { provideHttpClient, withFetch, withInterceptors } from '@angular/common/http';
+import { ApplicationConfig, ErrorHandler, inject, provideBrowserGlobalErrorListeners } from '@angular/core';
+import {
+  RedirectCommand,
+  Router,
+  provideRouter,
+  withComponentInputBinding,
+  withNavigationErrorHandler,
+} from '@angular/router';
 
 import { routes } from './app.routes';
+import { authInterceptor } from './auth/auth.interceptor';
 
 export const appConfig: ApplicationConfig = {
   providers: [
     provideBrowserGlobalErrorListeners(),
-    provideRouter(routes)
-  ]
+    provideRouter(
+      routes,
+      // Resolved data is passed to the page components as inputs
+      withComponentInputBinding(),
+      // A page whose resolver failed is replaced by the unavailable page, keeping its URL
+      withNavigationErrorHandler((navigation) => {
+        inject(ErrorHandler).handleError(navigation.error);
+        return new RedirectCommand(inject(Router).parseUrl('/unavailable'), {
+          skipLocationChange: true,
+        });
+      }),
+    ),
+    // Store API requests carry the logged-in customer's token
+    provideHttpClient(withFetch(), withInterceptors([authInterceptor])),
+    // provideMedusa() is added in main.ts, once public/config.json is read
+  ],
 };
@@ -1,3 +1,63 @@
 import { Routes } from '@angular/router';
 
-export const routes: Routes = [];
+import { guestGuard } from './auth/auth.guards';
+import { orderResolver } from './orders/order.resolvers';
+
+export const routes: Routes = [
+  { path: '', pathMatch: 'full', redirectTo: 'products' },
+  {
+    path: 'products',
+    loadChildren: () => import('./catalog/catalog.routes').then((m) => m.catalogRoutes),
+  },
+  {
+    path: 'cart',
+    title: 'Cart | Storefront',
+    loadComponent: () => import('./cart/cart-page').then((m) => m.CartPage),
+  },
+  {
+    path: 'checkout',
+    loadChildren: () => import('./checkout/checkout.routes').then((m) => m.checkoutRoutes),
+  },
+  {
+    path: 'order/:id/confirmed',
+    title: 'Order confirmed | Storefront',
+    loadComponent: () => import('./orders/order-confirmed').then((m) => m.OrderConfirmed),
+    resolve: { order: orderResolver },
+  },
+  {
+    path: 'login',
+    title: 'Log in | Storefront',
+    loadComponent: () => import('./auth/login').then((m) => m.Login),
+    canActivate: [guestGuard],
+  },
+  {
+    path: 'register',
+    title: 'Create an account | Storefront',
+    loadComponent: () => import('./auth/register').then((m) => m.Register),
+    canActivate: [guestGuard],
+  },
+  {
+    path: 'reset-password',
+    title: 'Reset your password | Storefront',
+    loadComponent: () => import('./auth/reset-password').then((m) => m.ResetPassword),
+  },
+  {
+    path: 'reset-password/new',
+    title: 'Choose a new password | Storefront',
+    loadComponent: () => import('./auth/new-password').then((m) => m.NewPassword),
+  },
+  {
+    path: 'account',
+    loadChildren: () => import('./account/account.routes').then((m) => m.accountRoutes),
+  },
+  {
+    path: 'unavailable',
+    title: 'Unavailable | Storefront',
+    loadComponent: () => import('./pages/unavailable').then((m) => m.Unavailable),
+  },
+  {
+    path: '**',
+    title: 'Page not found | Storefront',
+    loadComponent: () => import('./pages/not-found').then((m) => m.NotFound),
+  },
+];
@@ -1,16 +1,46 @@
-import { Component, signal } from '@angular/core';
-import { RouterOutlet } from '@angular/router';
+import { Component, computed, inject, signal } from '@angular/core';
+import { Router, RouterLink, RouterOutlet } from '@angular/router';
+
+import { AuthStore } from './auth/auth-store';
+import { MiniCart } from './cart/mini-cart';
+import { RegionPicker } from './regions/region-picker';
 
 @Component({
   selector: 'app-root',
-  imports: [RouterOutlet],
+  imports: [RouterOutlet, RouterLink, RegionPicker, MiniCart],
   template: `
-    <h1>Welcome to {{ title() }}!</h1>
+    <header class="border-b border-gray-200">
+      <div class="mx-auto flex max-w-7xl items-center justify-between gap-6 px-4 py-4">
+        <a routerLink="/" class="text-lg font-semibold capitalize">{{ title() }}</a>
+        <nav class="flex flex-1 gap-6 text-sm">
+          <a routerLink="/products">Products</a>
+        </nav>
+        <app-region-picker />
+        @if (auth.loggedIn()) {
+          <a routerLink="/account" class="text-sm">Account</a>
+        } @else {
+          <a routerLink="/login" class="text-sm">Log in</a>
+        }
+        <app-mini-cart />
+      </div>
+      <!-- Resolvers keep the current page on screen until the next one is loaded -->
+      <div class="h-0.5">
+        @if (navigating()) {
+          <div class="h-full w-full animate-pulse bg-gray-900"></div>
+        }
+      </div>
+    </header>
 
-    <router-outlet />
+    <main>
+      <router-outlet />
+    </main>
   `,
   styles: [],
 })
 export class App {
+  private readonly router = inject(Router);
+  protected readonly auth = inject(AuthStore);
+
   protected readonly title = signal('storefront');
+  protected readonly navigating = computed(() => this.router.currentNavigation() !== null);
 }
@@ -0,0 +1,146 @@
+import { TestBed } from '@angular/core/testing';
+import { Observable, of, throwError } from 'rxjs';
+
+import { CartStore } from '../cart/cart-store';
+import { MedusaClient } from '../medusa/medusa-client';
+import { MedusaError } from '../medusa/medusa-error';
+import { StoreCustomer } from '../medusa/medusa.types';
+import { AuthStore } from './auth-store';
+import { AuthToken } from './auth-token';
+
+const CUSTOMER = {
+  id: 'cus_1',
+  email: 'ada@example.com',
+  addresses: [],
+} as unknown as StoreCustomer;
+const TAKEN = new MedusaError('Identity with email already exists', 401, 'unauthorized');
+
+// A token of the auth API for the given customer id; empty for a login without a customer
+function jwt(actorId: string): string {
+  const payload = btoa(JSON.stringify({ actor_id: actorId, actor_type: 'customer' }));
+  return `header.${payload.replace(/=+$/, '')}.signature`;
+}
+
+describe('AuthStore', () => {
+  let medusa: {
+    auth: { register: ReturnType<typeof vi.fn>; login: ReturnType<typeof vi.fn> };
+    customers: { create: ReturnType<typeof vi.fn>; me: ReturnType<typeof vi.fn> };
+  };
+  let cart: { clear: ReturnType<typeof vi.fn>; transferToCustomer: ReturnType<typeof vi.fn> };
+
+  // The store, once it loaded the customer of the stored token
+  async function createStore(): Promise<AuthStore> {
+    TestBed.configureTestingModule({
+      providers: [
+        { provide: MedusaClient, useValue: medusa },
+        { provide: CartStore, useValue: cart },
+      ],
+    });
+    const store = TestBed.inject(AuthStore);
+    TestBed.tick();
+    await store.whenLoaded();
+    return store;
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    medusa = {
+      auth: {
+        register: vi.fn<() => Observable<string>>(() => of(jwt(''))),
+        login: vi.fn<() => Observable<string>>(() => of(jwt('cus_1'))),
+      },
+      customers: { create: vi.fn(() => of(CUSTOMER)), me: vi.fn(() => of(CUSTOMER)) },
+    };
+    cart = { clear: vi.fn(), transferToCustomer: vi.fn(async () => true) };
+  });
+
+  it('logs in, linking the guest cart, and logs out, dropping it', async () => {
+    const store = await createStore();
+
+    await store.login('ada@example.com', 'secret-password');
+
+    expect(store.customer()).toEqual(CUSTOMER);
+    expect(localStorage.getItem('medusa_auth_token')).toBe(jwt('cus_1'));
+    expect(cart.transferToCustomer).toHaveBeenCalled();
+
+    store.logout();
+    TestBed.tick();
+
+    expect(store.loggedIn()).toBe(false);
+    expect(localStorage.getItem('medusa_auth_token')).toBeNull();
+    expect(cart.clear).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops the cart when the interceptor ends the session', async () => {
+    localStorage.setItem('medusa_auth_token', jwt('cus_1'));
+    const store = await createStore();
+    expect(store.loggedIn()).toBe(true);
+
+    TestBed.inject(AuthToken).set(null);
+    TestBed.tick();
+    await store.whenLoaded();
+
+    expect(store.loggedIn()).toBe(false);
+    expect(cart.clear).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops the cart when another tab logs out', async () => {
+    localStorage.setItem('medusa_auth_token', jwt('cus_1'));
+    const store = await createStore();
+
+    localStorage.removeItem('medusa_auth_token');
+    window.dispatchEvent(new StorageEvent('storage', { key: 'medusa_auth_token', newValue: null }));
+    TestBed.tick();
+    await store.whenLoaded();
+
+    expect(store.loggedIn()).toBe(false);
+    expect(cart.clear).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the cart of a guest when there was no session', async () => {
+    await createStore();
+
+    TestBed.inject(AuthToken).set(null);
+    TestBed.tick();
+
+    expect(cart.clear).not.toHaveBeenCalled();
+  });
+
+  it('registers the login and the customer, then logs in', async () => {
+    const store = await createStore();
+    const customer = { email: 'ada@example.com', first_name: 'Ada' };
+
+    await store.register(customer, 'secret-password');
+
+    expect(medusa.auth.register).toHaveBeenCalledWith('ada@example.com', 'secret-password');
+    expect(medusa.customers.create).toHaveBeenCalledWith(customer, jwt(''));
+    expect(store.customer()).toEqual(CUSTOMER);
+  });
+
+  it('takes up a login whose customer could not be created before', async () => {
+    const store = await createStore();
+    medusa.auth.register.mockReturnValue(throwError(() => TAKEN));
+    medusa.auth.login.mockReturnValueOnce(of(jwt('')));
+
+    await store.register({ email: 'ada@example.com' }, 'secret-password');
+
+    expect(medusa.customers.create).toHaveBeenCalledWith({ email: 'ada@example.com' }, jwt(''));
+    expect(store.customer()).toEqual(CUSTOMER);
+  });
+
+  it('reports a taken email without touching the customer behind it', async () => {
+    const store = await createStore();
+    medusa.auth.register.mockReturnValue(throwError(() => TAKEN));
+
+    const customer = { email: 'ada@example.com' };
+    await expect(store.register(customer, 'secret-password')).rejects.toBe(TAKEN);
+
+    medusa.auth.login.mockReturnValue(
+      throwError(() => new MedusaError('Invalid email or password', 401, 'unauthorized')),
+    );
+    await expect(store.register(customer, 'other-password')).rejects.toBe(TAKEN);
+
+    expect(medusa.customers.create).not.toHaveBeenCalled();
+    expect(store.loggedIn()).toBe(false);
+  });
+});
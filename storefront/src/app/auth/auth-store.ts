@@ -0,0 +1,166 @@
+import { Injectable, computed, effect, inject, signal, untracked } from '@angular/core';
+import { firstValueFrom } from 'rxjs';
+
+import { CartStore } from '../cart/cart-store';
+import { MedusaClient } from '../medusa/medusa-client';
+import { toMedusaError } from '../medusa/medusa-error';
+import {
+  StoreCreateCustomer,
+  StoreCustomer,
+  StoreCustomerAddressInput,
+  StoreUpdateCustomer,
+} from '../medusa/medusa.types';
+import { AuthToken } from './auth-token';
+
+/** The storefront's rule for new passwords; the backend takes any */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * The logged-in customer. Logging in stores the JWT from the auth API, which
+ * the authInterceptor sends along, and links the guest cart to the customer.
+ * Logging out forgets both the token and the customer's cart.
+ *
+ * Every method that talks to the backend fails with a MedusaError.
+ */
+@Injectable({ providedIn: 'root' })
+export class AuthStore {
+  private readonly medusa = inject(MedusaClient);
+  private readonly cart = inject(CartStore);
+  private readonly token = inject(AuthToken);
+
+  // The token the customer was loaded with
+  private session: string | null = null;
+  private loading: Promise<void>;
+
+  readonly customer = signal<StoreCustomer | null>(null);
+  readonly loggedIn = computed(() => this.customer() !== null);
+
+  constructor() {
+    this.loading = this.restore(this.token.value());
+
+    // Loads the customer again whenever another tab logs in or out, or the
+    // interceptor drops an expired token. A session ended that way drops the
+    // customer's cart too, as logout() does.
+    effect(() => {
+      const token = this.token.value();
+      untracked(() => {
+        if (token !== this.session) {
+          if (!token && this.session) {
+            this.cart.clear();
+          }
+          this.loading = this.restore(token);
+        }
+      });
+    });
+  }
+
+  /** Resolves once the customer for the stored token has been loaded */
+  whenLoaded(): Promise<void> {
+    return this.loading;
+  }
+
+  async login(email: string, password: string): Promise<void> {
+    const token = await firstValueFrom(this.medusa.auth.login(email, password));
+    this.token.set(token);
+    this.session = token;
+    try {
+      this.customer.set(await firstValueFrom(this.medusa.customers.me()));
+    } catch (error) {
+      this.logout();
+      throw error;
+    }
+    await this.cart.transferToCustomer();
+  }
+
+  /**
+   * Creates the login and the customer, then logs in. A login left without a
+   * customer, because creating the customer failed, is taken up again when
+   * the same email and password register once more.
+   */
+  async register(customer: StoreCreateCustomer, password: string): Promise<void> {
+    const registration = await this.registrationToken(customer.email, password);
+    await firstValueFrom(this.medusa.customers.create(customer, registration));
+    await this.login(customer.email, password);
+  }
+
+  logout(): void {
+    this.session = null;
+    this.token.set(null);
+    this.customer.set(null);
+    this.cart.clear();
+  }
+
+  requestPasswordReset(email: string): Promise<void> {
+    return firstValueFrom(this.medusa.auth.requestPasswordReset(email));
+  }
+
+  /** Sets a new password with the token from the reset email */
+  resetPassword(resetToken: string, email: string, password: string): Promise<void> {
+    return firstValueFrom(this.medusa.auth.updatePassword(resetToken, email, password));
+  }
+
+  async updateProfile(body: StoreUpdateCustomer): Promise<void> {
+    this.customer.set(await firstValueFrom(this.medusa.customers.update(body)));
+  }
+
+  async saveAddress(address: StoreCustomerAddressInput, addressId?: string): Promise<void> {
+    const customer = addressId
+      ? this.medusa.customers.updateAddress(addressId, address)
+      : this.medusa.customers.createAddress(address);
+    this.customer.set(await firstValueFrom(customer));
+  }
+
+  async deleteAddress(addressId: string): Promise<void> {
+    this.customer.set(await firstValueFrom(this.medusa.customers.deleteAddress(addressId)));
+  }
+
+  // The token to create the customer with: that of a new login, or of an
+  // earlier one with this password that has no customer yet
+  private async registrationToken(email: string, password: string): Promise<string> {
+    try {
+      return await firstValueFrom(this.medusa.auth.register(email, password));
+    } catch (error) {
+      if (!/already exists/i.test(toMedusaError(error).message)) {
+        throw error;
+      }
+      const token = await firstValueFrom(this.medusa.auth.login(email, password)).catch(
+        () => null,
+      );
+      // Otherwise the email is taken, which is what the customer is told
+      if (!token || hasCustomer(token)) {
+        throw error;
+      }
+      return token;
+    }
+  }
+
+  // Load the customer for a token; without one, or with one the backend
+  // rejects, nobody is logged in
+  private async restore(token: string | null): Promise<void> {
+    this.session = token;
+    if (!token) {
+      this.customer.set(null);
+      return;
+    }
+    try {
+      const customer = await firstValueFrom(this.medusa.customers.me());
+      if (this.session === token) {
+        this.customer.set(customer);
+      }
+    } catch {
+      if (this.session === token) {
+        this.customer.set(null);
+      }
+    }
+  }
+}
+
+// Whether a token of the auth API belongs to a customer; one that cannot be read is taken to
+function hasCustomer(token: string): boolean {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return !!(JSON.parse(atob(payload)) as { actor_id?: string }).actor_id;
+  } catch {
+    return true;
+  }
+}
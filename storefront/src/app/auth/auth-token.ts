@@ -0,0 +1,34 @@
+import { Injectable, signal } from '@angular/core';
+
+const STORAGE_KEY = 'medusa_auth_token';
+
+/**
+ * The JWT of the logged-in customer, kept in localStorage. It is apart from
+ * the AuthStore so the HTTP interceptor can read it without a circular
+ * dependency; other tabs logging in or out update it through storage events.
+ */
+@Injectable({ providedIn: 'root' })
+export class AuthToken {
+  private readonly token = signal(localStorage.getItem(STORAGE_KEY));
+
+  readonly value = this.token.asReadonly();
+
+  constructor() {
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) {
+          this.token.set(event.newValue);
+        }
+      });
+    }
+  }
+
+  set(token: string | null): void {
+    this.token.set(token);
+    if (token) {
+      localStorage.setItem(STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  }
+}
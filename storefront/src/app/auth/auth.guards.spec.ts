@@ -0,0 +1,72 @@
+import { signal } from '@angular/core';
+import { TestBed } from '@angular/core/testing';
+import {
+  ActivatedRouteSnapshot,
+  CanActivateFn,
+  Router,
+  RouterStateSnapshot,
+  UrlTree,
+  provideRouter,
+} from '@angular/router';
+
+import { AuthStore } from './auth-store';
+import { authGuard, guestGuard } from './auth.guards';
+
+describe('auth guards', () => {
+  // Run a guard for the URL; a redirect comes back as its URL
+  async function run(guard: CanActivateFn, loggedIn: boolean, url: string): Promise<true | string> {
+    TestBed.resetTestingModule();
+    TestBed.configureTestingModule({
+      providers: [
+        provideRouter([]),
+        {
+          provide: AuthStore,
+          useValue: { whenLoaded: () => Promise.resolve(), loggedIn: signal(loggedIn) },
+        },
+      ],
+    });
+    const result = await TestBed.runInInjectionContext(() =>
+      guard({} as ActivatedRouteSnapshot, { url } as RouterStateSnapshot),
+    );
+    return result instanceof UrlTree
+      ? TestBed.inject(Router).serializeUrl(result)
+      : (result as true);
+  }
+
+  it('lets customers into the account and sends guests to log in first', async () => {
+    expect(await run(authGuard, true, '/account/orders')).toBe(true);
+    expect(await run(authGuard, false, '/account/orders')).toBe(
+      '/login?returnUrl=%2Faccount%2Forders',
+    );
+  });
+
+  it('sends logged-in customers from the login pages to the account', async () => {
+    expect(await run(guestGuard, false, '/login')).toBe(true);
+    expect(await run(guestGuard, true, '/register')).toBe('/account');
+  });
+
+  it('waits for the stored session before deciding', async () => {
+    let loaded!: () => void;
+    const loggedIn = signal(false);
+    TestBed.configureTestingModule({
+      providers: [
+        provideRouter([]),
+        {
+          provide: AuthStore,
+          useValue: {
+            whenLoaded: () => new Promise<void>((resolve) => (loaded = resolve)),
+            loggedIn,
+          },
+        },
+      ],
+    });
+
+    const result = TestBed.runInInjectionContext(() =>
+      authGuard({} as ActivatedRouteSnapshot, { url: '/account' } as RouterStateSnapshot),
+    );
+    loggedIn.set(true);
+    loaded();
+
+    expect(await result).toBe(true);
+  });
+});
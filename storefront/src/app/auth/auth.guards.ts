@@ -0,0 +1,24 @@
+import { inject } from '@angular/core';
+import { CanActivateFn, Router } from '@angular/router';
+
+import { AuthStore } from './auth-store';
+
+/** Lets only logged-in customers in; others log in first and come back to the page */
+export const authGuard: CanActivateFn = async (_route, state) => {
+  const auth = inject(AuthStore);
+  const router = inject(Router);
+  await auth.whenLoaded();
+
+  return auth.loggedIn()
+    ? true
+    : router.createUrlTree(['/login'], { queryParams: { returnUrl: state.url } });
+};
+
+/** Sends logged-in customers from the login and registration pages to their account */
+export const guestGuard: CanActivateFn = async () => {
+  const auth = inject(AuthStore);
+  const router = inject(Router);
+  await auth.whenLoaded();
+
+  return auth.loggedIn() ? router.parseUrl('/account') : true;
+};
@@ -0,0 +1,83 @@
+import { HttpClient, provideHttpClient, withInterceptors } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { TestBed } from '@angular/core/testing';
+
+import { provideMedusa } from '../medusa/medusa.config';
+import { AuthToken } from './auth-token';
+import { authInterceptor } from './auth.interceptor';
+
+const API = 'http://localhost:9000';
+
+describe('authInterceptor', () => {
+  let http: HttpClient;
+  let backend: HttpTestingController;
+  let token: AuthToken;
+
+  beforeEach(() => {
+    localStorage.clear();
+    TestBed.configureTestingModule({
+      providers: [
+        provideHttpClient(withInterceptors([authInterceptor])),
+        provideHttpClientTesting(),
+        provideMedusa({ baseUrl: API, publishableKey: 'pk_test_123' }),
+      ],
+    });
+    http = TestBed.inject(HttpClient);
+    backend = TestBed.inject(HttpTestingController);
+    token = TestBed.inject(AuthToken);
+  });
+
+  afterEach(() => backend.verify());
+
+  // The Authorization header a request went out with
+  function authorization(url: string, headers: Record<string, string> = {}): string | null {
+    http.get(url, { headers }).subscribe({ error: () => undefined });
+    const request = backend.expectOne(url);
+    request.flush({});
+    return request.request.headers.get('Authorization');
+  }
+
+  it('sends the customer token with Store API requests only', () => {
+    expect(authorization(`${API}/store/customers/me`)).toBeNull();
+
+    token.set('customer-token');
+
+    expect(authorization(`${API}/store/customers/me`)).toBe('Bearer customer-token');
+    expect(authorization(`${API}/auth/customer/emailpass`)).toBeNull();
+    expect(authorization('https://cdn.example.com/store/image.png')).toBeNull();
+  });
+
+  it('leaves an Authorization of the request alone', () => {
+    token.set('customer-token');
+
+    expect(authorization(`${API}/store/customers`, { Authorization: 'Bearer registration' })).toBe(
+      'Bearer registration',
+    );
+  });
+
+  it('drops the token on a 401', () => {
+    token.set('customer-token');
+
+    http.get(`${API}/store/customers/me`).subscribe({ error: () => undefined });
+    backend
+      .expectOne(`${API}/store/customers/me`)
+      .flush({ message: 'Unauthorized' }, { status: 401, statusText: 'Unauthorized' });
+
+    expect(token.value()).toBeNull();
+    expect(localStorage.getItem('medusa_auth_token')).toBeNull();
+  });
+
+  it('keeps a token that replaced the rejected one, and the token on other errors', () => {
+    token.set('old-token');
+    http.get(`${API}/store/customers/me`).subscribe({ error: () => undefined });
+    token.set('new-token');
+    backend
+      .expectOne(`${API}/store/customers/me`)
+      .flush({}, { status: 401, statusText: 'Unauthorized' });
+    expect(token.value()).toBe('new-token');
+
+    http.get(`${API}/store/orders`).subscribe({ error: () => undefined });
+    backend.expectOne(`${API}/store/orders`).flush({}, { status: 500, statusText: 'Server Error' });
+    expect(token.value()).toBe('new-token');
+  });
+});
@@ -0,0 +1,34 @@
+import { HttpErrorResponse, HttpInterceptorFn } from '@angular/common/http';
+import { inject } from '@angular/core';
+import { tap } from 'rxjs';
+
+import { MEDUSA_CONFIG } from '../medusa/medusa.config';
+import { AuthToken } from './auth-token';
+
+/**
+ * Sends the customer's token with Store API requests that bring no
+ * Authorization of their own. A 401 means the token expired or was revoked,
+ * so it is dropped and the customer is logged out.
+ */
+export const authInterceptor: HttpInterceptorFn = (request, next) => {
+  const authToken = inject(AuthToken);
+  const token = authToken.value();
+  const storeUrl = `${inject(MEDUSA_CONFIG).baseUrl}/store/`;
+
+  if (!token || request.headers.has('Authorization') || !request.url.startsWith(storeUrl)) {
+    return next(request);
+  }
+
+  return next(request.clone({ setHeaders: { Authorization: `Bearer ${token}` } })).pipe(
+    tap({
+      error: (error: unknown) => {
+        if (error instanceof HttpErrorResponse && error.status === 401) {
+          // Unless another login replaced it meanwhile
+          if (authToken.value() === token) {
+            authToken.set(null);
+          }
+        }
+      },
+    }),
+  );
+};
@@ -0,0 +1,97 @@
+import { Component, inject, input, signal } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+import { Router, RouterLink } from '@angular/router';
+
+import { toMedusaError } from '../medusa/medusa-error';
+import { FieldError } from '../shared/field-error';
+import { AuthStore } from './auth-store';
+
+@Component({
+  selector: 'app-login',
+  imports: [ReactiveFormsModule, RouterLink, FieldError],
+  template: `
+    <div class="mx-auto max-w-md px-4 py-12">
+      <h1 class="text-2xl font-semibold">Log in</h1>
+
+      <form class="mt-6 space-y-4" [formGroup]="form" (ngSubmit)="submit()" novalidate>
+        <label class="block text-sm">
+          Email
+          <input
+            type="email"
+            formControlName="email"
+            autocomplete="email"
+            class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+          />
+          <app-field-error [control]="form.controls.email" label="Email" />
+        </label>
+        <label class="block text-sm">
+          Password
+          <input
+            type="password"
+            formControlName="password"
+            autocomplete="current-password"
+            class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+          />
+          <app-field-error [control]="form.controls.password" label="Password" />
+        </label>
+
+        @if (error(); as error) {
+          <p class="text-sm text-red-700">{{ error }}</p>
+        }
+        <button
+          type="submit"
+          class="w-full rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+          [disabled]="submitting()"
+        >
+          Log in
+        </button>
+      </form>
+
+      <p class="mt-6 text-sm">
+        <a routerLink="/reset-password" class="underline">Forgot your password?</a>
+      </p>
+      <p class="mt-2 text-sm">
+        New here? <a routerLink="/register" class="underline">Create an account</a>
+      </p>
+    </div>
+  `,
+  styles: [],
+})
+export class Login {
+  private readonly auth = inject(AuthStore);
+  private readonly router = inject(Router);
+
+  /** The page the authGuard turned away, from the query params */
+  readonly returnUrl = input<string>();
+
+  protected readonly form = inject(NonNullableFormBuilder).group({
+    email: ['', [Validators.required, Validators.email]],
+    password: ['', Validators.required],
+  });
+  protected readonly submitting = signal(false);
+  protected readonly error = signal<string | null>(null);
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    const { email, password } = this.form.getRawValue();
+
+    this.submitting.set(true);
+    this.error.set(null);
+    try {
+      await this.auth.login(email, password);
+      await this.router.navigateByUrl(localUrl(this.returnUrl()) ?? '/account');
+    } catch (error) {
+      this.error.set(toMedusaError(error).message);
+    } finally {
+      this.submitting.set(false);
+    }
+  }
+}
+
+// Only paths of the storefront itself, so a crafted link cannot send the customer elsewhere
+function localUrl(url: string | undefined): string | null {
+  return url?.startsWith('/') && !url.startsWith('//') ? url : null;
+}
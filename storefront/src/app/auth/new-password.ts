@@ -0,0 +1,112 @@
+import { Component, inject, input, signal } from '@angular/core';
+import {
+  NonNullableFormBuilder,
+  ReactiveFormsModule,
+  ValidatorFn,
+  Validators,
+} from '@angular/forms';
+import { RouterLink } from '@angular/router';
+
+import { toMedusaError } from '../medusa/medusa-error';
+import { FieldError } from '../shared/field-error';
+import { AuthStore, MIN_PASSWORD_LENGTH } from './auth-store';
+
+const samePasswords: ValidatorFn = (group) =>
+  group.get('password')?.value === group.get('confirmation')?.value ? null : { mismatch: true };
+
+/** Sets a new password, opened from the link in the reset email */
+@Component({
+  selector: 'app-new-password',
+  imports: [ReactiveFormsModule, RouterLink, FieldError],
+  template: `
+    <div class="mx-auto max-w-md px-4 py-12">
+      <h1 class="text-2xl font-semibold">Choose a new password</h1>
+
+      @if (done()) {
+        <p class="mt-6 text-gray-700">Your password was changed.</p>
+        <a routerLink="/login" class="mt-4 inline-block underline">Log in</a>
+      } @else if (!token() || !email()) {
+        <p class="mt-6 text-gray-700">
+          This link is incomplete. Copy the whole link from the email.
+        </p>
+        <a routerLink="/reset-password" class="mt-4 inline-block underline">Send a new link</a>
+      } @else {
+        <p class="mt-2 text-sm text-gray-600">For {{ email() }}</p>
+        <form class="mt-6 space-y-4" [formGroup]="form" (ngSubmit)="submit()" novalidate>
+          <label class="block text-sm">
+            New password
+            <input
+              type="password"
+              formControlName="password"
+              autocomplete="new-password"
+              class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+            />
+            <app-field-error [control]="form.controls.password" label="Password" />
+          </label>
+          <label class="block text-sm">
+            Repeat the password
+            <input
+              type="password"
+              formControlName="confirmation"
+              autocomplete="new-password"
+              class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+            />
+            @if (form.hasError('mismatch') && form.controls.confirmation.touched) {
+              <p class="mt-1 text-sm text-red-700">The passwords do not match</p>
+            }
+          </label>
+
+          @if (error(); as error) {
+            <p class="text-sm text-red-700">
+              {{ error }} <a routerLink="/reset-password" class="underline">Send a new link</a>
+            </p>
+          }
+          <button
+            type="submit"
+            class="w-full rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+            [disabled]="submitting()"
+          >
+            Change password
+          </button>
+        </form>
+      }
+    </div>
+  `,
+  styles: [],
+})
+export class NewPassword {
+  private readonly auth = inject(AuthStore);
+
+  /** From the query params of the reset link */
+  readonly token = input<string>();
+  readonly email = input<string>();
+
+  protected readonly form = inject(NonNullableFormBuilder).group(
+    {
+      password: ['', [Validators.required, Validators.minLength(MIN_PASSWORD_LENGTH)]],
+      confirmation: [''],
+    },
+    { validators: samePasswords },
+  );
+  protected readonly submitting = signal(false);
+  protected readonly error = signal<string | null>(null);
+  protected readonly done = signal(false);
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+
+    this.submitting.set(true);
+    this.error.set(null);
+    try {
+      await this.auth.resetPassword(this.token()!, this.email()!, this.form.getRawValue().password);
+      this.done.set(true);
+    } catch (error) {
+      this.error.set(toMedusaError(error).message);
+    } finally {
+      this.submitting.set(false);
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { Component, inject, signal } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+import { Router, RouterLink } from '@angular/router';
+
+import { toMedusaError } from '../medusa/medusa-error';
+import { FieldError } from '../shared/field-error';
+import { AuthStore, MIN_PASSWORD_LENGTH } from './auth-store';
+
+@Component({
+  selector: 'app-register',
+  imports: [ReactiveFormsModule, RouterLink, FieldError],
+  template: `
+    <div class="mx-auto max-w-md px-4 py-12">
+      <h1 class="text-2xl font-semibold">Create an account</h1>
+
+      <form class="mt-6 space-y-4" [formGroup]="form" (ngSubmit)="submit()" novalidate>
+        <div class="grid gap-4 sm:grid-cols-2">
+          <label class="block text-sm">
+            First name
+            <input
+              formControlName="first_name"
+              autocomplete="given-name"
+              class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+            />
+            <app-field-error [control]="form.controls.first_name" label="First name" />
+          </label>
+          <label class="block text-sm">
+            Last name
+            <input
+              formControlName="last_name"
+              autocomplete="family-name"
+              class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+            />
+            <app-field-error [control]="form.controls.last_name" label="Last name" />
+          </label>
+        </div>
+        <label class="block text-sm">
+          Email
+          <input
+            type="email"
+            formControlName="email"
+            autocomplete="email"
+            class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+          />
+          <app-field-error [control]="form.controls.email" label="Email" />
+        </label>
+        <label class="block text-sm">
+          Password
+          <input
+            type="password"
+            formControlName="password"
+            autocomplete="new-password"
+            class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+          />
+          <app-field-error [control]="form.controls.password" label="Password" />
+        </label>
+
+        @if (error(); as error) {
+          <p class="text-sm text-red-700">{{ error }}</p>
+        }
+        <button
+          type="submit"
+          class="w-full rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+          [disabled]="submitting()"
+        >
+          Create account
+        </button>
+      </form>
+
+      <p class="mt-6 text-sm">
+        Already have an account? <a routerLink="/login" class="underline">Log in</a>
+      </p>
+    </div>
+  `,
+  styles: [],
+})
+export class Register {
+  private readonly auth = inject(AuthStore);
+  private readonly router = inject(Router);
+
+  protected readonly form = inject(NonNullableFormBuilder).group({
+    first_name: ['', Validators.required],
+    last_name: ['', Validators.required],
+    email: ['', [Validators.required, Validators.email]],
+    password: ['', [Validators.required, Validators.minLength(MIN_PASSWORD_LENGTH)]],
+  });
+  protected readonly submitting = signal(false);
+  protected readonly error = signal<string | null>(null);
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    const { password, ...customer } = this.form.getRawValue();
+
+    this.submitting.set(true);
+    this.error.set(null);
+    try {
+      await this.auth.register(customer, password);
+      await this.router.navigateByUrl('/account');
+    } catch (error) {
+      this.error.set(toMedusaError(error).message);
+    } finally {
+      this.submitting.set(false);
+    }
+  }
+}
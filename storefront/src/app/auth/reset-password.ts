@@ -0,0 +1,81 @@
+import { Component, inject, signal } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+
+import { toMedusaError } from '../medusa/medusa-error';
+import { FieldError } from '../shared/field-error';
+import { AuthStore } from './auth-store';
+
+/** Asks for the email to send a password reset link to */
+@Component({
+  selector: 'app-reset-password',
+  imports: [ReactiveFormsModule, RouterLink, FieldError],
+  template: `
+    <div class="mx-auto max-w-md px-4 py-12">
+      <h1 class="text-2xl font-semibold">Reset your password</h1>
+
+      @if (sentTo(); as email) {
+        <p class="mt-6 text-gray-700">
+          If there is an account for {{ email }}, we sent it a link to choose a new password.
+        </p>
+      } @else {
+        <p class="mt-2 text-sm text-gray-600">We will email you a link to choose a new password.</p>
+        <form class="mt-6 space-y-4" [formGroup]="form" (ngSubmit)="submit()" novalidate>
+          <label class="block text-sm">
+            Email
+            <input
+              type="email"
+              formControlName="email"
+              autocomplete="email"
+              class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+            />
+            <app-field-error [control]="form.controls.email" label="Email" />
+          </label>
+
+          @if (error(); as error) {
+            <p class="text-sm text-red-700">{{ error }}</p>
+          }
+          <button
+            type="submit"
+            class="w-full rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+            [disabled]="submitting()"
+          >
+            Send link
+          </button>
+        </form>
+      }
+
+      <p class="mt-6 text-sm"><a routerLink="/login" class="underline">Back to log in</a></p>
+    </div>
+  `,
+  styles: [],
+})
+export class ResetPassword {
+  private readonly auth = inject(AuthStore);
+
+  protected readonly form = inject(NonNullableFormBuilder).group({
+    email: ['', [Validators.required, Validators.email]],
+  });
+  protected readonly submitting = signal(false);
+  protected readonly error = signal<string | null>(null);
+  protected readonly sentTo = signal<string | null>(null);
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    const { email } = this.form.getRawValue();
+
+    this.submitting.set(true);
+    this.error.set(null);
+    try {
+      await this.auth.requestPasswordReset(email);
+      this.sentTo.set(email);
+    } catch (error) {
+      this.error.set(toMedusaError(error).message);
+    } finally {
+      this.submitting.set(false);
+    }
+  }
+}
@@ -0,0 +1,129 @@
+import { Component, inject } from '@angular/core';
+import { RouterLink } from '@angular/router';
+
+import { PricePipe } from '../shared/price.pipe';
+import { CartStore, isPendingItem } from './cart-store';
+
+@Component({
+  selector: 'app-cart-page',
+  imports: [RouterLink, PricePipe],
+  template: `
+    <div class="mx-auto max-w-5xl px-4 py-8">
+      <h1 class="text-2xl font-semibold">Cart</h1>
+
+      @if (store.error(); as error) {
+        <div class="mt-4 flex justify-between rounded bg-red-50 p-3 text-sm text-red-800">
+          <span>{{ error.message }}</span>
+          <button type="button" class="underline" (click)="store.dismissError()">Dismiss</button>
+        </div>
+      }
+
+      @let cart = store.cart();
+      @if (!store.loaded()) {
+        <p class="mt-8 text-gray-600">Loading your cart…</p>
+      } @else if (cart && store.items().length > 0) {
+        <div class="mt-8 grid gap-10 md:grid-cols-[1fr_18rem]">
+          <ul class="divide-y divide-gray-200">
+            @for (item of store.items(); track item.id) {
+              @let pending = isPending(item);
+              <li class="flex gap-4 py-4">
+                <div class="h-24 w-24 shrink-0 overflow-hidden rounded bg-gray-100">
+                  @if (item.thumbnail) {
+                    <img [src]="item.thumbnail" alt="" class="h-full w-full object-cover" />
+                  }
+                </div>
+                <div class="flex flex-1 flex-col gap-1">
+                  @if (item.product_handle) {
+                    <a [routerLink]="['/products', item.product_handle]" class="font-medium">
+                      {{ item.title }}
+                    </a>
+                  } @else {
+                    <span class="font-medium">{{ item.title }}</span>
+                  }
+                  @if (item.variant_title) {
+                    <span class="text-sm text-gray-500">{{ item.variant_title }}</span>
+                  }
+                  <span class="text-sm text-gray-600">
+                    {{ item.unit_price | price: cart.currency_code }}
+                  </span>
+                  <div class="mt-auto flex items-center gap-3 text-sm">
+                    <button
+                      type="button"
+                      class="h-7 w-7 rounded border border-gray-300 disabled:opacity-40"
+                      aria-label="Decrease quantity"
+                      [disabled]="pending"
+                      (click)="store.updateItem(item.id, item.quantity - 1)"
+                    >
+                      −
+                    </button>
+                    <span aria-label="Quantity">{{ item.quantity }}</span>
+                    <button
+                      type="button"
+                      class="h-7 w-7 rounded border border-gray-300 disabled:opacity-40"
+                      aria-label="Increase quantity"
+                      [disabled]="pending"
+                      (click)="store.updateItem(item.id, item.quantity + 1)"
+                    >
+                      +
+                    </button>
+                    <button
+                      type="button"
+                      class="ml-4 text-gray-600 underline disabled:opacity-40"
+                      [disabled]="pending"
+                      (click)="store.removeItem(item.id)"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+                <span class="font-medium">
+                  {{ item.total ?? item.unit_price * item.quantity | price: cart.currency_code }}
+                </span>
+              </li>
+            }
+          </ul>
+
+          <aside
+            class="h-fit rounded-lg bg-gray-50 p-4 text-sm"
+            [class.opacity-60]="store.syncing()"
+          >
+            <dl class="space-y-2">
+              <div class="flex justify-between">
+                <dt>Subtotal</dt>
+                <dd>{{ cart.subtotal | price: cart.currency_code }}</dd>
+              </div>
+              <div class="flex justify-between">
+                <dt>Shipping</dt>
+                <dd>{{ cart.shipping_total | price: cart.currency_code }}</dd>
+              </div>
+              <div class="flex justify-between">
+                <dt>Taxes</dt>
+                <dd>{{ cart.tax_total | price: cart.currency_code }}</dd>
+              </div>
+              <div
+                class="flex justify-between border-t border-gray-200 pt-2 text-base font-semibold"
+              >
+                <dt>Total</dt>
+                <dd>{{ cart.total | price: cart.currency_code }}</dd>
+              </div>
+            </dl>
+            <a
+              routerLink="/checkout"
+              class="mt-4 block rounded bg-gray-900 px-4 py-2 text-center text-white"
+            >
+              Checkout
+            </a>
+          </aside>
+        </div>
+      } @else {
+        <p class="mt-8 text-gray-600">Your cart is empty.</p>
+        <a routerLink="/products" class="mt-4 inline-block underline">Browse products</a>
+      }
+    </div>
+  `,
+  styles: [],
+})
+export class CartPage {
+  protected readonly store = inject(CartStore);
+  protected readonly isPending = isPendingItem;
+}
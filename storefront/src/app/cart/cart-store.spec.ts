@@ -0,0 +1,226 @@
+import { signal } from '@angular/core';
+import { TestBed } from '@angular/core/testing';
+import { Observable, Subject, of, throwError } from 'rxjs';
+
+import { MedusaClient } from '../medusa/medusa-client';
+import { MedusaError } from '../medusa/medusa-error';
+import { StoreCart, StoreCartLineItem, StoreRegion } from '../medusa/medusa.types';
+import { RegionStore } from '../regions/region-store';
+import { CartStore, isPendingItem } from './cart-store';
+
+const REGION: StoreRegion = { id: 'reg_eu', name: 'Europe', currency_code: 'eur' };
+const PREVIEW = { title: 'Mug', thumbnail: null, unit_price: 1200 };
+
+// A line item of the backend
+function lineItem(quantity: number): StoreCartLineItem {
+  return {
+    id: 'item_1',
+    title: 'Mug',
+    subtitle: null,
+    thumbnail: null,
+    quantity,
+    variant_id: 'variant_1',
+    product_id: 'prod_1',
+    unit_price: 1200,
+    subtotal: 1200 * quantity,
+    total: 1200 * quantity,
+  };
+}
+
+// A cart of the backend with the given line items
+function cartWith(items: StoreCartLineItem[], id = 'cart_1'): StoreCart {
+  const total = items.reduce((sum, item) => sum + item.unit_price * item.quantity, 0);
+  return {
+    id,
+    email: null,
+    region_id: REGION.id,
+    customer_id: null,
+    sales_channel_id: null,
+    currency_code: REGION.currency_code,
+    items,
+    shipping_address: null,
+    billing_address: null,
+    shipping_methods: [],
+    item_total: total,
+    subtotal: total,
+    shipping_total: 0,
+    discount_total: 0,
+    tax_total: 0,
+    total,
+  };
+}
+
+// The cart requests the store makes; each test decides the answers
+function fakeCarts() {
+  return {
+    retrieve: vi.fn<(id: string) => Observable<StoreCart>>(),
+    create: vi.fn(() => of(cartWith([]))),
+    addLineItem: vi.fn<(id: string) => Observable<StoreCart>>(),
+    updateLineItem:
+      vi.fn<(id: string, itemId: string, quantity: number) => Observable<StoreCart>>(),
+    deleteLineItem: vi.fn<(id: string, itemId: string) => Observable<StoreCart>>(),
+    update: vi.fn<(id: string) => Observable<StoreCart>>(),
+    complete: vi.fn(),
+  };
+}
+
+describe('CartStore', () => {
+  let carts: ReturnType<typeof fakeCarts>;
+
+  // The store, after it loaded the stored cart
+  async function createStore(): Promise<CartStore> {
+    TestBed.configureTestingModule({
+      providers: [
+        { provide: MedusaClient, useValue: { carts } },
+        { provide: RegionStore, useValue: { region: signal(REGION), load: () => of(REGION) } },
+      ],
+    });
+    const store = TestBed.inject(CartStore);
+    await store.whenLoaded();
+    return store;
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    carts = fakeCarts();
+  });
+
+  it('creates a cart on the first add and shows the item before the backend answers', async () => {
+    const added = new Subject<StoreCart>();
+    carts.addLineItem.mockReturnValue(added);
+    const store = await createStore();
+
+    const adding = store.addItem('variant_1', 2, PREVIEW);
+
+    expect(store.count()).toBe(2);
+    expect(isPendingItem(store.items()[0])).toBe(true);
+    expect(store.cart()?.total).toBe(2400);
+    expect(store.syncing()).toBe(true);
+
+    await vi.waitFor(() => expect(carts.addLineItem).toHaveBeenCalled());
+    expect(carts.create).toHaveBeenCalledWith({ region_id: REGION.id });
+    added.next(cartWith([lineItem(2)]));
+
+    expect(await adding).toBe(true);
+    expect(store.items()).toEqual([lineItem(2)]);
+    expect(store.syncing()).toBe(false);
+    expect(localStorage.getItem('medusa_cart_id')).toBe('cart_1');
+  });
+
+  it('rolls a rejected change back and keeps the reason', async () => {
+    localStorage.setItem('medusa_cart_id', 'cart_1');
+    carts.retrieve.mockReturnValue(of(cartWith([lineItem(1)])));
+    const failure = new Subject<StoreCart>();
+    carts.updateLineItem.mockReturnValue(failure);
+    const store = await createStore();
+
+    const updating = store.updateItem('item_1', 5);
+    expect(store.count()).toBe(5);
+    await vi.waitFor(() =>
+      expect(carts.updateLineItem).toHaveBeenCalledWith('cart_1', 'item_1', 5),
+    );
+    failure.error(new MedusaError('Not enough stock', 400, 'not_allowed'));
+
+    expect(await updating).toBe(false);
+    expect(store.count()).toBe(1);
+    expect(store.cart()?.total).toBe(1200);
+    expect(store.error()?.message).toBe('Not enough stock');
+  });
+
+  it('forgets an expired cart and starts a new one on the next add', async () => {
+    localStorage.setItem('medusa_cart_id', 'cart_gone');
+    carts.retrieve.mockReturnValue(throwError(() => new MedusaError('Cart not found', 404)));
+    carts.create.mockReturnValue(of(cartWith([], 'cart_2')));
+    carts.addLineItem.mockReturnValue(of(cartWith([lineItem(1)], 'cart_2')));
+    const store = await createStore();
+
+    expect(store.cart()).toBeNull();
+    expect(store.error()).toBeNull();
+    expect(localStorage.getItem('medusa_cart_id')).toBeNull();
+
+    expect(await store.addItem('variant_1', 1, PREVIEW)).toBe(true);
+    expect(carts.addLineItem).toHaveBeenCalledWith('cart_2', {
+      variant_id: 'variant_1',
+      quantity: 1,
+    });
+    expect(localStorage.getItem('medusa_cart_id')).toBe('cart_2');
+  });
+
+  it('places the order after the pending changes and before later ones', async () => {
+    localStorage.setItem('medusa_cart_id', 'cart_1');
+    carts.retrieve.mockReturnValue(of(cartWith([lineItem(1)])));
+    const updated = new Subject<StoreCart>();
+    carts.updateLineItem.mockReturnValue(updated);
+    carts.complete.mockReturnValue(of({ type: 'order', order: { id: 'order_1' } }));
+    const store = await createStore();
+
+    void store.updateItem('item_1', 3);
+    const order = store.complete();
+    const later = store.updateItem('item_1', 5);
+    await vi.waitFor(() => expect(carts.updateLineItem).toHaveBeenCalled());
+    expect(carts.complete).not.toHaveBeenCalled();
+
+    updated.next(cartWith([lineItem(3)]));
+
+    expect(await order).toEqual({ id: 'order_1' });
+    expect(carts.complete).toHaveBeenCalledWith('cart_1');
+    expect(localStorage.getItem('medusa_cart_id')).toBeNull();
+
+    // A change made after the order finds no cart to change
+    expect(await later).toBe(false);
+    expect(carts.updateLineItem).toHaveBeenCalledTimes(1);
+    expect(store.cart()).toBeNull();
+  });
+
+  it('keeps the cart when the order is refused, and goes on with later changes', async () => {
+    localStorage.setItem('medusa_cart_id', 'cart_1');
+    carts.retrieve.mockReturnValue(of(cartWith([lineItem(1)])));
+    carts.complete.mockReturnValue(
+      of({
+        type: 'cart',
+        cart: cartWith([lineItem(1)]),
+        error: {
+          message: 'Payment was not authorized',
+          name: 'Error',
+          type: 'payment_authorization_error',
+        },
+      }),
+    );
+    carts.deleteLineItem.mockReturnValue(of(cartWith([])));
+    const store = await createStore();
+
+    await expect(store.complete()).rejects.toMatchObject({
+      status: 400,
+      message: 'Payment was not authorized',
+    });
+    expect(store.count()).toBe(1);
+
+    expect(await store.removeItem('item_1')).toBe(true);
+    expect(store.count()).toBe(0);
+  });
+
+  it('follows the cart of other tabs and tells them about its own', async () => {
+    localStorage.setItem('medusa_cart_id', 'cart_1');
+    carts.retrieve.mockReturnValue(of(cartWith([lineItem(1)])));
+    carts.updateLineItem.mockReturnValue(of(cartWith([lineItem(4)])));
+    const store = await createStore();
+    const otherTab = new BroadcastChannel('medusa_cart');
+    const received: unknown[] = [];
+    otherTab.addEventListener('message', (event) => received.push(event.data));
+
+    try {
+      await store.updateItem('item_1', 4);
+      await vi.waitFor(() =>
+        expect(received).toEqual([{ type: 'cart', cart: cartWith([lineItem(4)]) }]),
+      );
+
+      otherTab.postMessage({ type: 'cart', cart: cartWith([lineItem(2)]) });
+      await vi.waitFor(() => expect(store.count()).toBe(2));
+
+      otherTab.postMessage({ type: 'cleared' });
+      await vi.waitFor(() => expect(store.cart()).toBeNull());
+    } finally {
+      otherTab.close();
+    }
+  });
+});
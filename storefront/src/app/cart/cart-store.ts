@@ -0,0 +1,389 @@
+import {
+  DestroyRef,
+  Injectable,
+  computed,
+  effect,
+  inject,
+  signal,
+  untracked,
+} from '@angular/core';
+import { Observable, firstValueFrom, switchMap } from 'rxjs';
+
+import { MedusaClient } from '../medusa/medusa-client';
+import { MedusaError, toMedusaError } from '../medusa/medusa-error';
+import { StoreCart, StoreCartLineItem, StoreOrder, StoreUpdateCart } from '../medusa/medusa.types';
+import { RegionStore } from '../regions/region-store';
+
+const STORAGE_KEY = 'medusa_cart_id';
+const CHANNEL_NAME = 'medusa_cart';
+
+// Line items added optimistically have this id prefix until the backend answers
+const PENDING_PREFIX = 'pending_';
+
+/** What the cart shows for a line item before the backend has added it */
+export interface LineItemPreview {
+  title: string;
+  thumbnail: string | null;
+  unit_price: number;
+  variant_title?: string | null;
+  product_handle?: string | null;
+}
+
+// A change to the cart: applied locally right away, then sent to the backend
+interface Operation {
+  apply: (cart: StoreCart) => StoreCart;
+  send: (cartId: string) => Observable<StoreCart>;
+  // Whether the operation may start a new cart when there is none
+  createsCart: boolean;
+}
+
+// Messages between the tabs of the storefront
+type CartMessage = { type: 'cart'; cart: StoreCart } | { type: 'cleared' };
+
+/**
+ * The shopping cart. The cart shown is the last cart the backend confirmed,
+ * with the changes still on their way applied on top, so it updates at once;
+ * a change the backend rejects simply drops out again. Changes are sent one
+ * at a time, in order.
+ *
+ * The cart id is kept in localStorage and the cart is created on the first
+ * add to cart. A cart that expired or was turned into an order is forgotten,
+ * and an add to cart then starts a new one. Other open tabs are kept in sync
+ * over a BroadcastChannel.
+ */
+@Injectable({ providedIn: 'root' })
+export class CartStore {
+  private readonly medusa = inject(MedusaClient);
+  private readonly regions = inject(RegionStore);
+  private readonly channel =
+    typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME);
+
+  private readonly confirmed = signal<StoreCart | null>(null);
+  private readonly operations = signal<Operation[]>([]);
+  private readonly loading: Promise<void>;
+  private queue: Promise<unknown>;
+
+  /** False until the stored cart has been loaded */
+  readonly loaded = signal(false);
+
+  /** Why the last change failed */
+  readonly error = signal<MedusaError | null>(null);
+
+  readonly cart = computed<StoreCart | null>(() => {
+    const operations = this.operations();
+    const confirmed = this.confirmed();
+    if (operations.length === 0) {
+      return confirmed;
+    }
+    return operations.reduce((cart, operation) => operation.apply(cart), confirmed ?? this.draft());
+  });
+
+  readonly items = computed(() => this.cart()?.items ?? []);
+  readonly count = computed(() => this.items().reduce((count, item) => count + item.quantity, 0));
+
+  /** True while changes are on their way to the backend, e.g. the totals are estimates */
+  readonly syncing = computed(() => this.operations().length > 0);
+
+  constructor() {
+    this.loading = this.load();
+    this.queue = this.loading;
+
+    this.channel?.addEventListener('message', (event: MessageEvent<CartMessage>) => {
+      this.confirmed.set(event.data.type === 'cart' ? event.data.cart : null);
+    });
+    inject(DestroyRef).onDestroy(() => this.channel?.close());
+
+    // The cart follows the region chosen in the header, so its prices match the catalog
+    effect(() => {
+      const region = this.regions.region();
+      const cartRegion = this.confirmed()?.region_id;
+      const busy = untracked(this.operations).length > 0;
+      if (region && cartRegion && cartRegion !== region.id && !busy) {
+        this.update({ region_id: region.id });
+      }
+    });
+  }
+
+  addItem(variantId: string, quantity: number, preview: LineItemPreview): Promise<boolean> {
+    return this.enqueue({
+      apply: (cart) => {
+        const items = cart.items ?? [];
+        const existing = items.find((item) => item.variant_id === variantId);
+        return withItems(
+          cart,
+          existing
+            ? items.map((item) =>
+                item === existing ? { ...item, quantity: item.quantity + quantity } : item,
+              )
+            : [...items, pendingItem(variantId, quantity, preview)],
+        );
+      },
+      send: (cartId) => this.medusa.carts.addLineItem(cartId, { variant_id: variantId, quantity }),
+      createsCart: true,
+    });
+  }
+
+  /** Sets the quantity of a line item; 0 removes it */
+  updateItem(lineItemId: string, quantity: number): Promise<boolean> {
+    if (quantity <= 0) {
+      return this.removeItem(lineItemId);
+    }
+    return this.enqueue({
+      apply: (cart) =>
+        withItems(
+          cart,
+          (cart.items ?? []).map((item) => (item.id === lineItemId ? { ...item, quantity } : item)),
+        ),
+      send: (cartId) => this.medusa.carts.updateLineItem(cartId, lineItemId, quantity),
+      createsCart: false,
+    });
+  }
+
+  removeItem(lineItemId: string): Promise<boolean> {
+    return this.enqueue({
+      apply: (cart) => withItems(cart, (cart.items ?? []).filter((item) => item.id !== lineItemId)),
+      send: (cartId) => this.medusa.carts.deleteLineItem(cartId, lineItemId),
+      createsCart: false,
+    });
+  }
+
+  /** Sets the email, addresses or region of the cart */
+  update(body: StoreUpdateCart): Promise<boolean> {
+    return this.change((cartId) => this.medusa.carts.update(cartId, body));
+  }
+
+  setShippingMethod(optionId: string): Promise<boolean> {
+    return this.change((cartId) => this.medusa.carts.addShippingMethod(cartId, optionId));
+  }
+
+  /** Starts a payment session with the provider; the cart is read again to show it */
+  initiatePayment(providerId: string): Promise<boolean> {
+    return this.change((cartId) =>
+      this.medusa.carts
+        .initiatePaymentSession(this.confirmed()!, providerId)
+        .pipe(switchMap(() => this.medusa.carts.retrieve(cartId))),
+    );
+  }
+
+  /**
+   * Places the order once the changes before it are sent; changes made
+   * meanwhile wait for it. The cart is forgotten once it became an order; if
+   * the backend refuses, e.g. because the payment was not authorized, this
+   * fails with its reason and the cart stays as it is.
+   */
+  complete(): Promise<StoreOrder> {
+    const order = this.queue.then(() => this.placeOrder());
+    // A refused order does not hold up the changes after it
+    this.queue = order.catch(() => undefined);
+    return order;
+  }
+
+  /** Links a guest cart to the customer who just logged in */
+  async transferToCustomer(): Promise<boolean> {
+    await this.loading;
+    if (!this.confirmed() || this.confirmed()!.customer_id) {
+      return true;
+    }
+    return this.change((cartId) => this.medusa.carts.transferToCustomer(cartId));
+  }
+
+  /** Drops the cart, e.g. when its customer logs out; the next add to cart starts a new one */
+  clear(): void {
+    this.error.set(null);
+    this.forget();
+  }
+
+  /** Resolves once the stored cart has been loaded */
+  whenLoaded(): Promise<void> {
+    return this.loading;
+  }
+
+  dismissError(): void {
+    this.error.set(null);
+  }
+
+  // Turn the confirmed cart into an order
+  private async placeOrder(): Promise<StoreOrder> {
+    const cart = this.confirmed();
+    if (!cart) {
+      throw new MedusaError('Your cart expired or was already checked out', 404, 'not_found');
+    }
+
+    const result = await firstValueFrom(this.medusa.carts.complete(cart.id));
+    if (result.type === 'cart') {
+      this.commit(result.cart);
+      throw new MedusaError(result.error.message, 400, result.error.type);
+    }
+    this.forget();
+    return result.order;
+  }
+
+  // Load the cart whose id is stored, forgetting it if it cannot be used anymore
+  private async load(): Promise<void> {
+    const id = localStorage.getItem(STORAGE_KEY);
+    try {
+      if (id) {
+        const cart = await firstValueFrom(this.medusa.carts.retrieve(id));
+        if (cart.completed_at) {
+          this.forget();
+        } else {
+          this.confirmed.set(cart);
+        }
+      }
+    } catch (error) {
+      if (isStale(error)) {
+        this.forget();
+      } else {
+        this.error.set(toMedusaError(error));
+      }
+    } finally {
+      this.loaded.set(true);
+    }
+  }
+
+  // A change that is only shown once the backend made it
+  private change(send: (cartId: string) => Observable<StoreCart>): Promise<boolean> {
+    return this.enqueue({ apply: (cart) => cart, send, createsCart: false });
+  }
+
+  private enqueue(operation: Operation): Promise<boolean> {
+    this.error.set(null);
+    this.operations.update((operations) => [...operations, operation]);
+
+    const done = this.queue.then(() => this.run(operation));
+    this.queue = done;
+    return done;
+  }
+
+  private async run(operation: Operation): Promise<boolean> {
+    try {
+      this.commit(await this.send(operation));
+      return true;
+    } catch (error) {
+      this.error.set(toMedusaError(error));
+      return false;
+    } finally {
+      this.operations.update((operations) => operations.filter((entry) => entry !== operation));
+    }
+  }
+
+  // Send the operation for the current cart. If there is none, or it expired or
+  // was completed meanwhile, an add to cart goes to a new cart instead.
+  private async send(operation: Operation): Promise<StoreCart> {
+    const cart = this.confirmed();
+    if (cart) {
+      try {
+        return await firstValueFrom(operation.send(cart.id));
+      } catch (error) {
+        if (!isStale(error)) {
+          throw error;
+        }
+        this.forget();
+      }
+    }
+    if (!operation.createsCart) {
+      throw new MedusaError('Your cart expired or was already checked out', 404, 'not_found');
+    }
+
+    const region = await firstValueFrom(this.regions.load());
+    const created = await firstValueFrom(this.medusa.carts.create({ region_id: region?.id }));
+    this.commit(created);
+    return firstValueFrom(operation.send(created.id));
+  }
+
+  private commit(cart: StoreCart): void {
+    if (cart.completed_at) {
+      this.forget();
+      return;
+    }
+    this.confirmed.set(cart);
+    localStorage.setItem(STORAGE_KEY, cart.id);
+    this.post({ type: 'cart', cart });
+  }
+
+  private forget(): void {
+    this.confirmed.set(null);
+    localStorage.removeItem(STORAGE_KEY);
+    this.post({ type: 'cleared' });
+  }
+
+  private post(message: CartMessage): void {
+    this.channel?.postMessage(message);
+  }
+
+  // The empty cart shown while the first add to cart is on its way
+  private draft(): StoreCart {
+    const region = this.regions.region();
+    return {
+      id: '',
+      email: null,
+      region_id: region?.id ?? null,
+      customer_id: null,
+      sales_channel_id: null,
+      currency_code: region?.currency_code ?? '',
+      items: [],
+      shipping_address: null,
+      billing_address: null,
+      shipping_methods: [],
+      item_total: 0,
+      subtotal: 0,
+      shipping_total: 0,
+      discount_total: 0,
+      tax_total: 0,
+      total: 0,
+    };
+  }
+}
+
+export function isPendingItem(item: StoreCartLineItem): boolean {
+  return item.id.startsWith(PENDING_PREFIX);
+}
+
+// A cart that is gone or was turned into an order cannot be changed anymore
+function isStale(error: unknown): boolean {
+  const medusaError = toMedusaError(error);
+  return medusaError.isNotFound || /already completed/i.test(medusaError.message);
+}
+
+function pendingItem(
+  variantId: string,
+  quantity: number,
+  preview: LineItemPreview,
+): StoreCartLineItem {
+  return {
+    id: `${PENDING_PREFIX}${variantId}`,
+    title: preview.title,
+    subtitle: null,
+    thumbnail: preview.thumbnail,
+    quantity,
+    variant_id: variantId,
+    product_id: null,
+    product_handle: preview.product_handle ?? null,
+    variant_title: preview.variant_title ?? null,
+    unit_price: preview.unit_price,
+    subtotal: preview.unit_price * quantity,
+    total: preview.unit_price * quantity,
+  };
+}
+
+// The cart with other line items; the totals move by the change in item prices
+// until the backend sends the real ones
+function withItems(cart: StoreCart, items: StoreCartLineItem[]): StoreCart {
+  const previous = new Map((cart.items ?? []).map((item) => [item.id, item]));
+  const sum = (list: StoreCartLineItem[]) =>
+    list.reduce((total, item) => total + item.unit_price * item.quantity, 0);
+  const change = sum(items) - sum([...previous.values()]);
+
+  return {
+    ...cart,
+    items: items.map((item) => {
+      const total = item.unit_price * item.quantity;
+      return previous.get(item.id)?.quantity === item.quantity
+        ? item
+        : { ...item, subtotal: total, total };
+    }),
+    item_total: cart.item_total + change,
+    subtotal: cart.subtotal + change,
+    total: cart.total + change,
+  };
+}
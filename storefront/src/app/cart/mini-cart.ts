@@ -0,0 +1,91 @@
+import { Component, inject, signal } from '@angular/core';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import { NavigationStart, Router, RouterLink } from '@angular/router';
+import { filter } from 'rxjs';
+
+import { PricePipe } from '../shared/price.pipe';
+import { CartStore } from './cart-store';
+
+@Component({
+  selector: 'app-mini-cart',
+  imports: [RouterLink, PricePipe],
+  host: {
+    class: 'relative',
+    '(document:keydown.escape)': 'open.set(false)',
+  },
+  template: `
+    <button
+      type="button"
+      class="flex items-center gap-2 text-sm"
+      [attr.aria-expanded]="open()"
+      (click)="open.set(!open())"
+    >
+      Cart
+      <span class="rounded-full bg-gray-900 px-2 py-0.5 text-xs text-white">
+        {{ store.count() }}
+      </span>
+    </button>
+
+    @if (open()) {
+      <div
+        class="absolute right-0 z-10 mt-3 w-80 rounded-lg border border-gray-200 bg-white p-4 shadow-lg"
+      >
+        @let cart = store.cart();
+        @if (store.error(); as error) {
+          <p class="mb-3 text-sm text-red-700">{{ error.message }}</p>
+        }
+        @if (cart && store.items().length > 0) {
+          <ul class="max-h-80 divide-y divide-gray-100 overflow-y-auto">
+            @for (item of store.items(); track item.id) {
+              <li class="flex gap-3 py-2 text-sm">
+                <div class="h-12 w-12 shrink-0 overflow-hidden rounded bg-gray-100">
+                  @if (item.thumbnail) {
+                    <img [src]="item.thumbnail" alt="" class="h-full w-full object-cover" />
+                  }
+                </div>
+                <div class="flex-1">
+                  <p class="font-medium">{{ item.title }}</p>
+                  @if (item.variant_title) {
+                    <p class="text-gray-500">{{ item.variant_title }}</p>
+                  }
+                  <p class="text-gray-600">
+                    {{ item.quantity }} × {{ item.unit_price | price: cart.currency_code }}
+                  </p>
+                </div>
+              </li>
+            }
+          </ul>
+          <p class="mt-3 flex justify-between border-t border-gray-100 pt-3 text-sm font-medium">
+            <span>Subtotal</span>
+            <span [class.text-gray-400]="store.syncing()">
+              {{ cart.subtotal | price: cart.currency_code }}
+            </span>
+          </p>
+          <a
+            routerLink="/cart"
+            class="mt-3 block rounded bg-gray-900 px-4 py-2 text-center text-sm text-white"
+            (click)="open.set(false)"
+          >
+            View cart
+          </a>
+        } @else {
+          <p class="text-sm text-gray-600">Your cart is empty.</p>
+        }
+      </div>
+    }
+  `,
+  styles: [],
+})
+export class MiniCart {
+  protected readonly store = inject(CartStore);
+  protected readonly open = signal(false);
+
+  constructor() {
+    inject(Router)
+      .events.pipe(
+        filter((event) => event instanceof NavigationStart),
+        takeUntilDestroyed(),
+      )
+      .subscribe(() => this.open.set(false));
+  }
+}
@@ -0,0 +1,82 @@
+import { ParamMap, Params } from '@angular/router';
+
+export const PAGE_SIZE = 12;
+
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'title', label: 'Name' },
+  { value: 'price-asc', label: 'Price: low to high' },
+  { value: 'price-desc', label: 'Price: high to low' },
+] as const;
+
+export type CatalogSort = (typeof SORT_OPTIONS)[number]['value'];
+
+/**
+ * What the product list shows, kept in the URL:
+ * /products?category=shirts&collection=summer&min=10&max=50&sort=price-asc&page=2
+ * Categories and collections are given by handle and may repeat.
+ */
+export interface CatalogQuery {
+  page: number;
+  categories: string[];
+  collections: string[];
+  minPrice: number | null;
+  maxPrice: number | null;
+  sort: CatalogSort;
+}
+
+export const DEFAULT_QUERY: CatalogQuery = {
+  page: 1,
+  categories: [],
+  collections: [],
+  minPrice: null,
+  maxPrice: null,
+  sort: 'newest',
+};
+
+function toNumber(value: string | null): number | null {
+  if (value === null || value.trim() === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/** Reads the query from the URL; invalid values fall back to the defaults */
+export function parseCatalogQuery(params: ParamMap): CatalogQuery {
+  const page = Math.floor(toNumber(params.get('page')) ?? 1);
+  const sort = params.get('sort');
+
+  return {
+    page: page >= 1 ? page : 1,
+    categories: params.getAll('category'),
+    collections: params.getAll('collection'),
+    minPrice: toNumber(params.get('min')),
+    maxPrice: toNumber(params.get('max')),
+    sort: SORT_OPTIONS.some((option) => option.value === sort) ? (sort as CatalogSort) : 'newest',
+  };
+}
+
+/**
+ * Query params for a link or navigation. Defaults are set to null, which
+ * removes them from the URL when merged into the current params.
+ */
+export function catalogQueryParams(query: CatalogQuery): Params {
+  return {
+    page: query.page > 1 ? query.page : null,
+    category: query.categories.length > 0 ? query.categories : null,
+    collection: query.collections.length > 0 ? query.collections : null,
+    min: query.minPrice,
+    max: query.maxPrice,
+    sort: query.sort !== DEFAULT_QUERY.sort ? query.sort : null,
+  };
+}
+
+export function hasPriceQuery(query: CatalogQuery): boolean {
+  return (
+    query.minPrice !== null ||
+    query.maxPrice !== null ||
+    query.sort === 'price-asc' ||
+    query.sort === 'price-desc'
+  );
+}
@@ -0,0 +1,56 @@
+import { inject } from '@angular/core';
+import { RedirectCommand, ResolveFn, Router } from '@angular/router';
+import { catchError, forkJoin, map, of, switchMap, throwError } from 'rxjs';
+
+import { isMedusaError } from '../medusa/medusa-error';
+import { StoreProduct, StoreRegion } from '../medusa/medusa.types';
+import { RegionStore } from '../regions/region-store';
+import { Catalog, CatalogFilters, CatalogPage } from './catalog';
+import { CatalogQuery, parseCatalogQuery } from './catalog-query';
+
+export interface ProductListData {
+  query: CatalogQuery;
+  filters: CatalogFilters;
+  page: CatalogPage;
+  region: StoreRegion | null;
+}
+
+export interface ProductDetailData {
+  product: StoreProduct;
+  region: StoreRegion | null;
+}
+
+/** Loads the page of products for the URL's query params */
+export const productListResolver: ResolveFn<ProductListData> = (route) => {
+  const catalog = inject(Catalog);
+  const query = parseCatalogQuery(route.queryParamMap);
+
+  return forkJoin({ region: inject(RegionStore).load(), filters: catalog.filters() }).pipe(
+    switchMap(({ region, filters }) =>
+      catalog
+        .search(query, filters, region?.id ?? null)
+        .pipe(map((page) => ({ query, filters, page, region }))),
+    ),
+  );
+};
+
+/** Loads the product for the :handle param; an unknown handle shows the not-found page */
+export const productResolver: ResolveFn<ProductDetailData | RedirectCommand> = (route) => {
+  const catalog = inject(Catalog);
+  const router = inject(Router);
+  const handle = route.paramMap.get('handle') ?? '';
+
+  return inject(RegionStore)
+    .load()
+    .pipe(
+      switchMap((region) =>
+        catalog.product(handle, region?.id ?? null).pipe(map((product) => ({ product, region }))),
+      ),
+      catchError((error: unknown) =>
+        isMedusaError(error) && error.isNotFound
+          ? of(new RedirectCommand(router.parseUrl('/not-found'), { skipLocationChange: true }))
+          : throwError(() => error),
+      ),
+    );
+};
+
@@ -0,0 +1,21 @@
+import { Routes } from '@angular/router';
+
+import { productListResolver, productResolver } from './catalog.resolvers';
+
+// Resolvers run again on every navigation, including the reload after the
+// region changes, so prices always match the chosen region
+export const catalogRoutes: Routes = [
+  {
+    path: '',
+    title: 'Products | Storefront',
+    loadComponent: () => import('./product-list').then((m) => m.ProductList),
+    resolve: { catalog: productListResolver },
+    runGuardsAndResolvers: 'always',
+  },
+  {
+    path: ':handle',
+    loadComponent: () => import('./product-detail').then((m) => m.ProductDetail),
+    resolve: { detail: productResolver },
+    runGuardsAndResolvers: 'always',
+  },
+];
@@ -0,0 +1,199 @@
+import { Injectable, inject } from '@angular/core';
+import { EMPTY, Observable, expand, forkJoin, map, of, reduce, shareReplay } from 'rxjs';
+
+import { MedusaClient } from '../medusa/medusa-client';
+import {
+  StoreCalculatedPrice,
+  StoreCollection,
+  StoreProduct,
+  StoreProductCategory,
+  StoreProductListParams,
+  StoreProductVariant,
+} from '../medusa/medusa.types';
+import { CatalogQuery, PAGE_SIZE, hasPriceQuery } from './catalog-query';
+
+export interface CatalogFilters {
+  categories: StoreProductCategory[];
+  collections: StoreCollection[];
+}
+
+export interface CatalogPage {
+  products: StoreProduct[];
+  count: number;
+  page: number;
+  pageCount: number;
+}
+
+export type StockStatus = 'in_stock' | 'low_stock' | 'backorder' | 'out_of_stock';
+
+// Below this many items a variant is shown as running low
+const LOW_STOCK = 5;
+
+// The detail page also shows the images, options and collection
+const PRODUCT_DETAIL_FIELDS = [
+  '*variants.calculated_price',
+  '+variants.inventory_quantity',
+  '*variants.options',
+  '*options.values',
+  '*images',
+  '*collection',
+  '*categories',
+].join(',');
+
+// Batch size when the whole catalog has to be read to filter or sort by price
+const BATCH_SIZE = 100;
+
+/** Product queries of the catalog pages, on top of the MedusaClient */
+@Injectable({ providedIn: 'root' })
+export class Catalog {
+  private readonly medusa = inject(MedusaClient);
+  private filters$: Observable<CatalogFilters> | null = null;
+
+  /** Categories and collections to filter by, loaded once */
+  filters(): Observable<CatalogFilters> {
+    this.filters$ ??= forkJoin({
+      categories: this.medusa.categories.list({ limit: 100, order: 'rank' }),
+      collections: this.medusa.collections.list({ limit: 100, order: 'title' }),
+    }).pipe(
+      map(({ categories, collections }) => ({
+        categories: categories.items,
+        collections: collections.items,
+      })),
+      shareReplay(1),
+    );
+    return this.filters$;
+  }
+
+  /**
+   * One page of products for the query, priced for the region. The Store API
+   * can neither filter nor sort by price, so for those the matching products
+   * are read in batches and filtered, sorted and paged here.
+   */
+  search(
+    query: CatalogQuery,
+    filters: CatalogFilters,
+    regionId: string | null,
+  ): Observable<CatalogPage> {
+    const categoryIds = idsFor(filters.categories, query.categories);
+    const collectionIds = idsFor(filters.collections, query.collections);
+    // Only unknown handles were asked for: nothing can match
+    if (categoryIds?.length === 0 || collectionIds?.length === 0) {
+      return of(toPage([], 0, query.page));
+    }
+
+    const params: StoreProductListParams = {
+      category_id: categoryIds ?? undefined,
+      collection_id: collectionIds ?? undefined,
+      region_id: regionId ?? undefined,
+    };
+
+    if (!hasPriceQuery(query)) {
+      return this.medusa.products
+        .list({
+          ...params,
+          limit: PAGE_SIZE,
+          offset: (query.page - 1) * PAGE_SIZE,
+          order: query.sort === 'title' ? 'title' : '-created_at',
+        })
+        .pipe(map((page) => toPage(page.items, page.count, query.page)));
+    }
+
+    return this.listAll(params).pipe(
+      map((products) => {
+        const matching = products
+          .map((product) => ({ product, amount: productPrice(product)?.calculated_amount ?? null }))
+          .filter(({ amount }) => inRange(amount, query.minPrice, query.maxPrice));
+
+        if (query.sort === 'price-asc' || query.sort === 'price-desc') {
+          const direction = query.sort === 'price-asc' ? 1 : -1;
+          // Products without a price go last either way
+          matching.sort(
+            (a, b) =>
+              (a.amount === null ? 1 : 0) - (b.amount === null ? 1 : 0) ||
+              direction * ((a.amount ?? 0) - (b.amount ?? 0)),
+          );
+        } else if (query.sort === 'title') {
+          matching.sort((a, b) => a.product.title.localeCompare(b.product.title));
+        }
+
+        const start = (query.page - 1) * PAGE_SIZE;
+        return toPage(
+          matching.slice(start, start + PAGE_SIZE).map(({ product }) => product),
+          matching.length,
+          query.page,
+        );
+      }),
+    );
+  }
+
+  /** The product with the handle, priced for the region */
+  product(handle: string, regionId: string | null): Observable<StoreProduct> {
+    return this.medusa.products.retrieveByHandle(handle, {
+      region_id: regionId ?? undefined,
+      fields: PRODUCT_DETAIL_FIELDS,
+    });
+  }
+
+  // Every product matching the params, newest first
+  private listAll(params: StoreProductListParams): Observable<StoreProduct[]> {
+    const batch = (offset: number) =>
+      this.medusa.products.list({ ...params, limit: BATCH_SIZE, offset, order: '-created_at' });
+
+    return batch(0).pipe(
+      expand((page) =>
+        page.offset + page.items.length < page.count && page.items.length > 0
+          ? batch(page.offset + page.items.length)
+          : EMPTY,
+      ),
+      reduce((products, page) => [...products, ...page.items], [] as StoreProduct[]),
+    );
+  }
+}
+
+// Ids for the handles; null when no handle is given
+function idsFor(items: { id: string; handle: string }[], handles: string[]): string[] | null {
+  if (handles.length === 0) {
+    return null;
+  }
+  return items.filter((item) => handles.includes(item.handle)).map((item) => item.id);
+}
+
+function inRange(amount: number | null, min: number | null, max: number | null): boolean {
+  if (min === null && max === null) {
+    return true;
+  }
+  return amount !== null && (min === null || amount >= min) && (max === null || amount <= max);
+}
+
+function toPage(products: StoreProduct[], count: number, page: number): CatalogPage {
+  return { products, count, page, pageCount: Math.max(1, Math.ceil(count / PAGE_SIZE)) };
+}
+
+/** The price of a variant in the region the product was loaded for */
+export function variantPrice(variant: StoreProductVariant | null): StoreCalculatedPrice | null {
+  return variant?.calculated_price?.calculated_amount != null ? variant.calculated_price : null;
+}
+
+/** The lowest variant price of a product, shown as its "from" price */
+export function productPrice(product: StoreProduct): StoreCalculatedPrice | null {
+  return (product.variants ?? [])
+    .map(variantPrice)
+    .filter((price): price is StoreCalculatedPrice => price !== null)
+    .reduce<StoreCalculatedPrice | null>(
+      (lowest, price) =>
+        lowest === null || price.calculated_amount! < lowest.calculated_amount! ? price : lowest,
+      null,
+    );
+}
+
+/** Whether a variant can be bought, from its inventory settings */
+export function stockStatus(variant: StoreProductVariant): StockStatus {
+  if (!variant.manage_inventory) {
+    return 'in_stock';
+  }
+  const quantity = variant.inventory_quantity ?? 0;
+  if (quantity <= 0) {
+    return variant.allow_backorder ? 'backorder' : 'out_of_stock';
+  }
+  return quantity < LOW_STOCK ? 'low_stock' : 'in_stock';
+}
@@ -0,0 +1,258 @@
+import { Component, computed, effect, inject, input, linkedSignal, signal } from '@angular/core';
+import { Title } from '@angular/platform-browser';
+import { RouterLink } from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { StoreProductVariant } from '../medusa/medusa.types';
+import { PricePipe } from '../shared/price.pipe';
+import { StockStatus, productPrice, stockStatus, variantPrice } from './catalog';
+import { ProductDetailData } from './catalog.resolvers';
+
+const STOCK_LABELS: Record<StockStatus, string> = {
+  in_stock: 'In stock',
+  low_stock: 'Only a few left',
+  backorder: 'Available on backorder',
+  out_of_stock: 'Out of stock',
+};
+
+// Option id -> chosen value
+type Selection = Record<string, string>;
+
+@Component({
+  selector: 'app-product-detail',
+  imports: [RouterLink, PricePipe],
+  template: `
+    @let product = detail().product;
+    <div class="mx-auto max-w-6xl px-4 py-8">
+      <a routerLink="/products" class="text-sm text-gray-600 hover:underline">← All products</a>
+
+      <div class="mt-6 grid gap-10 md:grid-cols-2">
+        <div>
+          <div class="aspect-square overflow-hidden rounded-lg bg-gray-100">
+            @if (image(); as url) {
+              <img [src]="url" [alt]="product.title" class="h-full w-full object-cover" />
+            }
+          </div>
+          @if (images().length > 1) {
+            <div class="mt-4 grid grid-cols-5 gap-2">
+              @for (url of images(); track url) {
+                <button
+                  type="button"
+                  class="aspect-square overflow-hidden rounded border-2"
+                  [class.border-gray-900]="url === image()"
+                  [class.border-transparent]="url !== image()"
+                  [attr.aria-label]="'Show image ' + ($index + 1)"
+                  (click)="image.set(url)"
+                >
+                  <img [src]="url" alt="" class="h-full w-full object-cover" />
+                </button>
+              }
+            </div>
+          }
+        </div>
+
+        <div>
+          @if (product.collection; as collection) {
+            <a
+              routerLink="/products"
+              [queryParams]="{ collection: collection.handle }"
+              class="text-sm text-gray-600 hover:underline"
+            >
+              {{ collection.title }}
+            </a>
+          }
+          <h1 class="text-3xl font-semibold">{{ product.title }}</h1>
+          @if (product.subtitle) {
+            <p class="mt-1 text-gray-600">{{ product.subtitle }}</p>
+          }
+
+          <p class="mt-4 text-2xl">
+            @if (price(); as price) {
+              {{ price.calculated_amount | price: price.currency_code }}
+              @if (
+                price.original_amount !== null &&
+                price.calculated_amount !== null &&
+                price.original_amount > price.calculated_amount
+              ) {
+                <s class="ml-2 text-base text-gray-500">
+                  {{ price.original_amount | price: price.currency_code }}
+                </s>
+              }
+            } @else {
+              <span class="text-base text-gray-600">
+                Not available in {{ detail().region?.name ?? 'this region' }}
+              </span>
+            }
+          </p>
+          @if (detail().region; as region) {
+            <p class="text-xs text-gray-500">Prices for {{ region.name }}</p>
+          }
+
+          @for (option of product.options ?? []; track option.id) {
+            <fieldset class="mt-6">
+              <legend class="mb-2 text-sm font-semibold">{{ option.title }}</legend>
+              <div class="flex flex-wrap gap-2">
+                @for (value of option.values; track value.id) {
+                  <button
+                    type="button"
+                    class="rounded border px-3 py-1 text-sm disabled:opacity-40"
+                    [class.border-gray-900]="selection()[option.id] === value.value"
+                    [class.border-gray-300]="selection()[option.id] !== value.value"
+                    [attr.aria-pressed]="selection()[option.id] === value.value"
+                    [disabled]="!isAvailable(option.id, value.value)"
+                    (click)="select(option.id, value.value)"
+                  >
+                    {{ value.value }}
+                  </button>
+                }
+              </div>
+            </fieldset>
+          }
+
+          <p class="mt-6 text-sm" [class.text-red-700]="stock() === 'out_of_stock'">
+            @if (variant()) {
+              {{ stockLabel() }}
+            } @else {
+              Choose {{ missingOptions() }}
+            }
+          </p>
+
+          <button
+            type="button"
+            class="mt-6 w-full rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+            [disabled]="!canAdd() || adding()"
+            (click)="addToCart()"
+          >
+            {{ stock() === 'out_of_stock' ? 'Out of stock' : 'Add to cart' }}
+          </button>
+          @if (added()) {
+            <p class="mt-2 text-sm text-green-700">Added to your cart.</p>
+          } @else if (addError(); as error) {
+            <p class="mt-2 text-sm text-red-700">{{ error }}</p>
+          }
+
+          @if (product.description) {
+            <p class="mt-8 whitespace-pre-line text-gray-700">{{ product.description }}</p>
+          }
+        </div>
+      </div>
+    </div>
+  `,
+  styles: [],
+})
+export class ProductDetail {
+  private readonly cart = inject(CartStore);
+
+  /** Resolved by productResolver */
+  readonly detail = input.required<ProductDetailData>();
+
+  private readonly variants = computed(() => this.detail().product.variants ?? []);
+
+  protected readonly images = computed(() => {
+    const product = this.detail().product;
+    const urls = (product.images ?? []).map((image) => image.url);
+    return urls.length > 0 ? urls : product.thumbnail ? [product.thumbnail] : [];
+  });
+
+  // Starts over at the first image and variant whenever another product is shown
+  protected readonly image = linkedSignal(() => this.images()[0] ?? null);
+
+  protected readonly selection = linkedSignal<Selection>(() => {
+    const variants = this.variants();
+    const first =
+      variants.find((variant) => stockStatus(variant) !== 'out_of_stock') ?? variants[0];
+    return first ? optionsOf(first) : {};
+  });
+
+  protected readonly variant = computed(() => {
+    const selection = this.selection();
+    const options = this.detail().product.options ?? [];
+    return (
+      this.variants().find((variant) => {
+        const values = optionsOf(variant);
+        return options.every((option) => values[option.id] === selection[option.id]);
+      }) ?? null
+    );
+  });
+
+  protected readonly price = computed(() => {
+    const variant = this.variant();
+    return variant ? variantPrice(variant) : productPrice(this.detail().product);
+  });
+
+  protected readonly stock = computed(() => {
+    const variant = this.variant();
+    return variant ? stockStatus(variant) : null;
+  });
+
+  protected readonly stockLabel = computed(() => {
+    const stock = this.stock();
+    return stock ? STOCK_LABELS[stock] : '';
+  });
+
+  protected readonly canAdd = computed(
+    () => this.price() !== null && this.stock() !== null && this.stock() !== 'out_of_stock',
+  );
+
+  protected readonly adding = signal(false);
+  // Feedback for the last add to cart, cleared when another variant is chosen
+  protected readonly added = linkedSignal({ source: this.variant, computation: () => false });
+  protected readonly addError = linkedSignal<unknown, string | null>({
+    source: this.variant,
+    computation: () => null,
+  });
+
+  protected readonly missingOptions = computed(() =>
+    (this.detail().product.options ?? [])
+      .filter((option) => !this.selection()[option.id])
+      .map((option) => option.title.toLowerCase())
+      .join(' and ') || 'an option',
+  );
+
+  constructor() {
+    const title = inject(Title);
+    effect(() => title.setTitle(`${this.detail().product.title} | Storefront`));
+  }
+
+  protected async addToCart(): Promise<void> {
+    const variant = this.variant();
+    const price = this.price();
+    if (!variant || !price) {
+      return;
+    }
+    const product = this.detail().product;
+
+    this.adding.set(true);
+    const added = await this.cart.addItem(variant.id, 1, {
+      title: product.title,
+      thumbnail: product.thumbnail,
+      unit_price: price.calculated_amount ?? 0,
+      variant_title: variant.title,
+      product_handle: product.handle,
+    });
+    this.adding.set(false);
+    this.added.set(added);
+    this.addError.set(added ? null : (this.cart.error()?.message ?? 'Could not add to cart'));
+  }
+
+  protected select(optionId: string, value: string): void {
+    this.selection.update((selection) => ({ ...selection, [optionId]: value }));
+  }
+
+  /** Whether some variant has this value together with the other chosen options */
+  protected isAvailable(optionId: string, value: string): boolean {
+    const wanted = Object.entries({ ...this.selection(), [optionId]: value });
+    return this.variants().some((variant) => {
+      const values = optionsOf(variant);
+      return wanted.every(([id, chosen]) => values[id] === chosen);
+    });
+  }
+}
+
+function optionsOf(variant: StoreProductVariant): Selection {
+  return Object.fromEntries(
+    (variant.options ?? [])
+      .filter((value) => value.option_id)
+      .map((value) => [value.option_id!, value.value]),
+  );
+}
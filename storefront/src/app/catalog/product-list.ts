@@ -0,0 +1,220 @@
+import { Component, computed, inject, input } from '@angular/core';
+import { ActivatedRoute, Router, RouterLink } from '@angular/router';
+
+import { PricePipe } from '../shared/price.pipe';
+import { productPrice } from './catalog';
+import {
+  CatalogQuery,
+  CatalogSort,
+  DEFAULT_QUERY,
+  SORT_OPTIONS,
+  catalogQueryParams,
+} from './catalog-query';
+import { ProductListData } from './catalog.resolvers';
+
+@Component({
+  selector: 'app-product-list',
+  imports: [RouterLink, PricePipe],
+  template: `
+    <div class="mx-auto max-w-7xl px-4 py-8 lg:grid lg:grid-cols-[14rem_1fr] lg:gap-10">
+      <aside class="mb-8 space-y-6 text-sm lg:mb-0">
+        @if (catalog().filters.categories.length > 0) {
+          <fieldset>
+            <legend class="mb-2 font-semibold">Categories</legend>
+            @for (category of catalog().filters.categories; track category.id) {
+              <label class="flex items-center gap-2 py-1">
+                <input
+                  type="checkbox"
+                  [checked]="query().categories.includes(category.handle)"
+                  (change)="toggle('categories', category.handle)"
+                />
+                {{ category.name }}
+              </label>
+            }
+          </fieldset>
+        }
+
+        @if (catalog().filters.collections.length > 0) {
+          <fieldset>
+            <legend class="mb-2 font-semibold">Collections</legend>
+            @for (collection of catalog().filters.collections; track collection.id) {
+              <label class="flex items-center gap-2 py-1">
+                <input
+                  type="checkbox"
+                  [checked]="query().collections.includes(collection.handle)"
+                  (change)="toggle('collections', collection.handle)"
+                />
+                {{ collection.title }}
+              </label>
+            }
+          </fieldset>
+        }
+
+        <form (submit)="$event.preventDefault(); setPrice(min.value, max.value)">
+          <fieldset>
+            <legend class="mb-2 font-semibold">
+              Price
+              @if (currency(); as code) {
+                <span class="font-normal text-gray-500">({{ code.toUpperCase() }})</span>
+              }
+            </legend>
+            <div class="flex items-center gap-2">
+              <input
+                #min
+                type="number"
+                min="0"
+                placeholder="Min"
+                aria-label="Minimum price"
+                class="w-20 rounded border border-gray-300 px-2 py-1"
+                [value]="query().minPrice ?? ''"
+              />
+              <span>–</span>
+              <input
+                #max
+                type="number"
+                min="0"
+                placeholder="Max"
+                aria-label="Maximum price"
+                class="w-20 rounded border border-gray-300 px-2 py-1"
+                [value]="query().maxPrice ?? ''"
+              />
+            </div>
+            <button
+              type="submit"
+              class="mt-2 rounded border border-gray-300 px-3 py-1 hover:bg-gray-50"
+            >
+              Apply
+            </button>
+          </fieldset>
+        </form>
+
+        @if (filtered()) {
+          <button type="button" class="text-gray-600 underline" (click)="clearFilters()">
+            Clear filters
+          </button>
+        }
+      </aside>
+
+      <section>
+        <div class="mb-6 flex items-center justify-between gap-4">
+          <p class="text-sm text-gray-600">
+            {{ catalog().page.count }} {{ catalog().page.count === 1 ? 'product' : 'products' }}
+          </p>
+          <label class="flex items-center gap-2 text-sm">
+            Sort by
+            <select
+              #sort
+              class="rounded border border-gray-300 px-2 py-1"
+              (change)="setSort(sort.value)"
+            >
+              @for (option of sortOptions; track option.value) {
+                <option [value]="option.value" [selected]="option.value === query().sort">
+                  {{ option.label }}
+                </option>
+              }
+            </select>
+          </label>
+        </div>
+
+        <ul class="grid grid-cols-2 gap-6 md:grid-cols-3">
+          @for (product of catalog().page.products; track product.id) {
+            <li>
+              <a [routerLink]="['/products', product.handle]" class="group block">
+                <div class="aspect-square overflow-hidden rounded-lg bg-gray-100">
+                  @if (product.thumbnail) {
+                    <img
+                      [src]="product.thumbnail"
+                      [alt]="product.title"
+                      class="h-full w-full object-cover transition group-hover:scale-105"
+                    />
+                  }
+                </div>
+                <h3 class="mt-3 font-medium">{{ product.title }}</h3>
+                @if (fromPrice(product); as price) {
+                  <p class="text-sm text-gray-700">
+                    {{ price.calculated_amount | price: price.currency_code }}
+                  </p>
+                }
+              </a>
+            </li>
+          } @empty {
+            <li class="col-span-full py-16 text-center text-gray-600">
+              No products match these filters.
+            </li>
+          }
+        </ul>
+
+        @let page = catalog().page;
+        @if (page.pageCount > 1) {
+          <nav class="mt-10 flex items-center justify-center gap-6 text-sm" aria-label="Pages">
+            @if (page.page > 1) {
+              <a [routerLink]="[]" [queryParams]="pageParams(page.page - 1)">Previous</a>
+            }
+            <span>Page {{ page.page }} of {{ page.pageCount }}</span>
+            @if (page.page < page.pageCount) {
+              <a [routerLink]="[]" [queryParams]="pageParams(page.page + 1)">Next</a>
+            }
+          </nav>
+        }
+      </section>
+    </div>
+  `,
+  styles: [],
+})
+export class ProductList {
+  private readonly router = inject(Router);
+  private readonly route = inject(ActivatedRoute);
+
+  /** Resolved by productListResolver */
+  readonly catalog = input.required<ProductListData>();
+
+  protected readonly sortOptions = SORT_OPTIONS;
+  protected readonly query = computed(() => this.catalog().query);
+  protected readonly currency = computed(() => this.catalog().region?.currency_code ?? null);
+  protected readonly filtered = computed(() => {
+    const query = this.query();
+    return (
+      query.categories.length > 0 ||
+      query.collections.length > 0 ||
+      query.minPrice !== null ||
+      query.maxPrice !== null
+    );
+  });
+
+  protected readonly fromPrice = productPrice;
+
+  protected toggle(key: 'categories' | 'collections', handle: string): void {
+    const current = this.query()[key];
+    this.navigate({
+      [key]: current.includes(handle)
+        ? current.filter((entry) => entry !== handle)
+        : [...current, handle],
+    });
+  }
+
+  protected setPrice(min: string, max: string): void {
+    const toPrice = (value: string) => (value === '' || Number(value) < 0 ? null : Number(value));
+    this.navigate({ minPrice: toPrice(min), maxPrice: toPrice(max) });
+  }
+
+  protected setSort(sort: string): void {
+    this.navigate({ sort: sort as CatalogSort });
+  }
+
+  protected clearFilters(): void {
+    this.navigate({ ...DEFAULT_QUERY, sort: this.query().sort });
+  }
+
+  protected pageParams(page: number) {
+    return catalogQueryParams({ ...this.query(), page });
+  }
+
+  // Any change of filters or sorting starts over at the first page
+  private navigate(changes: Partial<CatalogQuery>): void {
+    this.router.navigate([], {
+      relativeTo: this.route,
+      queryParams: catalogQueryParams({ ...this.query(), page: 1, ...changes }),
+      queryParamsHandling: 'merge',
+    });
+  }
+}
@@ -0,0 +1,163 @@
+import { signal } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { Router, provideRouter } from '@angular/router';
+
+import { AuthStore } from '../auth/auth-store';
+import { CartStore } from '../cart/cart-store';
+import { StoreCart, StoreCountry, StoreCustomer } from '../medusa/medusa.types';
+import { AddressStep } from './address-step';
+import { ADDRESS, cart } from './checkout.testing';
+
+const GB: StoreCountry = {
+  iso_2: 'gb',
+  iso_3: 'gbr',
+  name: 'UNITED KINGDOM',
+  display_name: 'United Kingdom',
+};
+const FR: StoreCountry = { iso_2: 'fr', iso_3: 'fra', name: 'FRANCE', display_name: 'France' };
+
+// An empty checkout in a region of the given countries
+function cartIn(...countries: StoreCountry[]): StoreCart {
+  return cart({ region: { id: 'reg_eu', name: 'Europe', currency_code: 'eur', countries } });
+}
+
+// The fields of the shipping address in ADDRESS
+const SHIPPING = {
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  address_1: '12 St James Square',
+  postal_code: 'SW1Y 4JH',
+  city: 'London',
+  country_code: 'gb',
+};
+
+describe('AddressStep', () => {
+  let fixture: ComponentFixture<AddressStep>;
+  let update: ReturnType<typeof vi.fn>;
+  let navigate: ReturnType<typeof vi.spyOn>;
+
+  // Render the step for the given cart and logged-in customer
+  async function render(current: StoreCart, customer: Partial<StoreCustomer> | null = null) {
+    update = vi.fn(async () => true);
+    TestBed.configureTestingModule({
+      providers: [
+        provideRouter([]),
+        { provide: CartStore, useValue: { cart: signal(current), update } },
+        { provide: AuthStore, useValue: { customer: signal(customer) } },
+      ],
+    });
+    navigate = vi.spyOn(TestBed.inject(Router), 'navigate').mockResolvedValue(true);
+    fixture = TestBed.createComponent(AddressStep);
+    await fixture.whenStable();
+  }
+
+  // The address fields of the form, the shipping address first
+  function addressFields(): HTMLElement[] {
+    return Array.from(fixture.nativeElement.querySelectorAll('app-address-fields'));
+  }
+
+  // Type the values into the fields of an address
+  function fill(fields: HTMLElement, values: Record<string, string>): void {
+    for (const [name, value] of Object.entries(values)) {
+      const field = fields.querySelector<HTMLInputElement | HTMLSelectElement>(
+        `[formControlName="${name}"]`,
+      )!;
+      field.value = value;
+      field.dispatchEvent(new Event(field instanceof HTMLSelectElement ? 'change' : 'input'));
+    }
+  }
+
+  async function submit(): Promise<void> {
+    fixture.nativeElement.querySelector('button[type="submit"]').click();
+    await fixture.whenStable();
+  }
+
+  function text(): string {
+    return fixture.nativeElement.textContent;
+  }
+
+  it('asks for the required fields before saving anything', async () => {
+    await render(cartIn(GB, FR));
+
+    await submit();
+
+    expect(update).not.toHaveBeenCalled();
+    expect(text()).toContain('First name is required');
+    expect(text()).toContain('Country is required');
+    expect(navigate).not.toHaveBeenCalled();
+  });
+
+  it('bills to the shipping address and goes on to shipping', async () => {
+    await render(cartIn(GB, FR));
+
+    fill(addressFields()[0], SHIPPING);
+    await submit();
+
+    const shipping = expect.objectContaining(SHIPPING);
+    expect(update).toHaveBeenCalledWith({ shipping_address: shipping, billing_address: shipping });
+    expect(navigate).toHaveBeenCalledWith(['/checkout', 'shipping']);
+  });
+
+  it('checks and saves a billing address of its own', async () => {
+    await render(cartIn(GB, FR));
+    fill(addressFields()[0], SHIPPING);
+
+    const sameAsShipping = fixture.nativeElement.querySelector('input[type="checkbox"]');
+    sameAsShipping.click();
+    await fixture.whenStable();
+    expect(addressFields()).toHaveLength(2);
+
+    await submit();
+    expect(update).not.toHaveBeenCalled();
+
+    fill(addressFields()[1], { ...SHIPPING, first_name: 'Charles', country_code: 'fr' });
+    await submit();
+
+    expect(update).toHaveBeenCalledWith({
+      shipping_address: expect.objectContaining(SHIPPING),
+      billing_address: expect.objectContaining({ first_name: 'Charles', country_code: 'fr' }),
+    });
+  });
+
+  it('stays on the step when the backend refuses the address', async () => {
+    await render(cart({ shipping_address: ADDRESS, billing_address: ADDRESS }));
+    update.mockResolvedValue(false);
+
+    await submit();
+
+    expect(update).toHaveBeenCalled();
+    expect(navigate).not.toHaveBeenCalled();
+  });
+
+  it('starts from the default address of a customer in the region', async () => {
+    const saved = {
+      ...ADDRESS,
+      id: 'cuaddr_1',
+      city: 'Bath',
+      address_name: null,
+      is_default_shipping: true,
+      is_default_billing: false,
+      customer_id: 'cus_1',
+    };
+    await render(cartIn(GB), { addresses: [saved] });
+
+    expect(addressFields()).toHaveLength(1);
+    const city = addressFields()[0].querySelector<HTMLInputElement>('[formControlName="city"]')!;
+    expect(city.value).toBe('Bath');
+
+    await submit();
+    expect(update).toHaveBeenCalledWith({
+      shipping_address: expect.objectContaining({ city: 'Bath', country_code: 'gb' }),
+      billing_address: expect.objectContaining({ city: 'Bath' }),
+    });
+  });
+
+  it('picks the country when the region has only one', async () => {
+    await render(cartIn(GB));
+
+    const country = addressFields()[0].querySelector<HTMLSelectElement>(
+      '[formControlName="country_code"]',
+    )!;
+    expect(country.value).toBe('gb');
+  });
+});
@@ -0,0 +1,131 @@
+import { Component, computed, inject, signal } from '@angular/core';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import { NonNullableFormBuilder, ReactiveFormsModule } from '@angular/forms';
+import { Router } from '@angular/router';
+import { startWith } from 'rxjs';
+
+import { AuthStore } from '../auth/auth-store';
+import { CartStore } from '../cart/cart-store';
+import { StoreAddress } from '../medusa/medusa.types';
+import { AddressFields, addressForm } from '../shared/address-fields';
+import { nextStep } from './checkout-steps';
+
+// The fields that make two addresses the same
+const ADDRESS_FIELDS = [
+  'first_name',
+  'last_name',
+  'company',
+  'address_1',
+  'address_2',
+  'postal_code',
+  'city',
+  'province',
+  'country_code',
+  'phone',
+] as const;
+
+@Component({
+  selector: 'app-address-step',
+  imports: [ReactiveFormsModule, AddressFields],
+  template: `
+    <form [formGroup]="form" (ngSubmit)="submit()" novalidate>
+      <h2 class="text-lg font-semibold">Shipping address</h2>
+      <div class="mt-4">
+        <app-address-fields [group]="form.controls.shipping" [countries]="countries()" />
+      </div>
+
+      <label class="mt-6 flex items-center gap-2 text-sm">
+        <input type="checkbox" formControlName="sameAsShipping" />
+        Bill to the shipping address
+      </label>
+
+      @if (!form.controls.sameAsShipping.value) {
+        <h2 class="mt-6 text-lg font-semibold">Billing address</h2>
+        <div class="mt-4">
+          <app-address-fields [group]="form.controls.billing" [countries]="countries()" />
+        </div>
+      }
+
+      <button
+        type="submit"
+        class="mt-6 rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+        [disabled]="saving()"
+      >
+        Continue to shipping
+      </button>
+    </form>
+  `,
+  styles: [],
+})
+export class AddressStep {
+  private readonly store = inject(CartStore);
+  private readonly router = inject(Router);
+
+  // Addresses can only be in the countries of the cart's region
+  protected readonly countries = computed(() => this.store.cart()?.region?.countries ?? []);
+
+  protected readonly form = this.createForm();
+  protected readonly saving = signal(false);
+
+  constructor() {
+    // A billing address that is the shipping address needs no checking of its own
+    const billing = this.form.controls.billing;
+    this.form.controls.sameAsShipping.valueChanges
+      .pipe(startWith(this.form.controls.sameAsShipping.value), takeUntilDestroyed())
+      .subscribe((same) => (same ? billing.disable() : billing.enable()));
+  }
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    const { shipping, billing, sameAsShipping } = this.form.getRawValue();
+
+    this.saving.set(true);
+    const saved = await this.store.update({
+      shipping_address: shipping,
+      billing_address: sameAsShipping ? shipping : billing,
+    });
+    this.saving.set(false);
+    if (saved) {
+      this.router.navigate(['/checkout', nextStep('address')]);
+    }
+  }
+
+  private createForm() {
+    const fb = inject(NonNullableFormBuilder);
+    const cart = this.store.cart();
+    const countries = this.countries();
+    // A logged-in customer starts from their default shipping address, if it is in the region
+    const saved = inject(AuthStore)
+      .customer()
+      ?.addresses.find(
+        (address) =>
+          address.is_default_shipping &&
+          countries.some((country) => country.iso_2 === address.country_code),
+      );
+    const shipping = cart?.shipping_address ?? saved ?? null;
+    const billing = cart?.billing_address ?? null;
+
+    const form = fb.group({
+      shipping: addressForm(fb, shipping),
+      sameAsShipping: [!billing || sameAddress(shipping, billing)],
+      billing: addressForm(fb, billing),
+    });
+
+    // With a single country to ship to, there is nothing to choose
+    if (countries.length === 1) {
+      for (const group of [form.controls.shipping, form.controls.billing]) {
+        if (!group.controls.country_code.value) {
+          group.controls.country_code.setValue(countries[0].iso_2);
+        }
+      }
+    }
+    return form;
+  }
+}
+
+function sameAddress(a: StoreAddress | null, b: StoreAddress): boolean {
+  return ADDRESS_FIELDS.every((field) => (a?.[field] ?? '') === (b[field] ?? ''));
+}
@@ -0,0 +1,103 @@
+import { computed, signal } from '@angular/core';
+import { TestBed } from '@angular/core/testing';
+import {
+  ActivatedRouteSnapshot,
+  Router,
+  RouterStateSnapshot,
+  UrlTree,
+  provideRouter,
+} from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { StoreCart } from '../medusa/medusa.types';
+import {
+  CheckoutStepId,
+  canOpenStep,
+  checkoutStepGuard,
+  firstOpenStep,
+  nextStep,
+} from './checkout-steps';
+import { ADDRESS, cart } from './checkout.testing';
+
+// The cart once the contact, address and shipping steps are done
+const READY_FOR_PAYMENT = cart({
+  email: 'ada@example.com',
+  shipping_address: ADDRESS,
+  billing_address: ADDRESS,
+  shipping_methods: [{ id: 'sm_1', name: 'Standard', amount: 5, shipping_option_id: 'so_1' }],
+});
+
+describe('checkout steps', () => {
+  it('opens a step once every step before it is done', () => {
+    expect(firstOpenStep(cart())).toBe('contact');
+    expect(canOpenStep(cart(), 'contact')).toBe(true);
+    expect(canOpenStep(cart(), 'address')).toBe(false);
+
+    const withEmail = cart({ email: 'ada@example.com' });
+    expect(firstOpenStep(withEmail)).toBe('address');
+    expect(canOpenStep(withEmail, 'address')).toBe(true);
+    expect(canOpenStep(withEmail, 'shipping')).toBe(false);
+
+    expect(firstOpenStep(READY_FOR_PAYMENT)).toBe('payment');
+    expect(canOpenStep(READY_FOR_PAYMENT, 'contact')).toBe(true);
+    expect(canOpenStep(READY_FOR_PAYMENT, 'review')).toBe(false);
+  });
+
+  it('needs both a complete shipping and billing address', () => {
+    const partial = cart({
+      email: 'ada@example.com',
+      shipping_address: ADDRESS,
+      billing_address: { ...ADDRESS, city: '' },
+    });
+
+    expect(firstOpenStep(partial)).toBe('address');
+  });
+
+  it('goes from step to step and stays on the review', () => {
+    expect(nextStep('contact')).toBe('address');
+    expect(nextStep('payment')).toBe('review');
+    expect(nextStep('review')).toBe('review');
+  });
+});
+
+describe('checkoutStepGuard', () => {
+  // Run the guard of a step against the given cart; a redirect comes back as its URL
+  async function guard(id: CheckoutStepId, current: StoreCart | null): Promise<true | string> {
+    const stored = signal(current);
+    TestBed.resetTestingModule();
+    TestBed.configureTestingModule({
+      providers: [
+        provideRouter([]),
+        {
+          provide: CartStore,
+          useValue: {
+            whenLoaded: () => Promise.resolve(),
+            cart: stored,
+            items: computed(() => stored()?.items ?? []),
+          },
+        },
+      ],
+    });
+    const result = await TestBed.runInInjectionContext(() =>
+      checkoutStepGuard(id)({} as ActivatedRouteSnapshot, {} as RouterStateSnapshot),
+    );
+    return result instanceof UrlTree
+      ? TestBed.inject(Router).serializeUrl(result)
+      : (result as true);
+  }
+
+  it('sends a checkout without a cart or items back to the cart', async () => {
+    expect(await guard('contact', null)).toBe('/cart');
+    expect(await guard('contact', cart({ items: [] }))).toBe('/cart');
+  });
+
+  it('opens a step whose earlier steps are done', async () => {
+    expect(await guard('contact', cart())).toBe(true);
+    expect(await guard('payment', READY_FOR_PAYMENT)).toBe(true);
+  });
+
+  it('sends a step opened too early to the first one still to do', async () => {
+    expect(await guard('review', cart({ email: 'ada@example.com' }))).toBe('/checkout/address');
+    expect(await guard('review', READY_FOR_PAYMENT)).toBe('/checkout/payment');
+  });
+});
@@ -0,0 +1,77 @@
+import { inject } from '@angular/core';
+import { CanActivateFn, Router } from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { StoreCart } from '../medusa/medusa.types';
+import { isCompleteAddress } from '../shared/address-fields';
+
+export type CheckoutStepId = 'contact' | 'address' | 'shipping' | 'payment' | 'review';
+
+export interface CheckoutStep {
+  id: CheckoutStepId;
+  label: string;
+  /** Whether the cart has what the step asks for */
+  done: (cart: StoreCart) => boolean;
+}
+
+/** The steps of the checkout, in order. Each one saves its part on the cart. */
+export const CHECKOUT_STEPS: readonly CheckoutStep[] = [
+  { id: 'contact', label: 'Contact', done: (cart) => !!cart.email },
+  {
+    id: 'address',
+    label: 'Address',
+    done: (cart) =>
+      isCompleteAddress(cart.shipping_address) && isCompleteAddress(cart.billing_address),
+  },
+  { id: 'shipping', label: 'Shipping', done: (cart) => (cart.shipping_methods ?? []).length > 0 },
+  {
+    id: 'payment',
+    label: 'Payment',
+    done: (cart) => (cart.payment_collection?.payment_sessions ?? []).length > 0,
+  },
+  { id: 'review', label: 'Review', done: () => false },
+];
+
+// Names for the payment providers Medusa ships with; others show their id
+const PAYMENT_PROVIDER_LABELS: Record<string, string> = {
+  pp_system_default: 'Pay later (manual payment)',
+};
+
+/** The step after the given one */
+export function nextStep(id: CheckoutStepId): CheckoutStepId {
+  const index = CHECKOUT_STEPS.findIndex((step) => step.id === id);
+  return CHECKOUT_STEPS[Math.min(index + 1, CHECKOUT_STEPS.length - 1)].id;
+}
+
+/** The first step the cart is missing something for, the furthest one that can be opened */
+export function firstOpenStep(cart: StoreCart): CheckoutStepId {
+  return (CHECKOUT_STEPS.find((step) => !step.done(cart)) ?? CHECKOUT_STEPS.at(-1)!).id;
+}
+
+/** Whether every step before the given one is done */
+export function canOpenStep(cart: StoreCart, id: CheckoutStepId): boolean {
+  const index = CHECKOUT_STEPS.findIndex((step) => step.id === id);
+  return CHECKOUT_STEPS.slice(0, index).every((step) => step.done(cart));
+}
+
+export function paymentProviderLabel(id: string): string {
+  return PAYMENT_PROVIDER_LABELS[id] ?? id.replace(/^pp_/, '');
+}
+
+/**
+ * Opens a step only once the steps before it are done, and otherwise the first
+ * step that is not. Without items to buy, the checkout goes back to the cart.
+ */
+export function checkoutStepGuard(id: CheckoutStepId): CanActivateFn {
+  return async () => {
+    const store = inject(CartStore);
+    const router = inject(Router);
+    await store.whenLoaded();
+
+    const cart = store.cart();
+    if (!cart || store.items().length === 0) {
+      return router.parseUrl('/cart');
+    }
+    return canOpenStep(cart, id) ? true : router.createUrlTree(['/checkout', firstOpenStep(cart)]);
+  };
+}
@@ -0,0 +1,21 @@
+import { inject } from '@angular/core';
+import { ResolveFn } from '@angular/router';
+import { of } from 'rxjs';
+
+import { CartStore } from '../cart/cart-store';
+import { MedusaClient } from '../medusa/medusa-client';
+import { StorePaymentProvider, StoreShippingOption } from '../medusa/medusa.types';
+
+// The step guards have loaded the cart before these run
+
+/** The shipping options for the cart's items and shipping address */
+export const shippingOptionsResolver: ResolveFn<StoreShippingOption[]> = () => {
+  const cart = inject(CartStore).cart();
+  return cart ? inject(MedusaClient).carts.listShippingOptions(cart.id) : of([]);
+};
+
+/** The payment providers enabled in the cart's region */
+export const paymentProvidersResolver: ResolveFn<StorePaymentProvider[]> = () => {
+  const regionId = inject(CartStore).cart()?.region_id;
+  return regionId ? inject(MedusaClient).carts.listPaymentProviders(regionId) : of([]);
+};
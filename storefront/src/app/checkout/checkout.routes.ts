@@ -0,0 +1,44 @@
+import { Routes } from '@angular/router';
+
+import { checkoutStepGuard } from './checkout-steps';
+import { paymentProvidersResolver, shippingOptionsResolver } from './checkout.resolvers';
+
+// Every step is guarded, so a step can only be opened, also from a bookmark or
+// the back button, once the cart has what the steps before it ask for
+export const checkoutRoutes: Routes = [
+  {
+    path: '',
+    title: 'Checkout | Storefront',
+    loadComponent: () => import('./checkout').then((m) => m.Checkout),
+    children: [
+      { path: '', pathMatch: 'full', redirectTo: 'contact' },
+      {
+        path: 'contact',
+        loadComponent: () => import('./contact-step').then((m) => m.ContactStep),
+        canActivate: [checkoutStepGuard('contact')],
+      },
+      {
+        path: 'address',
+        loadComponent: () => import('./address-step').then((m) => m.AddressStep),
+        canActivate: [checkoutStepGuard('address')],
+      },
+      {
+        path: 'shipping',
+        loadComponent: () => import('./shipping-step').then((m) => m.ShippingStep),
+        canActivate: [checkoutStepGuard('shipping')],
+        resolve: { options: shippingOptionsResolver },
+      },
+      {
+        path: 'payment',
+        loadComponent: () => import('./payment-step').then((m) => m.PaymentStep),
+        canActivate: [checkoutStepGuard('payment')],
+        resolve: { providers: paymentProvidersResolver },
+      },
+      {
+        path: 'review',
+        loadComponent: () => import('./review-step').then((m) => m.ReviewStep),
+        canActivate: [checkoutStepGuard('review')],
+      },
+    ],
+  },
+];
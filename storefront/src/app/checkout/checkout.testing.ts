@@ -0,0 +1,46 @@
+// Carts for the checkout specs
+import { StoreCart, StoreCartAddress } from '../medusa/medusa.types';
+
+export const ADDRESS: StoreCartAddress = {
+  id: 'addr_1',
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  address_1: '12 St James Square',
+  postal_code: 'SW1Y 4JH',
+  city: 'London',
+  country_code: 'gb',
+};
+
+// A cart with one item and the given checkout details
+export function cart(details: Partial<StoreCart> = {}): StoreCart {
+  return {
+    id: 'cart_1',
+    email: null,
+    region_id: 'reg_eu',
+    customer_id: null,
+    sales_channel_id: null,
+    currency_code: 'eur',
+    items: [
+      {
+        id: 'item_1',
+        title: 'Mug',
+        subtitle: null,
+        thumbnail: null,
+        quantity: 1,
+        variant_id: 'variant_1',
+        product_id: 'prod_1',
+        unit_price: 12,
+      },
+    ],
+    shipping_address: null,
+    billing_address: null,
+    shipping_methods: [],
+    item_total: 12,
+    subtotal: 12,
+    shipping_total: 0,
+    discount_total: 0,
+    tax_total: 0,
+    total: 12,
+    ...details,
+  };
+}
@@ -0,0 +1,101 @@
+import { Component, inject } from '@angular/core';
+import { RouterLink, RouterLinkActive, RouterOutlet } from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { PricePipe } from '../shared/price.pipe';
+import { CHECKOUT_STEPS, CheckoutStepId, canOpenStep } from './checkout-steps';
+
+/** The frame of the checkout steps: where the customer is, the current step and the order */
+@Component({
+  selector: 'app-checkout',
+  imports: [RouterLink, RouterLinkActive, RouterOutlet, PricePipe],
+  template: `
+    <div class="mx-auto max-w-5xl px-4 py-8">
+      <h1 class="text-2xl font-semibold">Checkout</h1>
+
+      <nav class="mt-6" aria-label="Checkout steps">
+        <ol class="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+          @for (step of steps; track step.id) {
+            <li>
+              @if (canOpen(step.id)) {
+                <a
+                  [routerLink]="['/checkout', step.id]"
+                  routerLinkActive="font-semibold underline"
+                  ariaCurrentWhenActive="step"
+                >
+                  {{ $index + 1 }}. {{ step.label }}
+                </a>
+              } @else {
+                <span class="text-gray-400">{{ $index + 1 }}. {{ step.label }}</span>
+              }
+            </li>
+          }
+        </ol>
+      </nav>
+
+      @if (store.error(); as error) {
+        <div class="mt-4 flex justify-between rounded bg-red-50 p-3 text-sm text-red-800">
+          <span>{{ error.message }}</span>
+          <button type="button" class="underline" (click)="store.dismissError()">Dismiss</button>
+        </div>
+      }
+
+      <div class="mt-8 grid gap-10 md:grid-cols-[1fr_18rem]">
+        <section>
+          <router-outlet />
+        </section>
+
+        @if (store.cart(); as cart) {
+          <aside class="h-fit rounded-lg bg-gray-50 p-4 text-sm">
+            <h2 class="mb-3 font-semibold">Your order</h2>
+            <ul class="space-y-2">
+              @for (item of store.items(); track item.id) {
+                <li class="flex justify-between gap-2">
+                  <span>
+                    {{ item.quantity }} × {{ item.title }}
+                    @if (item.variant_title) {
+                      <span class="text-gray-500">({{ item.variant_title }})</span>
+                    }
+                  </span>
+                  <span>
+                    {{ item.total ?? item.unit_price * item.quantity | price: cart.currency_code }}
+                  </span>
+                </li>
+              }
+            </ul>
+            <dl class="mt-4 space-y-2 border-t border-gray-200 pt-4">
+              <div class="flex justify-between">
+                <dt>Subtotal</dt>
+                <dd>{{ cart.subtotal | price: cart.currency_code }}</dd>
+              </div>
+              <div class="flex justify-between">
+                <dt>Shipping</dt>
+                <dd>{{ cart.shipping_total | price: cart.currency_code }}</dd>
+              </div>
+              <div class="flex justify-between">
+                <dt>Taxes</dt>
+                <dd>{{ cart.tax_total | price: cart.currency_code }}</dd>
+              </div>
+              <div
+                class="flex justify-between border-t border-gray-200 pt-2 text-base font-semibold"
+              >
+                <dt>Total</dt>
+                <dd>{{ cart.total | price: cart.currency_code }}</dd>
+              </div>
+            </dl>
+          </aside>
+        }
+      </div>
+    </div>
+  `,
+  styles: [],
+})
+export class Checkout {
+  protected readonly store = inject(CartStore);
+  protected readonly steps = CHECKOUT_STEPS;
+
+  protected canOpen(id: CheckoutStepId): boolean {
+    const cart = this.store.cart();
+    return cart !== null && canOpenStep(cart, id);
+  }
+}
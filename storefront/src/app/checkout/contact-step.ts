@@ -0,0 +1,60 @@
+import { Component, inject, signal } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+import { Router } from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { FieldError } from '../shared/field-error';
+import { nextStep } from './checkout-steps';
+
+@Component({
+  selector: 'app-contact-step',
+  imports: [ReactiveFormsModule, FieldError],
+  template: `
+    <form [formGroup]="form" (ngSubmit)="submit()" novalidate>
+      <h2 class="text-lg font-semibold">Contact</h2>
+      <p class="mt-1 text-sm text-gray-600">We send the order confirmation to this address.</p>
+
+      <label class="mt-4 block text-sm">
+        Email
+        <input
+          type="email"
+          formControlName="email"
+          autocomplete="email"
+          class="mt-1 w-full rounded border border-gray-300 px-3 py-2"
+        />
+        <app-field-error [control]="form.controls.email" label="Email" />
+      </label>
+
+      <button
+        type="submit"
+        class="mt-6 rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+        [disabled]="saving()"
+      >
+        Continue to address
+      </button>
+    </form>
+  `,
+  styles: [],
+})
+export class ContactStep {
+  private readonly store = inject(CartStore);
+  private readonly router = inject(Router);
+
+  protected readonly form = inject(NonNullableFormBuilder).group({
+    email: [this.store.cart()?.email ?? '', [Validators.required, Validators.email]],
+  });
+  protected readonly saving = signal(false);
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    this.saving.set(true);
+    const saved = await this.store.update(this.form.getRawValue());
+    this.saving.set(false);
+    if (saved) {
+      this.router.navigate(['/checkout', nextStep('contact')]);
+    }
+  }
+}
@@ -0,0 +1,77 @@
+import { Component, inject, input, signal } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+import { Router } from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { StorePaymentProvider } from '../medusa/medusa.types';
+import { FieldError } from '../shared/field-error';
+import { nextStep, paymentProviderLabel } from './checkout-steps';
+
+@Component({
+  selector: 'app-payment-step',
+  imports: [ReactiveFormsModule, FieldError],
+  template: `
+    <form [formGroup]="form" (ngSubmit)="submit()" novalidate>
+      <h2 class="text-lg font-semibold">Payment</h2>
+
+      @if (providers().length > 0) {
+        <fieldset class="mt-4 space-y-2">
+          <legend class="sr-only">Payment method</legend>
+          @for (provider of providers(); track provider.id) {
+            <label class="flex items-center gap-3 rounded border border-gray-300 p-3 text-sm">
+              <input type="radio" formControlName="provider" [value]="provider.id" />
+              {{ label(provider.id) }}
+            </label>
+          }
+        </fieldset>
+        <app-field-error [control]="form.controls.provider" label="A payment method" />
+
+        <button
+          type="submit"
+          class="mt-6 rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+          [disabled]="saving()"
+        >
+          Continue to review
+        </button>
+      } @else {
+        <p class="mt-4 text-sm text-gray-600">
+          No payment methods are set up for this region yet.
+        </p>
+      }
+    </form>
+  `,
+  styles: [],
+})
+export class PaymentStep {
+  private readonly store = inject(CartStore);
+  private readonly router = inject(Router);
+
+  /** Resolved by paymentProvidersResolver */
+  readonly providers = input.required<StorePaymentProvider[]>();
+
+  protected readonly form = inject(NonNullableFormBuilder).group({
+    provider: [this.session()?.provider_id ?? '', Validators.required],
+  });
+  protected readonly saving = signal(false);
+  protected readonly label = paymentProviderLabel;
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    const { provider } = this.form.getRawValue();
+
+    this.saving.set(true);
+    const saved =
+      this.session()?.provider_id === provider || (await this.store.initiatePayment(provider));
+    this.saving.set(false);
+    if (saved) {
+      this.router.navigate(['/checkout', nextStep('payment')]);
+    }
+  }
+
+  private session() {
+    return this.store.cart()?.payment_collection?.payment_sessions?.[0] ?? null;
+  }
+}
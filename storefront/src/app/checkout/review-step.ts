@@ -0,0 +1,103 @@
+import { Component, computed, inject, signal } from '@angular/core';
+import { Router, RouterLink } from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { toMedusaError } from '../medusa/medusa-error';
+import { AddressLinesPipe } from '../shared/address-lines.pipe';
+import { PricePipe } from '../shared/price.pipe';
+import { paymentProviderLabel } from './checkout-steps';
+
+@Component({
+  selector: 'app-review-step',
+  imports: [RouterLink, AddressLinesPipe, PricePipe],
+  template: `
+    <h2 class="text-lg font-semibold">Review</h2>
+
+    @if (store.cart(); as cart) {
+      <dl class="mt-4 grid gap-6 text-sm sm:grid-cols-2">
+        <div>
+          <dt class="flex justify-between font-semibold">
+            Contact <a routerLink="/checkout/contact" class="font-normal underline">Edit</a>
+          </dt>
+          <dd class="mt-1">{{ cart.email }}</dd>
+        </div>
+        <div>
+          <dt class="flex justify-between font-semibold">
+            Shipping
+            <a routerLink="/checkout/shipping" class="font-normal underline">Edit</a>
+          </dt>
+          @for (method of cart.shipping_methods ?? []; track method.id) {
+            <dd class="mt-1">
+              {{ method.name }} · {{ method.amount | price: cart.currency_code }}
+            </dd>
+          }
+        </div>
+        <div>
+          <dt class="flex justify-between font-semibold">
+            Shipping address
+            <a routerLink="/checkout/address" class="font-normal underline">Edit</a>
+          </dt>
+          <dd class="mt-1">
+            @for (line of cart.shipping_address | addressLines; track $index) {
+              <span class="block">{{ line }}</span>
+            }
+          </dd>
+        </div>
+        <div>
+          <dt class="flex justify-between font-semibold">
+            Billing address
+            <a routerLink="/checkout/address" class="font-normal underline">Edit</a>
+          </dt>
+          <dd class="mt-1">
+            @for (line of cart.billing_address | addressLines; track $index) {
+              <span class="block">{{ line }}</span>
+            }
+          </dd>
+        </div>
+        <div>
+          <dt class="flex justify-between font-semibold">
+            Payment <a routerLink="/checkout/payment" class="font-normal underline">Edit</a>
+          </dt>
+          <dd class="mt-1">{{ payment() }}</dd>
+        </div>
+      </dl>
+
+      <button
+        type="button"
+        class="mt-8 w-full rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+        [disabled]="placing() || store.syncing()"
+        (click)="placeOrder()"
+      >
+        {{ placing() ? 'Placing your order…' : 'Place order' }}
+      </button>
+      @if (error(); as error) {
+        <p class="mt-2 text-sm text-red-700">{{ error }}</p>
+      }
+    }
+  `,
+  styles: [],
+})
+export class ReviewStep {
+  protected readonly store = inject(CartStore);
+  private readonly router = inject(Router);
+
+  protected readonly payment = computed(() => {
+    const session = this.store.cart()?.payment_collection?.payment_sessions?.[0];
+    return session ? paymentProviderLabel(session.provider_id) : '';
+  });
+  protected readonly placing = signal(false);
+  protected readonly error = signal<string | null>(null);
+
+  protected async placeOrder(): Promise<void> {
+    this.placing.set(true);
+    this.error.set(null);
+    try {
+      const order = await this.store.complete();
+      await this.router.navigate(['/order', order.id, 'confirmed']);
+    } catch (error) {
+      this.error.set(toMedusaError(error).message);
+    } finally {
+      this.placing.set(false);
+    }
+  }
+}
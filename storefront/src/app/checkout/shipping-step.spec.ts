@@ -0,0 +1,102 @@
+import { signal } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { Router, provideRouter } from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { StoreCart, StoreShippingOption } from '../medusa/medusa.types';
+import { cart } from './checkout.testing';
+import { ShippingStep } from './shipping-step';
+
+const OPTIONS: StoreShippingOption[] = [
+  { id: 'so_standard', name: 'Standard', price_type: 'flat', amount: 5, provider_id: 'manual' },
+  { id: 'so_express', name: 'Express', price_type: 'calculated', amount: 0, provider_id: 'manual' },
+];
+
+describe('ShippingStep', () => {
+  let fixture: ComponentFixture<ShippingStep>;
+  let setShippingMethod: ReturnType<typeof vi.fn>;
+  let navigate: ReturnType<typeof vi.spyOn>;
+
+  // Render the step for the given cart and the options shippingOptionsResolver found
+  async function render(current: StoreCart, options = OPTIONS) {
+    setShippingMethod = vi.fn(async () => true);
+    TestBed.configureTestingModule({
+      providers: [
+        provideRouter([]),
+        { provide: CartStore, useValue: { cart: signal(current), setShippingMethod } },
+      ],
+    });
+    navigate = vi.spyOn(TestBed.inject(Router), 'navigate').mockResolvedValue(true);
+    fixture = TestBed.createComponent(ShippingStep);
+    fixture.componentRef.setInput('options', options);
+    await fixture.whenStable();
+  }
+
+  // The radio button of a shipping option, found by its name
+  function radio(name: string): HTMLInputElement {
+    const labels: HTMLLabelElement[] = Array.from(fixture.nativeElement.querySelectorAll('label'));
+    return labels.find((label) => label.textContent?.includes(name))!.querySelector('input')!;
+  }
+
+  async function submit(): Promise<void> {
+    fixture.nativeElement.querySelector('button[type="submit"]').click();
+    await fixture.whenStable();
+  }
+
+  it('lists the options with their prices', async () => {
+    await render(cart());
+
+    const text = fixture.nativeElement.textContent;
+    expect(text).toContain('Standard');
+    expect(text).toContain('€5.00');
+    expect(text).toContain('Priced once chosen');
+  });
+
+  it('asks for an option before going on', async () => {
+    await render(cart());
+
+    await submit();
+
+    expect(fixture.nativeElement.textContent).toContain('A shipping option is required');
+    expect(setShippingMethod).not.toHaveBeenCalled();
+  });
+
+  it('saves the chosen option and goes on to payment', async () => {
+    await render(cart());
+
+    radio('Express').click();
+    await submit();
+
+    expect(setShippingMethod).toHaveBeenCalledWith('so_express');
+    expect(navigate).toHaveBeenCalledWith(['/checkout', 'payment']);
+  });
+
+  it('keeps an option chosen before without saving it again', async () => {
+    const method = { id: 'sm_1', name: 'Standard', amount: 5, shipping_option_id: 'so_standard' };
+    await render(cart({ shipping_methods: [method] }));
+    expect(radio('Standard').checked).toBe(true);
+
+    await submit();
+
+    expect(setShippingMethod).not.toHaveBeenCalled();
+    expect(navigate).toHaveBeenCalledWith(['/checkout', 'payment']);
+  });
+
+  it('stays on the step when the option cannot be saved', async () => {
+    await render(cart());
+    setShippingMethod.mockResolvedValue(false);
+
+    radio('Standard').click();
+    await submit();
+
+    expect(navigate).not.toHaveBeenCalled();
+  });
+
+  it('points back to the address when nothing ships there', async () => {
+    await render(cart(), []);
+
+    const text = fixture.nativeElement.textContent;
+    expect(text).toContain('We cannot ship these items to your address.');
+    expect(fixture.nativeElement.querySelector('a').getAttribute('href')).toBe('/checkout/address');
+  });
+});
@@ -0,0 +1,86 @@
+import { Component, inject, input, signal } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+import { Router, RouterLink } from '@angular/router';
+
+import { CartStore } from '../cart/cart-store';
+import { StoreShippingOption } from '../medusa/medusa.types';
+import { FieldError } from '../shared/field-error';
+import { PricePipe } from '../shared/price.pipe';
+import { nextStep } from './checkout-steps';
+
+@Component({
+  selector: 'app-shipping-step',
+  imports: [ReactiveFormsModule, RouterLink, FieldError, PricePipe],
+  template: `
+    <form [formGroup]="form" (ngSubmit)="submit()" novalidate>
+      <h2 class="text-lg font-semibold">Shipping</h2>
+
+      @if (options().length > 0) {
+        <fieldset class="mt-4 space-y-2">
+          <legend class="sr-only">Shipping option</legend>
+          @for (option of options(); track option.id) {
+            <label class="flex items-center gap-3 rounded border border-gray-300 p-3 text-sm">
+              <input type="radio" formControlName="option" [value]="option.id" />
+              <span class="flex-1">{{ option.name }}</span>
+              <span>
+                @if (option.price_type === 'calculated') {
+                  Priced once chosen
+                } @else {
+                  {{ option.amount | price: store.cart()?.currency_code }}
+                }
+              </span>
+            </label>
+          }
+        </fieldset>
+        <app-field-error [control]="form.controls.option" label="A shipping option" />
+
+        <button
+          type="submit"
+          class="mt-6 rounded bg-gray-900 px-6 py-3 text-white disabled:opacity-40"
+          [disabled]="saving()"
+        >
+          Continue to payment
+        </button>
+      } @else {
+        <p class="mt-4 text-sm text-gray-600">
+          We cannot ship these items to your address.
+          <a routerLink="/checkout/address" class="underline">Change the address</a>
+        </p>
+      }
+    </form>
+  `,
+  styles: [],
+})
+export class ShippingStep {
+  protected readonly store = inject(CartStore);
+  private readonly router = inject(Router);
+
+  /** Resolved by shippingOptionsResolver */
+  readonly options = input.required<StoreShippingOption[]>();
+
+  protected readonly form = inject(NonNullableFormBuilder).group({
+    option: [this.method()?.shipping_option_id ?? '', Validators.required],
+  });
+  protected readonly saving = signal(false);
+
+  protected async submit(): Promise<void> {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    const { option } = this.form.getRawValue();
+
+    this.saving.set(true);
+    const saved =
+      this.method()?.shipping_option_id === option ||
+      (await this.store.setShippingMethod(option));
+    this.saving.set(false);
+    if (saved) {
+      this.router.navigate(['/checkout', nextStep('shipping')]);
+    }
+  }
+
+  private method() {
+    return this.store.cart()?.shipping_methods?.[0] ?? null;
+  }
+}
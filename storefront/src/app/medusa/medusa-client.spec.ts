@@ -0,0 +1,148 @@
+import { HttpErrorResponse, provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { TestBed } from '@angular/core/testing';
+import { firstValueFrom } from 'rxjs';
+
+import { CART_FIELDS, MedusaClient, PRODUCT_FIELDS } from './medusa-client';
+import { MedusaError, toMedusaError } from './medusa-error';
+import { provideMedusa } from './medusa.config';
+
+const API = 'http://localhost:9000';
+
+describe('MedusaClient', () => {
+  let client: MedusaClient;
+  let http: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      providers: [
+        provideHttpClient(),
+        provideHttpClientTesting(),
+        provideMedusa({ baseUrl: `${API}/`, publishableKey: 'pk_test_123' }),
+      ],
+    });
+    client = TestBed.inject(MedusaClient);
+    http = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => http.verify());
+
+  it('unwraps list responses into a page of items', async () => {
+    const page = firstValueFrom(
+      client.products.list({ category_id: ['a', 'b'], q: '', limit: 12 }),
+    );
+
+    const request = http.expectOne((req) => req.url === `${API}/store/products`);
+    expect(request.request.method).toBe('GET');
+    expect(request.request.params.getAll('category_id')).toEqual(['a', 'b']);
+    expect(request.request.params.get('fields')).toBe(PRODUCT_FIELDS);
+    expect(request.request.params.has('q')).toBe(false);
+    request.flush({ products: [{ id: 'prod_1' }], count: 30, offset: 0, limit: 12 });
+
+    expect(await page).toEqual({ items: [{ id: 'prod_1' }], count: 30, offset: 0, limit: 12 });
+  });
+
+  it('unwraps single resources and asks for the cart fields', async () => {
+    const cart = firstValueFrom(client.carts.updateLineItem('cart_1', 'item_1', 3));
+
+    const request = http.expectOne(
+      (req) => req.url === `${API}/store/carts/cart_1/line-items/item_1`,
+    );
+    expect(request.request.method).toBe('POST');
+    expect(request.request.body).toEqual({ quantity: 3 });
+    expect(request.request.params.get('fields')).toBe(CART_FIELDS);
+    request.flush({ cart: { id: 'cart_1' } });
+
+    expect(await cart).toEqual({ id: 'cart_1' });
+  });
+
+  it('fails with a 404 MedusaError for an unknown product handle', async () => {
+    const product = firstValueFrom(client.products.retrieveByHandle('missing'));
+
+    http.expectOne((req) => req.params.get('handle') === 'missing').flush({
+      products: [],
+      count: 0,
+      offset: 0,
+      limit: 1,
+    });
+
+    await expect(product).rejects.toMatchObject({
+      name: 'MedusaError',
+      status: 404,
+      isNotFound: true,
+      message: 'Product "missing" was not found',
+    });
+  });
+
+  it('sends the publishable key with every request, next to other headers', () => {
+    client.regions.list().subscribe();
+    client.customers.create({ email: 'ada@example.com' }, 'registration-token').subscribe();
+
+    const regions = http.expectOne(`${API}/store/regions`);
+    const customers = http.expectOne(`${API}/store/customers`);
+    expect(regions.request.headers.get('x-publishable-api-key')).toBe('pk_test_123');
+    expect(customers.request.headers.get('x-publishable-api-key')).toBe('pk_test_123');
+    expect(customers.request.headers.get('Authorization')).toBe('Bearer registration-token');
+    regions.flush({ regions: [], count: 0, offset: 0, limit: 20 });
+    customers.flush({ customer: { id: 'cus_1' } });
+  });
+
+  it('maps Medusa error bodies to a MedusaError', async () => {
+    const cart = firstValueFrom(client.carts.retrieve('cart_1'));
+
+    http
+      .expectOne((req) => req.url === `${API}/store/carts/cart_1`)
+      .flush(
+        { type: 'not_allowed', code: 'cart_completed', message: 'Cart is already completed' },
+        { status: 400, statusText: 'Bad Request' },
+      );
+
+    const error = await cart.catch((failure: unknown) => failure);
+    expect(error).toBeInstanceOf(MedusaError);
+    expect(error).toMatchObject({
+      status: 400,
+      type: 'not_allowed',
+      code: 'cart_completed',
+      message: 'Cart is already completed',
+    });
+  });
+
+  it('reports an unreachable backend as a network error', async () => {
+    const regions = firstValueFrom(client.regions.list());
+
+    http.expectOne(`${API}/store/regions`).error(new ProgressEvent('error'));
+
+    await expect(regions).rejects.toMatchObject({
+      status: 0,
+      type: 'network_error',
+      isNetworkError: true,
+      message: `Could not reach the Medusa backend at ${API}/store/regions`,
+    });
+  });
+});
+
+describe('toMedusaError', () => {
+  it('keeps a text body and falls back to the HTTP message', () => {
+    const text = toMedusaError(
+      new HttpErrorResponse({ status: 502, error: 'Bad gateway', url: `${API}/store/regions` }),
+    );
+    const empty = toMedusaError(
+      new HttpErrorResponse({
+        status: 401,
+        statusText: 'Unauthorized',
+        url: `${API}/store/customers/me`,
+      }),
+    );
+
+    expect(text).toMatchObject({ status: 502, type: 'unknown_error', message: 'Bad gateway' });
+    expect(empty.isUnauthorized).toBe(true);
+    expect(empty.message).toContain('401 Unauthorized');
+  });
+
+  it('passes a MedusaError through and wraps anything else', () => {
+    const error = new MedusaError('Gone', 404, 'not_found');
+
+    expect(toMedusaError(error)).toBe(error);
+    expect(toMedusaError(new TypeError('boom'))).toMatchObject({ status: 0, message: 'boom' });
+  });
+});
@@ -0,0 +1,340 @@
+import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
+import { Injectable, inject } from '@angular/core';
+import { Observable, catchError, map, of, switchMap, throwError } from 'rxjs';
+
+import { MEDUSA_CONFIG } from './medusa.config';
+import { MedusaError, toMedusaError } from './medusa-error';
+import {
+  PaginatedResponse,
+  PaginationParams,
+  StoreAddLineItem,
+  StoreCart,
+  StoreCollection,
+  StoreCollectionListParams,
+  StoreCompleteCartResponse,
+  StoreCreateCart,
+  StoreCreateCustomer,
+  StoreCustomer,
+  StoreCustomerAddress,
+  StoreCustomerAddressInput,
+  StoreOrder,
+  StorePaymentCollection,
+  StorePaymentProvider,
+  StoreProduct,
+  StoreProductCategory,
+  StoreProductCategoryListParams,
+  StoreProductListParams,
+  StoreRegion,
+  StoreShippingOption,
+  StoreUpdateCart,
+  StoreUpdateCustomer,
+} from './medusa.types';
+
+type QueryValue = string | number | boolean | null | undefined | readonly (string | number)[];
+
+// Query parameters, e.g. a StoreProductListParams
+type Query = object;
+
+// Variant prices and stock are only returned when asked for
+export const PRODUCT_FIELDS = '*variants.calculated_price,+variants.inventory_quantity,*categories';
+
+// Fields of a cart the storefront reads, including its payment sessions
+export const CART_FIELDS = [
+  '*items',
+  '*region',
+  '*region.countries',
+  '*shipping_address',
+  '*billing_address',
+  '*shipping_methods',
+  '*payment_collection.payment_sessions',
+].join(',');
+
+interface ListBody {
+  count: number;
+  offset: number;
+  limit: number;
+}
+
+/**
+ * Typed client for the Medusa v2 Store API.
+ *
+ * Every method returns an Observable that emits the unwrapped result once and
+ * completes, so it can back a resolver, `toSignal()` or `rxResource()`.
+ * Failures of any kind are reported as a MedusaError.
+ */
+@Injectable({ providedIn: 'root' })
+export class MedusaClient {
+  private readonly http = inject(HttpClient);
+  private readonly config = inject(MEDUSA_CONFIG);
+
+  readonly products = {
+    list: (params: StoreProductListParams = {}): Observable<PaginatedResponse<StoreProduct>> =>
+      this.list<StoreProduct>('/store/products', 'products', { fields: PRODUCT_FIELDS, ...params }),
+
+    retrieve: (id: string, params: { region_id?: string; fields?: string } = {}) =>
+      this.get<{ product: StoreProduct }>(`/store/products/${encodeURIComponent(id)}`, {
+        fields: PRODUCT_FIELDS,
+        ...params,
+      }).pipe(map((body) => body.product)),
+
+    /** Products are addressed by handle in URLs; a missing one fails with a 404 MedusaError */
+    retrieveByHandle: (handle: string, params: { region_id?: string; fields?: string } = {}) =>
+      this.list<StoreProduct>('/store/products', 'products', {
+        fields: PRODUCT_FIELDS,
+        ...params,
+        handle,
+        limit: 1,
+      }).pipe(map((page) => this.first(page, `Product "${handle}" was not found`))),
+  };
+
+  readonly collections = {
+    list: (params: StoreCollectionListParams = {}) =>
+      this.list<StoreCollection>('/store/collections', 'collections', params),
+
+    retrieve: (id: string) =>
+      this.get<{ collection: StoreCollection }>(
+        `/store/collections/${encodeURIComponent(id)}`,
+      ).pipe(map((body) => body.collection)),
+  };
+
+  readonly categories = {
+    list: (params: StoreProductCategoryListParams = {}) =>
+      this.list<StoreProductCategory>('/store/product-categories', 'product_categories', params),
+
+    retrieve: (id: string, params: { include_descendants_tree?: boolean } = {}) =>
+      this.get<{ product_category: StoreProductCategory }>(
+        `/store/product-categories/${encodeURIComponent(id)}`,
+        params,
+      ).pipe(map((body) => body.product_category)),
+  };
+
+  readonly regions = {
+    list: (params: PaginationParams = {}) =>
+      this.list<StoreRegion>('/store/regions', 'regions', params),
+
+    retrieve: (id: string) =>
+      this.get<{ region: StoreRegion }>(`/store/regions/${encodeURIComponent(id)}`).pipe(
+        map((body) => body.region),
+      ),
+  };
+
+  readonly carts = {
+    create: (body: StoreCreateCart = {}) => this.cart('POST', '/store/carts', body),
+
+    retrieve: (id: string) => this.cart('GET', this.cartPath(id)),
+
+    update: (id: string, body: StoreUpdateCart) => this.cart('POST', this.cartPath(id), body),
+
+    addLineItem: (id: string, body: StoreAddLineItem) =>
+      this.cart('POST', `${this.cartPath(id)}/line-items`, body),
+
+    updateLineItem: (id: string, lineItemId: string, quantity: number) =>
+      this.cart('POST', `${this.cartPath(id)}/line-items/${encodeURIComponent(lineItemId)}`, {
+        quantity,
+      }),
+
+    deleteLineItem: (id: string, lineItemId: string) =>
+      this.request<{ parent: StoreCart }>(
+        'DELETE',
+        `${this.cartPath(id)}/line-items/${encodeURIComponent(lineItemId)}`,
+        { query: { fields: CART_FIELDS } },
+      ).pipe(map((body) => body.parent)),
+
+    addShippingMethod: (id: string, optionId: string) =>
+      this.cart('POST', `${this.cartPath(id)}/shipping-methods`, { option_id: optionId }),
+
+    /** Assigns a guest cart to the signed-in customer */
+    transferToCustomer: (id: string) => this.cart('POST', `${this.cartPath(id)}/customer`, {}),
+
+    listShippingOptions: (id: string) =>
+      this.get<{ shipping_options: StoreShippingOption[] }>('/store/shipping-options', {
+        cart_id: id,
+      }).pipe(map((body) => body.shipping_options)),
+
+    listPaymentProviders: (regionId: string) =>
+      this.get<{ payment_providers: StorePaymentProvider[] }>('/store/payment-providers', {
+        region_id: regionId,
+      }).pipe(map((body) => body.payment_providers)),
+
+    /** Starts a payment session with the provider, creating the payment collection if needed */
+    initiatePaymentSession: (
+      cart: StoreCart,
+      providerId: string,
+      data: Record<string, unknown> = {},
+    ) => {
+      type Body = { payment_collection: StorePaymentCollection };
+      const collection$ = cart.payment_collection
+        ? of(cart.payment_collection)
+        : this.post<Body>('/store/payment-collections', { cart_id: cart.id }).pipe(
+            map((body) => body.payment_collection),
+          );
+
+      return collection$.pipe(
+        switchMap((collection) =>
+          this.post<Body>(
+            `/store/payment-collections/${encodeURIComponent(collection.id)}/payment-sessions`,
+            { provider_id: providerId, data },
+          ),
+        ),
+        map((body) => body.payment_collection),
+      );
+    },
+
+    complete: (id: string) =>
+      this.post<StoreCompleteCartResponse>(`${this.cartPath(id)}/complete`, {}),
+  };
+
+  /** The email and password auth of customers; the tokens are JWTs for the Authorization header */
+  readonly auth = {
+    /** Registers the login; the token is only good for creating the customer */
+    register: (email: string, password: string) =>
+      this.post<{ token: string }>('/auth/customer/emailpass/register', { email, password }).pipe(
+        map((body) => body.token),
+      ),
+
+    login: (email: string, password: string) =>
+      this.post<{ token: string }>('/auth/customer/emailpass', { email, password }).pipe(
+        map((body) => body.token),
+      ),
+
+    /** Has the backend send a reset token for the email; unknown emails get the same answer */
+    requestPasswordReset: (email: string) =>
+      this.post<unknown>('/auth/customer/emailpass/reset-password', { identifier: email }).pipe(
+        map(() => undefined),
+      ),
+
+    updatePassword: (resetToken: string, email: string, password: string) =>
+      this.request<{ success: boolean }>('POST', '/auth/customer/emailpass/update', {
+        body: { email, password },
+        headers: { Authorization: `Bearer ${resetToken}` },
+      }).pipe(map(() => undefined)),
+  };
+
+  readonly customers = {
+    /** Creates the customer for a registration token from the auth API */
+    create: (body: StoreCreateCustomer, registrationToken: string) =>
+      this.request<{ customer: StoreCustomer }>('POST', '/store/customers', {
+        body,
+        headers: { Authorization: `Bearer ${registrationToken}` },
+      }).pipe(map((result) => result.customer)),
+
+    me: () =>
+      this.get<{ customer: StoreCustomer }>('/store/customers/me', { fields: '*addresses' }).pipe(
+        map((body) => body.customer),
+      ),
+
+    update: (body: StoreUpdateCustomer) =>
+      this.post<{ customer: StoreCustomer }>('/store/customers/me', body).pipe(
+        map((result) => result.customer),
+      ),
+
+    listAddresses: (params: PaginationParams = {}) =>
+      this.list<StoreCustomerAddress>('/store/customers/me/addresses', 'addresses', params),
+
+    createAddress: (body: StoreCustomerAddressInput) =>
+      this.post<{ customer: StoreCustomer }>('/store/customers/me/addresses', body).pipe(
+        map((result) => result.customer),
+      ),
+
+    updateAddress: (addressId: string, body: StoreCustomerAddressInput) =>
+      this.post<{ customer: StoreCustomer }>(
+        `/store/customers/me/addresses/${encodeURIComponent(addressId)}`,
+        body,
+      ).pipe(map((result) => result.customer)),
+
+    deleteAddress: (addressId: string) =>
+      this.request<{ parent: StoreCustomer }>(
+        'DELETE',
+        `/store/customers/me/addresses/${encodeURIComponent(addressId)}`,
+      ).pipe(map((body) => body.parent)),
+  };
+
+  readonly orders = {
+    /** Orders of the signed-in customer, newest first */
+    list: (params: PaginationParams = {}) =>
+      this.list<StoreOrder>('/store/orders', 'orders', { order: '-created_at', ...params }),
+
+    retrieve: (id: string) =>
+      this.get<{ order: StoreOrder }>(`/store/orders/${encodeURIComponent(id)}`, {
+        fields: '*items,*shipping_address,*billing_address,*shipping_methods',
+      }).pipe(map((body) => body.order)),
+  };
+
+  /** Absolute URL of a backend path, e.g. for the auth API */
+  url(path: string): string {
+    return `${this.config.baseUrl}${path}`;
+  }
+
+  /** Sends a request with the publishable key; any failure becomes a MedusaError */
+  request<T>(
+    method: string,
+    path: string,
+    options: { query?: Query; body?: unknown; headers?: Record<string, string> } = {},
+  ): Observable<T> {
+    const headers = new HttpHeaders({
+      'x-publishable-api-key': this.config.publishableKey,
+      ...options.headers,
+    });
+
+    return this.http
+      .request<T>(method, this.url(path), {
+        body: options.body,
+        headers,
+        params: toHttpParams(options.query ?? {}),
+      })
+      .pipe(catchError((error: unknown) => throwError(() => toMedusaError(error))));
+  }
+
+  private get<T>(path: string, query: Query = {}): Observable<T> {
+    return this.request<T>('GET', path, { query });
+  }
+
+  private post<T>(path: string, body: unknown, query: Query = {}): Observable<T> {
+    return this.request<T>('POST', path, { body, query });
+  }
+
+  // List endpoints return { <key>: [...], count, offset, limit }
+  private list<T>(path: string, key: string, query: Query): Observable<PaginatedResponse<T>> {
+    return this.get<ListBody & Record<string, unknown>>(path, query).pipe(
+      map((body) => ({
+        items: (body[key] as T[] | undefined) ?? [],
+        count: body.count,
+        offset: body.offset,
+        limit: body.limit,
+      })),
+    );
+  }
+
+  private first<T>(page: PaginatedResponse<T>, message: string): T {
+    if (page.items.length === 0) {
+      throw new MedusaError(message, 404, 'not_found');
+    }
+    return page.items[0];
+  }
+
+  private cartPath(id: string): string {
+    return `/store/carts/${encodeURIComponent(id)}`;
+  }
+
+  // Every cart call answers with the cart, with the fields in CART_FIELDS
+  private cart(method: string, path: string, body?: unknown): Observable<StoreCart> {
+    return this.request<{ cart: StoreCart }>(method, path, {
+      body,
+      query: { fields: CART_FIELDS },
+    }).pipe(map((result) => result.cart));
+  }
+}
+
+// Arrays become repeated keys (category_id=a&category_id=b); empty values are left out
+function toHttpParams(query: Query): HttpParams {
+  let params = new HttpParams();
+  for (const [key, value] of Object.entries(query) as [string, QueryValue][]) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    for (const item of Array.isArray(value) ? value : [value]) {
+      params = params.append(key, String(item));
+    }
+  }
+  return params;
+}
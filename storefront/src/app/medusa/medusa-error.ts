@@ -0,0 +1,57 @@
+import { HttpErrorResponse } from '@angular/common/http';
+
+/**
+ * The one error type the MedusaClient fails with. `status` is the HTTP status,
+ * 0 when the backend could not be reached; `type` and `code` are Medusa's own
+ * error fields (e.g. `not_found`, `invalid_data`) when the backend sent them.
+ */
+export class MedusaError extends Error {
+  override readonly name = 'MedusaError';
+
+  constructor(
+    message: string,
+    readonly status: number,
+    readonly type: string = 'unknown_error',
+    readonly code: string | null = null,
+  ) {
+    super(message);
+  }
+
+  get isNotFound(): boolean {
+    return this.status === 404 || this.type === 'not_found';
+  }
+
+  get isUnauthorized(): boolean {
+    return this.status === 401;
+  }
+
+  get isNetworkError(): boolean {
+    return this.status === 0;
+  }
+}
+
+export function isMedusaError(error: unknown): error is MedusaError {
+  return error instanceof MedusaError;
+}
+
+/** Turns anything an HTTP call can fail with into a MedusaError. */
+export function toMedusaError(error: unknown): MedusaError {
+  if (error instanceof MedusaError) {
+    return error;
+  }
+  if (error instanceof HttpErrorResponse) {
+    if (error.status === 0) {
+      const url = error.url ?? 'its URL';
+      return new MedusaError(`Could not reach the Medusa backend at ${url}`, 0, 'network_error');
+    }
+    const body = typeof error.error === 'object' && error.error !== null ? error.error : {};
+    const message =
+      typeof body.message === 'string' && body.message
+        ? body.message
+        : typeof error.error === 'string' && error.error
+          ? error.error
+          : error.message;
+    return new MedusaError(message, error.status, body.type ?? 'unknown_error', body.code ?? null);
+  }
+  return new MedusaError(error instanceof Error ? error.message : String(error), 0);
+}
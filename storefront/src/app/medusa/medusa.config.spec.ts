@@ -0,0 +1,39 @@
+import { loadMedusaConfig } from './medusa.config';
+
+const FALLBACK = { baseUrl: 'http://localhost:9000', publishableKey: '' };
+
+describe('loadMedusaConfig', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('takes the settings from config.json', async () => {
+    const fetch = vi.fn(async () =>
+      Response.json({ apiUrl: 'http://localhost:9100', publishableKey: 'pk_1' }),
+    );
+    vi.stubGlobal('fetch', fetch);
+
+    expect(await loadMedusaConfig(FALLBACK)).toEqual({
+      baseUrl: 'http://localhost:9100',
+      publishableKey: 'pk_1',
+    });
+    expect(fetch).toHaveBeenCalledWith('config.json', { cache: 'no-cache' });
+  });
+
+  it('keeps the fallback for settings config.json leaves out', async () => {
+    vi.stubGlobal('fetch', async () => Response.json({ publishableKey: 'pk_1' }));
+
+    expect(await loadMedusaConfig(FALLBACK)).toEqual({ ...FALLBACK, publishableKey: 'pk_1' });
+  });
+
+  it('keeps the fallback without a readable config.json', async () => {
+    vi.stubGlobal('fetch', async () => new Response('Not found', { status: 404 }));
+    expect(await loadMedusaConfig(FALLBACK)).toEqual(FALLBACK);
+
+    vi.stubGlobal('fetch', async () => new Response('<!doctype html>', { status: 200 }));
+    expect(await loadMedusaConfig(FALLBACK)).toEqual(FALLBACK);
+
+    vi.stubGlobal('fetch', async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    expect(await loadMedusaConfig(FALLBACK)).toEqual(FALLBACK);
+  });
+});
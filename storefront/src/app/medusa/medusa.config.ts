@@ -0,0 +1,51 @@
+import { EnvironmentProviders, InjectionToken, makeEnvironmentProviders } from '@angular/core';
+
+export interface MedusaConfig {
+  /** Backend origin, e.g. http://localhost:9000 */
+  baseUrl: string;
+  /** Publishable API key sent with every Store API request */
+  publishableKey: string;
+}
+
+export const MEDUSA_CONFIG = new InjectionToken<MedusaConfig>('MEDUSA_CONFIG');
+
+/** Registers the backend the MedusaClient talks to. */
+export function provideMedusa(config: MedusaConfig): EnvironmentProviders {
+  return makeEnvironmentProviders([
+    {
+      provide: MEDUSA_CONFIG,
+      useValue: { ...config, baseUrl: config.baseUrl.replace(/\/+$/, '') },
+    },
+  ]);
+}
+
+/** The settings of public/config.json */
+interface LocalConfig {
+  apiUrl?: string;
+  publishableKey?: string;
+}
+
+/**
+ * Reads the backend settings from config.json next to index.html. The
+ * installer writes it for the local backend and git ignores it; a deployment
+ * can serve its own. Settings it leaves out, or a missing or unreadable file,
+ * keep the values of `fallback`.
+ */
+export async function loadMedusaConfig(
+  fallback: MedusaConfig,
+  url = 'config.json',
+): Promise<MedusaConfig> {
+  let local: LocalConfig = {};
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (response.ok) {
+      local = (await response.json()) as LocalConfig;
+    }
+  } catch {
+    // Served without config.json, e.g. an SPA fallback answering with index.html
+  }
+  return {
+    baseUrl: local.apiUrl || fallback.baseUrl,
+    publishableKey: local.publishableKey || fallback.publishableKey,
+  };
+}
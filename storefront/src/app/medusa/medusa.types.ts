@@ -0,0 +1,341 @@
+// Shapes of the Medusa v2 Store API responses the storefront uses. Fields the
+// storefront does not read are left out; amounts are in the currency's main
+// unit (10.5 is 10.50), as Medusa v2 returns them.
+
+export type Metadata = Record<string, unknown> | null;
+
+export interface PaginatedResponse<T> {
+  items: T[];
+  count: number;
+  offset: number;
+  limit: number;
+}
+
+export interface PaginationParams {
+  limit?: number;
+  offset?: number;
+  /** Field to sort by, `-` in front for descending, e.g. `-created_at` */
+  order?: string;
+  /** Medusa `fields` selection, e.g. `*variants.calculated_price` */
+  fields?: string;
+}
+
+// Products
+
+export interface StoreProductImage {
+  id: string;
+  url: string;
+  rank: number;
+}
+
+export interface StoreProductOptionValue {
+  id: string;
+  value: string;
+  option_id: string | null;
+}
+
+export interface StoreProductOption {
+  id: string;
+  title: string;
+  values: StoreProductOptionValue[];
+}
+
+export interface StoreCalculatedPrice {
+  id: string;
+  calculated_amount: number | null;
+  original_amount: number | null;
+  currency_code: string | null;
+  calculated_price?: { price_list_type: string | null } | null;
+}
+
+export interface StoreProductVariant {
+  id: string;
+  title: string | null;
+  sku: string | null;
+  product_id?: string;
+  manage_inventory: boolean | null;
+  allow_backorder: boolean | null;
+  inventory_quantity?: number | null;
+  options: StoreProductOptionValue[] | null;
+  calculated_price?: StoreCalculatedPrice | null;
+  metadata?: Metadata;
+}
+
+export interface StoreProductTag {
+  id: string;
+  value: string;
+}
+
+export interface StoreProduct {
+  id: string;
+  title: string;
+  handle: string;
+  subtitle: string | null;
+  description: string | null;
+  thumbnail: string | null;
+  images: StoreProductImage[] | null;
+  options: StoreProductOption[] | null;
+  variants: StoreProductVariant[] | null;
+  collection_id: string | null;
+  collection?: StoreCollection | null;
+  categories?: StoreProductCategory[] | null;
+  tags?: StoreProductTag[] | null;
+  created_at: string;
+  updated_at: string;
+  metadata?: Metadata;
+}
+
+export interface StoreProductListParams extends PaginationParams {
+  /** Free-text search */
+  q?: string;
+  id?: string | string[];
+  handle?: string;
+  category_id?: string | string[];
+  collection_id?: string | string[];
+  tag_id?: string | string[];
+  /** Prices are calculated for this region */
+  region_id?: string;
+}
+
+// Collections and categories
+
+export interface StoreCollection {
+  id: string;
+  title: string;
+  handle: string;
+  metadata?: Metadata;
+}
+
+export interface StoreCollectionListParams extends PaginationParams {
+  handle?: string | string[];
+}
+
+export interface StoreProductCategory {
+  id: string;
+  name: string;
+  handle: string;
+  description: string;
+  rank: number | null;
+  parent_category_id: string | null;
+  parent_category?: StoreProductCategory | null;
+  category_children?: StoreProductCategory[];
+  metadata?: Metadata;
+}
+
+export interface StoreProductCategoryListParams extends PaginationParams {
+  handle?: string | string[];
+  parent_category_id?: string | null;
+  /** Include the child categories of each category */
+  include_descendants_tree?: boolean;
+}
+
+// Regions
+
+export interface StoreCountry {
+  iso_2: string;
+  iso_3: string;
+  name: string;
+  display_name: string;
+}
+
+export interface StoreRegion {
+  id: string;
+  name: string;
+  currency_code: string;
+  automatic_taxes?: boolean;
+  countries?: StoreCountry[];
+  metadata?: Metadata;
+}
+
+// Addresses
+
+export interface StoreAddress {
+  first_name?: string | null;
+  last_name?: string | null;
+  company?: string | null;
+  address_1?: string | null;
+  address_2?: string | null;
+  city?: string | null;
+  postal_code?: string | null;
+  province?: string | null;
+  country_code?: string | null;
+  phone?: string | null;
+  metadata?: Metadata;
+}
+
+export interface StoreCartAddress extends StoreAddress {
+  id: string;
+}
+
+// Carts
+
+export interface StoreCartLineItem {
+  id: string;
+  title: string;
+  subtitle: string | null;
+  thumbnail: string | null;
+  quantity: number;
+  variant_id: string | null;
+  product_id: string | null;
+  product_handle?: string | null;
+  variant_title?: string | null;
+  unit_price: number;
+  subtotal?: number;
+  total?: number;
+  metadata?: Metadata;
+}
+
+export interface StoreCartShippingMethod {
+  id: string;
+  name: string;
+  amount: number;
+  shipping_option_id: string | null;
+}
+
+export interface StorePaymentSession {
+  id: string;
+  provider_id: string;
+  amount: number;
+  currency_code: string;
+  status: string;
+  data: Record<string, unknown>;
+}
+
+export interface StorePaymentCollection {
+  id: string;
+  amount: number;
+  currency_code: string;
+  status: string;
+  payment_sessions?: StorePaymentSession[];
+}
+
+export interface StoreCart {
+  id: string;
+  email: string | null;
+  region_id: string | null;
+  region?: StoreRegion;
+  customer_id: string | null;
+  sales_channel_id: string | null;
+  currency_code: string;
+  items: StoreCartLineItem[] | null;
+  shipping_address: StoreCartAddress | null;
+  billing_address: StoreCartAddress | null;
+  shipping_methods: StoreCartShippingMethod[] | null;
+  payment_collection?: StorePaymentCollection | null;
+  completed_at?: string | null;
+  item_total: number;
+  subtotal: number;
+  shipping_total: number;
+  discount_total: number;
+  tax_total: number;
+  total: number;
+  metadata?: Metadata;
+}
+
+export interface StoreCreateCart {
+  region_id?: string;
+  email?: string;
+  items?: StoreAddLineItem[];
+  metadata?: Metadata;
+}
+
+export interface StoreUpdateCart {
+  region_id?: string;
+  email?: string;
+  shipping_address?: StoreAddress;
+  billing_address?: StoreAddress;
+  metadata?: Metadata;
+}
+
+export interface StoreAddLineItem {
+  variant_id: string;
+  quantity: number;
+  metadata?: Metadata;
+}
+
+export interface StoreShippingOption {
+  id: string;
+  name: string;
+  price_type: 'flat' | 'calculated';
+  amount: number;
+  is_tax_inclusive?: boolean;
+  provider_id: string;
+}
+
+export interface StorePaymentProvider {
+  id: string;
+}
+
+/** Completing a cart either places the order or returns the cart with the reason it failed */
+export type StoreCompleteCartResponse =
+  | { type: 'order'; order: StoreOrder }
+  | { type: 'cart'; cart: StoreCart; error: { message: string; name: string; type: string } };
+
+// Customers
+
+export interface StoreCustomerAddress extends StoreAddress {
+  id: string;
+  address_name: string | null;
+  is_default_shipping: boolean;
+  is_default_billing: boolean;
+  customer_id: string;
+}
+
+export interface StoreCustomer {
+  id: string;
+  email: string;
+  first_name: string | null;
+  last_name: string | null;
+  company_name: string | null;
+  phone: string | null;
+  has_account?: boolean;
+  addresses: StoreCustomerAddress[];
+  created_at: string;
+  metadata?: Metadata;
+}
+
+export interface StoreCreateCustomer {
+  email: string;
+  first_name?: string;
+  last_name?: string;
+  company_name?: string;
+  phone?: string;
+}
+
+export type StoreUpdateCustomer = Partial<Omit<StoreCreateCustomer, 'email'>>;
+
+export interface StoreCustomerAddressInput extends StoreAddress {
+  address_name?: string;
+  is_default_shipping?: boolean;
+  is_default_billing?: boolean;
+}
+
+// Orders
+
+export interface StoreOrderLineItem extends StoreCartLineItem {
+  product_title?: string | null;
+}
+
+export interface StoreOrder {
+  id: string;
+  display_id: number;
+  status: string;
+  email: string | null;
+  currency_code: string;
+  region_id: string | null;
+  customer_id: string | null;
+  items: StoreOrderLineItem[] | null;
+  shipping_address?: StoreCartAddress | null;
+  billing_address?: StoreCartAddress | null;
+  shipping_methods?: StoreCartShippingMethod[] | null;
+  payment_status: string;
+  fulfillment_status: string;
+  item_total: number;
+  subtotal: number;
+  shipping_total: number;
+  discount_total: number;
+  tax_total: number;
+  total: number;
+  created_at: string;
+  metadata?: Metadata;
+}
@@ -0,0 +1,33 @@
+import { Component, input } from '@angular/core';
+import { RouterLink } from '@angular/router';
+
+import { StoreOrder } from '../medusa/medusa.types';
+import { OrderSummary } from './order-summary';
+
+@Component({
+  selector: 'app-order-confirmed',
+  imports: [RouterLink, OrderSummary],
+  template: `
+    @let order = this.order();
+    <div class="mx-auto max-w-3xl px-4 py-8">
+      <h1 class="text-2xl font-semibold">Thank you for your order</h1>
+      <p class="mt-2 text-gray-600">
+        Order #{{ order.display_id }} was placed.
+        @if (order.email) {
+          A confirmation is on its way to {{ order.email }}.
+        }
+      </p>
+
+      <div class="mt-8">
+        <app-order-summary [order]="order" />
+      </div>
+
+      <a routerLink="/products" class="mt-8 inline-block underline">Continue shopping</a>
+    </div>
+  `,
+  styles: [],
+})
+export class OrderConfirmed {
+  /** Resolved by orderResolver */
+  readonly order = input.required<StoreOrder>();
+}
@@ -0,0 +1,83 @@
+import { Component, input } from '@angular/core';
+
+import { StoreOrder } from '../medusa/medusa.types';
+import { AddressLinesPipe } from '../shared/address-lines.pipe';
+import { PricePipe } from '../shared/price.pipe';
+
+/** An order, payment or fulfillment status as text, e.g. partially_shipped -> partially shipped */
+export function statusLabel(status: string | null | undefined): string {
+  return (status ?? '').replaceAll('_', ' ');
+}
+
+/** The items, totals and addresses of an order */
+@Component({
+  selector: 'app-order-summary',
+  imports: [AddressLinesPipe, PricePipe],
+  template: `
+    @let order = this.order();
+    <ul class="divide-y divide-gray-200 text-sm">
+      @for (item of order.items ?? []; track item.id) {
+        <li class="flex justify-between gap-4 py-3">
+          <span>
+            {{ item.quantity }} × {{ item.product_title ?? item.title }}
+            @if (item.variant_title) {
+              <span class="text-gray-500">({{ item.variant_title }})</span>
+            }
+          </span>
+          <span>
+            {{ item.total ?? item.unit_price * item.quantity | price: order.currency_code }}
+          </span>
+        </li>
+      }
+    </ul>
+
+    <dl class="mt-4 space-y-2 border-t border-gray-200 pt-4 text-sm">
+      <div class="flex justify-between">
+        <dt>Subtotal</dt>
+        <dd>{{ order.subtotal | price: order.currency_code }}</dd>
+      </div>
+      <div class="flex justify-between">
+        <dt>Shipping</dt>
+        <dd>{{ order.shipping_total | price: order.currency_code }}</dd>
+      </div>
+      <div class="flex justify-between">
+        <dt>Taxes</dt>
+        <dd>{{ order.tax_total | price: order.currency_code }}</dd>
+      </div>
+      <div class="flex justify-between border-t border-gray-200 pt-2 text-base font-semibold">
+        <dt>Total</dt>
+        <dd>{{ order.total | price: order.currency_code }}</dd>
+      </div>
+    </dl>
+
+    <div class="mt-8 grid gap-6 text-sm sm:grid-cols-2">
+      @if (order.shipping_address) {
+        <div>
+          <h2 class="font-semibold">Shipping to</h2>
+          <p class="mt-1">
+            @for (line of order.shipping_address | addressLines; track $index) {
+              <span class="block">{{ line }}</span>
+            }
+          </p>
+          @for (method of order.shipping_methods ?? []; track method.id) {
+            <p class="mt-1 text-gray-600">{{ method.name }}</p>
+          }
+        </div>
+      }
+      @if (order.billing_address) {
+        <div>
+          <h2 class="font-semibold">Billing address</h2>
+          <p class="mt-1">
+            @for (line of order.billing_address | addressLines; track $index) {
+              <span class="block">{{ line }}</span>
+            }
+          </p>
+        </div>
+      }
+    </div>
+  `,
+  styles: [],
+})
+export class OrderSummary {
+  readonly order = input.required<StoreOrder>();
+}
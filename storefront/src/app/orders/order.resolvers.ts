@@ -0,0 +1,45 @@
+import { inject } from '@angular/core';
+import { RedirectCommand, ResolveFn, Router } from '@angular/router';
+import { catchError, map, of, throwError } from 'rxjs';
+
+import { MedusaClient } from '../medusa/medusa-client';
+import { isMedusaError } from '../medusa/medusa-error';
+import { StoreOrder } from '../medusa/medusa.types';
+
+const HISTORY_PAGE_SIZE = 10;
+
+export interface OrderHistoryData {
+  orders: StoreOrder[];
+  page: number;
+  pageCount: number;
+}
+
+/** Loads the logged-in customer's orders for the page in the ?page query param */
+export const orderHistoryResolver: ResolveFn<OrderHistoryData> = (route) => {
+  const page = Math.max(1, Math.floor(Number(route.queryParamMap.get('page'))) || 1);
+
+  return inject(MedusaClient)
+    .orders.list({ limit: HISTORY_PAGE_SIZE, offset: (page - 1) * HISTORY_PAGE_SIZE })
+    .pipe(
+      map((result) => ({
+        orders: result.items,
+        page,
+        pageCount: Math.max(1, Math.ceil(result.count / HISTORY_PAGE_SIZE)),
+      })),
+    );
+};
+
+/** Loads the order for the :id param; an unknown id shows the not-found page */
+export const orderResolver: ResolveFn<StoreOrder | RedirectCommand> = (route) => {
+  const router = inject(Router);
+
+  return inject(MedusaClient)
+    .orders.retrieve(route.paramMap.get('id') ?? '')
+    .pipe(
+      catchError((error: unknown) =>
+        isMedusaError(error) && error.isNotFound
+          ? of(new RedirectCommand(router.parseUrl('/not-found'), { skipLocationChange: true }))
+          : throwError(() => error),
+      ),
+    );
+};
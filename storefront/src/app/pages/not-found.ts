@@ -0,0 +1,16 @@
+import { Component } from '@angular/core';
+import { RouterLink } from '@angular/router';
+
+@Component({
+  selector: 'app-not-found',
+  imports: [RouterLink],
+  template: `
+    <div class="mx-auto max-w-xl px-4 py-24 text-center">
+      <h1 class="text-2xl font-semibold">Page not found</h1>
+      <p class="mt-2 text-gray-600">The page you are looking for does not exist.</p>
+      <a routerLink="/products" class="mt-6 inline-block underline">Browse all products</a>
+    </div>
+  `,
+  styles: [],
+})
+export class NotFound {}
@@ -0,0 +1,20 @@
+import { Component } from '@angular/core';
+
+// Shown in place of a page whose data could not be loaded, e.g. while the
+// backend is down; the URL is kept, so reloading tries again
+@Component({
+  selector: 'app-unavailable',
+  template: `
+    <div class="mx-auto max-w-xl px-4 py-24 text-center">
+      <h1 class="text-2xl font-semibold">The store is unavailable</h1>
+      <p class="mt-2 text-gray-600">This page could not be loaded. Please try again in a moment.</p>
+      <button type="button" class="mt-6 underline" (click)="reload()">Try again</button>
+    </div>
+  `,
+  styles: [],
+})
+export class Unavailable {
+  protected reload(): void {
+    location.reload();
+  }
+}
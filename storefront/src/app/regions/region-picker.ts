@@ -0,0 +1,37 @@
+import { Component, inject } from '@angular/core';
+import { Router } from '@angular/router';
+
+import { RegionStore } from './region-store';
+
+@Component({
+  selector: 'app-region-picker',
+  template: `
+    @if (store.regions().length > 1) {
+      <label class="flex items-center gap-2 text-sm">
+        <span class="sr-only">Region</span>
+        <select
+          #region
+          class="rounded border border-gray-300 px-2 py-1"
+          (change)="select(region.value)"
+        >
+          @for (entry of store.regions(); track entry.id) {
+            <option [value]="entry.id" [selected]="entry.id === store.region()?.id">
+              {{ entry.name }} ({{ entry.currency_code.toUpperCase() }})
+            </option>
+          }
+        </select>
+      </label>
+    }
+  `,
+  styles: [],
+})
+export class RegionPicker {
+  private readonly router = inject(Router);
+  protected readonly store = inject(RegionStore);
+
+  // The current page is loaded again, so its resolvers fetch prices for the new region
+  protected select(id: string): void {
+    this.store.select(id);
+    this.router.navigateByUrl(this.router.url, { onSameUrlNavigation: 'reload' });
+  }
+}
@@ -0,0 +1,45 @@
+import { Injectable, computed, inject, signal } from '@angular/core';
+import { Observable, map, of, shareReplay, tap } from 'rxjs';
+
+import { MedusaClient } from '../medusa/medusa-client';
+import { StoreRegion } from '../medusa/medusa.types';
+
+const STORAGE_KEY = 'medusa_region_id';
+
+/**
+ * The regions of the store and the one prices are shown for. The choice is
+ * kept in localStorage; without one the first region is used.
+ */
+@Injectable({ providedIn: 'root' })
+export class RegionStore {
+  private readonly medusa = inject(MedusaClient);
+  private loading: Observable<StoreRegion | null> | null = null;
+
+  private readonly selectedId = signal<string | null>(localStorage.getItem(STORAGE_KEY));
+
+  readonly regions = signal<StoreRegion[]>([]);
+
+  readonly region = computed<StoreRegion | null>(() => {
+    const regions = this.regions();
+    return regions.find((region) => region.id === this.selectedId()) ?? regions[0] ?? null;
+  });
+
+  /** Loads the regions once; emits the current region, null if the store has none */
+  load(): Observable<StoreRegion | null> {
+    if (this.regions().length > 0) {
+      return of(this.region());
+    }
+    // shareReplay drops a failed request, so the next call tries again
+    this.loading ??= this.medusa.regions.list({ limit: 100, fields: '*countries' }).pipe(
+      tap((page) => this.regions.set(page.items)),
+      map(() => this.region()),
+      shareReplay(1),
+    );
+    return this.loading;
+  }
+
+  select(id: string): void {
+    this.selectedId.set(id);
+    localStorage.setItem(STORAGE_KEY, id);
+  }
+}
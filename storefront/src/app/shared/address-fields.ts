@@ -0,0 +1,104 @@
+import { Component, input } from '@angular/core';
+import { NonNullableFormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+
+import { StoreAddress, StoreCountry } from '../medusa/medusa.types';
+import { FieldError } from './field-error';
+
+export type AddressForm = ReturnType<typeof addressForm>;
+
+/** A form group for an address, filled in with the address if there is one */
+export function addressForm(fb: NonNullableFormBuilder, address?: StoreAddress | null) {
+  return fb.group({
+    first_name: [address?.first_name ?? '', Validators.required],
+    last_name: [address?.last_name ?? '', Validators.required],
+    company: [address?.company ?? ''],
+    address_1: [address?.address_1 ?? '', Validators.required],
+    address_2: [address?.address_2 ?? ''],
+    postal_code: [address?.postal_code ?? '', Validators.required],
+    city: [address?.city ?? '', Validators.required],
+    province: [address?.province ?? ''],
+    country_code: [address?.country_code ?? '', Validators.required],
+    phone: [address?.phone ?? ''],
+  });
+}
+
+/** Whether an address has everything addressForm requires */
+export function isCompleteAddress(address: StoreAddress | null | undefined): boolean {
+  return !!(
+    address?.first_name &&
+    address.last_name &&
+    address.address_1 &&
+    address.postal_code &&
+    address.city &&
+    address.country_code
+  );
+}
+
+/** The inputs of an addressForm group; the country is picked from the given countries */
+@Component({
+  selector: 'app-address-fields',
+  imports: [ReactiveFormsModule, FieldError],
+  template: `
+    @let controls = group().controls;
+    <div class="grid gap-4 sm:grid-cols-2" [formGroup]="group()">
+      <label class="block text-sm">
+        First name
+        <input formControlName="first_name" autocomplete="given-name" [class]="inputClass" />
+        <app-field-error [control]="controls.first_name" label="First name" />
+      </label>
+      <label class="block text-sm">
+        Last name
+        <input formControlName="last_name" autocomplete="family-name" [class]="inputClass" />
+        <app-field-error [control]="controls.last_name" label="Last name" />
+      </label>
+      <label class="block text-sm sm:col-span-2">
+        Company <span class="text-gray-500">(optional)</span>
+        <input formControlName="company" autocomplete="organization" [class]="inputClass" />
+      </label>
+      <label class="block text-sm sm:col-span-2">
+        Address
+        <input formControlName="address_1" autocomplete="address-line1" [class]="inputClass" />
+        <app-field-error [control]="controls.address_1" label="Address" />
+      </label>
+      <label class="block text-sm sm:col-span-2">
+        Apartment, suite, etc. <span class="text-gray-500">(optional)</span>
+        <input formControlName="address_2" autocomplete="address-line2" [class]="inputClass" />
+      </label>
+      <label class="block text-sm">
+        Postal code
+        <input formControlName="postal_code" autocomplete="postal-code" [class]="inputClass" />
+        <app-field-error [control]="controls.postal_code" label="Postal code" />
+      </label>
+      <label class="block text-sm">
+        City
+        <input formControlName="city" autocomplete="address-level2" [class]="inputClass" />
+        <app-field-error [control]="controls.city" label="City" />
+      </label>
+      <label class="block text-sm">
+        State / province <span class="text-gray-500">(optional)</span>
+        <input formControlName="province" autocomplete="address-level1" [class]="inputClass" />
+      </label>
+      <label class="block text-sm">
+        Country
+        <select formControlName="country_code" autocomplete="country" [class]="inputClass">
+          <option value="" disabled>Choose a country</option>
+          @for (country of countries(); track country.iso_2) {
+            <option [value]="country.iso_2">{{ country.display_name }}</option>
+          }
+        </select>
+        <app-field-error [control]="controls.country_code" label="Country" />
+      </label>
+      <label class="block text-sm sm:col-span-2">
+        Phone <span class="text-gray-500">(optional)</span>
+        <input type="tel" formControlName="phone" autocomplete="tel" [class]="inputClass" />
+      </label>
+    </div>
+  `,
+  styles: [],
+})
+export class AddressFields {
+  readonly group = input.required<AddressForm>();
+  readonly countries = input.required<StoreCountry[]>();
+
+  protected readonly inputClass = 'mt-1 w-full rounded border border-gray-300 px-3 py-2';
+}
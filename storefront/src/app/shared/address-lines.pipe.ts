@@ -0,0 +1,26 @@
+import { Pipe, PipeTransform } from '@angular/core';
+
+import { StoreAddress } from '../medusa/medusa.types';
+
+/**
+ * The lines of an address as printed on a label, without the empty ones:
+ * @for (line of address | addressLines; track $index) { {{ line }} }
+ */
+@Pipe({ name: 'addressLines' })
+export class AddressLinesPipe implements PipeTransform {
+  transform(address: StoreAddress | null | undefined): string[] {
+    if (!address) {
+      return [];
+    }
+    return [
+      [address.first_name, address.last_name].filter(Boolean).join(' '),
+      address.company,
+      address.address_1,
+      address.address_2,
+      [address.postal_code, address.city].filter(Boolean).join(' '),
+      address.province,
+      address.country_code?.toUpperCase(),
+      address.phone,
+    ].filter((line): line is string => !!line);
+  }
+}
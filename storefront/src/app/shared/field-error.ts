@@ -0,0 +1,32 @@
+import { Component, input } from '@angular/core';
+import { AbstractControl } from '@angular/forms';
+
+/** The validation message of a form control, shown once the control was touched */
+@Component({
+  selector: 'app-field-error',
+  template: `
+    @if (control().invalid && control().touched) {
+      <p class="mt-1 text-sm text-red-700">{{ message() }}</p>
+    }
+  `,
+  styles: [],
+})
+export class FieldError {
+  readonly control = input.required<AbstractControl>();
+  readonly label = input.required<string>();
+
+  // Not a signal: the control's errors change without the input changing
+  protected message(): string {
+    const errors = this.control().errors ?? {};
+    if (errors['required']) {
+      return `${this.label()} is required`;
+    }
+    if (errors['email']) {
+      return 'Enter a valid email address';
+    }
+    if (errors['minlength']) {
+      return `${this.label()} needs at least ${errors['minlength'].requiredLength} characters`;
+    }
+    return `${this.label()} is not valid`;
+  }
+}
@@ -0,0 +1,20 @@
+import { LOCALE_ID, Pipe, PipeTransform, inject } from '@angular/core';
+
+/**
+ * Formats a Medusa amount, which is already in the currency's main unit:
+ * {{ 10.5 | price: 'eur' }} -> €10.50
+ */
+@Pipe({ name: 'price' })
+export class PricePipe implements PipeTransform {
+  private readonly locale = inject(LOCALE_ID);
+
+  transform(amount: number | null | undefined, currencyCode: string | null | undefined): string {
+    if (amount === null || amount === undefined || !currencyCode) {
+      return '';
+    }
+    return new Intl.NumberFormat(this.locale, {
+      style: 'currency',
+      currency: currencyCode.toUpperCase(),
+    }).format(amount);
+  }
+}
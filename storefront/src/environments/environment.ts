@@ -0,0 +1,9 @@
+// Defaults of the backend settings. The installer writes the ones of the local
+// backend (its port and the publishable API key the seed script creates) to
+// public/config.json, which git ignores and which the storefront reads at
+// startup. Keys are listed in the admin under Settings.
+export const environment = {
+  production: false,
+  apiUrl: 'http://localhost:9000',
+  publishableKey: ''
+};
@@ -1,6 +1,16 @@
+import { mergeApplicationConfig } from '@angular/core';
 import { bootstrapApplication } from '@angular/platform-browser';
 import { appConfig } from './app/app.config';
 import { App } from './app/app';
+import { loadMedusaConfig, provideMedusa } from './app/medusa/medusa.config';
+import { environment } from './environments/environment';
 
-bootstrapApplication(App, appConfig)
+// The backend settings are read before the app starts, so every service gets the final ones
+loadMedusaConfig({ baseUrl: environment.apiUrl, publishableKey: environment.publishableKey })
+  .then((medusa) =>
+    bootstrapApplication(
+      App,
+      mergeApplicationConfig(appConfig, { providers: [provideMedusa(medusa)] }),
+    ),
+  )
   .catch((err) => console.error(err));